@@ -26,6 +26,11 @@ import {
 	Image,
 	all as gamegraphicsFormats,
 	findHandler as gamegraphicsFindHandler,
+	ColourDistance,
+	DitherMethod,
+	imageDither,
+	imageRemapPalette,
+	defaultPalette,
 } from '../index.js';
 
 class OperationsError extends Error {
@@ -56,6 +61,81 @@ class Operations
 		return result;
 	}
 
+	convert(params) {
+		if (!params.format) {
+			throw new OperationsError('convert: missing target format (-t)');
+		}
+		const handler = gamegraphicsFormats.find(h => h.metadata().id === params.format);
+		if (!handler) {
+			throw new OperationsError(`convert: invalid format code: ${params.format}.`);
+		}
+		const md = handler.metadata();
+
+		const method = params.dither || DitherMethod.FloydSteinberg;
+		if (!Object.values(DitherMethod).includes(method)) {
+			throw new OperationsError(`convert: unknown dither mode "${method}", `
+				+ `must be one of: ${Object.values(DitherMethod).join(', ')}.`);
+		}
+		const metric = params.metric || ColourDistance.RGB;
+		if (!Object.values(ColourDistance).includes(metric)) {
+			throw new OperationsError(`convert: unknown colour metric "${metric}", `
+				+ `must be one of: ${Object.values(ColourDistance).join(', ')}.`);
+		}
+
+		let palette;
+		if (params.palette) {
+			const palDepth = {
+				mono: 1,
+				cga4: 2,
+				cga16: 4,
+				ega64: 6,
+				vga256: 8,
+			}[params.palette];
+			if (!palDepth) {
+				throw new OperationsError(`convert: unknown palette "${params.palette}", `
+					+ `must be one of: mono, cga4, cga16, ega64, vga256.`);
+			}
+			palette = defaultPalette(palDepth);
+		} else {
+			try {
+				palette = defaultPalette(md.limits.depth);
+			} catch (e) {
+				throw new OperationsError(`convert: no default palette for ${md.id}, `
+					+ `please choose one with --palette.`);
+			}
+		}
+
+		const maxColours = 1 << md.limits.depth;
+		if (palette.length > maxColours) {
+			throw new OperationsError(`convert: palette has ${palette.length} `
+				+ `colours but ${md.id} can only store ${maxColours}.`);
+		}
+
+		// Use the format's transparent index if it has one, adding a palette entry
+		// for it if it sits just past the end of the palette (e.g. colour 16 in a
+		// 16-colour format).
+		let transparentIndex;
+		if (typeof md.limits.transparentIndex === 'number') {
+			transparentIndex = md.limits.transparentIndex;
+			if (transparentIndex === palette.length) {
+				palette.push([0xFF, 0x00, 0xFF, 0x00]);
+			}
+		}
+
+		try {
+			this.image = imageDither(this.image, palette, {
+				method,
+				metric,
+				transparentIndex,
+			});
+		} catch (e) {
+			debug(e);
+			throw new OperationsError(`convert: unable to convert image - ${e.message}`);
+		}
+		console.log(`Converted image to ${palette.length} colours for ${md.id} `
+			+ `using ${method} dithering.`);
+	}
+
 	readFile(params) {
 		if (!params.target) {
 			throw new OperationsError('read: missing filename');
@@ -88,6 +168,9 @@ class Operations
 			handler = handlers[0];
 		}
 
+		// Some supplementary files are optional, so a missing one is only an
+		// error if the handler can't read the image without it.
+		let suppMissing;
 		const suppList = handler.supps(params.target, content.main);
 		if (suppList) {
 			for (const [id, suppFilename] of Object.entries(suppList)) {
@@ -96,8 +179,8 @@ class Operations
 					content[id] = fs.readFileSync(suppFilename);
 					content[id].filename = suppFilename;
 				} catch (e) {
-					throw new OperationsError(`read: unable to open supplementary file `
-						+ `"${suppFilename}": ${e.message}`);
+					debug(`Unable to read supp "${id}": ${e.message}`);
+					suppMissing = suppMissing || `"${suppFilename}": ${e.message}`;
 				}
 			}
 		}
@@ -105,8 +188,20 @@ class Operations
 		const md = handler.metadata();
 		const options = this.parseOptions(md, params.options);
 
+		let image;
+		try {
+			image = handler.read(content, options);
+		} catch (e) {
+			if (suppMissing) {
+				debug(e);
+				throw new OperationsError(`read: unable to open supplementary file `
+					+ suppMissing);
+			}
+			throw e;
+		}
+
 		return {
-			image: handler.read(content, options),
+			image,
 			origFormat: md.id,
 		};
 	}
@@ -122,6 +217,47 @@ class Operations
 			throw new OperationsError('readpal: This file does not supply a palette.');
 		}
 
+		if (params.remap) {
+			const metric = params.metric || ColourDistance.RGB;
+			if (!Object.values(ColourDistance).includes(metric)) {
+				throw new OperationsError(`readpal: unknown colour metric "${metric}", `
+					+ `must be one of: ${Object.values(ColourDistance).join(', ')}.`);
+			}
+			const reserved = (params.reserve || []).map(r => {
+				const index = parseInt(r, 10);
+				if (!/^[0-9]+$/.test(r) || (index >= palNew.length)) {
+					throw new OperationsError(`readpal: invalid palette index "${r}" for `
+						+ `--reserve, must be between 0 and ${palNew.length - 1}.`);
+				}
+				return index;
+			});
+
+			// Keep opaque pixels off the transparent entry of the format the image
+			// will be written back as.
+			let transparentIndex;
+			const handler = gamegraphicsFormats.find(h => h.metadata().id === this.origFormat);
+			if (handler) {
+				const md = handler.metadata();
+				if (typeof md.limits.transparentIndex === 'number') {
+					transparentIndex = md.limits.transparentIndex;
+				}
+			}
+
+			try {
+				this.image = imageRemapPalette(this.image, palNew, {
+					metric,
+					reserved,
+					transparentIndex,
+				});
+			} catch (e) {
+				debug(e);
+				throw new OperationsError(`readpal: unable to remap image - ${e.message}`);
+			}
+			console.log(`Remapped image to new "${origFormat}" palette using `
+				+ `${metric} colour matching.`);
+			return;
+		}
+
 		// Set the new palette globally for the image.
 		this.image.palette = palNew;
 
@@ -171,6 +307,8 @@ class Operations
 		const suppList = handler.supps(params.target, outContent.main);
 		if (suppList) {
 			for (const [id, suppFilename] of Object.entries(suppList)) {
+				// Optional files are left out if there is nothing to save in them.
+				if (!outContent[id]) continue;
 				console.warn(` - Saving supplemental file "${id}" to ${suppFilename}`);
 				promises.push(
 					fs.promises.writeFile(suppFilename, outContent[id])
@@ -237,7 +375,20 @@ class Operations
 	}
 
 	info() {
-		if (this.image.frames && this.image.frames.length === 0) {
+		const handler = this.origFormat
+			&& gamegraphicsFormats.find(h => h.metadata().id === this.origFormat);
+
+		if (handler && handler.metadata().glyphs && this.image.frames) {
+			console.log('Type: Glyph set (font)');
+			console.log(`Number of glyphs: ${this.image.frames.length}`);
+			for (let f = 0; f < this.image.frames.length; f++) {
+				const frame = this.image.frames[f];
+				const codePoint = (frame.codePoint === undefined) ? f : frame.codePoint;
+				const width = (frame.width === undefined) ? this.image.width : frame.width;
+				console.log(` - Glyph ${f}: character ${codePoint}, width ${width}`);
+			}
+
+		} else if (this.image.frames && this.image.frames.length === 0) {
 			if (this.image.palette) {
 				console.log('Type: Palette');
 			} else {
@@ -362,6 +513,12 @@ class Operations
 }
 
 Operations.names = {
+	convert: [
+		{ name: 'dither', alias: 'd' },
+		{ name: 'format', alias: 't' },
+		{ name: 'metric' },
+		{ name: 'palette', alias: 'p' },
+	],
 	identify: [
 		{ name: 'target', defaultOption: true },
 	],
@@ -373,7 +530,10 @@ Operations.names = {
 	],
 	readpal: [
 		{ name: 'format', alias: 't' },
+		{ name: 'metric' },
 		{ name: 'options', alias: 'o', lazyMultiple: true },
+		{ name: 'remap', alias: 'r', type: Boolean },
+		{ name: 'reserve', lazyMultiple: true },
 		{ name: 'target', defaultOption: true },
 	],
 	select: [
@@ -437,6 +597,12 @@ Options:
 
 Commands:
 
+  convert -t <format> [--dither none|floyd-steinberg|atkinson|bayer]
+    [--palette mono|cga4|cga16|ega64|vga256] [--metric rgb|luma|ciede2000]
+    Reduce the colours in the in-memory image so it can be written in <format>,
+    dithering to approximate the colours that are lost.  The palette defaults
+    to the standard one for the format's colour depth.
+
   identify <file>
     Read local <file> and try to work out what image format it is in.
 
@@ -447,9 +613,15 @@ Commands:
     Read <file> from the local filesystem and load it into memory. See
     --formats for available formats and options.
 
-  readpal [-t format] [-o option1=value [-o option2=value [...]] <file>
+  readpal [-t format] [-o option1=value [-o option2=value [...]] [-r
+    [--metric rgb|luma|ciede2000] [--reserve index [--reserve index...]]] <file>
     Use a different palette for the in-memory image, read from <file>.  To save
     a palette on its own, use the 'write' command and specify a palette format.
+    -r remaps each pixel to the closest colour in the new palette so the image
+    looks the same, instead of keeping the pixel values and changing the
+    colours.  --metric picks how colours are compared (default rgb) and
+    --reserve excludes a palette index from being used.  The index the image's
+    current format uses for transparency is always excluded.
 
   select <index>
     Select an image from a list.  <index> is the number shown by 'info', e.g.
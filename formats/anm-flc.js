@@ -0,0 +1,903 @@
+/*
+ * Autodesk Animator FLI/FLC animation handlers.
+ *
+ * This file format is fully documented on the ModdingWiki:
+ *   https://moddingwiki.shikadi.net/wiki/FLIC_Format
+ *
+ * FLI files come from the original Autodesk Animator and are always 320x200,
+ * with the frame delay in 1/70 second units and 6-bit palettes.  FLC files
+ * come from Animator Pro and can be any size, with the delay in milliseconds
+ * and 8-bit palettes.  Each frame is a list of chunks that change the palette
+ * and/or the pixels of the previous frame.
+ *
+ * Frames are returned fully drawn, one `Frame` per frame in the file.  If a
+ * frame changes the palette, that frame and the ones following it get the new
+ * palette in `Frame.palette`.  The "ring" frame at the end of the file, which
+ * changes the last frame back into the first so the animation can loop, is
+ * not returned as a frame but is written automatically.
+ *
+ * When writing, each frame after the first is stored as the differences from
+ * the frame before it, unless it is smaller to store the whole frame again.
+ *
+ * Copyright (C) 2010-2022 Adam Nielsen <malvineous@shikadi.net>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import Debug from '../util/debug.js';
+const debug = Debug.extend('anm-flc');
+
+import { RecordBuffer, RecordType } from '@camoto/record-io-buffer';
+import ImageHandler from '../interface/imageHandler.js';
+import Image from '../interface/image.js';
+import Frame from '../interface/frame.js';
+import Palette from '../interface/palette.js';
+import { pal6_to_8, pal8_to_6 } from '../util/palette-default.js';
+
+const recordTypes = {
+	header: {
+		size: RecordType.int.u32le,
+		magic: RecordType.int.u16le,
+		frames: RecordType.int.u16le,
+		width: RecordType.int.u16le,
+		height: RecordType.int.u16le,
+		depth: RecordType.int.u16le,
+		flags: RecordType.int.u16le,
+		speed: RecordType.int.u32le,
+		reserved1: RecordType.int.u16le,
+		created: RecordType.int.u32le,
+		creator: RecordType.int.u32le,
+		updated: RecordType.int.u32le,
+		updater: RecordType.int.u32le,
+		aspectX: RecordType.int.u16le,
+		aspectY: RecordType.int.u16le,
+		reserved2: RecordType.block(38),
+		offFrame1: RecordType.int.u32le,
+		offFrame2: RecordType.int.u32le,
+		reserved3: RecordType.block(40),
+	},
+	chunk: {
+		size: RecordType.int.u32le,
+		type: RecordType.int.u16le,
+	},
+	frame: {
+		chunks: RecordType.int.u16le,
+		delay: RecordType.int.u16le,
+		reserved: RecordType.int.u16le,
+		width: RecordType.int.u16le,
+		height: RecordType.int.u16le,
+	},
+};
+
+const HEADER_LEN = 128;
+const CHUNK_HEADER_LEN = 6;
+const FRAME_HEADER_LEN = CHUNK_HEADER_LEN + 10;
+
+const MAGIC_FLI = 0xAF11;
+const MAGIC_FLC = 0xAF12;
+
+// Header flags that say the file was closed properly and has a ring frame.
+const FLAGS_FINISHED_LOOPED = 0x0003;
+
+const ChunkType = {
+	Prefix: 0xF100,
+	Frame: 0xF1FA,
+
+	Colour256: 4,
+	DeltaFLC: 7,
+	Colour64: 11,
+	DeltaFLI: 12,
+	Black: 13,
+	ByteRun: 15,
+	Copy: 16,
+	PostageStamp: 18,
+};
+
+// Delay to use for frames that don't specify one.
+const DEFAULT_DELAY_MS = 70;
+
+// FLI delays are in units of 1/70 of a second.
+const JIFFIES_PER_SECOND = 70;
+
+/**
+ * Create a palette with every entry set to black.
+ */
+function blackPalette()
+{
+	let palette = new Palette(256);
+	for (let i = 0; i < 256; i++) {
+		palette[i] = [0, 0, 0, 255];
+	}
+	return palette;
+}
+
+/**
+ * Number of times the value at `pos` repeats, up to `max`.
+ */
+function runLength(data, pos, end, max)
+{
+	let n = 1;
+	while ((pos + n < end) && (n < max) && (data[pos + n] === data[pos])) n++;
+	return n;
+}
+
+/**
+ * Apply a COLOR_64 or COLOR_256 chunk to the palette.
+ */
+function readColour(buffer, palette, fnScale)
+{
+	const packets = buffer.read(RecordType.int.u16le);
+	let index = 0;
+	for (let p = 0; p < packets; p++) {
+		index += buffer.read(RecordType.int.u8);
+		const count = buffer.read(RecordType.int.u8) || 256;
+		for (let c = 0; (c < count) && (index < 256); c++) {
+			palette[index++] = [
+				fnScale(buffer.read(RecordType.int.u8)),
+				fnScale(buffer.read(RecordType.int.u8)),
+				fnScale(buffer.read(RecordType.int.u8)),
+				255,
+			];
+		}
+	}
+}
+
+/**
+ * Apply a BYTE_RUN chunk, which replaces every pixel.
+ */
+function readByteRun(buffer, pixels, width, height)
+{
+	for (let y = 0; y < height; y++) {
+		// Packet count, unreliable for wide images so the width is used instead.
+		buffer.read(RecordType.int.u8);
+		let pos = y * width;
+		const end = pos + width;
+		while (pos < end) {
+			const count = buffer.read(RecordType.int.s8);
+			if (count > 0) {
+				pixels.fill(buffer.read(RecordType.int.u8), pos, Math.min(pos + count, end));
+				pos += count;
+			} else {
+				for (let i = 0; i < -count; i++) {
+					const value = buffer.read(RecordType.int.u8);
+					if (pos < end) pixels[pos] = value;
+					pos++;
+				}
+			}
+		}
+	}
+}
+
+/**
+ * Apply a DELTA_FLI (LC) chunk, which changes bytes in a range of lines.
+ */
+function readDeltaFLI(buffer, pixels, width, height)
+{
+	let y = buffer.read(RecordType.int.u16le);
+	const lines = buffer.read(RecordType.int.u16le);
+	for (let l = 0; (l < lines) && (y < height); l++, y++) {
+		const packets = buffer.read(RecordType.int.u8);
+		let pos = y * width;
+		for (let p = 0; p < packets; p++) {
+			pos += buffer.read(RecordType.int.u8);
+			const count = buffer.read(RecordType.int.s8);
+			if (count > 0) {
+				for (let i = 0; i < count; i++) {
+					pixels[pos++] = buffer.read(RecordType.int.u8);
+				}
+			} else if (count < 0) {
+				pixels.fill(buffer.read(RecordType.int.u8), pos, pos - count);
+				pos -= count;
+			}
+		}
+	}
+}
+
+/**
+ * Apply a DELTA_FLC (SS2) chunk, which changes pairs of pixels.
+ */
+function readDeltaFLC(buffer, pixels, width, height)
+{
+	let lines = buffer.read(RecordType.int.u16le);
+	let y = 0;
+	while ((lines > 0) && (y < height)) {
+		const opcode = buffer.read(RecordType.int.u16le);
+		switch (opcode & 0xC000) {
+			case 0xC000:
+				// Skip lines.
+				y += 0x10000 - opcode;
+				continue;
+			case 0x8000:
+				// Last pixel of an odd-width line, followed by the packet count.
+				pixels[y * width + width - 1] = opcode & 0xFF;
+				continue;
+			case 0x4000:
+				throw new Error(`Invalid DELTA_FLC opcode 0x${opcode.toString(16)}.`);
+		}
+
+		let pos = y * width;
+		for (let p = 0; p < opcode; p++) {
+			pos += buffer.read(RecordType.int.u8);
+			const count = buffer.read(RecordType.int.s8);
+			if (count > 0) {
+				for (let i = 0; i < count * 2; i++) {
+					pixels[pos++] = buffer.read(RecordType.int.u8);
+				}
+			} else if (count < 0) {
+				const a = buffer.read(RecordType.int.u8);
+				const b = buffer.read(RecordType.int.u8);
+				for (let i = 0; i < -count; i++) {
+					pixels[pos++] = a;
+					pixels[pos++] = b;
+				}
+			}
+		}
+		y++;
+		lines--;
+	}
+}
+
+/**
+ * Encode a palette as a COLOR_64 or COLOR_256 chunk.
+ *
+ * Only the entries that differ from `prev` are included, or all of them if
+ * `prev` is `null`.
+ *
+ * @return {Uint8Array} Chunk data, or `null` if the palette is unchanged.
+ */
+function writeColour(palette, prev, fnScale)
+{
+	const changed = i => (
+		!prev
+		|| (prev[i][0] !== palette[i][0])
+		|| (prev[i][1] !== palette[i][1])
+		|| (prev[i][2] !== palette[i][2])
+	);
+
+	let packets = [];
+	let last = 0;
+	for (let i = 0; i < 256;) {
+		if (!changed(i)) {
+			i++;
+			continue;
+		}
+		const start = i;
+		while ((i < 256) && changed(i)) i++;
+		packets.push({ skip: start - last, start, count: i - start });
+		last = i;
+	}
+	if (packets.length === 0) return null;
+
+	let buffer = new RecordBuffer(2 + 256 * 3);
+	buffer.write(RecordType.int.u16le, packets.length);
+	for (const p of packets) {
+		buffer.write(RecordType.int.u8, p.skip);
+		buffer.write(RecordType.int.u8, p.count & 0xFF);
+		for (let i = p.start; i < p.start + p.count; i++) {
+			buffer.write(RecordType.int.u8, fnScale(palette[i][0]));
+			buffer.write(RecordType.int.u8, fnScale(palette[i][1]));
+			buffer.write(RecordType.int.u8, fnScale(palette[i][2]));
+		}
+	}
+	return buffer.getU8();
+}
+
+/**
+ * Encode every pixel as a BYTE_RUN chunk.
+ */
+function writeByteRun(pixels, width, height)
+{
+	let buffer = new RecordBuffer(width * height);
+	for (let y = 0; y < height; y++) {
+		const row = pixels.subarray(y * width, (y + 1) * width);
+		let packets = [];
+		let x = 0;
+		while (x < width) {
+			const run = runLength(row, x, width, 127);
+			if (run >= 2) {
+				packets.push({ count: run, data: row.subarray(x, x + 1) });
+				x += run;
+				continue;
+			}
+			const start = x;
+			while ((x < width) && (x - start < 128) && (runLength(row, x, width, 3) < 3)) x++;
+			packets.push({ count: start - x, data: row.subarray(start, x) });
+		}
+
+		buffer.write(RecordType.int.u8, Math.min(packets.length, 255));
+		for (const p of packets) {
+			buffer.write(RecordType.int.s8, p.count);
+			buffer.put(p.data);
+		}
+	}
+	return buffer.getU8();
+}
+
+/**
+ * Split the changes in one line into packets of literal and repeated values.
+ *
+ * Used by both delta encoders.  `get(x)` returns the value at position `x`,
+ * and `same(x)` whether it is unchanged from the previous frame.
+ *
+ * @return {Array} of `{ skip, run, values }` where `skip` is the number of
+ *   unchanged values before the packet, and either `run` is the number of
+ *   times to repeat the single entry in `values`, or `run` is `0` and `values`
+ *   is a list of values to copy.
+ */
+function deltaPackets(length, get, same, maxSkip)
+{
+	let packets = [];
+	let x = 0;
+	for (;;) {
+		let next = x;
+		while ((next < length) && same(next)) next++;
+		if (next >= length) break;
+
+		// Skip counts are limited, so long gaps need empty packets.
+		while (next - x > maxSkip) {
+			packets.push({ skip: maxSkip, run: 0, values: [] });
+			x += maxSkip;
+		}
+		const skip = next - x;
+		x = next;
+
+		let run = 1;
+		while ((x + run < length) && (run < 128) && (get(x + run) === get(x))) run++;
+		if (run >= 3) {
+			packets.push({ skip, run, values: [ get(x) ] });
+			x += run;
+			continue;
+		}
+
+		// Copy values until there's a run worth repeating, or a gap worth
+		// skipping.
+		let values = [];
+		while ((x < length) && (values.length < 127)) {
+			if (same(x) && ((x + 1 >= length) || same(x + 1))) break;
+			if (
+				(x + 2 < length)
+				&& (get(x + 1) === get(x))
+				&& (get(x + 2) === get(x))
+			) break;
+			values.push(get(x));
+			x++;
+		}
+		packets.push({ skip, run: 0, values });
+	}
+	return packets;
+}
+
+/**
+ * Encode the changes from `prev` to `pixels` as a DELTA_FLI chunk.
+ *
+ * @return {Uint8Array} Chunk data, or `null` if the changes can't be encoded.
+ */
+function writeDeltaFLI(pixels, prev, width, height)
+{
+	const lineChanged = y => {
+		for (let i = y * width; i < (y + 1) * width; i++) {
+			if (pixels[i] !== prev[i]) return true;
+		}
+		return false;
+	};
+
+	let first = 0;
+	while ((first < height) && !lineChanged(first)) first++;
+	let last = height - 1;
+	while ((last > first) && !lineChanged(last)) last--;
+
+	let buffer = new RecordBuffer(width * height);
+	buffer.write(RecordType.int.u16le, first);
+	buffer.write(RecordType.int.u16le, last - first + 1);
+	for (let y = first; y <= last; y++) {
+		const offset = y * width;
+		const packets = deltaPackets(
+			width,
+			x => pixels[offset + x],
+			x => pixels[offset + x] === prev[offset + x],
+			255
+		);
+		if (packets.length > 255) return null;
+
+		buffer.write(RecordType.int.u8, packets.length);
+		for (const p of packets) {
+			buffer.write(RecordType.int.u8, p.skip);
+			if (p.run) {
+				buffer.write(RecordType.int.s8, -p.run);
+				buffer.write(RecordType.int.u8, p.values[0]);
+			} else {
+				buffer.write(RecordType.int.s8, p.values.length);
+				buffer.put(p.values);
+			}
+		}
+	}
+	return buffer.getU8();
+}
+
+/**
+ * Encode the changes from `prev` to `pixels` as a DELTA_FLC chunk.
+ *
+ * @return {Uint8Array} Chunk data.
+ */
+function writeDeltaFLC(pixels, prev, width, height)
+{
+	const widthWords = width >> 1;
+	const oddWidth = width & 1;
+
+	let buffer = new RecordBuffer(width * height);
+	buffer.write(RecordType.int.u16le, 0); // line count, updated below
+
+	let lines = 0;
+	let skipLines = 0;
+	for (let y = 0; y < height; y++) {
+		const offset = y * width;
+		const word = x => pixels[offset + x * 2] | (pixels[offset + x * 2 + 1] << 8);
+		const packets = deltaPackets(
+			widthWords,
+			word,
+			x => (pixels[offset + x * 2] === prev[offset + x * 2])
+				&& (pixels[offset + x * 2 + 1] === prev[offset + x * 2 + 1]),
+			127
+		);
+		const lastPixel = offset + width - 1;
+		const lastChanged = oddWidth && (pixels[lastPixel] !== prev[lastPixel]);
+
+		if ((packets.length === 0) && !lastChanged) {
+			skipLines++;
+			continue;
+		}
+
+		while (skipLines > 0) {
+			const n = Math.min(skipLines, 0x4000);
+			buffer.write(RecordType.int.u16le, 0x10000 - n);
+			skipLines -= n;
+		}
+		if (lastChanged) {
+			buffer.write(RecordType.int.u16le, 0x8000 | pixels[lastPixel]);
+		}
+		buffer.write(RecordType.int.u16le, packets.length);
+		for (const p of packets) {
+			// Skip is in bytes but everything else is in words.
+			buffer.write(RecordType.int.u8, p.skip * 2);
+			if (p.run) {
+				buffer.write(RecordType.int.s8, -p.run);
+				buffer.write(RecordType.int.u16le, p.values[0]);
+			} else {
+				buffer.write(RecordType.int.s8, p.values.length);
+				for (const v of p.values) {
+					buffer.write(RecordType.int.u16le, v);
+				}
+			}
+		}
+		lines++;
+	}
+
+	const content = buffer.getU8();
+	content[0] = lines & 0xFF;
+	content[1] = lines >> 8;
+	return content;
+}
+
+class Animation_Flic_Common extends ImageHandler
+{
+	static metadata() {
+		let md = {
+			...super.metadata(),
+		};
+
+		md.limits.depth = 8;
+		md.limits.hasPalette = true;
+		md.limits.palettePerFrame = true;
+		md.limits.frameCount.min = 1;
+		md.limits.frameCount.max = 0xFFFF;
+
+		return md;
+	}
+
+	static identify(content) {
+		if (content.length < HEADER_LEN + CHUNK_HEADER_LEN) {
+			return {
+				valid: false,
+				reason: `File too short.`,
+			};
+		}
+
+		let buffer = new RecordBuffer(content);
+		const header = buffer.readRecord(recordTypes.header);
+		if (header.magic !== this.magic()) {
+			return {
+				valid: false,
+				reason: `Wrong signature 0x${header.magic.toString(16)}.`,
+			};
+		}
+
+		const chunk = buffer.readRecord(recordTypes.chunk);
+		if ((chunk.type !== ChunkType.Frame) && (chunk.type !== ChunkType.Prefix)) {
+			return {
+				valid: false,
+				reason: `First chunk is not a frame.`,
+			};
+		}
+
+		return {
+			valid: true,
+			reason: `Signature matches.`,
+		};
+	}
+
+	static read(content) {
+		let buffer = new RecordBuffer(content.main);
+		const header = buffer.readRecord(recordTypes.header);
+		const isFLI = header.magic === MAGIC_FLI;
+		const { width, height } = header;
+		debug(`${isFLI ? 'FLI' : 'FLC'} with ${header.frames} frames at `
+			+ `${width}x${height}`);
+
+		const delay = isFLI
+			? Math.round(header.speed * 1000 / JIFFIES_PER_SECOND)
+			: header.speed;
+
+		let pixels = new Uint8Array(width * height);
+		let palette = blackPalette();
+		let firstPalette;
+		let frames = [];
+		let animation = [];
+
+		let offset = HEADER_LEN;
+		while ((frames.length < header.frames) && (offset + CHUNK_HEADER_LEN <= content.main.length)) {
+			buffer.seekAbs(offset);
+			const chunk = buffer.readRecord(recordTypes.chunk);
+			if (chunk.size < CHUNK_HEADER_LEN) {
+				throw new Error(`Chunk at offset ${offset} has invalid size ${chunk.size}.`);
+			}
+			offset += chunk.size;
+			if (chunk.type !== ChunkType.Frame) {
+				debug(`Skipping chunk type 0x${chunk.type.toString(16)}`);
+				continue;
+			}
+
+			const frameHeader = buffer.readRecord(recordTypes.frame);
+			let subOffset = buffer.getPos();
+			let paletteChanged = false;
+			for (let c = 0; c < frameHeader.chunks; c++) {
+				buffer.seekAbs(subOffset);
+				const sub = buffer.readRecord(recordTypes.chunk);
+				if (sub.size < CHUNK_HEADER_LEN) {
+					throw new Error(`Chunk in frame ${frames.length} has invalid size `
+						+ `${sub.size}.`);
+				}
+				subOffset += sub.size;
+
+				switch (sub.type) {
+					case ChunkType.Colour64:
+						palette = palette.clone();
+						readColour(buffer, palette, pal6_to_8);
+						paletteChanged = true;
+						break;
+					case ChunkType.Colour256:
+						palette = palette.clone();
+						readColour(buffer, palette, v => v);
+						paletteChanged = true;
+						break;
+					case ChunkType.Black:
+						pixels.fill(0);
+						break;
+					case ChunkType.ByteRun:
+						readByteRun(buffer, pixels, width, height);
+						break;
+					case ChunkType.DeltaFLI:
+						readDeltaFLI(buffer, pixels, width, height);
+						break;
+					case ChunkType.DeltaFLC:
+						readDeltaFLC(buffer, pixels, width, height);
+						break;
+					case ChunkType.Copy:
+						pixels.set(buffer.get(width * height));
+						break;
+					default:
+						debug(`Skipping subchunk type ${sub.type}`);
+						break;
+				}
+			}
+
+			if (!firstPalette) firstPalette = palette;
+			let frame = new Frame({
+				pixels: pixels.slice(),
+			});
+			if (palette !== firstPalette) {
+				frame.palette = palette;
+			}
+			if (paletteChanged) {
+				debug(`Frame ${frames.length} changes the palette`);
+			}
+			animation.push({
+				index: frames.length,
+				postDelay: (!isFLI && frameHeader.delay) ? frameHeader.delay : delay,
+			});
+			frames.push(frame);
+		}
+
+		return new Image({
+			width,
+			height,
+			frames,
+			palette: firstPalette || palette,
+			animation,
+		});
+	}
+
+	/**
+	 * Encode the pixel changes for one frame.
+	 *
+	 * @return {Array} of `{ type, data }` chunks, empty if nothing changed.
+	 */
+	static writePixels(pixels, prev, width, height) {
+		const lenPixels = width * height;
+		if (prev && pixels.every((p, i) => p === prev[i])) return [];
+		if (pixels.every(p => p === 0)) {
+			return [ { type: ChunkType.Black, data: new Uint8Array(0) } ];
+		}
+
+		let options = [
+			{ type: ChunkType.ByteRun, data: writeByteRun(pixels, width, height) },
+			{ type: ChunkType.Copy, data: pixels.slice(0, lenPixels) },
+		];
+		if (prev) {
+			const delta = this.writeDelta(pixels, prev, width, height);
+			if (delta) options.unshift(delta);
+		}
+
+		// Use whichever is smallest, preferring a delta over a full frame.
+		return [
+			options.reduce((best, o) => (o.data.length < best.data.length) ? o : best),
+		];
+	}
+
+	static write(image) {
+		let warnings = [];
+
+		if (image.frames.length < 1) {
+			throw new Error(`This format requires at least one frame.`);
+		}
+
+		const width = (image.frames[0].width === undefined) ? image.width : image.frames[0].width;
+		const height = (image.frames[0].height === undefined) ? image.height : image.frames[0].height;
+		for (let f = 0; f < image.frames.length; f++) {
+			const frame = image.frames[f];
+			if (
+				((frame.width !== undefined) && (frame.width !== width))
+				|| ((frame.height !== undefined) && (frame.height !== height))
+			) {
+				throw new Error(`Frame ${f} is ${frame.width}x${frame.height}, but all `
+					+ `frames must be ${width}x${height}.`);
+			}
+		}
+
+		// Work out which frames to write, and the delay for each.  If there is an
+		// animation sequence the frames are written in that order, otherwise
+		// every frame is written once.
+		let sequence;
+		if (image.animation.length > 0) {
+			sequence = image.animation.map(anim => ({
+				frame: image.frames[anim.index],
+				delay: (anim.postDelay === undefined) ? DEFAULT_DELAY_MS : anim.postDelay,
+			}));
+			for (let f = 0; f < image.frames.length; f++) {
+				if (!image.animation.some(anim => anim.index === f)) {
+					warnings.push(`Frame ${f} is not part of the animation, so it has not `
+						+ `been written.`);
+				}
+			}
+		} else {
+			sequence = image.frames.map(frame => ({
+				frame,
+				delay: DEFAULT_DELAY_MS,
+			}));
+		}
+		const delay = sequence[0].delay;
+		if (sequence.some(s => s.delay !== delay) && !this.hasFrameDelay()) {
+			warnings.push(`This format can't store a different delay for each `
+				+ `frame, so all frames will use a delay of ${delay} ms.`);
+		}
+
+		const palettes = sequence.map((s, i) => {
+			const palette = s.frame.palette || image.palette;
+			if (!palette) {
+				throw new Error(`Frame ${i} has no palette, and the image has no `
+					+ `palette to use instead.`);
+			}
+			if (palette.length < 256) {
+				let full = blackPalette();
+				for (let p = 0; p < palette.length; p++) full[p] = palette[p];
+				return full;
+			}
+			return palette;
+		});
+
+		// Write each frame, then a ring frame that changes the last frame back
+		// into the first.
+		let buffer = new RecordBuffer(HEADER_LEN + width * height * 2);
+		buffer.seekAbs(HEADER_LEN);
+		let offFrames = [];
+		let prevPixels = null, prevPalette = null;
+		for (let i = 0; i <= sequence.length; i++) {
+			const s = sequence[i % sequence.length];
+			const palette = palettes[i % sequence.length];
+
+			let chunks = [];
+			const colour = writeColour(palette, prevPalette, this.paletteScale());
+			if (colour) {
+				chunks.push({ type: this.colourChunkType(), data: colour });
+			}
+			chunks.push(...this.writePixels(s.frame.pixels, prevPixels, width, height));
+
+			offFrames.push(buffer.getPos());
+			const lenChunks = chunks.reduce((total, c) => (
+				total + CHUNK_HEADER_LEN + c.data.length + (c.data.length & 1)
+			), 0);
+			buffer.writeRecord(recordTypes.chunk, {
+				size: FRAME_HEADER_LEN + lenChunks,
+				type: ChunkType.Frame,
+			});
+			buffer.writeRecord(recordTypes.frame, {
+				chunks: chunks.length,
+				delay: (this.hasFrameDelay() && (s.delay !== delay) && (i < sequence.length))
+					? s.delay : 0,
+				reserved: 0,
+				width: 0,
+				height: 0,
+			});
+			for (const c of chunks) {
+				// Chunks are padded to an even length.
+				const pad = c.data.length & 1;
+				buffer.writeRecord(recordTypes.chunk, {
+					size: CHUNK_HEADER_LEN + c.data.length + pad,
+					type: c.type,
+				});
+				buffer.put(c.data);
+				if (pad) buffer.write(RecordType.int.u8, 0);
+			}
+
+			prevPixels = s.frame.pixels;
+			prevPalette = palette;
+		}
+
+		const lenContent = buffer.getPos();
+		buffer.seekAbs(0);
+		buffer.writeRecord(recordTypes.header, {
+			size: lenContent,
+			magic: this.magic(),
+			frames: sequence.length,
+			width,
+			height,
+			depth: 8,
+			flags: FLAGS_FINISHED_LOOPED,
+			speed: this.encodeSpeed(delay),
+			reserved1: 0,
+			created: 0,
+			creator: 0,
+			updated: 0,
+			updater: 0,
+			aspectX: this.hasFrameDelay() ? 1 : 0,
+			aspectY: this.hasFrameDelay() ? 1 : 0,
+			reserved2: new Uint8Array(38),
+			offFrame1: this.hasFrameDelay() ? offFrames[0] : 0,
+			offFrame2: (this.hasFrameDelay() && (sequence.length > 1)) ? offFrames[1] : 0,
+			reserved3: new Uint8Array(40),
+		});
+
+		return {
+			content: {
+				main: buffer.getU8(0, lenContent),
+			},
+			warnings,
+		};
+	}
+}
+
+export class anm_fli extends Animation_Flic_Common
+{
+	static metadata() {
+		let md = {
+			...super.metadata(),
+			id: 'anm-fli',
+			title: 'Autodesk Animator FLI',
+			glob: [
+				'*.fli',
+			],
+		};
+
+		md.limits.minimumSize.x = 320;
+		md.limits.minimumSize.y = 200;
+		md.limits.maximumSize.x = 320;
+		md.limits.maximumSize.y = 200;
+		md.limits.paletteDepth = 6;
+
+		return md;
+	}
+
+	static magic() {
+		return MAGIC_FLI;
+	}
+
+	static hasFrameDelay() {
+		return false;
+	}
+
+	static encodeSpeed(delay) {
+		return Math.round(delay * JIFFIES_PER_SECOND / 1000);
+	}
+
+	static colourChunkType() {
+		return ChunkType.Colour64;
+	}
+
+	static paletteScale() {
+		return pal8_to_6;
+	}
+
+	static writeDelta(pixels, prev, width, height) {
+		const data = writeDeltaFLI(pixels, prev, width, height);
+		return data && { type: ChunkType.DeltaFLI, data };
+	}
+}
+
+export class anm_flc extends Animation_Flic_Common
+{
+	static metadata() {
+		let md = {
+			...super.metadata(),
+			id: 'anm-flc',
+			title: 'Autodesk Animator Pro FLC',
+			glob: [
+				'*.flc',
+			],
+		};
+
+		md.limits.minimumSize.x = 1;
+		md.limits.minimumSize.y = 1;
+		md.limits.maximumSize.x = undefined;
+		md.limits.maximumSize.y = undefined;
+		md.limits.paletteDepth = 8;
+
+		return md;
+	}
+
+	static magic() {
+		return MAGIC_FLC;
+	}
+
+	static hasFrameDelay() {
+		return true;
+	}
+
+	static encodeSpeed(delay) {
+		return delay;
+	}
+
+	static colourChunkType() {
+		return ChunkType.Colour256;
+	}
+
+	static paletteScale() {
+		return v => v;
+	}
+
+	static writeDelta(pixels, prev, width, height) {
+		return {
+			type: ChunkType.DeltaFLC,
+			data: writeDeltaFLC(pixels, prev, width, height),
+		};
+	}
+}
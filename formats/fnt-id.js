@@ -0,0 +1,215 @@
+/*
+ * id Software variable-width font handlers.
+ *
+ * This file format is fully documented on the ModdingWiki:
+ *   https://moddingwiki.shikadi.net/wiki/id_Software_Font_Format
+ *
+ * These are the fonts stored in the EGAGRAPH and VGAGRAPH files of games
+ * using id Software engines, here handled as standalone files such as those
+ * extracted from the graphics containers.  There is a header with the glyph
+ * height and the offset and width of each of the 256 glyphs.  The EGA variant
+ * stores one bit per pixel and the VGA variant one byte per pixel.
+ *
+ * Copyright (C) 2010-2022 Adam Nielsen <malvineous@shikadi.net>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import { RecordBuffer, RecordType } from '@camoto/record-io-buffer';
+import ImageHandler from '../interface/imageHandler.js';
+import Image from '../interface/image.js';
+import { paletteMono, paletteVGA256 } from '../util/palette-default.js';
+import {
+	FONT_ID_GLYPH_COUNT,
+	FONT_ID_HEADER_LEN,
+	fontIdRead,
+	fontIdWrite,
+} from '../util/font-id.js';
+
+class Font_Id_Common extends ImageHandler
+{
+	static metadata() {
+		let md = {
+			...super.metadata(),
+			glyphs: true,
+		};
+
+		md.limits.minimumSize.x = 0;
+		md.limits.minimumSize.y = 1;
+		md.limits.maximumSize.x = 255;
+		md.limits.maximumSize.y = undefined;
+		md.limits.sizePerFrame = true;
+		md.limits.hasPalette = false;
+		md.limits.frameCount.min = 0;
+		md.limits.frameCount.max = FONT_ID_GLYPH_COUNT;
+		md.limits.imageCount.max = 1;
+
+		return md;
+	}
+
+	/**
+	 * Number of bytes used to store a glyph of the given size.
+	 */
+	static glyphLength(width, height) {
+		return width * height;
+	}
+
+	static identify(content) {
+		if (content.length < FONT_ID_HEADER_LEN) {
+			return {
+				valid: false,
+				reason: `File too short.`,
+			};
+		}
+
+		let buffer = new RecordBuffer(content);
+		const height = buffer.read(RecordType.int.u16le);
+		if (height === 0) {
+			return {
+				valid: false,
+				reason: `Glyph height is zero.`,
+			};
+		}
+
+		let locations = [];
+		for (let i = 0; i < FONT_ID_GLYPH_COUNT; i++) {
+			locations.push(buffer.read(RecordType.int.u16le));
+		}
+
+		let end = FONT_ID_HEADER_LEN;
+		for (let i = 0; i < FONT_ID_GLYPH_COUNT; i++) {
+			const width = buffer.read(RecordType.int.u8);
+			if (width === 0) continue;
+			if (locations[i] < FONT_ID_HEADER_LEN) {
+				return {
+					valid: false,
+					reason: `Glyph ${i} starts inside the header.`,
+				};
+			}
+			const glyphEnd = locations[i] + this.glyphLength(width, height);
+			if (glyphEnd > content.length) {
+				return {
+					valid: false,
+					reason: `Glyph ${i} runs past the end of the file.`,
+				};
+			}
+			end = Math.max(end, glyphEnd);
+		}
+
+		if (end !== content.length) {
+			return {
+				valid: false,
+				reason: `Glyphs end at offset ${end} but the file is `
+					+ `${content.length} bytes long.`,
+			};
+		}
+
+		return {
+			valid: true,
+			reason: `All glyphs are within the file.`,
+		};
+	}
+
+	static read(content) {
+		const font = fontIdRead(content.main, this.monoPixels());
+
+		return new Image({
+			width: 0,
+			height: font.height,
+			frames: font.frames,
+			palette: this.palette(),
+		});
+	}
+
+	static write(image) {
+		// Use the glyph height if the image doesn't have one.
+		const height = image.height
+			|| Math.max(0, ...image.frames.map(f => f.height || 0));
+		image.frames.forEach((frame, i) => {
+			if ((frame.height !== undefined) && (frame.height !== height)) {
+				throw new Error(`Glyph ${i} is ${frame.height} pixels tall, but all `
+					+ `glyphs must be the same height as the image (${height}).`);
+			}
+		});
+
+		return {
+			content: {
+				main: fontIdWrite(image.frames, image.width, height, this.monoPixels()),
+			},
+			warnings: [],
+		};
+	}
+}
+
+export class fnt_id_ega extends Font_Id_Common
+{
+	static metadata() {
+		let md = {
+			...super.metadata(),
+			id: 'fnt-id-ega',
+			title: 'id Software EGA font',
+			games: [
+				'Catacomb 3-D',
+				'Commander Keen 4-6',
+				'Keen Dreams',
+			],
+		};
+
+		md.limits.depth = 1;
+
+		return md;
+	}
+
+	static glyphLength(width, height) {
+		return Math.ceil(width / 8) * height;
+	}
+
+	static monoPixels() {
+		return { on: 1, off: 0 };
+	}
+
+	static palette() {
+		return paletteMono();
+	}
+}
+
+export class fnt_id_vga extends Font_Id_Common
+{
+	static metadata() {
+		let md = {
+			...super.metadata(),
+			id: 'fnt-id-vga',
+			title: 'id Software VGA font',
+			games: [
+				'Blake Stone',
+				'Corridor 7',
+				'Spear of Destiny',
+				'Wolfenstein 3-D',
+			],
+		};
+
+		md.limits.depth = 8;
+
+		return md;
+	}
+
+	static monoPixels() {
+		// One byte per pixel.
+		return undefined;
+	}
+
+	static palette() {
+		return paletteVGA256();
+	}
+}
@@ -0,0 +1,169 @@
+/*
+ * VGA ROM-style fixed-width font handler.
+ *
+ * This file format is fully documented on the ModdingWiki:
+ *   https://moddingwiki.shikadi.net/wiki/Raw_VGA_Font
+ *
+ * These fonts are a copy of the character set the VGA BIOS uses in text mode,
+ * and are loaded by games and utilities that replace the standard text mode
+ * font.  Each of the 256 glyphs is eight pixels wide, stored as one byte per
+ * row with the most significant bit on the left.  There is no header, so the
+ * glyph height comes from the file size (8, 14 and 16 are the usual values).
+ *
+ * Copyright (C) 2010-2022 Adam Nielsen <malvineous@shikadi.net>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+const FORMAT_ID = 'fnt-vga-rom';
+
+import ImageHandler from '../interface/imageHandler.js';
+import Image from '../interface/image.js';
+import Frame from '../interface/frame.js';
+import { paletteMono } from '../util/palette-default.js';
+import { glyphsByCodePoint } from '../util/font.js';
+
+const GLYPH_COUNT = 256;
+const GLYPH_WIDTH = 8;
+
+// The VGA hardware can't display characters taller than this.
+const MAX_HEIGHT = 32;
+
+export class fnt_vga_rom extends ImageHandler
+{
+	static metadata() {
+		let md = {
+			...super.metadata(),
+			id: FORMAT_ID,
+			title: 'VGA ROM font',
+			glob: [
+				'*.f08',
+				'*.f14',
+				'*.f16',
+			],
+			glyphs: true,
+		};
+
+		md.limits.minimumSize.x = GLYPH_WIDTH;
+		md.limits.minimumSize.y = 1;
+		md.limits.maximumSize.x = GLYPH_WIDTH;
+		md.limits.maximumSize.y = MAX_HEIGHT;
+		md.limits.depth = 1;
+		md.limits.hasPalette = false;
+		md.limits.frameCount.min = 0;
+		md.limits.frameCount.max = GLYPH_COUNT;
+		md.limits.imageCount.max = 1;
+
+		return md;
+	}
+
+	static identify(content) {
+		if ((content.length === 0) || (content.length % GLYPH_COUNT)) {
+			return {
+				valid: false,
+				reason: `File length ${content.length} is not a multiple of `
+					+ `${GLYPH_COUNT}.`,
+			};
+		}
+
+		const height = content.length / GLYPH_COUNT;
+		if (height > MAX_HEIGHT) {
+			return {
+				valid: false,
+				reason: `Glyph height ${height} is larger than the maximum of `
+					+ `${MAX_HEIGHT}.`,
+			};
+		}
+
+		return {
+			valid: undefined,
+			reason: `File is ${GLYPH_COUNT} glyphs of height ${height}, but there is `
+				+ `no header to check.`,
+		};
+	}
+
+	static read(content) {
+		const height = (content.main.length / GLYPH_COUNT) >>> 0;
+
+		let frames = [];
+		for (let c = 0; c < GLYPH_COUNT; c++) {
+			let frame = new Frame({
+				width: GLYPH_WIDTH,
+				height,
+				codePoint: c,
+			});
+			for (let y = 0; y < height; y++) {
+				const b = content.main[c * height + y];
+				for (let x = 0; x < GLYPH_WIDTH; x++) {
+					frame.pixels[y * GLYPH_WIDTH + x] = (b >> (7 - x)) & 1;
+				}
+			}
+			frames.push(frame);
+		}
+
+		return new Image({
+			width: GLYPH_WIDTH,
+			height,
+			frames,
+			palette: paletteMono(),
+		});
+	}
+
+	static write(image) {
+		let warnings = [];
+
+		const glyphs = glyphsByCodePoint(image.frames, 0, GLYPH_COUNT);
+		// Use the glyph height if the image doesn't have one.
+		const height = image.height
+			|| Math.max(0, ...image.frames.map(f => f.height || 0));
+		if ((height < 1) || (height > MAX_HEIGHT)) {
+			throw new Error(`Glyph height must be between 1 and ${MAX_HEIGHT}, `
+				+ `not ${height}.`);
+		}
+
+		let content = new Uint8Array(GLYPH_COUNT * height);
+		let missing = 0;
+		glyphs.forEach((frame, c) => {
+			if (!frame) {
+				missing++;
+				return;
+			}
+			const width = (frame.width === undefined) ? image.width : frame.width;
+			const frameHeight = (frame.height === undefined) ? image.height : frame.height;
+			if ((width !== GLYPH_WIDTH) || (frameHeight !== height)) {
+				throw new Error(`Glyph for character ${c} is ${width}x${frameHeight}, `
+					+ `but all glyphs must be ${GLYPH_WIDTH}x${height}.`);
+			}
+			for (let y = 0; y < height; y++) {
+				let b = 0;
+				for (let x = 0; x < GLYPH_WIDTH; x++) {
+					if (frame.pixels[y * GLYPH_WIDTH + x]) b |= 0x80 >> x;
+				}
+				content[c * height + y] = b;
+			}
+		});
+
+		if (missing) {
+			warnings.push(`${missing} characters had no glyph and have been left `
+				+ `blank.`);
+		}
+
+		return {
+			content: {
+				main: content,
+			},
+			warnings,
+		};
+	}
+}
@@ -0,0 +1,471 @@
+/*
+ * Windows raster font (.FNT) handler.
+ *
+ * This file format is fully documented on the ModdingWiki:
+ *   https://moddingwiki.shikadi.net/wiki/Windows_FNT_Format
+ *
+ * These are the standalone font resources that are compiled into .FON files,
+ * in the version 2 (Windows 2.x and later) and version 3 (Windows 3.0 and
+ * later) layouts.  The two differ only in the longer header and the 32-bit
+ * glyph offsets of version 3, which is only written when a font is too large
+ * for the 16-bit offsets of version 2.  Vector fonts and the older version 1
+ * layout are not supported.
+ *
+ * Glyph bitmaps are stored one column of bytes at a time, so the first byte
+ * of each row comes first, followed by the second byte of each row, and so
+ * on.  The character table has an extra entry after the last character for
+ * the "absolute space", which is returned as the `absoluteSpaceWidth` tag.
+ *
+ * Copyright (C) 2010-2022 Adam Nielsen <malvineous@shikadi.net>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+const FORMAT_ID = 'fnt-win';
+
+import Debug from '../util/debug.js';
+const debug = Debug.extend(FORMAT_ID);
+
+import { RecordBuffer, RecordType } from '@camoto/record-io-buffer';
+import ImageHandler from '../interface/imageHandler.js';
+import Image from '../interface/image.js';
+import Frame from '../interface/frame.js';
+import { paletteMono } from '../util/palette-default.js';
+import { codePointRange, glyphsByCodePoint } from '../util/font.js';
+
+const recordTypes = {
+	header: {
+		version: RecordType.int.u16le,
+		size: RecordType.int.u32le,
+		copyright: RecordType.string.fixed.optTerm(60),
+		type: RecordType.int.u16le,
+		points: RecordType.int.u16le,
+		vertRes: RecordType.int.u16le,
+		horizRes: RecordType.int.u16le,
+		ascent: RecordType.int.u16le,
+		internalLeading: RecordType.int.u16le,
+		externalLeading: RecordType.int.u16le,
+		italic: RecordType.int.u8,
+		underline: RecordType.int.u8,
+		strikeOut: RecordType.int.u8,
+		weight: RecordType.int.u16le,
+		charSet: RecordType.int.u8,
+		pixWidth: RecordType.int.u16le,
+		pixHeight: RecordType.int.u16le,
+		pitchAndFamily: RecordType.int.u8,
+		avgWidth: RecordType.int.u16le,
+		maxWidth: RecordType.int.u16le,
+		firstChar: RecordType.int.u8,
+		lastChar: RecordType.int.u8,
+		defaultChar: RecordType.int.u8,
+		breakChar: RecordType.int.u8,
+		widthBytes: RecordType.int.u16le,
+		device: RecordType.int.u32le,
+		face: RecordType.int.u32le,
+		bitsPointer: RecordType.int.u32le,
+		bitsOffset: RecordType.int.u32le,
+		reserved: RecordType.int.u8,
+	},
+	headerV3: {
+		flags: RecordType.int.u32le,
+		aSpace: RecordType.int.u16le,
+		bSpace: RecordType.int.u16le,
+		cSpace: RecordType.int.u16le,
+		colorPointer: RecordType.int.u32le,
+		reserved1: RecordType.block(16),
+	},
+	charV2: {
+		width: RecordType.int.u16le,
+		offset: RecordType.int.u16le,
+	},
+	charV3: {
+		width: RecordType.int.u16le,
+		offset: RecordType.int.u32le,
+	},
+};
+
+const HEADER_LEN_V2 = 118;
+const HEADER_LEN_V3 = 148;
+
+const VERSION_2 = 0x200;
+const VERSION_3 = 0x300;
+
+// Bit in the `type` field that is set for vector fonts.
+const FNT_TYPE_VECTOR = 0x01;
+
+// Bit in the `pitchAndFamily` field that is set for variable-width fonts.
+const FNT_VARIABLE_PITCH = 0x01;
+
+// Values for the version 3 `flags` field.
+const DFF_FIXED = 0x01;
+const DFF_PROPORTIONAL = 0x02;
+const DFF_1COLOR = 0x10;
+
+// Header fields returned as tags, and the value to write if the tag is missing.
+const headerTags = {
+	copyright: '',
+	points: 10,
+	vertRes: 96,
+	horizRes: 96,
+	internalLeading: 0,
+	externalLeading: 0,
+	italic: 0,
+	underline: 0,
+	strikeOut: 0,
+	weight: 400,
+	charSet: 0,
+	defaultChar: 0,
+	breakChar: 0,
+};
+
+function readGlyph(content, offset, width, height, codePoint)
+{
+	let frame = new Frame({
+		width,
+		height,
+		codePoint,
+	});
+	const columns = Math.ceil(width / 8);
+	for (let col = 0; col < columns; col++) {
+		for (let y = 0; y < height; y++) {
+			const b = content[offset + col * height + y];
+			for (let bit = 0; bit < 8; bit++) {
+				const x = col * 8 + bit;
+				if (x >= width) break;
+				frame.pixels[y * width + x] = (b >> (7 - bit)) & 1;
+			}
+		}
+	}
+	return frame;
+}
+
+function writeGlyph(frame, width, height)
+{
+	const columns = Math.ceil(width / 8);
+	let data = new Uint8Array(columns * height);
+	if (!frame) return data;
+	for (let y = 0; y < height; y++) {
+		for (let x = 0; x < width; x++) {
+			if (frame.pixels[y * width + x]) {
+				data[(x >> 3) * height + y] |= 0x80 >> (x & 7);
+			}
+		}
+	}
+	return data;
+}
+
+export class fnt_win extends ImageHandler
+{
+	static metadata() {
+		let md = {
+			...super.metadata(),
+			id: FORMAT_ID,
+			title: 'Windows raster font',
+			glob: [
+				'*.fnt',
+			],
+			glyphs: true,
+		};
+
+		md.limits.minimumSize.x = 0;
+		md.limits.minimumSize.y = 1;
+		md.limits.maximumSize.x = undefined;
+		md.limits.maximumSize.y = undefined;
+		md.limits.sizePerFrame = true;
+		md.limits.depth = 1;
+		md.limits.hasPalette = false;
+		md.limits.frameCount.min = 1;
+		md.limits.frameCount.max = 256;
+		md.limits.imageCount.max = 1;
+		md.limits.tags = {
+			copyright: 'Copyright notice',
+			faceName: 'Typeface name',
+			points: 'Nominal point size',
+			vertRes: 'Vertical resolution the font was designed for, in DPI',
+			horizRes: 'Horizontal resolution the font was designed for, in DPI',
+			ascent: 'Distance from the top of a glyph to the baseline, in pixels',
+			internalLeading: 'Space for accent marks inside the glyph height',
+			externalLeading: 'Extra space to leave between rows of text',
+			italic: 'Non-zero for an italic font',
+			underline: 'Non-zero for an underlined font',
+			strikeOut: 'Non-zero for a struck-out font',
+			weight: 'Font weight, 400 is normal and 700 is bold',
+			charSet: 'Character set, 0 is ANSI and 255 is OEM',
+			pitchAndFamily: 'Pitch flag and font family',
+			defaultChar: 'Character drawn for codes not in the font, relative to the first character',
+			breakChar: 'Character marking word breaks, relative to the first character',
+			absoluteSpaceWidth: 'Width of the absolute space following the last character',
+		};
+
+		return md;
+	}
+
+	static identify(content) {
+		if (content.length < HEADER_LEN_V2) {
+			return {
+				valid: false,
+				reason: `File too short.`,
+			};
+		}
+
+		let buffer = new RecordBuffer(content);
+		const header = buffer.readRecord(recordTypes.header);
+
+		if ((header.version !== VERSION_2) && (header.version !== VERSION_3)) {
+			return {
+				valid: false,
+				reason: `Unsupported version 0x${header.version.toString(16)}.`,
+			};
+		}
+
+		if (header.size !== content.length) {
+			return {
+				valid: false,
+				reason: `Size field ${header.size} does not match file length `
+					+ `${content.length}.`,
+			};
+		}
+
+		if (header.type & FNT_TYPE_VECTOR) {
+			return {
+				valid: false,
+				reason: `Vector fonts are not supported.`,
+			};
+		}
+
+		if (header.firstChar > header.lastChar) {
+			return {
+				valid: false,
+				reason: `First character ${header.firstChar} comes after the last `
+					+ `character ${header.lastChar}.`,
+			};
+		}
+
+		const headerLen = (header.version === VERSION_3) ? HEADER_LEN_V3 : HEADER_LEN_V2;
+		const entryLen = (header.version === VERSION_3) ? 6 : 4;
+		const charCount = header.lastChar - header.firstChar + 2;
+		if (headerLen + charCount * entryLen > content.length) {
+			return {
+				valid: false,
+				reason: `Character table runs past the end of the file.`,
+			};
+		}
+
+		if (header.version === VERSION_3) {
+			buffer.readRecord(recordTypes.headerV3);
+		}
+		for (let i = 0; i < charCount; i++) {
+			const c = buffer.readRecord(
+				(header.version === VERSION_3) ? recordTypes.charV3 : recordTypes.charV2
+			);
+			const end = c.offset + Math.ceil(c.width / 8) * header.pixHeight;
+			if ((c.width > 0) && ((c.offset < headerLen) || (end > content.length))) {
+				return {
+					valid: false,
+					reason: `Glyph ${i} is outside the file.`,
+				};
+			}
+		}
+
+		return {
+			valid: true,
+			reason: `Valid raster font header for version `
+				+ `0x${header.version.toString(16)}.`,
+		};
+	}
+
+	static read(content) {
+		let buffer = new RecordBuffer(content.main);
+		const header = buffer.readRecord(recordTypes.header);
+		const isV3 = header.version === VERSION_3;
+		if (isV3) {
+			buffer.readRecord(recordTypes.headerV3);
+		}
+		debug(`Version 0x${header.version.toString(16)} font, characters `
+			+ `${header.firstChar} to ${header.lastChar}`);
+
+		const charCount = header.lastChar - header.firstChar + 1;
+		let chars = [];
+		for (let i = 0; i < charCount + 1; i++) {
+			chars.push(buffer.readRecord(isV3 ? recordTypes.charV3 : recordTypes.charV2));
+		}
+
+		let frames = [];
+		for (let i = 0; i < charCount; i++) {
+			frames.push(readGlyph(
+				content.main,
+				chars[i].offset,
+				chars[i].width,
+				header.pixHeight,
+				header.firstChar + i,
+			));
+		}
+
+		let tags = {};
+		for (const name of Object.keys(headerTags)) {
+			tags[name] = header[name];
+		}
+		tags.ascent = header.ascent;
+		tags.pitchAndFamily = header.pitchAndFamily;
+		tags.absoluteSpaceWidth = chars[charCount].width;
+
+		if (header.face) {
+			let face = '';
+			for (let i = header.face; (i < content.main.length) && content.main[i]; i++) {
+				face += String.fromCharCode(content.main[i]);
+			}
+			tags.faceName = face;
+		}
+
+		return new Image({
+			width: header.pixWidth,
+			height: header.pixHeight,
+			frames,
+			palette: paletteMono(),
+			tags,
+		});
+	}
+
+	static write(image) {
+		let warnings = [];
+
+		// Use the glyph height if the image doesn't have one.
+		const height = image.height
+			|| Math.max(0, ...image.frames.map(f => f.height || 0));
+		const range = codePointRange(image.frames);
+		if (!range) {
+			throw new Error(`Fonts must have at least one glyph.`);
+		}
+		const charCount = range.last - range.first + 1;
+		const glyphs = glyphsByCodePoint(image.frames, range.first, charCount);
+
+		let widths = [];
+		let bitmaps = [];
+		let missing = 0;
+		glyphs.forEach((frame, i) => {
+			if (!frame) {
+				missing++;
+				widths.push(0);
+				bitmaps.push(new Uint8Array(0));
+				return;
+			}
+			const width = (frame.width === undefined) ? image.width : frame.width;
+			const frameHeight = (frame.height === undefined) ? height : frame.height;
+			if (frameHeight !== height) {
+				throw new Error(`Glyph for character ${range.first + i} is `
+					+ `${frameHeight} pixels tall, but all glyphs must be the same `
+					+ `height as the image (${height}).`);
+			}
+			widths.push(width);
+			bitmaps.push(writeGlyph(frame, width, height));
+		});
+		if (missing) {
+			warnings.push(`${missing} characters between ${range.first} and `
+				+ `${range.last} had no glyph and have been written with a width of 0.`);
+		}
+
+		const tags = image.tags || {};
+		const spaceWidth = tags.absoluteSpaceWidth || 0;
+		widths.push(spaceWidth);
+		bitmaps.push(writeGlyph(undefined, spaceWidth, height));
+
+		const lenBitmaps = bitmaps.reduce((total, b) => total + b.length, 0);
+		const faceName = tags.faceName || '';
+
+		// Use version 2 unless the glyph offsets won't fit in 16 bits.
+		let isV3 = false;
+		let headerLen = HEADER_LEN_V2 + (charCount + 1) * 4;
+		if (headerLen + lenBitmaps > 0xFFFF) {
+			isV3 = true;
+			headerLen = HEADER_LEN_V3 + (charCount + 1) * 6;
+		}
+		const offFace = headerLen + lenBitmaps;
+		const lenContent = offFace + faceName.length + 1;
+
+		const fixedWidth = widths.slice(0, charCount).every(w => w === widths[0]);
+		const maxWidth = Math.max(...widths);
+		const avgWidth = Math.round(
+			widths.slice(0, charCount).reduce((total, w) => total + w, 0) / charCount
+		);
+		// Total bytes in one row of all the glyphs, rounded up to an even number.
+		const widthBytes = widths.reduce((total, w) => total + Math.ceil(w / 8), 0);
+
+		let header = {};
+		for (const name of Object.keys(headerTags)) {
+			header[name] = (tags[name] === undefined) ? headerTags[name] : tags[name];
+		}
+
+		let pitchAndFamily = tags.pitchAndFamily || 0;
+		if (fixedWidth) {
+			pitchAndFamily &= ~FNT_VARIABLE_PITCH;
+		} else {
+			pitchAndFamily |= FNT_VARIABLE_PITCH;
+		}
+
+		let buffer = new RecordBuffer(lenContent);
+		buffer.writeRecord(recordTypes.header, {
+			...header,
+			version: isV3 ? VERSION_3 : VERSION_2,
+			size: lenContent,
+			type: 0,
+			ascent: (tags.ascent === undefined) ? height : tags.ascent,
+			pixWidth: fixedWidth ? widths[0] : 0,
+			pixHeight: height,
+			pitchAndFamily,
+			avgWidth,
+			maxWidth,
+			firstChar: range.first,
+			lastChar: range.last,
+			widthBytes: widthBytes + (widthBytes & 1),
+			device: 0,
+			face: offFace,
+			bitsPointer: 0,
+			bitsOffset: headerLen,
+			reserved: 0,
+		});
+		if (isV3) {
+			buffer.writeRecord(recordTypes.headerV3, {
+				flags: (fixedWidth ? DFF_FIXED : DFF_PROPORTIONAL) | DFF_1COLOR,
+				aSpace: 0,
+				bSpace: 0,
+				cSpace: 0,
+				colorPointer: 0,
+				reserved1: new Uint8Array(16),
+			});
+		}
+
+		let offset = headerLen;
+		for (let i = 0; i < widths.length; i++) {
+			buffer.writeRecord(isV3 ? recordTypes.charV3 : recordTypes.charV2, {
+				width: widths[i],
+				offset,
+			});
+			offset += bitmaps[i].length;
+		}
+		for (const b of bitmaps) {
+			buffer.put(b);
+		}
+		for (let i = 0; i < faceName.length; i++) {
+			buffer.write(RecordType.int.u8, faceName.charCodeAt(i) & 0xFF);
+		}
+		buffer.write(RecordType.int.u8, 0);
+
+		return {
+			content: {
+				main: buffer.getU8(),
+			},
+			warnings,
+		};
+	}
+}
@@ -0,0 +1,519 @@
+/*
+ * Windows and OS/2 .bmp image.
+ *
+ * Only indexed (1, 4 and 8 bits per pixel) images are supported.  Files may
+ * use either the Windows BITMAPINFOHEADER (or any of the later headers that
+ * extend it) or the OS/2 BITMAPCOREHEADER.  Pixel data can be stored
+ * uncompressed or with RLE4/RLE8 compression, and rows can be in either
+ * bottom-up (the usual) or top-down order.
+ *
+ * Copyright (C) 2010-2022 Adam Nielsen <malvineous@shikadi.net>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+const FORMAT_ID = 'img-bmp';
+
+import Debug from '../util/debug.js';
+const debug = Debug.extend(FORMAT_ID);
+
+import { RecordBuffer, RecordType } from '@camoto/record-io-buffer';
+import ImageHandler from '../interface/imageHandler.js';
+import Image from '../interface/image.js';
+import Frame from '../interface/frame.js';
+import Palette from '../interface/palette.js';
+import { fromPacked, toPacked } from '../util/frame-linear_packed.js';
+import { defaultPalette } from '../util/palette-default.js';
+import { optionFlag } from '../util/option.js';
+
+const recordTypes = {
+	fileHeader: {
+		signature: RecordType.string.fixed.noTerm(2),
+		fileSize: RecordType.int.u32le,
+		reserved1: RecordType.int.u16le,
+		reserved2: RecordType.int.u16le,
+		offBits: RecordType.int.u32le,
+	},
+
+	// OS/2 BITMAPCOREHEADER, after the size field.
+	coreHeader: {
+		width: RecordType.int.u16le,
+		height: RecordType.int.u16le,
+		planes: RecordType.int.u16le,
+		bitCount: RecordType.int.u16le,
+	},
+
+	// Windows BITMAPINFOHEADER, after the size field.
+	infoHeader: {
+		width: RecordType.int.s32le,
+		height: RecordType.int.s32le,
+		planes: RecordType.int.u16le,
+		bitCount: RecordType.int.u16le,
+		compression: RecordType.int.u32le,
+		sizeImage: RecordType.int.u32le,
+		xPelsPerMeter: RecordType.int.s32le,
+		yPelsPerMeter: RecordType.int.s32le,
+		clrUsed: RecordType.int.u32le,
+		clrImportant: RecordType.int.u32le,
+	},
+};
+
+const FILE_HEADER_LEN = 14;
+const CORE_HEADER_LEN = 12;
+const INFO_HEADER_LEN = 40;
+
+// BITMAPINFOHEADER and the later V2, V3, V4 and V5 headers, which all start
+// with the same fields.
+const INFO_HEADER_LENS = [40, 52, 56, 108, 124];
+
+const Compression = {
+	None: 0,
+	RLE8: 1,
+	RLE4: 2,
+};
+
+/**
+ * Number of bytes in each row of pixel data, which is always padded to a
+ * multiple of four bytes.
+ */
+function rowStride(width, bpp)
+{
+	return ((width * bpp + 31) >>> 5) * 4;
+}
+
+/**
+ * Decode RLE4 or RLE8 data.
+ *
+ * @return {Uint8Array} One byte per pixel, rows in the order they appear in
+ *   the file (i.e. bottom-up).
+ */
+function decodeRLE(content, width, height, bpp)
+{
+	let out = new Uint8Array(width * height);
+	let x = 0, y = 0, pos = 0;
+
+	const put = v => {
+		if ((x < width) && (y < height)) {
+			out[y * width + x] = v;
+		}
+		x++;
+	};
+
+	while (pos + 1 < content.length) {
+		const count = content[pos++];
+		const value = content[pos++];
+
+		if (count > 0) {
+			// Encoded run.  For RLE4 the two nibbles alternate.
+			for (let i = 0; i < count; i++) {
+				if (bpp === 8) {
+					put(value);
+				} else {
+					put((i & 1) ? (value & 0x0F) : (value >> 4));
+				}
+			}
+			continue;
+		}
+
+		switch (value) {
+			case 0: // end of line
+				x = 0;
+				y++;
+				break;
+
+			case 1: // end of bitmap
+				return out;
+
+			case 2: // delta
+				x += content[pos++];
+				y += content[pos++];
+				break;
+
+			default: { // absolute run
+				const len = (bpp === 8) ? value : Math.ceil(value / 2);
+				for (let i = 0; i < value; i++) {
+					if (bpp === 8) {
+						put(content[pos + i]);
+					} else {
+						const b = content[pos + (i >> 1)];
+						put((i & 1) ? (b & 0x0F) : (b >> 4));
+					}
+				}
+				// Absolute runs are padded to a 16-bit boundary.
+				pos += len + (len & 1);
+				break;
+			}
+		}
+	}
+
+	debug('RLE data ended without an end-of-bitmap code');
+	return out;
+}
+
+/**
+ * Encode pixels with RLE4 or RLE8.
+ *
+ * @param {Uint8Array} pixels
+ *   One byte per pixel, rows in the order they should appear in the file.
+ */
+function encodeRLE(pixels, width, height, bpp)
+{
+	let out = [];
+
+	// Length of the run of identical pixels starting at `i`.
+	const runLength = (row, i) => {
+		let len = 1;
+		while ((i + len < width) && (len < 255) && (row[i + len] === row[i])) len++;
+		return len;
+	};
+	const pair = v => (bpp === 8) ? v : ((v << 4) | v);
+
+	for (let y = 0; y < height; y++) {
+		const row = pixels.subarray(y * width, (y + 1) * width);
+		let i = 0;
+		while (i < width) {
+			const run = runLength(row, i);
+			if (run >= 3) {
+				out.push(run, pair(row[i]));
+				i += run;
+				continue;
+			}
+
+			// Collect pixels that aren't worth encoding as a run.
+			let j = i;
+			while ((j < width) && (j - i < 255) && (runLength(row, j) < 3)) j++;
+			const len = j - i;
+			if (len < 3) {
+				// Absolute runs must be at least three pixels long.
+				for (let k = i; k < j; k++) {
+					out.push(1, (bpp === 8) ? row[k] : (row[k] << 4));
+				}
+			} else {
+				out.push(0, len);
+				let bytes = [];
+				if (bpp === 8) {
+					bytes = Array.from(row.subarray(i, j));
+				} else {
+					for (let k = i; k < j; k += 2) {
+						bytes.push((row[k] << 4) | ((k + 1 < j) ? row[k + 1] : 0));
+					}
+				}
+				if (bytes.length & 1) bytes.push(0);
+				out.push(...bytes);
+			}
+			i = j;
+		}
+		// End of line.
+		out.push(0, 0);
+	}
+	// End of bitmap.
+	out.push(0, 1);
+
+	return Uint8Array.from(out);
+}
+
+/**
+ * Reverse the order of the rows in an image, to convert between bottom-up and
+ * top-down.
+ */
+function flipRows(pixels, width, height)
+{
+	let out = new Uint8Array(width * height);
+	for (let y = 0; y < height; y++) {
+		out.set(
+			pixels.subarray(y * width, (y + 1) * width),
+			(height - 1 - y) * width
+		);
+	}
+	return out;
+}
+
+/**
+ * Read a boolean option, which may be a string if it came from the CLI.
+ */
+export class img_bmp extends ImageHandler
+{
+	static metadata() {
+		let md = {
+			...super.metadata(),
+			id: FORMAT_ID,
+			title: 'Windows/OS2 Bitmap',
+			options: {
+				compression: 'Compression to use when writing: "none" (default) or '
+					+ '"rle" for RLE4/RLE8 depending on the colour depth',
+				header: 'Header to use when writing: "windows" (default) or "os2"',
+				topDown: 'Write rows top-down if true, instead of the usual bottom-up',
+			},
+			glob: [
+				'*.bmp',
+			],
+		};
+
+		md.limits.minimumSize.x = 1;
+		md.limits.minimumSize.y = 1;
+		md.limits.maximumSize.x = undefined;
+		md.limits.maximumSize.y = undefined;
+		md.limits.depth = 8;
+		md.limits.hasPalette = true;
+		md.limits.paletteDepth = 8;
+
+		return md;
+	}
+
+	static identify(content) {
+		if (content.length < FILE_HEADER_LEN + CORE_HEADER_LEN) {
+			return {
+				valid: false,
+				reason: `File too short.`,
+			};
+		}
+
+		let buffer = new RecordBuffer(content);
+		const fileHeader = buffer.readRecord(recordTypes.fileHeader);
+		if (fileHeader.signature !== 'BM') {
+			return {
+				valid: false,
+				reason: `Invalid signature.`,
+			};
+		}
+
+		if (fileHeader.offBits > content.length) {
+			return {
+				valid: false,
+				reason: `Pixel data offset is past the end of the file.`,
+			};
+		}
+
+		const headerSize = buffer.read(RecordType.int.u32le);
+		if ((headerSize !== CORE_HEADER_LEN) && !INFO_HEADER_LENS.includes(headerSize)) {
+			return {
+				valid: false,
+				reason: `Unknown header size ${headerSize}.`,
+			};
+		}
+
+		return {
+			valid: true,
+			reason: `Valid signature.`,
+		};
+	}
+
+	static read(content) {
+		let buffer = new RecordBuffer(content.main);
+		const fileHeader = buffer.readRecord(recordTypes.fileHeader);
+		const headerSize = buffer.read(RecordType.int.u32le);
+
+		let header, isCore = false;
+		if (headerSize === CORE_HEADER_LEN) {
+			isCore = true;
+			header = {
+				...buffer.readRecord(recordTypes.coreHeader),
+				compression: Compression.None,
+				clrUsed: 0,
+			};
+		} else if (headerSize >= INFO_HEADER_LEN) {
+			header = buffer.readRecord(recordTypes.infoHeader);
+			buffer.seekAbs(FILE_HEADER_LEN + headerSize);
+		} else {
+			throw new Error(`Unsupported header size ${headerSize}.`);
+		}
+
+		const bpp = header.bitCount;
+		if (![1, 4, 8].includes(bpp)) {
+			throw new Error(`Unsupported colour depth of ${bpp} bits per pixel, only `
+				+ `1, 4 and 8 bpp images can be read.`);
+		}
+
+		const topDown = header.height < 0;
+		const width = header.width;
+		const height = Math.abs(header.height);
+		debug(`${width}x${height} @ ${bpp}bpp, compression ${header.compression}, `
+			+ (topDown ? 'top-down' : 'bottom-up'));
+
+		// Read the palette, which sits between the header and the pixel data.
+		const palEntrySize = isCore ? 3 : 4;
+		let palCount = header.clrUsed || (1 << bpp);
+		const palSpace = (fileHeader.offBits - buffer.getPos()) / palEntrySize;
+		if ((palSpace >= 0) && (palSpace < palCount)) {
+			debug(`Only room for ${palSpace} palette entries, not ${palCount}`);
+			palCount = palSpace >>> 0;
+		}
+		let palette = new Palette(palCount);
+		for (let i = 0; i < palCount; i++) {
+			const b = buffer.read(RecordType.int.u8);
+			const g = buffer.read(RecordType.int.u8);
+			const r = buffer.read(RecordType.int.u8);
+			if (!isCore) buffer.read(RecordType.int.u8); // reserved
+			palette[i] = [r, g, b, 255];
+		}
+
+		buffer.seekAbs(fileHeader.offBits);
+		const data = buffer.getU8(buffer.getPos());
+
+		let pixels;
+		switch (header.compression) {
+			case Compression.None: {
+				const stride = rowStride(width, bpp);
+				pixels = fromPacked({
+					content: data.subarray(0, stride * height),
+					width,
+					height,
+					bitDepth: bpp,
+					widthBits: stride * 8,
+					byteOrderMSB: true,
+				});
+				break;
+			}
+			case Compression.RLE8:
+			case Compression.RLE4: {
+				const rleBpp = (header.compression === Compression.RLE8) ? 8 : 4;
+				if (rleBpp !== bpp) {
+					throw new Error(`RLE${rleBpp} compression cannot be used with `
+						+ `${bpp}bpp images.`);
+				}
+				pixels = decodeRLE(data, width, height, bpp);
+				break;
+			}
+			default:
+				throw new Error(`Unsupported compression type ${header.compression}.`);
+		}
+
+		if (!topDown) {
+			pixels = flipRows(pixels, width, height);
+		}
+
+		return new Image({
+			width,
+			height,
+			frames: [
+				new Frame({
+					pixels,
+				}),
+			],
+			palette,
+		});
+	}
+
+	static write(image, options = {}) {
+		if (image.frames.length !== 1) {
+			throw new Error(`Can only write one frame to this format.`);
+		}
+
+		const frame = image.frames[0];
+		const width = (frame.width === undefined) ? image.width : frame.width;
+		const height = (frame.height === undefined) ? image.height : frame.height;
+
+		const isCore = (options.header === 'os2');
+		const useRLE = (options.compression === 'rle');
+		const topDown = optionFlag(options.topDown);
+		if (isCore && (useRLE || topDown)) {
+			throw new Error(`The OS/2 header does not support compression or `
+				+ `top-down images.`);
+		}
+		if (useRLE && topDown) {
+			throw new Error(`Compressed images cannot be stored top-down.`);
+		}
+
+		let maxPixel = 0;
+		for (const c of frame.pixels) {
+			if (c > maxPixel) maxPixel = c;
+		}
+		let bpp;
+		if (maxPixel >= 16) {
+			bpp = 8;
+		} else if (maxPixel >= 2) {
+			bpp = 4;
+		} else {
+			bpp = useRLE ? 4 : 1; // RLE only comes in 4 and 8 bpp
+		}
+		debug(`Writing as ${bpp}bpp (max pixel value is ${maxPixel})`);
+
+		const pal = frame.palette || image.palette || defaultPalette(bpp);
+		const palCount = 1 << bpp;
+
+		let pixels = Uint8Array.from(frame.pixels);
+		if (!topDown) {
+			pixels = flipRows(pixels, width, height);
+		}
+
+		let data;
+		let compression = Compression.None;
+		if (useRLE) {
+			compression = (bpp === 8) ? Compression.RLE8 : Compression.RLE4;
+			data = encodeRLE(pixels, width, height, bpp);
+		} else {
+			const stride = rowStride(width, bpp);
+			data = toPacked({
+				content: pixels,
+				width,
+				height,
+				bitDepth: bpp,
+				widthBits: stride * 8,
+				byteOrderMSB: true,
+			});
+		}
+
+		const headerLen = isCore ? CORE_HEADER_LEN : INFO_HEADER_LEN;
+		const palEntrySize = isCore ? 3 : 4;
+		const offBits = FILE_HEADER_LEN + headerLen + palCount * palEntrySize;
+
+		let buffer = new RecordBuffer(offBits + data.length);
+		buffer.writeRecord(recordTypes.fileHeader, {
+			signature: 'BM',
+			fileSize: offBits + data.length,
+			reserved1: 0,
+			reserved2: 0,
+			offBits,
+		});
+		buffer.write(RecordType.int.u32le, headerLen);
+		if (isCore) {
+			buffer.writeRecord(recordTypes.coreHeader, {
+				width,
+				height,
+				planes: 1,
+				bitCount: bpp,
+			});
+		} else {
+			buffer.writeRecord(recordTypes.infoHeader, {
+				width,
+				height: topDown ? -height : height,
+				planes: 1,
+				bitCount: bpp,
+				compression,
+				sizeImage: data.length,
+				xPelsPerMeter: 0,
+				yPelsPerMeter: 0,
+				clrUsed: 0,
+				clrImportant: 0,
+			});
+		}
+
+		for (let i = 0; i < palCount; i++) {
+			const c = pal[i] || [0, 0, 0];
+			buffer.write(RecordType.int.u8, c[2]);
+			buffer.write(RecordType.int.u8, c[1]);
+			buffer.write(RecordType.int.u8, c[0]);
+			if (!isCore) buffer.write(RecordType.int.u8, 0);
+		}
+
+		buffer.put(data);
+
+		return {
+			content: {
+				main: buffer.getU8(),
+			},
+			warnings: [],
+		};
+	}
+}
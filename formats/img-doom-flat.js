@@ -0,0 +1,110 @@
+/*
+ * Doom flat handler.
+ *
+ * This file format is fully documented on the ModdingWiki:
+ *   https://moddingwiki.shikadi.net/wiki/Doom_Flat_Format
+ *
+ * Flats are the floor and ceiling textures in Doom-engine WAD files.  They
+ * are always 64x64 and stored as raw 8bpp pixels with no header.
+ *
+ * Copyright (C) 2010-2022 Adam Nielsen <malvineous@shikadi.net>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+const FORMAT_ID = 'img-doom-flat';
+
+import ImageHandler from '../interface/imageHandler.js';
+import Image from '../interface/image.js';
+import Frame from '../interface/frame.js';
+
+const FLAT_WIDTH = 64;
+const FLAT_HEIGHT = 64;
+const FLAT_LEN = FLAT_WIDTH * FLAT_HEIGHT;
+
+export class img_doom_flat extends ImageHandler
+{
+	static metadata() {
+		let md = {
+			...super.metadata(),
+			id: FORMAT_ID,
+			title: 'Doom flat',
+			games: [
+				'Doom',
+				'Heretic',
+				'Hexen',
+				'Strife',
+			],
+		};
+
+		md.limits.minimumSize.x = FLAT_WIDTH;
+		md.limits.minimumSize.y = FLAT_HEIGHT;
+		md.limits.maximumSize.x = FLAT_WIDTH;
+		md.limits.maximumSize.y = FLAT_HEIGHT;
+		md.limits.depth = 8;
+		md.limits.hasPalette = false;
+		md.limits.frameCount.min = 1;
+		md.limits.frameCount.max = 1;
+		md.limits.imageCount.max = 1;
+
+		return md;
+	}
+
+	static identify(content) {
+		if (content.length !== FLAT_LEN) {
+			return {
+				valid: false,
+				reason: `File length ${content.length} is not ${FLAT_LEN}.`,
+			};
+		}
+
+		return {
+			valid: undefined,
+			reason: `Correct file size, but no header to check.`,
+		};
+	}
+
+	static read(content) {
+		return new Image({
+			width: FLAT_WIDTH,
+			height: FLAT_HEIGHT,
+			frames: [
+				new Frame({
+					pixels: content.main.slice(0, FLAT_LEN),
+				}),
+			],
+		});
+	}
+
+	static write(image) {
+		if (image.frames.length !== 1) {
+			throw new Error(`Can only write one frame to this format.`);
+		}
+
+		const frame = image.frames[0];
+		const width = (frame.width === undefined) ? image.width : frame.width;
+		const height = (frame.height === undefined) ? image.height : frame.height;
+		if ((width !== FLAT_WIDTH) || (height !== FLAT_HEIGHT)) {
+			throw new Error(`Flats must be ${FLAT_WIDTH}x${FLAT_HEIGHT}, but this `
+				+ `image is ${width}x${height}.`);
+		}
+
+		return {
+			content: {
+				main: frame.pixels.slice(0, FLAT_LEN),
+			},
+			warnings: [],
+		};
+	}
+}
@@ -0,0 +1,274 @@
+/*
+ * Doom picture (patch) handler.
+ *
+ * This file format is fully documented on the ModdingWiki:
+ *   https://moddingwiki.shikadi.net/wiki/Doom_Picture_Format
+ *
+ * Used for wall patches, sprites and most other graphics in Doom-engine WAD
+ * files.  Each column is stored as a list of vertical runs ("posts") of opaque
+ * pixels, and everything between the posts is transparent.  Transparent
+ * pixels are returned as palette index 255, so this index can't be used as an
+ * opaque pixel.
+ *
+ * The left and top offsets say how far the picture is drawn to the left of
+ * and above its position, which is the same as the hotspot.
+ *
+ * Copyright (C) 2010-2022 Adam Nielsen <malvineous@shikadi.net>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+const FORMAT_ID = 'img-doom-patch';
+
+import Debug from '../util/debug.js';
+const debug = Debug.extend(FORMAT_ID);
+
+import { RecordBuffer, RecordType } from '@camoto/record-io-buffer';
+import ImageHandler from '../interface/imageHandler.js';
+import Image from '../interface/image.js';
+import Frame from '../interface/frame.js';
+
+const recordTypes = {
+	header: {
+		width: RecordType.int.u16le,
+		height: RecordType.int.u16le,
+		leftOffset: RecordType.int.s16le,
+		topOffset: RecordType.int.s16le,
+	},
+};
+
+const HEADER_LEN = 8;
+
+// Palette index used for transparent pixels.
+const TRANSPARENT_INDEX = 255;
+
+// Marks the end of the posts in a column.
+const END_OF_COLUMN = 0xFF;
+
+// Posts can't start below this row, which limits the height of the picture.
+const MAX_HEIGHT = 255;
+
+/**
+ * Walk through the posts in each column, calling `fnPost` for each one.
+ *
+ * Returns `false` if a column or post runs past the end of the data.
+ */
+function walkPosts(content, width, fnPost)
+{
+	let buffer = new RecordBuffer(content);
+	buffer.seekAbs(HEADER_LEN);
+	let offsets = [];
+	for (let x = 0; x < width; x++) {
+		offsets.push(buffer.read(RecordType.int.u32le));
+	}
+
+	for (let x = 0; x < width; x++) {
+		let offset = offsets[x];
+		for (;;) {
+			if (offset >= content.length) return false;
+			const top = content[offset];
+			if (top === END_OF_COLUMN) break;
+
+			// Post length, then an unused byte either side of the pixel data.
+			if (offset + 4 > content.length) return false;
+			const length = content[offset + 1];
+			if (offset + 4 + length > content.length) return false;
+			fnPost(x, top, content.subarray(offset + 3, offset + 3 + length));
+			offset += 4 + length;
+		}
+	}
+
+	return true;
+}
+
+export class img_doom_patch extends ImageHandler
+{
+	static metadata() {
+		let md = {
+			...super.metadata(),
+			id: FORMAT_ID,
+			title: 'Doom picture',
+			games: [
+				'Doom',
+				'Heretic',
+				'Hexen',
+				'Strife',
+			],
+		};
+
+		md.limits.minimumSize.x = 1;
+		md.limits.minimumSize.y = 1;
+		md.limits.maximumSize.x = undefined;
+		md.limits.maximumSize.y = MAX_HEIGHT;
+		md.limits.depth = 8;
+		md.limits.hasPalette = false;
+		md.limits.transparentIndex = TRANSPARENT_INDEX;
+		md.limits.frameCount.min = 1;
+		md.limits.frameCount.max = 1;
+		md.limits.imageCount.max = 1;
+
+		return md;
+	}
+
+	static identify(content) {
+		if (content.length < HEADER_LEN) {
+			return {
+				valid: false,
+				reason: `File too short.`,
+			};
+		}
+
+		let buffer = new RecordBuffer(content);
+		const header = buffer.readRecord(recordTypes.header);
+		if ((header.width === 0) || (header.height === 0)) {
+			return {
+				valid: false,
+				reason: `Zero-sized image.`,
+			};
+		}
+
+		const lenOffsets = HEADER_LEN + header.width * 4;
+		if (lenOffsets > content.length) {
+			return {
+				valid: false,
+				reason: `Column offsets run past the end of the file.`,
+			};
+		}
+
+		for (let x = 0; x < header.width; x++) {
+			const offset = buffer.read(RecordType.int.u32le);
+			if ((offset < lenOffsets) || (offset >= content.length)) {
+				return {
+					valid: false,
+					reason: `Column ${x} is outside the file.`,
+				};
+			}
+		}
+
+		let inBounds = true;
+		const complete = walkPosts(content, header.width, (x, top, pixels) => {
+			if (top + pixels.length > header.height) inBounds = false;
+		});
+		if (!complete) {
+			return {
+				valid: false,
+				reason: `Posts run past the end of the file.`,
+			};
+		}
+		if (!inBounds) {
+			return {
+				valid: false,
+				reason: `Posts run past the bottom of the image.`,
+			};
+		}
+
+		return {
+			valid: true,
+			reason: `All columns are valid.`,
+		};
+	}
+
+	static read(content) {
+		let buffer = new RecordBuffer(content.main);
+		const header = buffer.readRecord(recordTypes.header);
+		debug(`Picture is ${header.width}x${header.height}`);
+
+		let frame = new Frame({
+			width: header.width,
+			height: header.height,
+			hotspotX: header.leftOffset,
+			hotspotY: header.topOffset,
+		});
+		frame.pixels.fill(TRANSPARENT_INDEX);
+
+		const complete = walkPosts(content.main, header.width, (x, top, pixels) => {
+			const count = Math.min(pixels.length, header.height - top);
+			for (let y = 0; y < count; y++) {
+				frame.pixels[(top + y) * header.width + x] = pixels[y];
+			}
+		});
+		if (!complete) {
+			throw new Error(`Posts run past the end of the file.`);
+		}
+
+		return new Image({
+			width: header.width,
+			height: header.height,
+			frames: [ frame ],
+		});
+	}
+
+	static write(image) {
+		if (image.frames.length !== 1) {
+			throw new Error(`Can only write one frame to this format.`);
+		}
+
+		const frame = image.frames[0];
+		const width = (frame.width === undefined) ? image.width : frame.width;
+		const height = (frame.height === undefined) ? image.height : frame.height;
+		if (height > MAX_HEIGHT) {
+			throw new Error(`Image height ${height} is too large, the maximum is `
+				+ `${MAX_HEIGHT}.`);
+		}
+
+		const hotspotX = (frame.hotspotX === undefined) ? image.hotspotX : frame.hotspotX;
+		const hotspotY = (frame.hotspotY === undefined) ? image.hotspotY : frame.hotspotY;
+
+		let buffer = new RecordBuffer(HEADER_LEN + width * 4 + width * height);
+		buffer.writeRecord(recordTypes.header, {
+			width,
+			height,
+			leftOffset: hotspotX || 0,
+			topOffset: hotspotY || 0,
+		});
+
+		// Leave space for the column offsets and fill them in afterwards.
+		buffer.put(new Uint8Array(width * 4));
+
+		let offsets = [];
+		for (let x = 0; x < width; x++) {
+			offsets.push(buffer.getPos());
+			let y = 0;
+			while (y < height) {
+				if (frame.pixels[y * width + x] === TRANSPARENT_INDEX) {
+					y++;
+					continue;
+				}
+				const top = y;
+				while ((y < height) && (frame.pixels[y * width + x] !== TRANSPARENT_INDEX)) y++;
+				buffer.write(RecordType.int.u8, top);
+				buffer.write(RecordType.int.u8, y - top);
+				buffer.write(RecordType.int.u8, 0);
+				for (let p = top; p < y; p++) {
+					buffer.write(RecordType.int.u8, frame.pixels[p * width + x]);
+				}
+				buffer.write(RecordType.int.u8, 0);
+			}
+			buffer.write(RecordType.int.u8, END_OF_COLUMN);
+		}
+
+		const lenContent = buffer.getPos();
+		buffer.seekAbs(HEADER_LEN);
+		for (const offset of offsets) {
+			buffer.write(RecordType.int.u32le, offset);
+		}
+
+		return {
+			content: {
+				main: buffer.getU8(0, lenContent),
+			},
+			warnings: [],
+		};
+	}
+}
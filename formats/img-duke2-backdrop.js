@@ -0,0 +1,102 @@
+/*
+ * Duke Nukem II backdrop handler.
+ *
+ * Backdrops (DROP*.MNI) are full-screen images made up of 40x25 unmasked 8x8
+ * tiles, stored left-to-right, top-to-bottom.
+ *
+ * This file format is fully documented on the ModdingWiki:
+ *   https://moddingwiki.shikadi.net/wiki/Duke_Nukem_II_Full-screen_Image_Format
+ *
+ * Copyright (C) 2010-2022 Adam Nielsen <malvineous@shikadi.net>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+const FORMAT_ID = 'img-duke2-backdrop';
+
+import Debug from '../util/debug.js';
+const debug = Debug.extend(FORMAT_ID);
+
+import ImageHandler from '../interface/imageHandler.js';
+import Image from '../interface/image.js';
+import { paletteCGA16 } from '../util/palette-default.js';
+import {
+	BYTES_PER_TILE,
+	frameFromTiles,
+	frameToTiles,
+} from '../util/actor-tileset.js';
+
+const WIDTH_TILES = 40;
+const HEIGHT_TILES = 25;
+const FILE_LEN = WIDTH_TILES * HEIGHT_TILES * BYTES_PER_TILE;
+
+export class img_duke2_backdrop extends ImageHandler
+{
+	static metadata() {
+		let md = {
+			...super.metadata(),
+			id: FORMAT_ID,
+			title: 'Duke Nukem II Backdrop',
+			glob: [
+				'drop*.mni',
+			],
+		};
+
+		md.limits.minimumSize.x = WIDTH_TILES * 8;
+		md.limits.minimumSize.y = HEIGHT_TILES * 8;
+		md.limits.maximumSize.x = WIDTH_TILES * 8;
+		md.limits.maximumSize.y = HEIGHT_TILES * 8;
+		md.limits.depth = 4;
+		md.limits.hasPalette = false;
+		md.limits.frameCount.min = 1;
+		md.limits.frameCount.max = 1;
+
+		return md;
+	}
+
+	static identify(content) {
+		if (content.length !== FILE_LEN) {
+			return {
+				valid: false,
+				reason: `File length ${content.length} is not ${FILE_LEN}.`,
+			};
+		}
+
+		return {
+			valid: undefined,
+			reason: `Correct file size, but no signature.`,
+		};
+	}
+
+	static read(content) {
+		debug(`Reading ${WIDTH_TILES}x${HEIGHT_TILES} tiles`);
+		const frame = frameFromTiles(content.main, WIDTH_TILES, HEIGHT_TILES, false);
+
+		return new Image({
+			width: WIDTH_TILES * 8,
+			height: HEIGHT_TILES * 8,
+			frames: [frame],
+			palette: paletteCGA16(),
+		});
+	}
+
+	static write(image) {
+		return {
+			content: {
+				main: frameToTiles(image.frames[0], WIDTH_TILES, HEIGHT_TILES, false),
+			},
+			warnings: [],
+		};
+	}
+}
@@ -26,20 +26,42 @@ import {
 	cmp_lzw
 } from '@camoto/gamecomp';
 import ImageHandler from '../interface/imageHandler.js';
-import Image from '../interface/image.js';
+import Image, { Disposal } from '../interface/image.js';
 import Frame from '../interface/frame.js';
 import Palette from '../interface/palette.js';
+import { optionFlag } from '../util/option.js';
 
 const HEADER_MAGIC_LEN = 6;
 const LOGICAL_SCREEN_DESC_LEN = 7;
 
 const EXTENSION_INTRODUCER = 0x21;
 const EXTENSION_TYPE_GFX_CTRL = 0xF9;
+const EXTENSION_TYPE_COMMENT = 0xFE;
 const EXTENSION_TYPE_APPLICATION = 0xFF;
 
+// Length of the identifier and authentication code in an application
+// extension.
+const APP_ID_LEN = 11;
+
+// Application extensions that control looping, which is handled by the `loop`
+// option rather than being kept in the tags.
+const LOOP_APP_IDS = [
+	'NETSCAPE2.0',
+	'ANIMEXTS1.0',
+];
+
 const IMG_DESC_INTRODUCER = 0x2C;
 const TRAILER = 0x3B;
 
+// Disposal methods in the Graphic Control Extension, index is the value in the
+// GIF file.  Zero means no disposal was specified.
+const gifDisposal = [
+	undefined,
+	Disposal.None,
+	Disposal.Background,
+	Disposal.Previous,
+];
+
 const recordTypes = {
 
 	logicalScreenDescriptor: {
@@ -88,6 +110,95 @@ const recordTypes = {
 	},
 };
 
+/**
+ * Read a series of data sub-blocks, up to and including the zero-length
+ * terminator.
+ *
+ * @return Uint8Array of all the data joined together.
+ */
+function readSubBlocks(buffer)
+{
+	let blocks = [];
+	let subBlockLen = buffer.read(RecordType.int.u8);
+	while (subBlockLen > 0) {
+		blocks.push(buffer.get(subBlockLen));
+		subBlockLen = buffer.read(RecordType.int.u8);
+	}
+	let data = new Uint8Array(blocks.reduce((a, b) => a + b.length, 0));
+	let pos = 0;
+	for (const b of blocks) {
+		data.set(b, pos);
+		pos += b.length;
+	}
+	return data;
+}
+
+/**
+ * Split data up into sub-blocks of up to 255 bytes each, followed by the
+ * zero-length terminator.
+ */
+function writeSubBlocks(buffer, data)
+{
+	let pos = 0;
+	while (pos < data.length) {
+		const len = Math.min(255, data.length - pos);
+		buffer.write(RecordType.int.u8, len);
+		buffer.put(data.slice(pos, pos + len));
+		pos += len;
+	}
+
+	// Write one last subblock length of zero to indicate that we're finished
+	buffer.write(RecordType.int.u8, 0);
+}
+
+/**
+ * Convert between strings and bytes, one character per byte.  Anything outside
+ * the 8-bit range becomes a question mark.
+ */
+function stringToBytes(str)
+{
+	return Uint8Array.from(str, c => {
+		const code = c.charCodeAt(0);
+		return (code > 0xFF) ? 0x3F : code;
+	});
+}
+
+/**
+ * Write a colour table, padded out to the size given in the packed field.
+ */
+function writeColourTable(buffer, palette, colorResPower)
+{
+	const count = 1 << (colorResPower + 1);
+	for (let p = 0; p < count; p++) {
+		const c = palette[p] || [0, 0, 0];
+		buffer.write(RecordType.int.u8, c[0]);
+		buffer.write(RecordType.int.u8, c[1]);
+		buffer.write(RecordType.int.u8, c[2]);
+	}
+}
+
+function bytesToString(data)
+{
+	return Array.from(data, b => String.fromCharCode(b)).join('');
+}
+
+/**
+ * Get the order rows are stored in for an interlaced image.
+ *
+ * @return Array where element `i` is the row number in the image of the `i`th
+ *   row stored in the file.
+ */
+function interlaceOrder(height)
+{
+	let order = [];
+	for (const [start, step] of [[0, 8], [4, 8], [2, 4], [1, 2]]) {
+		for (let y = start; y < height; y += step) {
+			order.push(y);
+		}
+	}
+	return order;
+}
+
 /**
  * There is at least one known variant on the GIF format that uses a different
  * magic word in the header. As a result, GIF support is implemented here with
@@ -324,7 +435,12 @@ class img_gif_base extends ImageHandler {
 		}
 
 		let foundTrailer = false;
-		let delayTimeMs = null;
+
+		// Graphic Control Extension for the next image, and the values taken from
+		// it for each image so far.
+		let gfxCtrl = null;
+		let gifFrameInfo = [];
+		let tags = {};
 
 		// Loop, parsing any extension or data blocks contained in the file.
 		while ((buffer.distFromEnd() > 0) && !foundTrailer) {
@@ -334,14 +450,18 @@ class img_gif_base extends ImageHandler {
 				if (extensionsAllowed) {
 					const extType = buffer.read(RecordType.int.u8);
 
-					// The only information that we use from any of the extensions is the
-					// delay time between frames, provided by the Graphic Control Extension.
+					// The Graphic Control Extension applies only to the image that
+					// follows it.
 					if (extType == EXTENSION_TYPE_GFX_CTRL) {
-						const gfxCtrl = buffer.readRecord(recordTypes.gfxCtrlExtension);
-						// Assume that valid animation frame delays must be positive, given
-						// that animations cannot run infinitely fast.
-						if (gfxCtrl.delayTime > 0) {
-							delayTimeMs = (gfxCtrl.delayTime * 10);
+						gfxCtrl = buffer.readRecord(recordTypes.gfxCtrlExtension);
+					} else if (extType == EXTENSION_TYPE_COMMENT) {
+						const text = bytesToString(readSubBlocks(buffer));
+						tags.comment = (tags.comment === undefined) ? text : `${tags.comment}\n${text}`;
+					} else if (extType == EXTENSION_TYPE_APPLICATION) {
+						const data = readSubBlocks(buffer);
+						const appId = bytesToString(data.slice(0, APP_ID_LEN));
+						if (!LOOP_APP_IDS.includes(appId)) {
+							tags[`application:${appId}`] = bytesToString(data.slice(APP_ID_LEN));
 						}
 					} else {
 						// We're not doing anything with the data in this extension,
@@ -403,40 +523,93 @@ class img_gif_base extends ImageHandler {
 
 				let lzwData = new Uint8Array(lzwDataArr);
 				let pixelData = cmp_lzw.reveal(lzwData, lzwParams);
+
+				if (imgDesc.packedField & 0x40) {
+					// Put the interlaced rows back in order.
+					const order = interlaceOrder(imgDesc.imageHeight);
+					const width = imgDesc.imageWidth;
+					let deinterlaced = new Uint8Array(pixelData.length);
+					for (let i = 0; i < order.length; i++) {
+						deinterlaced.set(
+							pixelData.subarray(i * width, (i + 1) * width),
+							order[i] * width
+						);
+					}
+					pixelData = deinterlaced;
+				}
 				let curFrame = new Frame({
 					width: imgDesc.imageWidth,
 					height: imgDesc.imageHeight,
 					pixels: pixelData,
+					offsetX: imgDesc.imageLeft,
+					offsetY: imgDesc.imageTop,
 				});
 
+				let transparentIndex;
+				if (gfxCtrl && (gfxCtrl.packedField & 0x01)) {
+					transparentIndex = gfxCtrl.transparentColorIndex;
+				}
+
 				if (localPal !== null) {
+					if ((transparentIndex !== undefined) && localPal[transparentIndex]) {
+						localPal[transparentIndex][3] = 0;
+					}
 					curFrame.palette = localPal;
 				}
 				gifFrames.push(curFrame);
+				gifFrameInfo.push({
+					delayTime: gfxCtrl ? gfxCtrl.delayTime : 0,
+					disposal: gfxCtrl ? gifDisposal[(gfxCtrl.packedField >> 2) & 0x07] : undefined,
+					// Only needed for frames using the global palette.
+					transparentIndex: (localPal === null) ? transparentIndex : undefined,
+				});
+				gfxCtrl = null;
 
 			} else if (introducer == TRAILER) {
 				foundTrailer = true;
 			}
 		}
 
+		// Transparency is set per frame in the GIF, but in the global palette for
+		// us.  If frames using the global palette disagree on which colour is
+		// transparent, give them their own copy of the palette instead.
+		const globalTransparent = [...new Set(
+			gifFrameInfo
+				.map(fi => fi.transparentIndex)
+				.filter(ti => (ti !== undefined) && globalPal[ti])
+		)];
+		if (globalTransparent.length === 1) {
+			globalPal[globalTransparent[0]][3] = 0;
+		} else if (globalTransparent.length > 1) {
+			for (let f = 0; f < gifFrames.length; f++) {
+				const ti = gifFrameInfo[f].transparentIndex;
+				if ((ti === undefined) || !globalPal[ti]) continue;
+				gifFrames[f].palette = globalPal.clone();
+				gifFrames[f].palette[ti][3] = 0;
+			}
+		}
+
 		let finalImg = new Image({
 			width: logicalDesc.canvasWidth,
 			height: logicalDesc.canvasHeight,
 			frames: gifFrames,
 			palette: globalPal,
+			tags,
 		});
 
-		// If a positive delay time was given by the Graphics Control Extension,
-		// use this as the inter-frame delay for the animation.
-		if (delayTimeMs !== null) {
-			let anim = [];
-			for (let f = 0; f < gifFrames.length; f++) {
-				anim.push({
+		// If a positive delay time was given by any Graphics Control Extension,
+		// treat the file as an animation.  Valid animation frame delays are
+		// assumed to be positive, given that animations cannot run infinitely
+		// fast.
+		if (gifFrameInfo.some(fi => fi.delayTime > 0)) {
+			finalImg.animation = gifFrameInfo.map((fi, f) => {
+				let anim = {
 					index: f,
-					postDelay: delayTimeMs,
-				});
-			}
-			finalImg.animation = anim;
+					postDelay: fi.delayTime * 10,
+				};
+				if (fi.disposal) anim.disposal = fi.disposal;
+				return anim;
+			});
 		}
 
 		return finalImg;
@@ -463,21 +636,52 @@ class img_gif_base extends ImageHandler {
 			buffer.write(RecordType.int.u8, headerMagicWord.charCodeAt(i));
 		}
 
+		let warnings = [];
+
+		// Work out which frames to write, and the animation details for each.  If
+		// there is an animation sequence the frames are written in that order,
+		// otherwise each frame is written once.
+		let gifFrames;
+		if (extensionsAllowed && (image.animation.length > 0)) {
+			gifFrames = image.animation.map((anim, k) => {
+				const frame = image.frames[anim.index];
+				if (!frame) {
+					throw new Error(`Animation entry ${k} refers to frame ${anim.index}, `
+						+ `which does not exist.`);
+				}
+				return {
+					frame,
+					// Delay is in hundredths of a second.
+					delayTime: Math.min(0xFFFF, Math.round((anim.postDelay || 0) / 10)),
+					disposal: Math.max(0, gifDisposal.indexOf(anim.disposal)),
+				};
+			});
+			for (let f = 0; f < image.frames.length; f++) {
+				if (!image.animation.some(anim => anim.index === f)) {
+					warnings.push(`Frame ${f} is not part of the animation, so it has not `
+						+ `been saved.`);
+				}
+			}
+		} else {
+			gifFrames = image.frames.map(frame => ({
+				frame,
+				delayTime: 0,
+				disposal: 0,
+			}));
+		}
+
 		let globalWidth = (image.width === undefined) ? 0 : image.width;
 		let globalHeight = (image.height === undefined) ? 0 : image.height;
-		for (let f = 0; f < image.frames.length; f++) {
-			if (image.frames[f].width > globalWidth) {
-				globalWidth = image.frames[f].width;
-			}
-			if (image.frames[f].height > globalHeight) {
-				globalHeight = image.frames[f].height;
-			}
+		for (const gf of gifFrames) {
+			const frameWidth = (gf.frame.width === undefined) ? image.width : gf.frame.width;
+			const frameHeight = (gf.frame.height === undefined) ? image.height : gf.frame.height;
+			globalWidth = Math.max(globalWidth, (gf.frame.offsetX || 0) + frameWidth);
+			globalHeight = Math.max(globalHeight, (gf.frame.offsetY || 0) + frameHeight);
 		}
 
 		let logicalDescPackedField = 0x00;
 		let useGlobalColor = false;
 		let globalColorResPower = 0;
-		let transparentIndex = -1;
 
 		// If we've been provided with a global palette...
 		if (image.palette !== undefined) {
@@ -499,11 +703,15 @@ class img_gif_base extends ImageHandler {
 			}
 			logicalDescPackedField |= (globalColorResPower << 4);
 			logicalDescPackedField |= globalColorResPower;
+		}
 
-			// Find the first global color with a fully transparent alpha. If none
-			// are found, let this index variable remain at -1 as an indicator.
-			transparentIndex = image.palette.findIndex(p => p[3] === 0);
+		// Find the first colour with a fully transparent alpha in the palette used
+		// by each frame.  If none are found, the index is -1.
+		for (const gf of gifFrames) {
+			const pal = gf.frame.palette || image.palette;
+			gf.transparentIndex = pal ? pal.findIndex(p => p && (p[3] === 0)) : -1;
 		}
+		const anyTransparent = gifFrames.some(gf => gf.transparentIndex >= 0);
 
 		buffer.writeRecord(recordTypes.logicalScreenDescriptor, {
 			canvasWidth: globalWidth,
@@ -514,56 +722,75 @@ class img_gif_base extends ImageHandler {
 		});
 
 		if (useGlobalColor) {
-			for (let p = 0; p < image.palette.length; p++) {
-				buffer.write(RecordType.int.u8, image.palette[p][0]);
-				buffer.write(RecordType.int.u8, image.palette[p][1]);
-				buffer.write(RecordType.int.u8, image.palette[p][2]);
-			}
+			writeColourTable(buffer, image.palette, globalColorResPower);
 		}
 
 		// If this is a GIF revision that supports extensions, we can use the
 		// Graphics Control Extension to record the delay time (for animations)
-		// and/or a transparent color index from the global palette.
-		if (extensionsAllowed &&
-			((transparentIndex >= 0) || (image.animation.length > 0))) {
-
-			// The loop count extension must immediately follow the global color
-			// table.  Defaults to 0 (loop forever) but a specific number of loops can
-			// be supplied.  `null` means omit the loop block entirely.
-			const loopCount = (options.loop === undefined) ? 0 : options.loop;
-			if (loopCount !== null) {
-				buffer.write(RecordType.int.u8, EXTENSION_INTRODUCER);
-				buffer.write(RecordType.int.u8, EXTENSION_TYPE_APPLICATION);
-				buffer.writeRecord(recordTypes.appExtensionNetscape, {
-					byteSize: 0x0B,
-					identifier: 'NETSCAPE',
-					appCode: '2.0',
-					lenSubBlock: 0x03,
-					lenUnknown: 0x01,
-					loopCount: loopCount,
-					blockTerminator: 0x00,
-				});
-			}
-
+		// and/or a transparent color index for each frame.
+		const useGfxCtrl = extensionsAllowed
+			&& (anyTransparent || (image.animation.length > 0));
+
+		// The loop count extension must immediately follow the global color
+		// table.  Defaults to 0 (loop forever) but a specific number of loops can
+		// be supplied.  `null` means omit the loop block entirely.
+		const loopCount = (options.loop === undefined) ? 0 : options.loop;
+		if (useGfxCtrl && (loopCount !== null)) {
 			buffer.write(RecordType.int.u8, EXTENSION_INTRODUCER);
-			buffer.write(RecordType.int.u8, EXTENSION_TYPE_GFX_CTRL);
-			buffer.writeRecord(recordTypes.gfxCtrlExtension, {
-				byteSize: 0x04,
-				// The only relevant field in this 'Packed Fields' byte is the transparent color flag
-				// at bit 0, which is set only if there is a transparent color in the global palette.
-				packedField: (transparentIndex >= 0) ? 0x01 : 0x00,
-				// Use the delay from the first animation frame as the GIF animation delay. It is safe
-				// to use a delay of 0 if there is no multi-frame animation in the input image.
-				delayTime: (image.animation.length > 0) ?
-					Math.floor(image.animation[0].postDelay / 10) : 0,
-				transparentColorIndex: (transparentIndex >= 0) ? transparentIndex : 0x00,
+			buffer.write(RecordType.int.u8, EXTENSION_TYPE_APPLICATION);
+			buffer.writeRecord(recordTypes.appExtensionNetscape, {
+				byteSize: 0x0B,
+				identifier: 'NETSCAPE',
+				appCode: '2.0',
+				lenSubBlock: 0x03,
+				lenUnknown: 0x01,
+				loopCount: loopCount,
 				blockTerminator: 0x00,
 			});
 		}
 
-		// TODO: This writes out frames as-is, but it needs to read image.animation
-		// and look at the `index` property to figure out which frame to write.
-		for (let f = 0; f < image.frames.length; f++) {
+		if (extensionsAllowed) {
+			for (const [name, value] of Object.entries(image.tags)) {
+				if (name === 'comment') {
+					buffer.write(RecordType.int.u8, EXTENSION_INTRODUCER);
+					buffer.write(RecordType.int.u8, EXTENSION_TYPE_COMMENT);
+					writeSubBlocks(buffer, stringToBytes(value.toString()));
+				} else if (name.startsWith('application:')) {
+					const appId = name.substr(12);
+					if (appId.length !== APP_ID_LEN) {
+						warnings.push(`Unable to write tag "${name}", the application `
+							+ `identifier must be exactly ${APP_ID_LEN} characters.`);
+						continue;
+					}
+					buffer.write(RecordType.int.u8, EXTENSION_INTRODUCER);
+					buffer.write(RecordType.int.u8, EXTENSION_TYPE_APPLICATION);
+					// The identifier goes in its own sub-block.
+					buffer.write(RecordType.int.u8, APP_ID_LEN);
+					buffer.put(stringToBytes(appId));
+					writeSubBlocks(buffer, stringToBytes(value.toString()));
+				}
+			}
+		}
+
+		const interlace = optionFlag(options.interlace);
+
+		for (const gf of gifFrames) {
+			const frame = gf.frame;
+
+			if (useGfxCtrl) {
+				buffer.write(RecordType.int.u8, EXTENSION_INTRODUCER);
+				buffer.write(RecordType.int.u8, EXTENSION_TYPE_GFX_CTRL);
+				buffer.writeRecord(recordTypes.gfxCtrlExtension, {
+					byteSize: 0x04,
+					// Bits 4..2 are the disposal method, and bit 0 is set only if there
+					// is a transparent color in the palette.
+					packedField: (gf.disposal << 2)
+						| ((gf.transparentIndex >= 0) ? 0x01 : 0x00),
+					delayTime: gf.delayTime,
+					transparentColorIndex: (gf.transparentIndex >= 0) ? gf.transparentIndex : 0x00,
+					blockTerminator: 0x00,
+				});
+			}
 
 			// Begin building the image descriptor
 			buffer.write(RecordType.int.u8, IMG_DESC_INTRODUCER);
@@ -575,36 +802,44 @@ class img_gif_base extends ImageHandler {
 			// If this frame has a frame-specific palette, then determine its
 			// necessary size as a power of 2, and add this information to the
 			// packed field.
-			if (image.frames[f].palette !== undefined) {
+			if (frame.palette) {
 
-				if (image.frames[f].palette.length > 256) {
+				if (frame.palette.length > 256) {
 					throw new Error(`Palette too large; this format supports a maximum of 8bpp of color indexing.`);
 				}
 
 				useLocalColor = true;
-				while ((1 << (localColorResPower + 1)) < image.frames[f].palette.length) {
+				while ((1 << (localColorResPower + 1)) < frame.palette.length) {
 					localColorResPower++;
 				}
 				imgDescPackedField |= (0x80 | localColorResPower);
 			}
 
+			const frameWidth = (frame.width === undefined) ? globalWidth : frame.width;
+			const frameHeight = (frame.height === undefined) ? globalHeight : frame.height;
+
+			let pixels = frame.pixels;
+			if (interlace) {
+				imgDescPackedField |= 0x40;
+				const order = interlaceOrder(frameHeight);
+				pixels = new Uint8Array(frameWidth * frameHeight);
+				for (let i = 0; i < order.length; i++) {
+					const offSrc = order[i] * frameWidth;
+					pixels.set(frame.pixels.slice(offSrc, offSrc + frameWidth), i * frameWidth);
+				}
+			}
+
 			buffer.writeRecord(recordTypes.imageDescriptor, {
-				imageLeft: 0,
-				imageTop: 0,
-				imageWidth: (image.frames[f].width === undefined) ?
-					globalWidth : image.frames[f].width,
-				imageHeight: (image.frames[f].height === undefined) ?
-					globalHeight : image.frames[f].height,
+				imageLeft: frame.offsetX || 0,
+				imageTop: frame.offsetY || 0,
+				imageWidth: frameWidth,
+				imageHeight: frameHeight,
 				packedField: imgDescPackedField,
 			});
 
 			// Write out the Local Color Table data, if it exists
 			if (useLocalColor) {
-				for (let p = 0; p < image.frames[f].palette; p++) {
-					buffer.write(RecordType.int.u8, image.frames[f].palette[p][0]);
-					buffer.write(RecordType.int.u8, image.frames[f].palette[p][1]);
-					buffer.write(RecordType.int.u8, image.frames[f].palette[p][2]);
-				}
+				writeColourTable(buffer, frame.palette, localColorResPower);
 			}
 
 			// Determine the appropriate values for the LZW codes and sizing
@@ -624,7 +859,7 @@ class img_gif_base extends ImageHandler {
 				flushOnReset: false,
 			};
 
-			let lzwCompData = cmp_lzw.obscure(image.frames[f].pixels, lzwParams);
+			let lzwCompData = cmp_lzw.obscure(pixels, lzwParams);
 
 			buffer.write(RecordType.int.u8, lzwMinCodeSize);
 
@@ -647,7 +882,7 @@ class img_gif_base extends ImageHandler {
 			content: {
 				main: buffer.getU8(),
 			},
-			warnings: [],
+			warnings,
 		};
 	}
 }
@@ -659,7 +894,9 @@ export class img_gif_87a extends img_gif_base {
 			...super.metadata(),
 			id: 'img-gif-87a',
 			title: 'GIF 87a',
-			options: {},
+			options: {
+				interlace: 'Write interlaced images if true',
+			},
 			glob: [
 				'*.gif',
 			],
@@ -676,6 +913,11 @@ export class img_gif_89a extends img_gif_base {
 	static metadata() {
 		let md = super.metadata();
 		md.limits.frameCount.max = undefined;
+		md.limits.tags = {
+			comment: 'Text from the comment extension',
+			'application:*': 'Data from application extensions, keyed by the '
+				+ 'application identifier and authentication code',
+		};
 		return {
 			...md,
 			id: 'img-gif-89a',
@@ -683,6 +925,7 @@ export class img_gif_89a extends img_gif_base {
 			options: {
 				loop: 'Number of times to loop if the image is animated, 0=forever, '
 					+ 'null=omit loop block entirely',
+				interlace: 'Write interlaced images if true',
 			},
 			glob: [
 				'*.gif',
@@ -0,0 +1,616 @@
+/*
+ * Deluxe Paint .lbm image, in either the interleaved bitplane (ILBM) or
+ * chunky (PBM) IFF forms.
+ *
+ * Colour cycling ranges are made available as tags.  Both types of range are
+ * kept separately so they can be written back unchanged:
+ *
+ *  - `crng`: Array of `{low, high, rate, active, reverse}` from CRNG chunks.
+ *    `rate` is in units of 1/16384 of a step per 1/60 second, so 16384 cycles
+ *    one colour every video frame.
+ *
+ *  - `ccrt`: Array of `{low, high, direction, seconds, microseconds}` from
+ *    CCRT chunks.  `direction` is 0 for inactive, 1 for forwards and -1 for
+ *    backwards, and the time is the delay between each step.
+ *
+ * Copyright (C) 2010-2022 Adam Nielsen <malvineous@shikadi.net>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+const FORMAT_ID = 'img-lbm';
+
+import Debug from '../util/debug.js';
+const debug = Debug.extend(FORMAT_ID);
+
+import { RecordBuffer, RecordType } from '@camoto/record-io-buffer';
+import ImageHandler from '../interface/imageHandler.js';
+import Image from '../interface/image.js';
+import Frame from '../interface/frame.js';
+import Palette from '../interface/palette.js';
+import { fromPlanar, toPlanar } from '../util/frame-planar.js';
+import { defaultPalette } from '../util/palette-default.js';
+
+const recordTypes = {
+	chunkHeader: {
+		type: RecordType.string.fixed.noTerm(4),
+		length: RecordType.int.u32be,
+	},
+	bmhd: {
+		width: RecordType.int.u16be,
+		height: RecordType.int.u16be,
+		x: RecordType.int.s16be,
+		y: RecordType.int.s16be,
+		planes: RecordType.int.u8,
+		masking: RecordType.int.u8,
+		compression: RecordType.int.u8,
+		pad1: RecordType.int.u8,
+		transparentColour: RecordType.int.u16be,
+		xAspect: RecordType.int.u8,
+		yAspect: RecordType.int.u8,
+		pageWidth: RecordType.int.s16be,
+		pageHeight: RecordType.int.s16be,
+	},
+	crng: {
+		pad1: RecordType.int.s16be,
+		rate: RecordType.int.s16be,
+		flags: RecordType.int.s16be,
+		low: RecordType.int.u8,
+		high: RecordType.int.u8,
+	},
+	ccrt: {
+		direction: RecordType.int.s16be,
+		low: RecordType.int.u8,
+		high: RecordType.int.u8,
+		seconds: RecordType.int.s32be,
+		microseconds: RecordType.int.s32be,
+		pad: RecordType.int.s16be,
+	},
+};
+
+const Masking = {
+	None: 0,
+	HasMask: 1,
+	HasTransparentColour: 2,
+	Lasso: 3,
+};
+
+const Compression = {
+	None: 0,
+	ByteRun1: 1,
+};
+
+// Flags in the CRNG chunk.
+const CRNG_ACTIVE = 1;
+const CRNG_REVERSE = 2;
+
+/**
+ * Decompress ByteRun1 data.
+ *
+ * A control byte from 0 to 127 is followed by that many plus one literal
+ * bytes, and one from -1 to -127 is followed by a single byte to repeat one
+ * more than the negated count.  -128 is ignored.
+ */
+function decodeByteRun1(content, length)
+{
+	let out = new Uint8Array(length);
+	let inPos = 0, outPos = 0;
+	while ((outPos < length) && (inPos < content.length)) {
+		let n = content[inPos++];
+		if (n < 128) {
+			for (let i = 0; (i <= n) && (outPos < length); i++) {
+				out[outPos++] = content[inPos++];
+			}
+		} else if (n > 128) {
+			const value = content[inPos++];
+			for (let i = 0; (i <= 256 - n) && (outPos < length); i++) {
+				out[outPos++] = value;
+			}
+		}
+	}
+	if (outPos < length) {
+		debug(`ByteRun1 data ran out after ${outPos} of ${length} bytes`);
+	}
+	return out;
+}
+
+/**
+ * Compress data with ByteRun1.
+ *
+ * Runs may not cross from one row (or plane within a row) to the next, so
+ * each `rowLength` bytes are compressed separately.
+ */
+function encodeByteRun1(content, rowLength)
+{
+	let out = [];
+	for (let row = 0; row < content.length; row += rowLength) {
+		const end = row + rowLength;
+		let i = row;
+		while (i < end) {
+			let run = 1;
+			while ((i + run < end) && (run < 128) && (content[i + run] === content[i])) run++;
+			if (run >= 3) {
+				out.push(257 - run, content[i]);
+				i += run;
+				continue;
+			}
+			// Gather literal bytes until the next run worth encoding.
+			let j = i;
+			while ((j < end) && (j - i < 128)) {
+				if (
+					(j + 2 < end)
+					&& (content[j] === content[j + 1])
+					&& (content[j] === content[j + 2])
+				) break;
+				j++;
+			}
+			out.push(j - i - 1);
+			for (let k = i; k < j; k++) out.push(content[k]);
+			i = j;
+		}
+	}
+	return Uint8Array.from(out);
+}
+
+/**
+ * Read the IFF chunks inside the FORM chunk.
+ *
+ * @return {Object} with `form` as the form type (e.g. "ILBM") and `chunks` as
+ *   an array of `{type, data}`.
+ */
+function readChunks(content)
+{
+	let buffer = new RecordBuffer(content);
+	const form = buffer.readRecord(recordTypes.chunkHeader);
+	if (form.type !== 'FORM') {
+		throw new Error(`Not an IFF file.`);
+	}
+	const formType = buffer.read(RecordType.string.fixed.noTerm(4));
+	const end = Math.min(content.length, 8 + form.length);
+
+	let chunks = [];
+	while (buffer.getPos() + 8 <= end) {
+		const header = buffer.readRecord(recordTypes.chunkHeader);
+		const len = Math.min(header.length, end - buffer.getPos());
+		chunks.push({
+			type: header.type,
+			data: buffer.get(len),
+		});
+		// Chunks are padded to an even length.
+		if ((len & 1) && (buffer.getPos() < end)) buffer.seekRel(1);
+	}
+
+	return {
+		form: formType,
+		chunks,
+	};
+}
+
+export class img_lbm extends ImageHandler
+{
+	static metadata() {
+		let md = {
+			...super.metadata(),
+			id: FORMAT_ID,
+			title: 'Deluxe Paint IFF Image',
+			options: {
+				form: 'IFF form to write: "ILBM" (default) for bitplanes or "PBM" for '
+					+ 'one byte per pixel',
+				compression: 'Compression to use when writing: "byterun1" (default) '
+					+ 'or "none"',
+			},
+			glob: [
+				'*.lbm',
+				'*.bbm',
+				'*.iff',
+				'*.ilbm',
+			],
+		};
+
+		md.limits.minimumSize.x = 1;
+		md.limits.minimumSize.y = 1;
+		md.limits.maximumSize.x = undefined;
+		md.limits.maximumSize.y = undefined;
+		md.limits.depth = 8;
+		md.limits.hasPalette = true;
+		md.limits.paletteDepth = 8;
+		md.limits.tags = {
+			crng: 'Colour cycling ranges from CRNG chunks',
+			ccrt: 'Colour cycling ranges from CCRT chunks',
+		};
+
+		return md;
+	}
+
+	static identify(content) {
+		if (content.length < 12) {
+			return {
+				valid: false,
+				reason: `File too short.`,
+			};
+		}
+
+		let buffer = new RecordBuffer(content);
+		const form = buffer.readRecord(recordTypes.chunkHeader);
+		if (form.type !== 'FORM') {
+			return {
+				valid: false,
+				reason: `Not an IFF file.`,
+			};
+		}
+
+		const formType = buffer.read(RecordType.string.fixed.noTerm(4));
+		if ((formType !== 'ILBM') && (formType !== 'PBM ')) {
+			return {
+				valid: false,
+				reason: `Unsupported IFF form "${formType}".`,
+			};
+		}
+
+		return {
+			valid: true,
+			reason: `Valid ${formType.trim()} signature.`,
+		};
+	}
+
+	static read(content) {
+		const { form, chunks } = readChunks(content.main);
+		const isPBM = (form === 'PBM ');
+		if (!isPBM && (form !== 'ILBM')) {
+			throw new Error(`Unsupported IFF form "${form}".`);
+		}
+
+		let bmhd, palette, body;
+		let tags = {};
+		for (const chunk of chunks) {
+			const cb = new RecordBuffer(chunk.data);
+			switch (chunk.type) {
+				case 'BMHD':
+					bmhd = cb.readRecord(recordTypes.bmhd);
+					break;
+
+				case 'CMAP': {
+					const count = Math.floor(chunk.data.length / 3);
+					palette = new Palette(count);
+					for (let i = 0; i < count; i++) {
+						palette[i] = [
+							chunk.data[i * 3 + 0],
+							chunk.data[i * 3 + 1],
+							chunk.data[i * 3 + 2],
+							255,
+						];
+					}
+					break;
+				}
+
+				case 'CRNG': {
+					const r = cb.readRecord(recordTypes.crng);
+					if (!tags.crng) tags.crng = [];
+					tags.crng.push({
+						low: r.low,
+						high: r.high,
+						rate: r.rate,
+						active: !!(r.flags & CRNG_ACTIVE),
+						reverse: !!(r.flags & CRNG_REVERSE),
+					});
+					break;
+				}
+
+				case 'CCRT': {
+					const r = cb.readRecord(recordTypes.ccrt);
+					if (!tags.ccrt) tags.ccrt = [];
+					tags.ccrt.push({
+						low: r.low,
+						high: r.high,
+						direction: r.direction,
+						seconds: r.seconds,
+						microseconds: r.microseconds,
+					});
+					break;
+				}
+
+				case 'BODY':
+					body = chunk.data;
+					break;
+
+				default:
+					debug(`Ignoring chunk ${chunk.type}`);
+					break;
+			}
+		}
+
+		if (!bmhd) {
+			throw new Error(`Missing BMHD chunk.`);
+		}
+		if (!body) {
+			throw new Error(`Missing BODY chunk.`);
+		}
+
+		const { width, height, planes } = bmhd;
+		debug(`${form.trim()} ${width}x${height}, ${planes} planes, masking `
+			+ `${bmhd.masking}, compression ${bmhd.compression}`);
+
+		if ((planes < 1) || (planes > 8)) {
+			throw new Error(`Unsupported plane count ${planes}.`);
+		}
+		if (isPBM && (planes !== 8)) {
+			throw new Error(`PBM images must have 8 planes, not ${planes}.`);
+		}
+
+		const hasMask = !isPBM && (bmhd.masking === Masking.HasMask);
+
+		// Each plane in each row is padded to a multiple of 16 bits, and in PBM
+		// files each row is padded to an even number of bytes.
+		const planeBytes = isPBM ? (width + (width & 1)) : (Math.ceil(width / 16) * 2);
+		const rowPlanes = isPBM ? 1 : (planes + (hasMask ? 1 : 0));
+		const rowBytes = planeBytes * rowPlanes;
+
+		let data;
+		switch (bmhd.compression) {
+			case Compression.None:
+				data = new Uint8Array(rowBytes * height);
+				data.set(body.subarray(0, data.length));
+				break;
+			case Compression.ByteRun1:
+				data = decodeByteRun1(body, rowBytes * height);
+				break;
+			default:
+				throw new Error(`Unsupported compression type ${bmhd.compression}.`);
+		}
+
+		let pixels = new Uint8Array(width * height);
+		let mask;
+		if (isPBM) {
+			for (let y = 0; y < height; y++) {
+				pixels.set(data.subarray(y * rowBytes, y * rowBytes + width), y * width);
+			}
+		} else {
+			// Separate the mask plane (if any) from the colour planes.
+			let planeData = new Uint8Array(planeBytes * planes * height);
+			if (hasMask) mask = new Uint8Array(planeBytes * height);
+			for (let y = 0; y < height; y++) {
+				const rowStart = y * rowBytes;
+				planeData.set(
+					data.subarray(rowStart, rowStart + planeBytes * planes),
+					y * planeBytes * planes
+				);
+				if (hasMask) {
+					mask.set(
+						data.subarray(rowStart + planeBytes * planes, rowStart + rowBytes),
+						y * planeBytes
+					);
+				}
+			}
+
+			const paddedWidth = planeBytes * 8;
+			let planeValues = [];
+			for (let p = 0; p < planes; p++) planeValues.push(1 << p);
+			const padded = fromPlanar({
+				content: planeData,
+				planeCount: planes,
+				planeWidth: paddedWidth,
+				lineWidth: paddedWidth,
+				planeValues,
+				byteOrderMSB: true,
+			});
+			for (let y = 0; y < height; y++) {
+				pixels.set(
+					padded.subarray(y * paddedWidth, y * paddedWidth + width),
+					y * width
+				);
+			}
+			if (hasMask) {
+				mask = fromPlanar({
+					content: mask,
+					planeCount: 1,
+					planeWidth: paddedWidth,
+					lineWidth: paddedWidth,
+					planeValues: [1],
+					byteOrderMSB: true,
+				});
+			}
+		}
+
+		if (!palette) {
+			palette = defaultPalette(8).slice(0, 1 << planes);
+		}
+
+		if (
+			(bmhd.masking === Masking.HasTransparentColour)
+			|| hasMask
+		) {
+			const tc = bmhd.transparentColour;
+			while (palette.length <= tc) palette.push([0, 0, 0, 255]);
+			palette[tc] = [...palette[tc].slice(0, 3), 0];
+			if (hasMask) {
+				// Pixels hidden by the mask become the transparent colour.
+				const paddedWidth = planeBytes * 8;
+				for (let y = 0; y < height; y++) {
+					for (let x = 0; x < width; x++) {
+						if (!mask[y * paddedWidth + x]) pixels[y * width + x] = tc;
+					}
+				}
+			}
+		}
+
+		return new Image({
+			width,
+			height,
+			frames: [
+				new Frame({
+					pixels,
+				}),
+			],
+			palette,
+			tags,
+		});
+	}
+
+	static write(image, options = {}) {
+		if (image.frames.length !== 1) {
+			throw new Error(`Can only write one frame to this format.`);
+		}
+
+		const frame = image.frames[0];
+		const width = (frame.width === undefined) ? image.width : frame.width;
+		const height = (frame.height === undefined) ? image.height : frame.height;
+
+		const form = (options.form || 'ILBM').toUpperCase();
+		if ((form !== 'ILBM') && (form !== 'PBM')) {
+			throw new Error(`Unknown IFF form "${options.form}".`);
+		}
+		const isPBM = (form === 'PBM');
+		const compression = (options.compression === 'none') ? Compression.None : Compression.ByteRun1;
+
+		let maxPixel = 0;
+		for (const c of frame.pixels) {
+			if (c > maxPixel) maxPixel = c;
+		}
+		let planes = 8;
+		if (!isPBM) {
+			planes = 1;
+			while ((1 << planes) <= maxPixel) planes++;
+		}
+		debug(`Writing ${form} with ${planes} planes (max pixel value is ${maxPixel})`);
+
+		const pal = frame.palette || image.palette || defaultPalette(8);
+		const palCount = 1 << planes;
+
+		// Use the first fully transparent palette entry as the transparent colour.
+		let transparentColour = -1;
+		for (let i = 0; i < Math.min(palCount, pal.length); i++) {
+			if (pal[i] && (pal[i][3] === 0)) {
+				transparentColour = i;
+				break;
+			}
+		}
+
+		const planeBytes = isPBM ? (width + (width & 1)) : (Math.ceil(width / 16) * 2);
+		const rowBytes = planeBytes * (isPBM ? 1 : planes);
+
+		let data;
+		if (isPBM) {
+			data = new Uint8Array(rowBytes * height);
+			for (let y = 0; y < height; y++) {
+				data.set(frame.pixels.subarray(y * width, (y + 1) * width), y * rowBytes);
+			}
+		} else {
+			const paddedWidth = planeBytes * 8;
+			let padded = new Uint8Array(paddedWidth * height);
+			for (let y = 0; y < height; y++) {
+				padded.set(
+					frame.pixels.subarray(y * width, (y + 1) * width),
+					y * paddedWidth
+				);
+			}
+			let planeValues = [];
+			for (let p = 0; p < planes; p++) planeValues.push(1 << p);
+			data = toPlanar({
+				content: padded,
+				planeCount: planes,
+				planeWidth: paddedWidth,
+				lineWidth: paddedWidth,
+				planeValues,
+				byteOrderMSB: true,
+			});
+		}
+
+		if (compression === Compression.ByteRun1) {
+			data = encodeByteRun1(data, planeBytes);
+		}
+
+		let chunks = [];
+
+		let bmhd = new RecordBuffer(20);
+		bmhd.writeRecord(recordTypes.bmhd, {
+			width,
+			height,
+			x: 0,
+			y: 0,
+			planes,
+			masking: (transparentColour >= 0) ? Masking.HasTransparentColour : Masking.None,
+			compression,
+			pad1: 0,
+			transparentColour: Math.max(0, transparentColour),
+			xAspect: 1,
+			yAspect: 1,
+			pageWidth: width,
+			pageHeight: height,
+		});
+		chunks.push({ type: 'BMHD', data: bmhd.getU8() });
+
+		let cmap = new Uint8Array(palCount * 3);
+		for (let i = 0; i < palCount; i++) {
+			const c = pal[i] || [0, 0, 0];
+			cmap[i * 3 + 0] = c[0];
+			cmap[i * 3 + 1] = c[1];
+			cmap[i * 3 + 2] = c[2];
+		}
+		chunks.push({ type: 'CMAP', data: cmap });
+
+		for (const r of image.tags.crng || []) {
+			let cb = new RecordBuffer(8);
+			cb.writeRecord(recordTypes.crng, {
+				pad1: 0,
+				rate: r.rate || 0,
+				flags: (r.active ? CRNG_ACTIVE : 0) | (r.reverse ? CRNG_REVERSE : 0),
+				low: r.low,
+				high: r.high,
+			});
+			chunks.push({ type: 'CRNG', data: cb.getU8() });
+		}
+
+		for (const r of image.tags.ccrt || []) {
+			let cb = new RecordBuffer(14);
+			cb.writeRecord(recordTypes.ccrt, {
+				direction: r.direction || 0,
+				low: r.low,
+				high: r.high,
+				seconds: r.seconds || 0,
+				microseconds: r.microseconds || 0,
+				pad: 0,
+			});
+			chunks.push({ type: 'CCRT', data: cb.getU8() });
+		}
+
+		chunks.push({ type: 'BODY', data });
+
+		let formLength = 4;
+		for (const c of chunks) {
+			formLength += 8 + c.data.length + (c.data.length & 1);
+		}
+
+		let buffer = new RecordBuffer(8 + formLength);
+		buffer.writeRecord(recordTypes.chunkHeader, {
+			type: 'FORM',
+			length: formLength,
+		});
+		buffer.write(RecordType.string.fixed.noTerm(4), isPBM ? 'PBM ' : 'ILBM');
+		for (const c of chunks) {
+			buffer.writeRecord(recordTypes.chunkHeader, {
+				type: c.type,
+				length: c.data.length,
+			});
+			buffer.put(c.data);
+			if (c.data.length & 1) buffer.write(RecordType.int.u8, 0);
+		}
+
+		return {
+			content: {
+				main: buffer.getU8(),
+			},
+			warnings: [],
+		};
+	}
+}
@@ -0,0 +1,463 @@
+/*
+ * ZSoft PC Paintbrush .pcx image.
+ *
+ * All header versions (0 to 5) are supported, with 1 to 8 bits per pixel
+ * stored either packed (one plane of 1, 2, 4 or 8 bits per pixel) or planar
+ * (e.g. four planes of one bit each for EGA images).  Files may be RLE
+ * compressed or uncompressed, and 256-colour images have their palette
+ * appended after the pixel data, following a 0x0C byte.
+ *
+ * Copyright (C) 2010-2022 Adam Nielsen <malvineous@shikadi.net>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+const FORMAT_ID = 'img-pcx';
+
+import Debug from '../util/debug.js';
+const debug = Debug.extend(FORMAT_ID);
+
+import { RecordBuffer, RecordType } from '@camoto/record-io-buffer';
+import ImageHandler from '../interface/imageHandler.js';
+import Image from '../interface/image.js';
+import Frame from '../interface/frame.js';
+import Palette from '../interface/palette.js';
+import { fromPacked, toPacked } from '../util/frame-linear_packed.js';
+import { fromPlanar, toPlanar } from '../util/frame-planar.js';
+import { defaultPalette } from '../util/palette-default.js';
+
+const recordTypes = {
+	header: {
+		manufacturer: RecordType.int.u8,
+		version: RecordType.int.u8,
+		encoding: RecordType.int.u8,
+		bitsPerPixel: RecordType.int.u8,
+		xMin: RecordType.int.u16le,
+		yMin: RecordType.int.u16le,
+		xMax: RecordType.int.u16le,
+		yMax: RecordType.int.u16le,
+		hDpi: RecordType.int.u16le,
+		vDpi: RecordType.int.u16le,
+	},
+	// Follows the 48-byte EGA palette.
+	headerEnd: {
+		reserved: RecordType.int.u8,
+		planes: RecordType.int.u8,
+		bytesPerLine: RecordType.int.u16le,
+		paletteInfo: RecordType.int.u16le,
+		hScreenSize: RecordType.int.u16le,
+		vScreenSize: RecordType.int.u16le,
+	},
+};
+
+const HEADER_LEN = 128;
+const VGA_PALETTE_LEN = 1 + 256 * 3;
+const VGA_PALETTE_MARKER = 0x0C;
+
+const Version = {
+	V25: 0, // PC Paintbrush 2.5, fixed EGA palette
+	V28Palette: 2, // 2.8 with palette
+	V28NoPalette: 3, // 2.8, default palette
+	Windows: 4, // PC Paintbrush for Windows, no palette
+	V30: 5, // 3.0 and later, VGA palette may follow the image
+};
+
+/**
+ * Decompress RLE data.
+ *
+ * Bytes with the top two bits set are a repeat count in the lower six bits,
+ * and the following byte is the value to repeat.  All other bytes are copied
+ * as-is.
+ */
+function decodeRLE(content, length)
+{
+	let out = new Uint8Array(length);
+	let inPos = 0, outPos = 0;
+	while ((outPos < length) && (inPos < content.length)) {
+		const b = content[inPos++];
+		if ((b & 0xC0) === 0xC0) {
+			const count = b & 0x3F;
+			const value = content[inPos++];
+			for (let i = 0; (i < count) && (outPos < length); i++) {
+				out[outPos++] = value;
+			}
+		} else {
+			out[outPos++] = b;
+		}
+	}
+	if (outPos < length) {
+		debug(`RLE data ran out after ${outPos} of ${length} bytes`);
+	}
+	return {
+		data: out,
+		length: inPos,
+	};
+}
+
+/**
+ * Compress data with RLE.
+ *
+ * Runs are not allowed to continue from one scanline to the next, so each
+ * scanline (including all its planes) is compressed separately.
+ */
+function encodeRLE(content, lineLength)
+{
+	let out = [];
+	for (let line = 0; line < content.length; line += lineLength) {
+		const end = line + lineLength;
+		let i = line;
+		while (i < end) {
+			const value = content[i];
+			let count = 1;
+			while ((i + count < end) && (count < 0x3F) && (content[i + count] === value)) {
+				count++;
+			}
+			if ((count > 1) || ((value & 0xC0) === 0xC0)) {
+				out.push(0xC0 | count, value);
+			} else {
+				out.push(value);
+			}
+			i += count;
+		}
+	}
+	return Uint8Array.from(out);
+}
+
+export class img_pcx extends ImageHandler
+{
+	static metadata() {
+		let md = {
+			...super.metadata(),
+			id: FORMAT_ID,
+			title: 'PC Paintbrush Image',
+			options: {
+				layout: 'How to store images with 16 colours or less when writing: '
+					+ '"planar" (default) for separate bit planes as used by EGA, or '
+					+ '"packed" for multiple pixels per byte as used by CGA',
+				version: 'Header version number to write, 0 to 5 (default 5).  '
+					+ '256-colour images require version 5',
+			},
+			glob: [
+				'*.pcx',
+			],
+		};
+
+		md.limits.minimumSize.x = 1;
+		md.limits.minimumSize.y = 1;
+		md.limits.maximumSize.x = undefined;
+		md.limits.maximumSize.y = undefined;
+		md.limits.depth = 8;
+		md.limits.hasPalette = true;
+		md.limits.paletteDepth = 8;
+
+		return md;
+	}
+
+	static identify(content) {
+		if (content.length < HEADER_LEN) {
+			return {
+				valid: false,
+				reason: `File too short.`,
+			};
+		}
+
+		let buffer = new RecordBuffer(content);
+		const header = buffer.readRecord(recordTypes.header);
+		if (header.manufacturer !== 0x0A) {
+			return {
+				valid: false,
+				reason: `Invalid signature.`,
+			};
+		}
+
+		if (!Object.values(Version).includes(header.version)) {
+			return {
+				valid: false,
+				reason: `Unknown version ${header.version}.`,
+			};
+		}
+
+		if (header.encoding > 1) {
+			return {
+				valid: false,
+				reason: `Unknown encoding ${header.encoding}.`,
+			};
+		}
+
+		if (![1, 2, 4, 8].includes(header.bitsPerPixel)) {
+			return {
+				valid: false,
+				reason: `Invalid bits per pixel ${header.bitsPerPixel}.`,
+			};
+		}
+
+		if ((header.xMax < header.xMin) || (header.yMax < header.yMin)) {
+			return {
+				valid: false,
+				reason: `Invalid image dimensions.`,
+			};
+		}
+
+		return {
+			valid: true,
+			reason: `Valid signature.`,
+		};
+	}
+
+	static read(content) {
+		let buffer = new RecordBuffer(content.main);
+		const header = buffer.readRecord(recordTypes.header);
+		let egaPalette = new Palette(16);
+		for (let i = 0; i < 16; i++) {
+			const r = buffer.read(RecordType.int.u8);
+			const g = buffer.read(RecordType.int.u8);
+			const b = buffer.read(RecordType.int.u8);
+			egaPalette[i] = [r, g, b, 255];
+		}
+		const headerEnd = buffer.readRecord(recordTypes.headerEnd);
+
+		const width = header.xMax - header.xMin + 1;
+		const height = header.yMax - header.yMin + 1;
+		const bpp = header.bitsPerPixel;
+		const planes = headerEnd.planes;
+		const bytesPerLine = headerEnd.bytesPerLine;
+		const depth = bpp * planes;
+		debug(`${width}x${height}, version ${header.version}, ${planes} plane(s) `
+			+ `@ ${bpp}bpp, ${bytesPerLine} bytes per line`);
+
+		if ((planes > 1) && (bpp !== 1)) {
+			throw new Error(`Unsupported layout of ${planes} planes at ${bpp} bits `
+				+ `per pixel.  Only one plane, or multiple 1-bit planes, are supported.`);
+		}
+		if (depth > 8) {
+			throw new Error(`Unsupported colour depth of ${depth} bits.`);
+		}
+
+		const lineLength = bytesPerLine * planes;
+		let data = buffer.getU8(HEADER_LEN);
+		let dataLength = lineLength * height;
+		if (header.encoding === 1) {
+			const result = decodeRLE(data, dataLength);
+			data = result.data;
+			dataLength = result.length;
+		} else {
+			data = data.slice(0, dataLength);
+		}
+
+		let pixels;
+		if (planes === 1) {
+			pixels = fromPacked({
+				content: data,
+				width,
+				height,
+				bitDepth: bpp,
+				widthBits: bytesPerLine * 8,
+				byteOrderMSB: true,
+			});
+		} else {
+			// Each plane of each row is padded to `bytesPerLine`, so decode the
+			// full padded width and crop it afterwards.
+			const paddedWidth = bytesPerLine * 8;
+			let planeValues = [];
+			for (let p = 0; p < planes; p++) planeValues.push(1 << p);
+			const padded = fromPlanar({
+				content: data,
+				planeCount: planes,
+				planeWidth: paddedWidth,
+				lineWidth: paddedWidth,
+				planeValues,
+				byteOrderMSB: true,
+			});
+			pixels = new Uint8Array(width * height);
+			for (let y = 0; y < height; y++) {
+				pixels.set(
+					padded.subarray(y * paddedWidth, y * paddedWidth + width),
+					y * width
+				);
+			}
+		}
+
+		let palette;
+		if (depth === 8) {
+			// The VGA palette is at the end of the file.  Older versions didn't have
+			// this, so fall back to the default VGA palette if it's missing.
+			const palOffset = content.main.length - VGA_PALETTE_LEN;
+			if (
+				(palOffset >= HEADER_LEN + dataLength)
+				&& (content.main[palOffset] === VGA_PALETTE_MARKER)
+			) {
+				palette = new Palette(256);
+				for (let i = 0; i < 256; i++) {
+					const p = palOffset + 1 + i * 3;
+					palette[i] = [
+						content.main[p],
+						content.main[p + 1],
+						content.main[p + 2],
+						255,
+					];
+				}
+			} else {
+				debug('No VGA palette found, using default');
+				palette = defaultPalette(8);
+			}
+		} else if (
+			(header.version === Version.V25)
+			|| (header.version === Version.V28NoPalette)
+		) {
+			// These versions have no palette so the hardware default is used.
+			palette = defaultPalette(4).slice(0, 1 << depth);
+		} else {
+			palette = egaPalette.slice(0, 1 << depth);
+		}
+
+		return new Image({
+			width,
+			height,
+			frames: [
+				new Frame({
+					pixels,
+				}),
+			],
+			palette,
+		});
+	}
+
+	static write(image, options = {}) {
+		if (image.frames.length !== 1) {
+			throw new Error(`Can only write one frame to this format.`);
+		}
+
+		const frame = image.frames[0];
+		const width = (frame.width === undefined) ? image.width : frame.width;
+		const height = (frame.height === undefined) ? image.height : frame.height;
+
+		const version = (options.version === undefined) ? Version.V30 : parseInt(options.version);
+		if (!Object.values(Version).includes(version)) {
+			throw new Error(`Unknown PCX version ${options.version}.`);
+		}
+		const packed = (options.layout === 'packed');
+
+		let maxPixel = 0;
+		for (const c of frame.pixels) {
+			if (c > maxPixel) maxPixel = c;
+		}
+
+		let bpp, planes;
+		if (maxPixel >= 16) {
+			bpp = 8;
+			planes = 1;
+		} else if (maxPixel < 2) {
+			bpp = 1;
+			planes = 1;
+		} else if (packed) {
+			bpp = (maxPixel < 4) ? 2 : 4;
+			planes = 1;
+		} else {
+			bpp = 1;
+			planes = 4;
+		}
+		const depth = bpp * planes;
+		debug(`Writing ${planes} plane(s) @ ${bpp}bpp (max pixel value is ${maxPixel})`);
+
+		let warnings = [];
+		if ((depth === 8) && (version !== Version.V30)) {
+			warnings.push(`256-colour images require version 5, but version `
+				+ `${version} was requested.  The palette may not be loaded correctly.`);
+		}
+
+		// Each plane in each row must be an even number of bytes.
+		const bytesPerLine = Math.ceil(width * bpp / 16) * 2;
+
+		let data;
+		if (planes === 1) {
+			data = toPacked({
+				content: frame.pixels,
+				width,
+				height,
+				bitDepth: bpp,
+				widthBits: bytesPerLine * 8,
+				byteOrderMSB: true,
+			});
+		} else {
+			const paddedWidth = bytesPerLine * 8;
+			let padded = new Uint8Array(paddedWidth * height);
+			for (let y = 0; y < height; y++) {
+				padded.set(
+					frame.pixels.subarray(y * width, (y + 1) * width),
+					y * paddedWidth
+				);
+			}
+			let planeValues = [];
+			for (let p = 0; p < planes; p++) planeValues.push(1 << p);
+			data = toPlanar({
+				content: padded,
+				planeCount: planes,
+				planeWidth: paddedWidth,
+				lineWidth: paddedWidth,
+				planeValues,
+				byteOrderMSB: true,
+			});
+		}
+		const rle = encodeRLE(data, bytesPerLine * planes);
+
+		const pal = frame.palette || image.palette || defaultPalette(depth > 4 ? 8 : 4);
+
+		let buffer = new RecordBuffer(HEADER_LEN + rle.length + VGA_PALETTE_LEN);
+		buffer.writeRecord(recordTypes.header, {
+			manufacturer: 0x0A,
+			version,
+			encoding: 1,
+			bitsPerPixel: bpp,
+			xMin: 0,
+			yMin: 0,
+			xMax: width - 1,
+			yMax: height - 1,
+			hDpi: 75,
+			vDpi: 75,
+		});
+		for (let i = 0; i < 16; i++) {
+			const c = pal[i] || [0, 0, 0];
+			buffer.write(RecordType.int.u8, c[0]);
+			buffer.write(RecordType.int.u8, c[1]);
+			buffer.write(RecordType.int.u8, c[2]);
+		}
+		buffer.writeRecord(recordTypes.headerEnd, {
+			reserved: 0,
+			planes,
+			bytesPerLine,
+			paletteInfo: 1, // colour
+			hScreenSize: 0,
+			vScreenSize: 0,
+		});
+		buffer.put(new Uint8Array(HEADER_LEN - buffer.getPos()));
+		buffer.put(rle);
+
+		if (depth === 8) {
+			buffer.write(RecordType.int.u8, VGA_PALETTE_MARKER);
+			for (let i = 0; i < 256; i++) {
+				const c = pal[i] || [0, 0, 0];
+				buffer.write(RecordType.int.u8, c[0]);
+				buffer.write(RecordType.int.u8, c[1]);
+				buffer.write(RecordType.int.u8, c[2]);
+			}
+		}
+
+		return {
+			content: {
+				main: buffer.getU8(),
+			},
+			warnings,
+		};
+	}
+}
@@ -1,6 +1,41 @@
 /*
  * Standard .png image.
  *
+ * Multiple frames are stored in one of two ways.  If the image has an
+ * animation sequence, it is written as an animated .png (APNG) with one APNG
+ * frame per entry in `Image.animation`.  Otherwise the frames are laid out in
+ * a grid as a sprite sheet, so they can be edited in any image editor.
+ *
+ * In both cases a private `cmFr` chunk is included, describing the size and
+ * hotspot of each frame (plus the position of each frame within the sprite
+ * sheet), which allows the original frames to be restored when the image is
+ * read back in.  The chunk is laid out as follows, with all values big endian:
+ *
+ *   UINT8      version (1)
+ *   UINT32     frameCount
+ *   frameCount times:
+ *     UINT32   x, y: position of the frame within the sprite sheet
+ *     UINT32   width, height
+ *     INT32    hotspotX, hotspotY
+ *     UINT32   offsetX, offsetY
+ *   UINT32     animationCount
+ *   animationCount times:
+ *     UINT32   frame index shown by each APNG frame
+ *
+ * Everything else is stored in text chunks (tEXt, zTXt or iTXt depending on
+ * the length and characters in the value), using these keywords:
+ *
+ *   gamegfx:hotspotX      Image.hotspotX, as a decimal number
+ *   gamegfx:hotspotY      Image.hotspotY, as a decimal number
+ *   gamegfx:tag:<name>    Image.tags[name], as JSON, for values that are not
+ *                         strings (such as the numbers used by tls-ccomic-map)
+ *   <name>                Image.tags[name], for string values
+ *
+ * The standard keywords (Title, Author, etc.) are kept in lowercase tags of the
+ * same name, to match the `author` and `comment` tags used by the other
+ * formats.  Any other text chunks, such as those written by image editors, are
+ * read into `Image.tags` as strings.
+ *
  * Copyright (C) 2010-2021 Adam Nielsen <malvineous@shikadi.net>
  *
  * This program is free software: you can redistribute it and/or modify
@@ -22,13 +57,510 @@ const FORMAT_ID = 'img-png';
 import Debug from '../util/debug.js';
 const debug = Debug.extend(FORMAT_ID);
 
+import zlib from 'zlib';
 import { PNG } from '@camoto/pngjs';
+import { RecordBuffer, RecordType } from '@camoto/record-io-buffer';
 
 import ImageHandler from '../interface/imageHandler.js';
 import Image from '../interface/image.js';
-import Frame from '../interface/frame.js';
+import Frame, { PixelFormat } from '../interface/frame.js';
 import Palette from '../interface/palette.js';
 import { defaultPalette } from '../util/palette-default.js';
+import { DitherMethod } from '../util/frame-dither.js';
+import { imageFromTruecolour } from '../util/frame-truecolour.js';
+import {
+	frameFromTileset,
+	tilesetLayout,
+} from '../util/frame-from_tileset.js';
+
+const PNG_SIGNATURE = [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A];
+
+// Version number written into our cmFr chunk.
+const CMFR_VERSION = 1;
+
+// Prefix for text chunk keywords holding our own metadata.
+const KEYWORD_PREFIX = 'gamegfx:';
+
+// Standard text chunk keywords, and the tag each one is kept in.
+const standardKeywords = {
+	Title: 'title',
+	Author: 'author',
+	Description: 'description',
+	Copyright: 'copyright',
+	Comment: 'comment',
+};
+
+// Text longer than this is compressed.
+const TEXT_COMPRESS_LIMIT = 1024;
+
+// Names of the PNG colour types, for error messages.
+const colourTypeNames = {
+	0: 'greyscale',
+	2: 'RGB',
+	3: 'indexed',
+	4: 'greyscale+alpha',
+	6: 'RGBA',
+};
+
+const recordTypes = {
+	chunkHeader: {
+		length: RecordType.int.u32be,
+		type: RecordType.string.fixed.noTerm(4),
+	},
+
+	// APNG animation control chunk.
+	acTL: {
+		numFrames: RecordType.int.u32be,
+		numPlays: RecordType.int.u32be,
+	},
+
+	// APNG frame control chunk.
+	fcTL: {
+		sequence: RecordType.int.u32be,
+		width: RecordType.int.u32be,
+		height: RecordType.int.u32be,
+		offsetX: RecordType.int.u32be,
+		offsetY: RecordType.int.u32be,
+		delayNum: RecordType.int.u16be,
+		delayDen: RecordType.int.u16be,
+		disposeOp: RecordType.int.u8,
+		blendOp: RecordType.int.u8,
+	},
+
+	cmFrHeader: {
+		version: RecordType.int.u8,
+		frameCount: RecordType.int.u32be,
+	},
+
+	cmFrFrame: {
+		x: RecordType.int.u32be,
+		y: RecordType.int.u32be,
+		width: RecordType.int.u32be,
+		height: RecordType.int.u32be,
+		hotspotX: RecordType.int.s32be,
+		hotspotY: RecordType.int.s32be,
+		offsetX: RecordType.int.u32be,
+		offsetY: RecordType.int.u32be,
+	},
+};
+
+let crcTable = null;
+
+function crc32(data)
+{
+	if (!crcTable) {
+		crcTable = new Uint32Array(256);
+		for (let n = 0; n < 256; n++) {
+			let c = n;
+			for (let k = 0; k < 8; k++) {
+				c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+			}
+			crcTable[n] = c >>> 0;
+		}
+	}
+	let crc = 0xFFFFFFFF;
+	for (let i = 0; i < data.length; i++) {
+		crc = crcTable[(crc ^ data[i]) & 0xFF] ^ (crc >>> 8);
+	}
+	return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Split a .png file up into its chunks.
+ *
+ * @return Array of `{type, data}` objects.  The CRC is not checked, as pngjs
+ *   will do that when the image data is decoded.
+ */
+function readChunks(content)
+{
+	let buffer = new RecordBuffer(content);
+	buffer.seekAbs(PNG_SIGNATURE.length);
+
+	let chunks = [];
+	while (buffer.distFromEnd() >= 12) {
+		const header = buffer.readRecord(recordTypes.chunkHeader);
+		if (header.length + 4 > buffer.distFromEnd()) {
+			throw new Error(`Chunk "${header.type}" runs past the end of the file.`);
+		}
+		chunks.push({
+			type: header.type,
+			data: buffer.get(header.length),
+		});
+		buffer.seekRel(4); // CRC
+		if (header.type === 'IEND') break;
+	}
+
+	return chunks;
+}
+
+/**
+ * Join chunks back together into a .png file, calculating each CRC.
+ */
+function writeChunks(chunks)
+{
+	const len = chunks.reduce((a, c) => a + c.data.length + 12, PNG_SIGNATURE.length);
+	let buffer = new RecordBuffer(len);
+	buffer.put(PNG_SIGNATURE);
+	for (const chunk of chunks) {
+		buffer.write(RecordType.int.u32be, chunk.data.length);
+		const start = buffer.getPos();
+		buffer.write(recordTypes.chunkHeader.type, chunk.type);
+		buffer.put(chunk.data);
+		const crc = crc32(buffer.getU8(start, chunk.data.length + 4));
+		buffer.write(RecordType.int.u32be, crc);
+	}
+	return buffer.getU8();
+}
+
+/**
+ * Convert a record into a chunk's data.
+ */
+function recordData(rec, obj)
+{
+	let buffer = new RecordBuffer(64);
+	buffer.writeRecord(rec, obj);
+	return buffer.getU8();
+}
+
+/**
+ * Decode the image in a .png file.
+ *
+ * @return `{ frame, palette, typeName }`.  If the image is greyscale or
+ *   indexed, `frame` will be an indexed frame using `palette`.  Otherwise
+ *   `frame` will be truecolour and `palette` will be `undefined`.
+ */
+function decodeFrame(buffer)
+{
+	let png = PNG.sync.read(buffer, { keepIndexed: true });
+	const typeName = colourTypeNames[png.colorType] || `type ${png.colorType}`;
+
+	if (png.colorType === 3) {
+		let palette = new Palette(png.palette.length);
+		for (let i = 0; i < palette.length; i++) {
+			// This will include alpha from the tRNS palette transparency block.
+			palette[i] = png.palette[i];
+		}
+		return {
+			frame: new Frame({
+				width: png.width,
+				height: png.height,
+				pixels: png.data,
+			}),
+			palette,
+			typeName,
+		};
+	}
+
+	if ((png.colorType === 0) && (png.depth <= 8)) {
+		// Plain greyscale images can be treated as indexed ones, with a palette
+		// containing each grey level.
+		const levels = 1 << png.depth;
+		let palette = new Palette(levels);
+		for (let i = 0; i < levels; i++) {
+			const v = Math.round(i * 255 / (levels - 1));
+			palette[i] = [v, v, v, 255];
+		}
+		if (png.transColor) {
+			// tRNS chunk marks one grey level as transparent.
+			palette[png.transColor[0]][3] = 0;
+		}
+		return {
+			frame: new Frame({
+				width: png.width,
+				height: png.height,
+				pixels: png.data,
+			}),
+			palette,
+			typeName,
+		};
+	}
+
+	// Everything else is read as RGBA (with any tRNS colour converted to
+	// alpha, and 16-bit channels reduced to 8-bit) to be converted to indexed
+	// later.
+	png = PNG.sync.read(buffer);
+	return {
+		frame: new Frame({
+			width: png.width,
+			height: png.height,
+			pixels: new Uint8Array(png.data),
+			pixelFormat: PixelFormat.RGBA,
+		}),
+		palette: undefined,
+		typeName,
+	};
+}
+
+/**
+ * Build a standalone .png file from one APNG frame, so pngjs can decode it.
+ */
+function apngFramePNG(chunks, fcTL, data)
+{
+	let ihdr = new Uint8Array(chunks.find(c => c.type === 'IHDR').data);
+	let dv = new DataView(ihdr.buffer);
+	dv.setUint32(0, fcTL.width);
+	dv.setUint32(4, fcTL.height);
+
+	let frameChunks = [
+		{ type: 'IHDR', data: ihdr },
+	];
+	for (const c of chunks) {
+		if (['PLTE', 'tRNS'].includes(c.type)) frameChunks.push(c);
+	}
+	frameChunks.push({ type: 'IDAT', data });
+	frameChunks.push({ type: 'IEND', data: new Uint8Array(0) });
+
+	return Buffer.from(writeChunks(frameChunks));
+}
+
+/**
+ * Read the frame list from a cmFr chunk.
+ */
+function readFrameInfo(data)
+{
+	let buffer = new RecordBuffer(data);
+	const header = buffer.readRecord(recordTypes.cmFrHeader);
+	if (header.version !== CMFR_VERSION) {
+		debug(`Unsupported cmFr version ${header.version}, ignoring`);
+		return null;
+	}
+	let frames = [];
+	for (let f = 0; f < header.frameCount; f++) {
+		frames.push(buffer.readRecord(recordTypes.cmFrFrame));
+	}
+	const animCount = buffer.read(RecordType.int.u32be);
+	let animation = [];
+	for (let a = 0; a < animCount; a++) {
+		animation.push(buffer.read(RecordType.int.u32be));
+	}
+	return { frames, animation };
+}
+
+/**
+ * Produce a cmFr chunk.
+ */
+function writeFrameInfo(frames, animation)
+{
+	let buffer = new RecordBuffer(5 + frames.length * 32 + 4 + animation.length * 4);
+	buffer.writeRecord(recordTypes.cmFrHeader, {
+		version: CMFR_VERSION,
+		frameCount: frames.length,
+	});
+	for (const f of frames) {
+		buffer.writeRecord(recordTypes.cmFrFrame, f);
+	}
+	buffer.write(RecordType.int.u32be, animation.length);
+	for (const a of animation) {
+		buffer.write(RecordType.int.u32be, a);
+	}
+	return {
+		type: 'cmFr',
+		data: buffer.getU8(),
+	};
+}
+
+/**
+ * Decode a tEXt, zTXt or iTXt chunk.
+ *
+ * @return `{ keyword, text }`.
+ */
+function readTextChunk(chunk)
+{
+	const data = Buffer.from(chunk.data);
+	const endKeyword = data.indexOf(0);
+	if (endKeyword < 0) {
+		throw new Error(`${chunk.type} chunk is missing the keyword terminator.`);
+	}
+	const keyword = data.toString('latin1', 0, endKeyword);
+
+	let text;
+	switch (chunk.type) {
+		case 'tEXt':
+			text = data.toString('latin1', endKeyword + 1);
+			break;
+
+		case 'zTXt':
+			// Skip the compression method byte, zlib is the only one defined.
+			text = zlib.inflateSync(data.subarray(endKeyword + 2)).toString('latin1');
+			break;
+
+		case 'iTXt': {
+			const compressed = data[endKeyword + 1];
+			// Skip the compression method, language tag and translated keyword.
+			const endLang = data.indexOf(0, endKeyword + 3);
+			const endTrans = data.indexOf(0, endLang + 1);
+			let value = data.subarray(endTrans + 1);
+			if (compressed) value = zlib.inflateSync(value);
+			text = value.toString('utf8');
+			break;
+		}
+	}
+
+	return { keyword, text };
+}
+
+/**
+ * Produce a text chunk, picking the type based on the content.
+ *
+ * Latin-1 text goes in a tEXt chunk, or zTXt if it's long.  Anything else goes
+ * in an iTXt chunk as UTF-8.
+ */
+function writeTextChunk(keyword, text)
+{
+	const bufKeyword = Buffer.from(keyword + '\0', 'latin1');
+	const isLatin1 = ![...text].some(c => c.charCodeAt(0) > 0xFF);
+	const compress = text.length > TEXT_COMPRESS_LIMIT;
+
+	let type, data;
+	if (isLatin1) {
+		let value = Buffer.from(text, 'latin1');
+		if (compress) {
+			type = 'zTXt';
+			data = Buffer.concat([bufKeyword, Buffer.from([0]), zlib.deflateSync(value)]);
+		} else {
+			type = 'tEXt';
+			data = Buffer.concat([bufKeyword, value]);
+		}
+	} else {
+		type = 'iTXt';
+		let value = Buffer.from(text, 'utf8');
+		if (compress) value = zlib.deflateSync(value);
+		data = Buffer.concat([
+			bufKeyword,
+			// Compression flag and method, then empty language tag and translated
+			// keyword.
+			Buffer.from([compress ? 1 : 0, 0, 0, 0]),
+			value,
+		]);
+	}
+
+	return {
+		type,
+		data: new Uint8Array(data),
+	};
+}
+
+/**
+ * Check whether a string can be used as a text chunk keyword.
+ */
+function isValidKeyword(keyword)
+{
+	return (keyword.length >= 1)
+		&& (keyword.length <= 79)
+		&& !/[^\u0020-\u007E\u00A1-\u00FF]/.test(keyword)
+		&& !/^ | $| {2}/.test(keyword);
+}
+
+/**
+ * Copy the metadata from any text chunks into the image.
+ */
+function readTextChunks(chunks, image)
+{
+	for (const chunk of chunks) {
+		if (!['tEXt', 'zTXt', 'iTXt'].includes(chunk.type)) continue;
+		const { keyword, text } = readTextChunk(chunk);
+
+		if (!keyword.startsWith(KEYWORD_PREFIX)) {
+			// Text from some other program, e.g. "Title" or "Author".
+			image.tags[standardKeywords[keyword] || keyword] = text;
+			continue;
+		}
+
+		const key = keyword.substr(KEYWORD_PREFIX.length);
+		if (key.startsWith('tag:')) {
+			try {
+				image.tags[key.substr(4)] = JSON.parse(text);
+			} catch (e) {
+				debug(`Unable to parse value of ${keyword}: ${e.message}`);
+			}
+		} else if ((key === 'hotspotX') || (key === 'hotspotY')) {
+			image[key] = parseInt(text, 10) || undefined;
+		} else {
+			debug(`Ignoring unknown keyword ${keyword}`);
+		}
+	}
+}
+
+/**
+ * Produce text chunks for the image tags and hotspot.
+ */
+function writeTextChunks(image, warnings)
+{
+	let chunks = [];
+	for (const key of ['hotspotX', 'hotspotY']) {
+		if (image[key]) {
+			chunks.push(writeTextChunk(KEYWORD_PREFIX + key, image[key].toString()));
+		}
+	}
+
+	for (const [name, value] of Object.entries(image.tags)) {
+		if (value === undefined) continue;
+
+		// Plain strings are written as-is so other programs can show them, but
+		// anything else is stored as JSON so the type is kept.
+		let keyword, text;
+		if ((typeof value === 'string') && !name.startsWith(KEYWORD_PREFIX)) {
+			keyword = Object.keys(standardKeywords).find(k => standardKeywords[k] === name)
+				|| name;
+			text = value;
+		} else {
+			keyword = KEYWORD_PREFIX + 'tag:' + name;
+			text = JSON.stringify(value);
+		}
+
+		if (!isValidKeyword(keyword)) {
+			warnings.push(`The tag "${name}" could not be saved, as its name cannot `
+				+ `be used as a .png text keyword.`);
+			continue;
+		}
+		chunks.push(writeTextChunk(keyword, text));
+	}
+
+	return chunks;
+}
+
+/**
+ * Copy a rectangle out of a frame.
+ */
+function cropFrame(src, x, y, width, height)
+{
+	let pixels = new Uint8Array(width * height);
+	for (let row = 0; row < height; row++) {
+		const offSrc = (y + row) * src.width + x;
+		pixels.set(src.pixels.subarray(offSrc, offSrc + width), row * width);
+	}
+	return new Frame({
+		width,
+		height,
+		pixels,
+	});
+}
+
+/**
+ * Encode indexed pixels as a .png file with pngjs.
+ */
+function encodePNG(pixels, width, height, depth, palette)
+{
+	let png = new PNG();
+	png.width = width;
+	png.height = height;
+	png.data = pixels;
+	png.depth = depth;
+	if (palette) {
+		// We could chop the palette down in size to the last colour actually used,
+		// but often it's nice to have the whole palette exported in a 256 colour
+		// image even if it doesn't use all 256 colours, so we'll leave it.
+		png.palette = palette.slice(0, 1 << depth);
+	} else {
+		debug('Using default palette');
+		png.palette = defaultPalette(depth);
+	}
+
+	return PNG.sync.write(png, {
+		inputColorType: 3, // we are passing in indexed data
+		colorType: 3, // we want an indexed .png
+	});
+}
 
 export class img_png extends ImageHandler
 {
@@ -37,6 +569,11 @@ export class img_png extends ImageHandler
 			...super.metadata(),
 			id: FORMAT_ID,
 			title: 'Portable Network Graphic',
+			options: {
+				quantise: 'When reading an image with more than 256 colours, reduce it '
+					+ 'to 256 using this dither method (' + Object.values(DitherMethod).join(', ')
+					+ ') instead of failing',
+			},
 			glob: [
 				'*.png',
 			],
@@ -46,10 +583,20 @@ export class img_png extends ImageHandler
 		md.limits.minimumSize.y = 1;
 		md.limits.maximumSize.x = undefined,
 		md.limits.maximumSize.y = undefined,
+		md.limits.sizePerFrame = true;
 		md.limits.depth = 8;
 		md.limits.hasPalette = true;
 		md.limits.paletteDepth = 8;
 		md.limits.transparentIndex = undefined;
+		md.limits.frameCount.max = undefined;
+		md.limits.tags = {
+			title: 'Short title or caption (Title keyword)',
+			author: 'Name of the image creator (Author keyword)',
+			description: 'Description of the image (Description keyword)',
+			copyright: 'Copyright notice (Copyright keyword)',
+			comment: 'Miscellaneous comment (Comment keyword)',
+			'*': 'Any other tag, such as those from game-specific formats',
+		};
 
 		return md;
 	}
@@ -73,83 +620,362 @@ export class img_png extends ImageHandler
 		};
 	}
 
-	static read(content) {
-		let png = PNG.sync.read(Buffer.from(content.main), { keepIndexed: true });
+	static read(content, options = {}) {
+		const buffer = Buffer.from(content.main);
+		const chunks = readChunks(content.main);
 
-		let palette = undefined;
-		if (png.palette) {
-			palette = new Palette(png.palette.length);
-			for (let i = 0; i < palette.length; i++) {
-				// This will include alpha from the tRNS palette transparency block.
-				palette[i] = png.palette[i];
-			}
+		const main = decodeFrame(buffer);
+
+		const chunkFrameInfo = chunks.find(c => c.type === 'cmFr');
+		const frameInfo = chunkFrameInfo && readFrameInfo(chunkFrameInfo.data);
+
+		let image;
+		if (chunks.some(c => c.type === 'acTL')) {
+			image = this.readAPNG(chunks, main, frameInfo);
 		} else {
-			palette = defaultPalette(png.depth);
+			image = new Image({
+				width: main.frame.width,
+				height: main.frame.height,
+				frames: [
+					new Frame({
+						pixels: main.frame.pixels,
+						pixelFormat: main.frame.pixelFormat,
+					}),
+				],
+				palette: main.palette,
+			});
 		}
 
-		return new Image({
-			width: png.width,
-			height: png.height,
-			frames: [
-				new Frame({
-					pixels: png.data,
-				}),
-			],
-			palette,
+		if (!main.palette) {
+			debug(`Converting ${main.typeName} image to indexed`);
+			image = imageFromTruecolour(image, options);
+		}
+
+		readTextChunks(chunks, image);
+
+		if (frameInfo && !image.animation.length) {
+			// Split the sprite sheet back up into separate frames.
+			const sheet = new Frame({
+				width: image.width,
+				height: image.height,
+				pixels: image.frames[0].pixels,
+			});
+			image.frames = frameInfo.frames.map(fi => {
+				let frame = cropFrame(sheet, fi.x, fi.y, fi.width, fi.height);
+				frame.hotspotX = fi.hotspotX || undefined;
+				frame.hotspotY = fi.hotspotY || undefined;
+				frame.offsetX = fi.offsetX;
+				frame.offsetY = fi.offsetY;
+				return frame;
+			});
+			if (image.frames.length) {
+				image.width = image.frames[0].width;
+				image.height = image.frames[0].height;
+			}
+		}
+
+		return image;
+	}
+
+	/**
+	 * Read the frames from an animated .png.
+	 */
+	static readAPNG(chunks, main, frameInfo) {
+		let apngFrames = [];
+		let current = null;
+		let seenIDAT = false;
+		for (const c of chunks) {
+			switch (c.type) {
+				case 'fcTL': {
+					const rb = new RecordBuffer(c.data);
+					current = {
+						fcTL: rb.readRecord(recordTypes.fcTL),
+						data: [],
+						isDefault: false,
+					};
+					apngFrames.push(current);
+					break;
+				}
+				case 'IDAT':
+					if (current && !seenIDAT) {
+						// An fcTL before the IDAT means the default image is also the first
+						// animation frame.
+						current.isDefault = true;
+					}
+					seenIDAT = true;
+					break;
+				case 'fdAT':
+					if (!current) {
+						throw new Error('Found fdAT chunk before any fcTL chunk.');
+					}
+					// Skip over the sequence number.
+					current.data.push(c.data.subarray(4));
+					break;
+			}
+		}
+
+		let frames = [];
+		for (const af of apngFrames) {
+			let frame;
+			if (af.isDefault) {
+				frame = main.frame;
+			} else {
+				const len = af.data.reduce((a, d) => a + d.length, 0);
+				let data = new Uint8Array(len), pos = 0;
+				for (const d of af.data) {
+					data.set(d, pos);
+					pos += d.length;
+				}
+				frame = decodeFrame(apngFramePNG(chunks, af.fcTL, data)).frame;
+			}
+			frame.offsetX = af.fcTL.offsetX;
+			frame.offsetY = af.fcTL.offsetY;
+			frames.push(frame);
+		}
+
+		const animation = apngFrames.map((af, k) => {
+			// A denominator of zero is treated as 100 by the APNG spec.
+			const den = af.fcTL.delayDen || 100;
+			return {
+				index: k,
+				postDelay: Math.round(af.fcTL.delayNum * 1000 / den),
+			};
 		});
+
+		let image = new Image({
+			width: main.frame.width,
+			height: main.frame.height,
+			frames,
+			palette: main.palette,
+			animation,
+		});
+
+		if (frameInfo && (frameInfo.animation.length === apngFrames.length)) {
+			// Undo any duplication of frames used more than once in the animation.
+			image.frames = frameInfo.frames.map((fi, f) => {
+				const k = frameInfo.animation.indexOf(f);
+				let frame;
+				if (k < 0) {
+					debug(`Frame ${f} is not used in the animation, leaving blank`);
+					frame = new Frame({
+						width: fi.width,
+						height: fi.height,
+						pixelFormat: frames[0].pixelFormat,
+					});
+				} else {
+					frame = frames[k];
+				}
+				frame.hotspotX = fi.hotspotX || undefined;
+				frame.hotspotY = fi.hotspotY || undefined;
+				frame.offsetX = fi.offsetX;
+				frame.offsetY = fi.offsetY;
+				return frame;
+			});
+			for (let k = 0; k < animation.length; k++) {
+				animation[k].index = frameInfo.animation[k];
+			}
+		}
+
+		return image;
 	}
 
 	static write(image)
 	{
-		if (image.frames.length !== 1) {
-			throw new Error(`Can only write one frame to this format.`);
+		if (image.frames.length === 0) {
+			throw new Error(`Cannot write an image with no frames.`);
 		}
 
-		const frame = image.frames[0];
-		const frameWidth = (frame.width === undefined) ? image.width : frame.width;
-		const frameHeight = (frame.height === undefined) ? image.height : frame.height;
+		let warnings = [];
 
-		let png = new PNG();
-		png.width = frameWidth;
-		png.height = frameHeight;
-		png.data = image.frames[0].pixels;
+		const pal = (image.frames.length === 1)
+			? (image.frames[0].palette || image.palette)
+			: image.palette;
+		if ((image.frames.length > 1) && image.frames.some(f => f.palette)) {
+			warnings.push(`This format does not support a separate palette for each `
+				+ `frame.  Only the main image palette has been saved.`);
+		}
 
 		let maxPixel = 0;
-		for (const c of image.frames[0].pixels) {
-			if (c > maxPixel) maxPixel = c;
+		for (const frame of image.frames) {
+			for (const c of frame.pixels) {
+				if (c > maxPixel) maxPixel = c;
+			}
 		}
+		let depth;
 		if (maxPixel >= 16) {
-			png.depth = 8;
+			depth = 8;
 		} else if (maxPixel >= 4) {
-			png.depth = 4;
+			depth = 4;
 		} else if (maxPixel >= 2) {
-			png.depth = 2;
+			depth = 2;
 		} else {
-			png.depth = 1;
+			depth = 1;
 		}
-		debug(`Writing as ${png.depth}-bit (max pixel value is ${maxPixel})`);
+		debug(`Writing as ${depth}-bit (max pixel value is ${maxPixel})`);
+
+		// Details of each frame, for the cmFr chunk.
+		const frameInfo = image.frames.map(frame => ({
+			x: 0,
+			y: 0,
+			width: (frame.width === undefined) ? image.width : frame.width,
+			height: (frame.height === undefined) ? image.height : frame.height,
+			hotspotX: frame.hotspotX || 0,
+			hotspotY: frame.hotspotY || 0,
+			offsetX: frame.offsetX || 0,
+			offsetY: frame.offsetY || 0,
+		}));
+
+		let chunks;
+		if (image.animation.length) {
+			chunks = this.writeAPNG(image, frameInfo, depth, pal, warnings);
+
+		} else if (image.frames.length > 1) {
+			// Lay the frames out in a grid, as close to square as possible.
+			const columns = Math.ceil(Math.sqrt(image.frames.length));
+			const layout = tilesetLayout(image, columns);
+			for (let f = 0; f < layout.length; f++) {
+				frameInfo[f].x = layout[f].offsetX;
+				frameInfo[f].y = layout[f].offsetY;
+			}
+			const sheet = frameFromTileset(image, columns, 0);
+			debug(`Writing ${image.frames.length} frames as a ${sheet.width}x${sheet.height} sprite sheet`);
+
+			chunks = readChunks(encodePNG(sheet.pixels, sheet.width, sheet.height, depth, pal));
+			chunks.splice(chunks.length - 1, 0, writeFrameInfo(frameInfo, []));
 
-		const pal = image.frames[0].palette || image.palette;
-		if (pal) {
-			// We could chop the palette down in size to the last colour actually used,
-			// but often it's nice to have the whole palette exported in a 256 colour
-			// image even if it doesn't use all 256 colours, so we'll leave it.
-			png.palette = pal.slice(0, 1 << png.depth);
 		} else {
-			debug('Using default palette');
-			png.palette = defaultPalette(png.depth);
+			const fi = frameInfo[0];
+			chunks = readChunks(encodePNG(image.frames[0].pixels, fi.width, fi.height, depth, pal));
+			if (fi.hotspotX || fi.hotspotY || fi.offsetX || fi.offsetY) {
+				chunks.splice(chunks.length - 1, 0, writeFrameInfo(frameInfo, []));
+			}
 		}
 
-		let buffer = PNG.sync.write(png, {
-			inputColorType: 3, // we are passing in indexed data
-			colorType: 3, // we want an indexed .png
-		});
+		// Add the text chunks just before IEND.
+		chunks.splice(chunks.length - 1, 0, ...writeTextChunks(image, warnings));
 
 		return {
 			content: {
-				main: new Uint8Array(buffer),
+				main: writeChunks(chunks),
 			},
-			warnings: [],
+			warnings,
+		};
+	}
+
+	/**
+	 * Write the frames as an animated .png, in the order given by
+	 * `image.animation`.
+	 */
+	static writeAPNG(image, frameInfo, depth, pal, warnings) {
+		let canvasWidth = image.width, canvasHeight = image.height;
+		for (const fi of frameInfo) {
+			canvasWidth = Math.max(canvasWidth, fi.offsetX + fi.width);
+			canvasHeight = Math.max(canvasHeight, fi.offsetY + fi.height);
+		}
+
+		const animFrames = image.animation.map((a, k) => {
+			if (!image.frames[a.index]) {
+				throw new Error(`Animation entry ${k} refers to frame ${a.index}, `
+					+ `which does not exist.`);
+			}
+			return a.index;
+		});
+		for (let f = 0; f < image.frames.length; f++) {
+			if (!animFrames.includes(f)) {
+				warnings.push(`Frame ${f} is not part of the animation, so it has not `
+					+ `been saved.`);
+			}
+		}
+
+		let sequence = 0;
+		const fcTL = k => {
+			const fi = frameInfo[animFrames[k]];
+			let delayNum = image.animation[k].postDelay || 0;
+			let delayDen = 1000;
+			if (delayNum > 0xFFFF) {
+				// Too long to store in milliseconds, use hundredths instead.
+				delayNum = Math.min(0xFFFF, Math.round(delayNum / 10));
+				delayDen = 100;
+			}
+			return {
+				type: 'fcTL',
+				data: recordData(recordTypes.fcTL, {
+					sequence: sequence++,
+					width: fi.width,
+					height: fi.height,
+					offsetX: fi.offsetX,
+					offsetY: fi.offsetY,
+					delayNum,
+					delayDen,
+					disposeOp: 0, // APNG_DISPOSE_OP_NONE
+					blendOp: 0, // APNG_BLEND_OP_SOURCE
+				}),
+			};
 		};
+
+		// The default image shown by viewers that don't support APNG.  If the
+		// first frame covers the whole canvas, it doubles as the first animation
+		// frame.
+		const firstFrame = image.frames[animFrames[0]];
+		const first = frameInfo[animFrames[0]];
+		const firstIsDefault = (first.offsetX === 0) && (first.offsetY === 0)
+			&& (first.width === canvasWidth) && (first.height === canvasHeight);
+		let defaultPixels;
+		if (firstIsDefault) {
+			defaultPixels = firstFrame.pixels;
+		} else {
+			let bg = pal ? pal.findIndex(c => c && (c[3] === 0)) : 0;
+			if (bg < 0) bg = 0;
+			defaultPixels = new Uint8Array(canvasWidth * canvasHeight).fill(bg);
+			for (let y = 0; y < first.height; y++) {
+				const offSrc = y * first.width;
+				defaultPixels.set(
+					firstFrame.pixels.slice(offSrc, offSrc + first.width),
+					(first.offsetY + y) * canvasWidth + first.offsetX
+				);
+			}
+		}
+
+		let chunks = readChunks(encodePNG(defaultPixels, canvasWidth, canvasHeight, depth, pal));
+
+		let preIDAT = [
+			{
+				type: 'acTL',
+				data: recordData(recordTypes.acTL, {
+					numFrames: animFrames.length,
+					numPlays: 0, // loop forever
+				}),
+			},
+			writeFrameInfo(frameInfo, animFrames),
+		];
+		let firstAnimFrame = 0;
+		if (firstIsDefault) {
+			preIDAT.push(fcTL(0));
+			firstAnimFrame = 1;
+		}
+
+		let postIDAT = [];
+		for (let k = firstAnimFrame; k < animFrames.length; k++) {
+			const frame = image.frames[animFrames[k]];
+			const fi = frameInfo[animFrames[k]];
+			postIDAT.push(fcTL(k));
+
+			// Encode the frame as a separate .png and use its compressed data.
+			const frameChunks = readChunks(encodePNG(frame.pixels, fi.width, fi.height, depth, pal));
+			const idat = frameChunks.filter(c => c.type === 'IDAT');
+			let buffer = new RecordBuffer(4 + idat.reduce((a, c) => a + c.data.length, 0));
+			buffer.write(RecordType.int.u32be, sequence++);
+			for (const c of idat) buffer.put(c.data);
+			postIDAT.push({
+				type: 'fdAT',
+				data: buffer.getU8(),
+			});
+		}
+
+		const firstIDAT = chunks.findIndex(c => c.type === 'IDAT');
+		chunks.splice(firstIDAT, 0, ...preIDAT);
+		chunks.splice(chunks.length - 1, 0, ...postIDAT);
+
+		return chunks;
 	}
 }
@@ -0,0 +1,209 @@
+/*
+ * Raw Tandy 16-colour and Hercules monochrome screen dump handlers.
+ *
+ * These are copies of 32 kB of video memory, with the rows interleaved across
+ * four 8 kB banks.  By default row 0 is in the first bank, row 1 in the
+ * second, and so on, which can be changed with the `bankOrder` option.
+ *
+ * The Tandy 1000 and IBM PCjr 320x200 16-colour mode has 160 bytes per row,
+ * with two pixels per byte (the left pixel in the upper four bits).
+ *
+ * The Hercules 720x348 graphics mode has 90 bytes per row at one bit per
+ * pixel.  Only the first page of video memory is included.
+ *
+ * Copyright (C) 2010-2022 Adam Nielsen <malvineous@shikadi.net>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import ImageHandler from '../interface/imageHandler.js';
+import Image from '../interface/image.js';
+import Frame from '../interface/frame.js';
+import {
+	bankOrderOption,
+	fromBanked,
+	toBanked,
+} from '../util/frame-banked.js';
+import { fromPacked, toPacked } from '../util/frame-linear_packed.js';
+import { paletteCGA16, paletteMono } from '../util/palette-default.js';
+
+const BANK_COUNT = 4;
+const BANK_LEN = 0x2000;
+const SCREEN_LEN = BANK_LEN * BANK_COUNT;
+
+class Image_Raw_Banked_Common extends ImageHandler
+{
+	static metadata() {
+		const { width, height, bitDepth } = this.screen();
+
+		let md = {
+			...super.metadata(),
+			options: {
+				bankOrder: 'Bank holding each group of four rows, as a comma-separated '
+					+ 'list (default "0,1,2,3")',
+			},
+		};
+
+		md.limits.minimumSize.x = width;
+		md.limits.minimumSize.y = height;
+		md.limits.maximumSize.x = width;
+		md.limits.maximumSize.y = height;
+		md.limits.depth = bitDepth;
+		md.limits.hasPalette = false;
+
+		return md;
+	}
+
+	static rowBytes() {
+		const { width, bitDepth } = this.screen();
+		return width * bitDepth / 8;
+	}
+
+	static identify(content) {
+		// Smallest dump that includes every visible row, without the unused bytes
+		// at the end of the last bank.
+		const minLen = BANK_LEN * (BANK_COUNT - 1)
+			+ this.rowBytes() * this.screen().height / BANK_COUNT;
+
+		if ((content.length < minLen) || (content.length > SCREEN_LEN)) {
+			return {
+				valid: false,
+				reason: `File length ${content.length} is not between `
+					+ `${minLen} and ${SCREEN_LEN}.`,
+			};
+		}
+
+		// Tandy and Hercules dumps are the same size, so we can't be sure.
+		return {
+			valid: undefined,
+			reason: `Correct file size, but no header to check.`,
+		};
+	}
+
+	static read(content, options = {}) {
+		const { width, height, bitDepth } = this.screen();
+		const rowBytes = this.rowBytes();
+
+		const rows = fromBanked({
+			content: content.main,
+			rowBytes,
+			height,
+			bankLen: BANK_LEN,
+			bankOrder: bankOrderOption(options.bankOrder, BANK_COUNT),
+		});
+
+		return new Image({
+			width,
+			height,
+			frames: [
+				new Frame({
+					pixels: fromPacked({
+						content: rows,
+						width,
+						height,
+						bitDepth,
+						widthBits: rowBytes * 8,
+						byteOrderMSB: true,
+					}),
+				}),
+			],
+			palette: this.palette(),
+		});
+	}
+
+	static write(image, options = {}) {
+		if (image.frames.length !== 1) {
+			throw new Error(`Can only write one frame to this format.`);
+		}
+
+		const { width, height, bitDepth } = this.screen();
+		const rowBytes = this.rowBytes();
+
+		const frame = image.frames[0];
+		const frameWidth = (frame.width === undefined) ? image.width : frame.width;
+		const frameHeight = (frame.height === undefined) ? image.height : frame.height;
+		if ((frameWidth !== width) || (frameHeight !== height)) {
+			throw new Error(`Images must be ${width}x${height}, but `
+				+ `this image is ${frameWidth}x${frameHeight}.`);
+		}
+
+		const rows = toPacked({
+			content: frame.pixels,
+			width,
+			height,
+			bitDepth,
+			widthBits: rowBytes * 8,
+			byteOrderMSB: true,
+		});
+
+		return {
+			content: {
+				main: toBanked({
+					content: rows,
+					rowBytes,
+					height,
+					bankLen: BANK_LEN,
+					bankOrder: bankOrderOption(options.bankOrder, BANK_COUNT),
+				}),
+			},
+			warnings: [],
+		};
+	}
+}
+
+export class img_raw_tandy extends Image_Raw_Banked_Common
+{
+	static metadata() {
+		return {
+			...super.metadata(),
+			id: 'img-raw-tandy',
+			title: 'Raw Tandy 16-colour screen dump',
+		};
+	}
+
+	static screen() {
+		return {
+			width: 320,
+			height: 200,
+			bitDepth: 4,
+		};
+	}
+
+	static palette() {
+		return paletteCGA16();
+	}
+}
+
+export class img_raw_hercules extends Image_Raw_Banked_Common
+{
+	static metadata() {
+		return {
+			...super.metadata(),
+			id: 'img-raw-hercules',
+			title: 'Raw Hercules monochrome screen dump',
+		};
+	}
+
+	static screen() {
+		return {
+			width: 720,
+			height: 348,
+			bitDepth: 1,
+		};
+	}
+
+	static palette() {
+		return paletteMono();
+	}
+}
@@ -0,0 +1,279 @@
+/*
+ * Raw CGA interlaced screen dump handler.
+ *
+ * This file format is fully documented on the ModdingWiki:
+ *   https://moddingwiki.shikadi.net/wiki/Raw_CGA_Data
+ *
+ * This is a copy of the 16 kB of CGA video memory.  The even scanlines are
+ * stored in the first 8 kB bank and the odd scanlines in the second, each
+ * row being 80 bytes long.  The same layout is used for the 320x200 4-colour
+ * mode (2bpp) and the 640x200 monochrome mode (1bpp), selected with the
+ * `mode` option.
+ *
+ * Some files start with the 7-byte header written by the BASIC `BSAVE`
+ * command, which is detected automatically when reading.
+ *
+ * Copyright (C) 2010-2022 Adam Nielsen <malvineous@shikadi.net>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+const FORMAT_ID = 'img-raw-cga';
+
+import Debug from '../util/debug.js';
+const debug = Debug.extend(FORMAT_ID);
+
+import { RecordBuffer, RecordType } from '@camoto/record-io-buffer';
+import ImageHandler from '../interface/imageHandler.js';
+import Image from '../interface/image.js';
+import Frame from '../interface/frame.js';
+import { fromBanked, toBanked } from '../util/frame-banked.js';
+import { fromPacked, toPacked } from '../util/frame-linear_packed.js';
+import {
+	CGAPaletteType,
+	paletteCGA4,
+	paletteMono,
+} from '../util/palette-default.js';
+import { optionFlag } from '../util/option.js';
+
+const recordTypes = {
+	bsave: {
+		signature: RecordType.int.u8,
+		segment: RecordType.int.u16le,
+		offset: RecordType.int.u16le,
+		length: RecordType.int.u16le,
+	},
+};
+
+const BSAVE_SIGNATURE = 0xFD;
+const BSAVE_HEADER_LEN = 7;
+
+// Segment address of CGA video memory, written into BSAVE headers.
+const CGA_SEGMENT = 0xB800;
+
+const SCREEN_HEIGHT = 200;
+const ROW_BYTES = 80;
+
+// Offset of the odd scanlines, and the size of a full dump.
+const BANK_LEN = 0x2000;
+const SCREEN_LEN = BANK_LEN * 2;
+
+// Even rows are in the first bank and odd rows in the second.
+const BANK_ORDER = [0, 1];
+
+// Smallest dump that includes every visible row, without the unused bytes at
+// the end of the second bank.
+const MIN_SCREEN_LEN = BANK_LEN + ROW_BYTES * SCREEN_HEIGHT / 2;
+
+// Details for each value of the `mode` option.
+const modes = {
+	'2bpp': {
+		width: 320,
+		bitDepth: 2,
+	},
+	'1bpp': {
+		width: 640,
+		bitDepth: 1,
+	},
+};
+
+const DEFAULT_PALETTE = 'CyanMagentaBright';
+
+/**
+ * Return the length of the BSAVE header at the start of the data, or 0 if
+ * there isn't one.
+ */
+function bsaveHeaderLength(content)
+{
+	if (content.length < BSAVE_HEADER_LEN) return 0;
+
+	let buffer = new RecordBuffer(content);
+	const header = buffer.readRecord(recordTypes.bsave);
+	if (header.signature !== BSAVE_SIGNATURE) return 0;
+	if (header.segment !== CGA_SEGMENT) return 0;
+
+	return BSAVE_HEADER_LEN;
+}
+
+export class img_raw_cga extends ImageHandler
+{
+	static metadata() {
+		let md = {
+			...super.metadata(),
+			id: FORMAT_ID,
+			title: 'Raw CGA interlaced screen dump',
+			options: {
+				mode: 'Video mode: "2bpp" (default when reading) for 320x200 in '
+					+ 'four colours or "1bpp" for 640x200 monochrome.  When writing, '
+					+ 'defaults to the mode matching the image width',
+				palette: 'CGA palette to use when reading 4-colour images, one of '
+					+ `the names in CGAPaletteType (default "${DEFAULT_PALETTE}")`,
+				background: 'Background colour to use when reading 4-colour images, '
+					+ '0 to 15 (default 0)',
+				bsave: 'Write a BSAVE header: "true" or "false" (default)',
+			},
+			glob: [
+				'*.pic',
+				'*.cga',
+			],
+		};
+
+		md.limits.minimumSize.x = modes['2bpp'].width;
+		md.limits.minimumSize.y = SCREEN_HEIGHT;
+		// write() checks the width matches the mode.
+		md.limits.maximumSize.x = modes['1bpp'].width;
+		md.limits.maximumSize.y = SCREEN_HEIGHT;
+		md.limits.depth = 2;
+		md.limits.hasPalette = false;
+
+		return md;
+	}
+
+	static identify(content) {
+		const lenHeader = bsaveHeaderLength(content);
+		const lenData = content.length - lenHeader;
+
+		// Allow an extra byte for the EOF character some programs append.
+		const maxLen = SCREEN_LEN + 1;
+		if ((lenData < MIN_SCREEN_LEN) || (lenData > maxLen)) {
+			return {
+				valid: false,
+				reason: `Data length ${lenData} is not between ${MIN_SCREEN_LEN} and `
+					+ `${maxLen}.`,
+			};
+		}
+
+		if (lenHeader) {
+			return {
+				valid: true,
+				reason: `BSAVE header for CGA video memory.`,
+			};
+		}
+
+		return {
+			valid: undefined,
+			reason: `Data length is within range, but there is no header to check.`,
+		};
+	}
+
+	static read(content, options = {}) {
+		const modeName = options.mode || '2bpp';
+		const mode = modes[modeName];
+		if (!mode) {
+			throw new Error(`Unknown CGA mode "${modeName}".`);
+		}
+
+		const lenHeader = bsaveHeaderLength(content.main);
+		if (lenHeader) {
+			debug('Skipping BSAVE header');
+		}
+		const data = content.main.subarray(lenHeader);
+
+		const rows = fromBanked({
+			content: data,
+			rowBytes: ROW_BYTES,
+			height: SCREEN_HEIGHT,
+			bankLen: BANK_LEN,
+			bankOrder: BANK_ORDER,
+		});
+
+		let palette;
+		if (mode.bitDepth === 1) {
+			palette = paletteMono();
+		} else {
+			const paletteName = options.palette || DEFAULT_PALETTE;
+			if (CGAPaletteType[paletteName] === undefined) {
+				throw new Error(`Unknown CGA palette "${paletteName}".`);
+			}
+			palette = paletteCGA4(
+				CGAPaletteType[paletteName],
+				parseInt(options.background || 0)
+			);
+		}
+
+		return new Image({
+			width: mode.width,
+			height: SCREEN_HEIGHT,
+			frames: [
+				new Frame({
+					pixels: fromPacked({
+						content: rows,
+						width: mode.width,
+						height: SCREEN_HEIGHT,
+						bitDepth: mode.bitDepth,
+						widthBits: ROW_BYTES * 8,
+						byteOrderMSB: true,
+					}),
+				}),
+			],
+			palette,
+		});
+	}
+
+	static write(image, options = {}) {
+		if (image.frames.length !== 1) {
+			throw new Error(`Can only write one frame to this format.`);
+		}
+
+		const frame = image.frames[0];
+		const frameWidth = (frame.width === undefined) ? image.width : frame.width;
+		const frameHeight = (frame.height === undefined) ? image.height : frame.height;
+
+		const modeName = options.mode
+			|| Object.keys(modes).find(m => modes[m].width === frameWidth);
+		const mode = modes[modeName];
+		if (!mode) {
+			throw new Error(`Unknown CGA mode "${options.mode}".`);
+		}
+		if ((frameWidth !== mode.width) || (frameHeight !== SCREEN_HEIGHT)) {
+			throw new Error(`Images in ${modeName} mode must be ${mode.width}x`
+				+ `${SCREEN_HEIGHT}, but this image is ${frameWidth}x${frameHeight}.`);
+		}
+
+		const rows = toPacked({
+			content: frame.pixels,
+			width: mode.width,
+			height: SCREEN_HEIGHT,
+			bitDepth: mode.bitDepth,
+			widthBits: ROW_BYTES * 8,
+			byteOrderMSB: true,
+		});
+
+		const lenHeader = optionFlag(options.bsave) ? BSAVE_HEADER_LEN : 0;
+		let buffer = new RecordBuffer(lenHeader + SCREEN_LEN);
+		if (lenHeader) {
+			buffer.writeRecord(recordTypes.bsave, {
+				signature: BSAVE_SIGNATURE,
+				segment: CGA_SEGMENT,
+				offset: 0,
+				length: SCREEN_LEN,
+			});
+		}
+
+		buffer.put(toBanked({
+			content: rows,
+			rowBytes: ROW_BYTES,
+			height: SCREEN_HEIGHT,
+			bankLen: BANK_LEN,
+			bankOrder: BANK_ORDER,
+		}));
+
+		return {
+			content: {
+				main: buffer.getU8(),
+			},
+			warnings: [],
+		};
+	}
+}
@@ -0,0 +1,122 @@
+/*
+ * 8bpp unchained VGA (Mode X) format handler.
+ *
+ * This is a dump of unchained VGA memory, with the four byte planes stored one
+ * after the other.  The first plane holds pixels 0, 4, 8, etc. of each row,
+ * the second plane pixels 1, 5, 9, etc., and so on.
+ *
+ * Copyright (C) 2010-2022 Adam Nielsen <malvineous@shikadi.net>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+const FORMAT_ID = 'img-raw-modex';
+
+import ImageHandler from '../interface/imageHandler.js';
+import Image from '../interface/image.js';
+import Frame from '../interface/frame.js';
+import { fromModeX, toModeX } from '../util/frame-modex.js';
+
+const nullCo = (v, d) => ((v === null) || (v === undefined)) ? d : v;
+
+export class img_raw_modex extends ImageHandler
+{
+	static metadata() {
+		let md = {
+			...super.metadata(),
+			id: FORMAT_ID,
+			title: 'Raw 8bpp unchained (Mode X) image',
+			options: {
+				width: 'Image width, in pixels',
+				height: 'Image height, in pixels',
+			},
+		};
+
+		md.limits.minimumSize.x = 0;
+		md.limits.minimumSize.y = 0;
+		md.limits.maximumSize.x = undefined;
+		md.limits.maximumSize.y = undefined;
+		md.limits.multipleSize.x = 4;
+		md.limits.depth = 8;
+		md.limits.hasPalette = false;
+
+		return md;
+	}
+
+	static identify(content, filename, options = {}) {
+		const width = parseInt(nullCo(options.width, 320));
+		const height = parseInt(nullCo(options.height, 200));
+
+		const expSize = width * height;
+		if (content.length !== expSize) {
+			return {
+				valid: false,
+				reason: `File length ${content.length} is not ${expSize}.`,
+			};
+		}
+
+		// Linear 8bpp images are the same size, so we can't be sure.
+		return {
+			valid: undefined,
+			reason: `Correct file size, but no header to check.`,
+		};
+	}
+
+	static read(content, options = {}) {
+		const width = parseInt(nullCo(options.width, 320));
+		const height = parseInt(nullCo(options.height, 200));
+
+		if (width % 4) {
+			throw new Error(`The width option must be a multiple of 4, but it is ${width}.`);
+		}
+		return new Image({
+			width,
+			height,
+			frames: [
+				new Frame({
+					pixels: fromModeX({
+						content: content.main,
+						width,
+						height,
+					}),
+				}),
+			],
+		});
+	}
+
+	static write(image) {
+		if (image.frames.length !== 1) {
+			throw new Error(`Can only write one frame to this format.`);
+		}
+
+		const frame = image.frames[0];
+		const frameWidth = (frame.width === undefined) ? image.width : frame.width;
+		const frameHeight = (frame.height === undefined) ? image.height : frame.height;
+
+		if (frameWidth % 4) {
+			throw new Error(`BUG: Image width must be a multiple of 4 (limits.multipleSize ignored).`);
+		}
+
+		return {
+			content: {
+				main: toModeX({
+					content: frame.pixels,
+					width: frameWidth,
+					height: frameHeight,
+				}),
+			},
+			warnings: [],
+		};
+	}
+}
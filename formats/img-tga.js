@@ -0,0 +1,599 @@
+/*
+ * Truevision Targa .tga image.
+ *
+ * Colour-mapped (types 1 and 9) and truecolour (types 2 and 10) images are
+ * supported, with or without RLE compression.  Truecolour images are
+ * converted to indexed when read, so they can only have up to 256 colours
+ * unless the `quantise` option is used.
+ *
+ * The author name and comment from the TGA 2.0 extension area are available
+ * as the `author` and `comment` tags.  The comment is up to four lines of 80
+ * characters each, separated by "\n".
+ *
+ * Copyright (C) 2010-2022 Adam Nielsen <malvineous@shikadi.net>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+const FORMAT_ID = 'img-tga';
+
+import Debug from '../util/debug.js';
+const debug = Debug.extend(FORMAT_ID);
+
+import { RecordBuffer, RecordType } from '@camoto/record-io-buffer';
+import ImageHandler from '../interface/imageHandler.js';
+import Image from '../interface/image.js';
+import Frame, { PixelFormat } from '../interface/frame.js';
+import Palette from '../interface/palette.js';
+import { DitherMethod } from '../util/frame-dither.js';
+import {
+	frameToTruecolour,
+	imageFromTruecolour,
+} from '../util/frame-truecolour.js';
+import { defaultPalette } from '../util/palette-default.js';
+import { optionFlag } from '../util/option.js';
+
+const recordTypes = {
+	header: {
+		idLength: RecordType.int.u8,
+		colourMapType: RecordType.int.u8,
+		imageType: RecordType.int.u8,
+		colourMapFirst: RecordType.int.u16le,
+		colourMapLength: RecordType.int.u16le,
+		colourMapEntrySize: RecordType.int.u8,
+		xOrigin: RecordType.int.u16le,
+		yOrigin: RecordType.int.u16le,
+		width: RecordType.int.u16le,
+		height: RecordType.int.u16le,
+		pixelDepth: RecordType.int.u8,
+		descriptor: RecordType.int.u8,
+	},
+	footer: {
+		extensionOffset: RecordType.int.u32le,
+		developerOffset: RecordType.int.u32le,
+		signature: RecordType.string.fixed.noTerm(18),
+	},
+	// Only the start of the extension area, the remaining fields are zeroed
+	// when writing.
+	extension: {
+		size: RecordType.int.u16le,
+		author: RecordType.string.fixed.reqTerm(41),
+		comment1: RecordType.string.fixed.reqTerm(81),
+		comment2: RecordType.string.fixed.reqTerm(81),
+		comment3: RecordType.string.fixed.reqTerm(81),
+		comment4: RecordType.string.fixed.reqTerm(81),
+	},
+};
+
+const HEADER_LEN = 18;
+const FOOTER_LEN = 26;
+const FOOTER_SIGNATURE = 'TRUEVISION-XFILE.\u0000';
+const EXTENSION_LEN = 495;
+const COMMENT_LINES = 4;
+const COMMENT_LINE_LEN = 80;
+
+const ImageType = {
+	ColourMapped: 1,
+	Truecolour: 2,
+	ColourMappedRLE: 9,
+	TruecolourRLE: 10,
+};
+
+// Bits in the image descriptor.
+const DESC_ALPHA_BITS = 0x0F;
+const DESC_RIGHT_TO_LEFT = 0x10;
+const DESC_TOP_DOWN = 0x20;
+
+/**
+ * Read one colour value of the given bit depth.
+ *
+ * @return {Array} `[r, g, b, a]`.
+ */
+function readColour(data, offset, depth, hasAlpha)
+{
+	switch (depth) {
+		case 15:
+		case 16: {
+			const v = data[offset] | (data[offset + 1] << 8);
+			const c5 = n => (n << 3) | (n >> 2);
+			return [
+				c5((v >> 10) & 0x1F),
+				c5((v >> 5) & 0x1F),
+				c5(v & 0x1F),
+				(hasAlpha && (depth === 16) && !(v & 0x8000)) ? 0 : 255,
+			];
+		}
+		case 24:
+			return [data[offset + 2], data[offset + 1], data[offset], 255];
+		case 32:
+			return [
+				data[offset + 2],
+				data[offset + 1],
+				data[offset],
+				hasAlpha ? data[offset + 3] : 255,
+			];
+		default:
+			throw new Error(`Unsupported colour depth ${depth}.`);
+	}
+}
+
+/**
+ * Decode the pixel data into one entry of `bytesPerPixel` bytes per pixel.
+ */
+function decodeRLE(content, pixelCount, bytesPerPixel)
+{
+	let out = new Uint8Array(pixelCount * bytesPerPixel);
+	let inPos = 0, outPos = 0;
+	while ((outPos < out.length) && (inPos < content.length)) {
+		const packet = content[inPos++];
+		const count = (packet & 0x7F) + 1;
+		if (packet & 0x80) {
+			const value = content.subarray(inPos, inPos + bytesPerPixel);
+			inPos += bytesPerPixel;
+			for (let i = 0; (i < count) && (outPos < out.length); i++) {
+				out.set(value, outPos);
+				outPos += bytesPerPixel;
+			}
+		} else {
+			const len = Math.min(count * bytesPerPixel, out.length - outPos);
+			out.set(content.subarray(inPos, inPos + len), outPos);
+			inPos += count * bytesPerPixel;
+			outPos += len;
+		}
+	}
+	if (outPos < out.length) {
+		debug(`RLE data ran out after ${outPos} of ${out.length} bytes`);
+	}
+	return out;
+}
+
+/**
+ * Compress pixel data with RLE.  Packets do not cross from one row to the
+ * next, as recommended by the specification.
+ */
+function encodeRLE(content, width, bytesPerPixel)
+{
+	const rowLen = width * bytesPerPixel;
+	const same = (a, b) => {
+		for (let i = 0; i < bytesPerPixel; i++) {
+			if (content[a + i] !== content[b + i]) return false;
+		}
+		return true;
+	};
+
+	let out = [];
+	for (let row = 0; row < content.length; row += rowLen) {
+		const end = row + rowLen;
+		let i = row;
+		while (i < end) {
+			let run = 1;
+			while (
+				(i + run * bytesPerPixel < end)
+				&& (run < 128)
+				&& same(i, i + run * bytesPerPixel)
+			) run++;
+			if (run >= 2) {
+				out.push(0x80 | (run - 1), ...content.subarray(i, i + bytesPerPixel));
+				i += run * bytesPerPixel;
+				continue;
+			}
+			// Collect pixels until the next repeated one.
+			let j = i, count = 0;
+			while ((j < end) && (count < 128)) {
+				if ((j + bytesPerPixel < end) && same(j, j + bytesPerPixel)) break;
+				j += bytesPerPixel;
+				count++;
+			}
+			out.push(count - 1, ...content.subarray(i, j));
+			i = j;
+		}
+	}
+	return Uint8Array.from(out);
+}
+
+/**
+ * Reorder the pixels so the first row is the top one and the first pixel in
+ * each row is the left-most one.
+ */
+function reorientPixels(pixels, width, height, bytesPerPixel, rightToLeft, topDown)
+{
+	if (!rightToLeft && topDown) return pixels;
+
+	const rowLen = width * bytesPerPixel;
+	let out = new Uint8Array(pixels.length);
+	for (let y = 0; y < height; y++) {
+		const srcRow = y * rowLen;
+		const dstRow = (topDown ? y : (height - 1 - y)) * rowLen;
+		if (!rightToLeft) {
+			out.set(pixels.subarray(srcRow, srcRow + rowLen), dstRow);
+			continue;
+		}
+		for (let x = 0; x < width; x++) {
+			const src = srcRow + x * bytesPerPixel;
+			const dst = dstRow + (width - 1 - x) * bytesPerPixel;
+			out.set(pixels.subarray(src, src + bytesPerPixel), dst);
+		}
+	}
+	return out;
+}
+
+/**
+ * Read a boolean option, which may be a string if it came from the CLI.
+ */
+export class img_tga extends ImageHandler
+{
+	static metadata() {
+		let md = {
+			...super.metadata(),
+			id: FORMAT_ID,
+			title: 'Truevision Targa Image',
+			options: {
+				compression: 'Compression to use when writing: "none" (default) or '
+					+ '"rle"',
+				topDown: 'Write rows top-down if true, instead of the usual bottom-up',
+				truecolour: 'Write a truecolour image if true, instead of a '
+					+ 'colour-mapped one',
+				quantise: 'When reading an image with more than 256 colours, reduce it '
+					+ 'to 256 using this dither method (' + Object.values(DitherMethod).join(', ')
+					+ ') instead of failing',
+			},
+			glob: [
+				'*.tga',
+			],
+		};
+
+		md.limits.minimumSize.x = 1;
+		md.limits.minimumSize.y = 1;
+		md.limits.maximumSize.x = undefined;
+		md.limits.maximumSize.y = undefined;
+		md.limits.depth = 8;
+		md.limits.hasPalette = true;
+		md.limits.paletteDepth = 8;
+		md.limits.tags = {
+			author: 'Author name, up to 40 characters',
+			comment: 'Comment, up to four lines of 80 characters',
+		};
+
+		return md;
+	}
+
+	static identify(content) {
+		if (content.length < HEADER_LEN) {
+			return {
+				valid: false,
+				reason: `File too short.`,
+			};
+		}
+
+		let buffer = new RecordBuffer(content);
+		const header = buffer.readRecord(recordTypes.header);
+
+		if (!Object.values(ImageType).includes(header.imageType)) {
+			return {
+				valid: false,
+				reason: `Unsupported image type ${header.imageType}.`,
+			};
+		}
+
+		if (header.colourMapType > 1) {
+			return {
+				valid: false,
+				reason: `Invalid colour map type ${header.colourMapType}.`,
+			};
+		}
+
+		const isMapped = (
+			(header.imageType === ImageType.ColourMapped)
+			|| (header.imageType === ImageType.ColourMappedRLE)
+		);
+		if (isMapped) {
+			if (header.colourMapType !== 1) {
+				return {
+					valid: false,
+					reason: `Colour-mapped image has no colour map.`,
+				};
+			}
+			if (header.pixelDepth !== 8) {
+				return {
+					valid: false,
+					reason: `Unsupported colour-mapped depth ${header.pixelDepth}.`,
+				};
+			}
+		} else if (![15, 16, 24, 32].includes(header.pixelDepth)) {
+			return {
+				valid: false,
+				reason: `Invalid truecolour depth ${header.pixelDepth}.`,
+			};
+		}
+
+		if (
+			(header.colourMapType === 1)
+			&& ![15, 16, 24, 32].includes(header.colourMapEntrySize)
+		) {
+			return {
+				valid: false,
+				reason: `Invalid colour map entry size ${header.colourMapEntrySize}.`,
+			};
+		}
+
+		if ((header.width === 0) || (header.height === 0)) {
+			return {
+				valid: false,
+				reason: `Image has no pixels.`,
+			};
+		}
+
+		// Version 1 files have no signature, so only version 2 files can be
+		// positively identified.
+		if (content.length >= HEADER_LEN + FOOTER_LEN) {
+			buffer.seekAbs(content.length - FOOTER_LEN);
+			const footer = buffer.readRecord(recordTypes.footer);
+			if (footer.signature === FOOTER_SIGNATURE) {
+				return {
+					valid: true,
+					reason: `Valid TGA 2.0 signature.`,
+				};
+			}
+		}
+
+		return {
+			valid: undefined,
+			reason: `Valid header, but no TGA 2.0 signature.`,
+		};
+	}
+
+	static read(content, options = {}) {
+		let buffer = new RecordBuffer(content.main);
+		const header = buffer.readRecord(recordTypes.header);
+		const { width, height, pixelDepth } = header;
+		const hasAlpha = (header.descriptor & DESC_ALPHA_BITS) > 0;
+		debug(`${width}x${height}, type ${header.imageType}, ${pixelDepth}bpp, `
+			+ `descriptor 0x${header.descriptor.toString(16)}`);
+
+		if (!Object.values(ImageType).includes(header.imageType)) {
+			throw new Error(`Unsupported image type ${header.imageType}.`);
+		}
+		const isMapped = (
+			(header.imageType === ImageType.ColourMapped)
+			|| (header.imageType === ImageType.ColourMappedRLE)
+		);
+		const isRLE = (header.imageType >= ImageType.ColourMappedRLE);
+
+		buffer.seekRel(header.idLength);
+
+		let palette;
+		if (header.colourMapType === 1) {
+			const entryBytes = Math.ceil(header.colourMapEntrySize / 8);
+			const data = buffer.get(header.colourMapLength * entryBytes);
+			palette = new Palette(header.colourMapFirst + header.colourMapLength);
+			for (let i = 0; i < header.colourMapFirst; i++) {
+				palette[i] = [0, 0, 0, 255];
+			}
+			for (let i = 0; i < header.colourMapLength; i++) {
+				palette[header.colourMapFirst + i] = readColour(
+					data,
+					i * entryBytes,
+					header.colourMapEntrySize,
+					hasAlpha
+				);
+			}
+		}
+
+		if (isMapped && (pixelDepth !== 8)) {
+			throw new Error(`Unsupported colour-mapped depth ${pixelDepth}.`);
+		}
+
+		const bytesPerPixel = Math.ceil(pixelDepth / 8);
+		const pixelCount = width * height;
+		const remaining = buffer.getU8(buffer.getPos());
+		let data;
+		if (isRLE) {
+			data = decodeRLE(remaining, pixelCount, bytesPerPixel);
+		} else {
+			data = new Uint8Array(pixelCount * bytesPerPixel);
+			data.set(remaining.subarray(0, data.length));
+		}
+		data = reorientPixels(
+			data,
+			width,
+			height,
+			bytesPerPixel,
+			!!(header.descriptor & DESC_RIGHT_TO_LEFT),
+			!!(header.descriptor & DESC_TOP_DOWN)
+		);
+
+		let image;
+		if (isMapped) {
+			image = new Image({
+				width,
+				height,
+				frames: [
+					new Frame({
+						pixels: data,
+					}),
+				],
+				palette: palette || defaultPalette(8),
+			});
+		} else {
+			let pixels = new Uint8Array(pixelCount * 4);
+			for (let p = 0; p < pixelCount; p++) {
+				pixels.set(readColour(data, p * bytesPerPixel, pixelDepth, hasAlpha), p * 4);
+			}
+			image = imageFromTruecolour(
+				new Image({
+					width,
+					height,
+					frames: [
+						new Frame({
+							pixels,
+							pixelFormat: PixelFormat.RGBA,
+						}),
+					],
+				}),
+				options
+			);
+		}
+
+		// Read the TGA 2.0 extension area, if present.
+		if (content.main.length >= HEADER_LEN + FOOTER_LEN) {
+			buffer.seekAbs(content.main.length - FOOTER_LEN);
+			const footer = buffer.readRecord(recordTypes.footer);
+			if (
+				(footer.signature === FOOTER_SIGNATURE)
+				&& footer.extensionOffset
+				&& (footer.extensionOffset + EXTENSION_LEN <= content.main.length)
+			) {
+				buffer.seekAbs(footer.extensionOffset);
+				const ext = buffer.readRecord(recordTypes.extension);
+				if (ext.author) image.tags.author = ext.author;
+				let comment = [ext.comment1, ext.comment2, ext.comment3, ext.comment4];
+				while (comment.length && !comment[comment.length - 1]) comment.pop();
+				if (comment.length) image.tags.comment = comment.join('\n');
+			}
+		}
+
+		return image;
+	}
+
+	static write(image, options = {}) {
+		if (image.frames.length !== 1) {
+			throw new Error(`Can only write one frame to this format.`);
+		}
+
+		const frame = image.frames[0];
+		const width = (frame.width === undefined) ? image.width : frame.width;
+		const height = (frame.height === undefined) ? image.height : frame.height;
+		const pal = frame.palette || image.palette || defaultPalette(8);
+
+		const useRLE = (options.compression === 'rle');
+		const topDown = optionFlag(options.topDown);
+		const truecolour = optionFlag(options.truecolour);
+
+		let warnings = [];
+
+		// Only include the alpha channel if it's actually used.
+		const hasAlpha = pal.some(c => c && (c[3] !== undefined) && (c[3] < 255));
+
+		let header = {
+			idLength: 0,
+			colourMapType: 0,
+			imageType: 0,
+			colourMapFirst: 0,
+			colourMapLength: 0,
+			colourMapEntrySize: 0,
+			xOrigin: 0,
+			yOrigin: 0,
+			width,
+			height,
+			pixelDepth: 8,
+			descriptor: (hasAlpha ? 8 : 0) | (topDown ? DESC_TOP_DOWN : 0),
+		};
+
+		let colourMap = new Uint8Array(0);
+		let data;
+		if (truecolour) {
+			header.imageType = useRLE ? ImageType.TruecolourRLE : ImageType.Truecolour;
+			header.pixelDepth = hasAlpha ? 32 : 24;
+			const bytesPerPixel = header.pixelDepth / 8;
+			const rgba = frameToTruecolour(
+				new Frame({
+					width,
+					height,
+					pixels: frame.pixels,
+				}),
+				pal
+			).pixels;
+			data = new Uint8Array(width * height * bytesPerPixel);
+			for (let p = 0; p < width * height; p++) {
+				data[p * bytesPerPixel + 0] = rgba[p * 4 + 2];
+				data[p * bytesPerPixel + 1] = rgba[p * 4 + 1];
+				data[p * bytesPerPixel + 2] = rgba[p * 4 + 0];
+				if (hasAlpha) data[p * bytesPerPixel + 3] = rgba[p * 4 + 3];
+			}
+		} else {
+			header.imageType = useRLE ? ImageType.ColourMappedRLE : ImageType.ColourMapped;
+			header.colourMapType = 1;
+			header.colourMapLength = Math.min(pal.length, 256);
+			header.colourMapEntrySize = hasAlpha ? 32 : 24;
+			const entryBytes = header.colourMapEntrySize / 8;
+			colourMap = new Uint8Array(header.colourMapLength * entryBytes);
+			for (let i = 0; i < header.colourMapLength; i++) {
+				const c = pal[i] || [0, 0, 0, 255];
+				colourMap[i * entryBytes + 0] = c[2];
+				colourMap[i * entryBytes + 1] = c[1];
+				colourMap[i * entryBytes + 2] = c[0];
+				if (hasAlpha) {
+					colourMap[i * entryBytes + 3] = (c[3] === undefined) ? 255 : c[3];
+				}
+			}
+			data = Uint8Array.from(frame.pixels);
+		}
+
+		const bytesPerPixel = header.pixelDepth / 8;
+		data = reorientPixels(data, width, height, bytesPerPixel, false, topDown);
+		if (useRLE) {
+			data = encodeRLE(data, width, bytesPerPixel);
+		}
+
+		const hasExtension = (image.tags.author !== undefined)
+			|| (image.tags.comment !== undefined);
+		const lenImage = HEADER_LEN + colourMap.length + data.length;
+
+		let buffer = new RecordBuffer(
+			lenImage + (hasExtension ? EXTENSION_LEN : 0) + FOOTER_LEN
+		);
+		buffer.writeRecord(recordTypes.header, header);
+		buffer.put(colourMap);
+		buffer.put(data);
+
+		if (hasExtension) {
+			const author = image.tags.author || '';
+			if (author.length > 40) {
+				warnings.push(`The author name has been truncated to 40 characters.`);
+			}
+			let comment = (image.tags.comment || '').split('\n');
+			if (comment.length > COMMENT_LINES) {
+				warnings.push(`Only the first ${COMMENT_LINES} lines of the comment `
+					+ `could be written.`);
+			}
+			if (comment.some(line => line.length > COMMENT_LINE_LEN)) {
+				warnings.push(`Comment lines have been truncated to `
+					+ `${COMMENT_LINE_LEN} characters.`);
+			}
+			buffer.writeRecord(recordTypes.extension, {
+				size: EXTENSION_LEN,
+				author,
+				comment1: comment[0] || '',
+				comment2: comment[1] || '',
+				comment3: comment[2] || '',
+				comment4: comment[3] || '',
+			});
+			// The remaining fields are all unused.
+			buffer.put(new Uint8Array(lenImage + EXTENSION_LEN - buffer.getPos()));
+		}
+
+		buffer.writeRecord(recordTypes.footer, {
+			extensionOffset: hasExtension ? lenImage : 0,
+			developerOffset: 0,
+			signature: FOOTER_SIGNATURE,
+		});
+
+		return {
+			content: {
+				main: buffer.getU8(),
+			},
+			warnings,
+		};
+	}
+}
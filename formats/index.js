@@ -17,24 +17,50 @@
  * along with this program.  If not, see <http://www.gnu.org/licenses/>.
  */
 
+export * from './anm-flc.js';
+
+export * from './fnt-id.js';
+export * from './fnt-vga-rom.js';
+export * from './fnt-win.js';
+
 export * from './img-png.js';
 export * from './img-del.js';
+export * from './img-doom-flat.js';
+export * from './img-doom-patch.js';
+export * from './img-duke2-backdrop.js';
 export * from './img-pln.js';
+export * from './img-raw-banked.js';
+export * from './img-raw-cga.js';
 export * from './img-raw-linear-8bpp.js';
+export * from './img-raw-modex.js';
 export * from './img-raw-planar-4bpp.js';
 export * from './img-ccomic-splash.js';
 export * from './img-stp.js';
 export * from './img-rol.js';
 export * from './img-gif.js';
+export * from './img-bmp.js';
+export * from './img-pcx.js';
+export * from './img-lbm.js';
+export * from './img-tga.js';
 
+export * from './pal-doom-playpal.js';
 export * from './pal-vga-6bit.js';
 export * from './pal-vga-6bit-papyrus.js';
 export * from './pal-vga-8bit.js';
 
+export * from './tls-build-art.js';
+export * from './tls-ccaves.js';
 export * from './tls-ccomic-map.js';
 export * from './tls-ccomic-sprite.js';
 export * from './tls-cosmo.js';
 export * from './tls-cosmo-masked.js';
 export * from './tls-cosmo-actrinfo.js';
 export * from './tls-ddave.js';
+export * from './tls-duke2-actrinfo.js';
+export * from './tls-duke2-czone.js';
+export * from './tls-jill-sha.js';
+export * from './tls-keen-egagraph.js';
+export * from './tls-mbash.js';
 export * from './tls-quarantine-spr.js';
+export * from './tls-wolf3d-vgagraph.js';
+export * from './tls-wolf3d-vswap.js';
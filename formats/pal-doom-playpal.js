@@ -0,0 +1,165 @@
+/*
+ * Doom PLAYPAL palette handler.
+ *
+ * This file format is fully documented on the ModdingWiki:
+ *   https://moddingwiki.shikadi.net/wiki/Doom_Palette_Format
+ *
+ * PLAYPAL holds a series of 8-bit VGA palettes one after the other.  Doom has
+ * 14 of them: the normal palette, then red tints for taking damage, yellow
+ * tints for picking up items and a green tint for the radiation suit.
+ *
+ * Each palette is returned as an empty frame with its own palette.  The
+ * first palette is also used as the image's palette.
+ *
+ * Copyright (C) 2010-2022 Adam Nielsen <malvineous@shikadi.net>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+const FORMAT_ID = 'pal-doom-playpal';
+
+import Debug from '../util/debug.js';
+const debug = Debug.extend(FORMAT_ID);
+
+import ImageHandler from '../interface/imageHandler.js';
+import Image from '../interface/image.js';
+import Frame from '../interface/frame.js';
+import Palette from '../interface/palette.js';
+
+const PALETTE_LEN = 256 * 3;
+
+// Number of palettes in Doom's PLAYPAL.
+const DOOM_PALETTE_COUNT = 14;
+
+export class pal_doom_playpal extends ImageHandler
+{
+	static metadata() {
+		let md = {
+			...super.metadata(),
+			id: FORMAT_ID,
+			title: 'Doom PLAYPAL palettes',
+			games: [
+				'Doom',
+				'Heretic',
+				'Hexen',
+				'Strife',
+			],
+		};
+
+		md.limits.minimumSize.x = 0;
+		md.limits.minimumSize.y = 0;
+		md.limits.maximumSize.x = 0;
+		md.limits.maximumSize.y = 0;
+		md.limits.depth = 8;
+		md.limits.hasPalette = true;
+		md.limits.palettePerFrame = true;
+		md.limits.paletteDepth = 8;
+		md.limits.transparentIndex = null;
+		md.limits.frameCount.min = 1;
+		md.limits.imageCount.max = 1;
+
+		return md;
+	}
+
+	static identify(content) {
+		if ((content.length === 0) || (content.length % PALETTE_LEN)) {
+			return {
+				valid: false,
+				reason: `File length ${content.length} is not a multiple of `
+					+ `${PALETTE_LEN}.`,
+			};
+		}
+
+		if (content.length === DOOM_PALETTE_COUNT * PALETTE_LEN) {
+			return {
+				valid: true,
+				reason: `Correct size for ${DOOM_PALETTE_COUNT} palettes.`,
+			};
+		}
+
+		return {
+			valid: undefined,
+			reason: `File is a whole number of palettes.`,
+		};
+	}
+
+	static read(content) {
+		const count = (content.main.length / PALETTE_LEN) >>> 0;
+		debug(`Reading ${count} palettes`);
+
+		let frames = [];
+		for (let f = 0; f < count; f++) {
+			let palette = new Palette(256);
+			for (let i = 0, p = f * PALETTE_LEN; i < 256; i++) {
+				palette[i] = [
+					content.main[p++],
+					content.main[p++],
+					content.main[p++],
+					255,
+				];
+			}
+			frames.push(new Frame({
+				width: 0,
+				height: 0,
+				palette,
+			}));
+		}
+
+		return new Image({
+			width: 0,
+			height: 0,
+			frames,
+			palette: frames[0] && frames[0].palette,
+		});
+	}
+
+	static write(image) {
+		let warnings = [];
+
+		let palettes = image.frames.map(f => f.palette || image.palette);
+		if (palettes.length === 0) {
+			palettes = [ image.palette ];
+		}
+
+		let content = new Uint8Array(palettes.length * PALETTE_LEN);
+		palettes.forEach((palette, f) => {
+			if (!palette) {
+				throw new Error(`Frame ${f} has no palette, and the image has no `
+					+ `palette to use instead.`);
+			}
+			const count = Math.min(palette.length, 256);
+			for (let i = 0; i < count; i++) {
+				for (let c = 0; c < 3; c++) {
+					content[f * PALETTE_LEN + i * 3 + c] = palette[i][c];
+				}
+				if (palette[i][3] != 255) {
+					warnings.push(`Palette ${f} entry ${i} has an alpha value of `
+						+ `${palette[i][3]}, but only a value of 255 is possible in this `
+						+ `palette format.`);
+				}
+			}
+			if (count < 256) {
+				warnings.push(`Palette ${f} has only ${count} entries, the remaining `
+					+ `entries have been set to black.`);
+			}
+		});
+
+		return {
+			content: {
+				main: content,
+			},
+			warnings,
+		};
+	}
+}
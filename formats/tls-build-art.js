@@ -0,0 +1,482 @@
+/*
+ * Build engine ART tileset handler.
+ *
+ * This file format is fully documented on the ModdingWiki:
+ *   https://moddingwiki.shikadi.net/wiki/ART_Format_(Build)
+ *
+ * Used by Duke Nukem 3D, Shadow Warrior, Blood and the other Build engine
+ * games.  Each TILESxxx.ART file holds a consecutive range of tile numbers,
+ * and each tile is returned as a separate `Image`, with the tile number in
+ * the `tileNumber` tag.  Pixels are stored column by column.
+ *
+ * The tile's draw offset is relative to the middle of the bottom edge, which
+ * is where Build places sprites.  This is converted into `hotspotX` and
+ * `hotspotY`, so a tile with no draw offset has its hotspot in the middle of
+ * its bottom edge.
+ *
+ * Animated tiles cycle through the following (or for backwards animations,
+ * the preceding) tiles.  These extra tiles are included as additional frames
+ * in the animated tile's `Image`, with `animation` listing the order they
+ * are shown in.  The first entry in `animation` is always the tile itself.
+ * Tiles in the animation that fall outside the file are returned as empty
+ * frames.  When writing, only the animated tile's own frame is stored; the
+ * others are stored from their own images.
+ *
+ * The palette comes from PALETTE.DAT, which is shared by all the ART files.
+ * It holds lookup tables after the palette itself, which are kept in the
+ * `paletteTables` tag of the first image so they can be written back.
+ * PALETTE.DAT is optional, and is only written if it was read in with the
+ * tiles or they use a palette other than the default VGA one.
+ *
+ * Copyright (C) 2010-2022 Adam Nielsen <malvineous@shikadi.net>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+const FORMAT_ID = 'tls-build-art';
+
+import Debug from '../util/debug.js';
+const debug = Debug.extend(FORMAT_ID);
+
+import { RecordBuffer, RecordType } from '@camoto/record-io-buffer';
+import { getFilename, replaceFilename } from '../util/supp.js';
+import ImageHandler from '../interface/imageHandler.js';
+import Image from '../interface/image.js';
+import Frame from '../interface/frame.js';
+import { paletteVGA256 } from '../util/palette-default.js';
+import { pal_vga_6bit } from './pal-vga-6bit.js';
+
+const recordTypes = {
+	header: {
+		version: RecordType.int.u32le,
+		totalTiles: RecordType.int.u32le,
+		firstTile: RecordType.int.u32le,
+		lastTile: RecordType.int.u32le,
+	},
+};
+
+const HEADER_LEN = 16;
+const PALETTE_LEN = 768;
+
+// Animation types in bits 6 and 7 of each tile's `picanm` value.
+const ANIM_NONE = 0;
+const ANIM_OSCILLATE = 1;
+const ANIM_FORWARD = 2;
+const ANIM_BACKWARD = 3;
+
+// Build advances animations on a 120 Hz timer.
+const TICKS_PER_SECOND = 120;
+
+/**
+ * Split a `picanm` value into its fields.
+ */
+function decodePicanm(v)
+{
+	return {
+		frameCount: v & 0x3F,
+		type: (v >> 6) & 0x03,
+		offsetX: ((v >> 8) << 24) >> 24,
+		offsetY: ((v >> 16) << 24) >> 24,
+		speed: (v >> 24) & 0x0F,
+		flags: (v >>> 28) & 0x0F,
+	};
+}
+
+function encodePicanm(p)
+{
+	return (
+		(p.frameCount & 0x3F)
+		| ((p.type & 0x03) << 6)
+		| ((p.offsetX & 0xFF) << 8)
+		| ((p.offsetY & 0xFF) << 16)
+		| ((p.speed & 0x0F) << 24)
+		| ((p.flags & 0x0F) << 28)
+	) >>> 0;
+}
+
+/**
+ * List the tile offsets shown by an animation, in order.
+ */
+function animationSequence(type, frameCount)
+{
+	let seq = [];
+	for (let i = 0; i <= frameCount; i++) seq.push(i);
+	if (type === ANIM_OSCILLATE) {
+		for (let i = frameCount - 1; i > 0; i--) seq.push(i);
+	} else if (type === ANIM_BACKWARD) {
+		seq = seq.map(i => frameCount - i);
+	}
+	return seq;
+}
+
+export class tls_build_art extends ImageHandler
+{
+	static metadata() {
+		let md = {
+			...super.metadata(),
+			id: FORMAT_ID,
+			title: 'Build engine ART tileset',
+			games: [
+				'Blood',
+				'Duke Nukem 3D',
+				'Shadow Warrior',
+			],
+			glob: [
+				'tiles*.art',
+			],
+		};
+
+		md.limits.minimumSize.x = 0;
+		md.limits.minimumSize.y = 0;
+		md.limits.maximumSize.x = 32767;
+		md.limits.maximumSize.y = 32767;
+		md.limits.sizePerFrame = true;
+		md.limits.depth = 8;
+		md.limits.hasPalette = true;
+		md.limits.paletteDepth = 6;
+		md.limits.transparentIndex = 255;
+		md.limits.frameCount.min = 1;
+		md.limits.frameCount.max = 64;
+		md.limits.imageCount.min = 1;
+		md.limits.tags = {
+			tileNumber: 'Build tile number',
+			totalTiles: 'Tile count field from the file header',
+			picanmFlags: 'Top four bits of the tile\'s picanm value',
+			paletteTables: 'Lookup tables following the palette in PALETTE.DAT',
+		};
+
+		return md;
+	}
+
+	static supps(name) {
+		// Match the case of the ART filename.
+		const filename = getFilename(name);
+		const pal = (filename === filename.toUpperCase()) ? 'PALETTE.DAT' : 'palette.dat';
+		return {
+			pal: replaceFilename(name, pal),
+		};
+	}
+
+	static identify(content) {
+		if (content.length < HEADER_LEN) {
+			return {
+				valid: false,
+				reason: `File too short.`,
+			};
+		}
+
+		let buffer = new RecordBuffer(content);
+		const header = buffer.readRecord(recordTypes.header);
+		if (header.version !== 1) {
+			return {
+				valid: false,
+				reason: `Unsupported version ${header.version}.`,
+			};
+		}
+
+		const tileCount = header.lastTile - header.firstTile + 1;
+		if ((tileCount < 1) || (HEADER_LEN + tileCount * 8 > content.length)) {
+			return {
+				valid: false,
+				reason: `Invalid tile range ${header.firstTile} to ${header.lastTile}.`,
+			};
+		}
+
+		let widths = [];
+		for (let t = 0; t < tileCount; t++) {
+			widths.push(buffer.read(RecordType.int.s16le));
+		}
+		let lenData = 0;
+		for (let t = 0; t < tileCount; t++) {
+			const height = buffer.read(RecordType.int.s16le);
+			if ((widths[t] < 0) || (height < 0)) {
+				return {
+					valid: false,
+					reason: `Tile ${header.firstTile + t} has a negative size.`,
+				};
+			}
+			lenData += widths[t] * height;
+		}
+
+		const lenExpected = HEADER_LEN + tileCount * 8 + lenData;
+		if (lenExpected !== content.length) {
+			return {
+				valid: false,
+				reason: `Tile data should be ${lenExpected} bytes, but the file is `
+					+ `${content.length} bytes.`,
+			};
+		}
+
+		return {
+			valid: true,
+			reason: `Tile sizes match the file length.`,
+		};
+	}
+
+	static read(content) {
+		let buffer = new RecordBuffer(content.main);
+		const header = buffer.readRecord(recordTypes.header);
+		const tileCount = header.lastTile - header.firstTile + 1;
+		debug(`Tiles ${header.firstTile} to ${header.lastTile}`);
+
+		let palette, paletteTables;
+		if (content.pal) {
+			palette = pal_vga_6bit.read({ main: content.pal }).palette;
+			paletteTables = content.pal.slice(PALETTE_LEN);
+		} else {
+			debug('No palette supplied, using default VGA palette');
+			palette = paletteVGA256();
+		}
+
+		let widths = [], heights = [], picanm = [];
+		for (let t = 0; t < tileCount; t++) {
+			widths.push(buffer.read(RecordType.int.s16le));
+		}
+		for (let t = 0; t < tileCount; t++) {
+			heights.push(buffer.read(RecordType.int.s16le));
+		}
+		for (let t = 0; t < tileCount; t++) {
+			picanm.push(decodePicanm(buffer.read(RecordType.int.u32le)));
+		}
+
+		// Read all the tiles first, as animated tiles need to include the
+		// frames from the tiles around them.
+		let tiles = [];
+		for (let t = 0; t < tileCount; t++) {
+			const width = widths[t], height = heights[t];
+			const data = buffer.getU8(buffer.getPos(), width * height);
+			buffer.seekRel(width * height);
+
+			// Convert from column-major to row-major.
+			let pixels = new Uint8Array(width * height);
+			for (let x = 0; x < width; x++) {
+				for (let y = 0; y < height; y++) {
+					pixels[y * width + x] = data[x * height + y];
+				}
+			}
+
+			let frame = new Frame({
+				width,
+				height,
+				pixels,
+			});
+			// Set these afterwards, as the constructor turns a hotspot of 0 into
+			// undefined, which write() would take to mean no draw offset.
+			frame.hotspotX = (width >> 1) + picanm[t].offsetX;
+			frame.hotspotY = height + picanm[t].offsetY;
+			tiles.push(frame);
+		}
+
+		let images = [];
+		for (let t = 0; t < tileCount; t++) {
+			const anim = picanm[t];
+
+			let frames = [ tiles[t] ];
+			let animation = [];
+			if ((anim.type !== ANIM_NONE) && (anim.frameCount > 0)) {
+				// Frames are in tile order, so a backwards animation starts on the
+				// last frame.
+				const firstTile = (anim.type === ANIM_BACKWARD) ? t - anim.frameCount : t;
+				frames = [];
+				for (let i = 0; i <= anim.frameCount; i++) {
+					const tile = tiles[firstTile + i];
+					frames.push(tile ? tile.clone() : new Frame({}));
+				}
+				const postDelay = Math.round((1 << anim.speed) * 1000 / TICKS_PER_SECOND);
+				animation = animationSequence(anim.type, anim.frameCount).map(index => ({
+					index,
+					postDelay,
+				}));
+			}
+
+			let tags = {
+				tileNumber: header.firstTile + t,
+			};
+			if (anim.flags) {
+				tags.picanmFlags = anim.flags;
+			}
+			if (t === 0) {
+				tags.totalTiles = header.totalTiles;
+				if (paletteTables) {
+					tags.paletteTables = paletteTables;
+				}
+			}
+
+			images.push(new Image({
+				width: widths[t],
+				height: heights[t],
+				frames,
+				palette,
+				animation,
+				tags,
+			}));
+		}
+
+		return images;
+	}
+
+	static write(images) {
+		// Create an array if we didn't get one.
+		if (images.length === undefined) {
+			images = [images];
+		}
+
+		let warnings = [];
+		const firstTile = images[0].tags.tileNumber || 0;
+		const lastTile = firstTile + images.length - 1;
+
+		let tiles = [];
+		for (let t = 0; t < images.length; t++) {
+			const img = images[t];
+
+			let anim = {
+				frameCount: 0,
+				type: ANIM_NONE,
+				speed: 0,
+				flags: img.tags.picanmFlags || 0,
+			};
+
+			// The first animation entry is the tile itself.
+			let frameIndex = 0;
+			if ((img.animation.length > 1) && (img.frames.length > 1)) {
+				anim.frameCount = img.frames.length - 1;
+				frameIndex = img.animation[0].index;
+				if (anim.frameCount > 63) {
+					warnings.push(`Tile ${firstTile + t} has ${img.frames.length} `
+						+ `animation frames, but only 64 are possible.  The animation has `
+						+ `been truncated.`);
+					anim.frameCount = 63;
+				}
+				if (frameIndex === img.frames.length - 1) {
+					anim.type = ANIM_BACKWARD;
+				} else if (
+					(anim.frameCount > 1)
+					&& (img.animation.length === anim.frameCount * 2)
+				) {
+					// A two-frame oscillation is the same as a forward animation, so
+					// only longer ones are detected.
+					anim.type = ANIM_OSCILLATE;
+				} else {
+					anim.type = ANIM_FORWARD;
+				}
+				const ticks = img.animation[0].postDelay * TICKS_PER_SECOND / 1000;
+				anim.speed = Math.max(0, Math.min(15, Math.round(Math.log2(ticks))));
+			}
+
+			const frame = img.frames[frameIndex];
+			const width = ((frame.width === undefined) ? img.width : frame.width) || 0;
+			const height = ((frame.height === undefined) ? img.height : frame.height) || 0;
+			if ((width > 32767) || (height > 32767)) {
+				throw new Error(`Tile ${firstTile + t} is ${width}x${height}, but the `
+					+ `maximum is 32767x32767.`);
+			}
+
+			let { hotspotX, hotspotY } = frame;
+			if ((hotspotX === undefined) && (hotspotY === undefined)) {
+				hotspotX = img.hotspotX;
+				hotspotY = img.hotspotY;
+			}
+			if ((hotspotX === undefined) && (hotspotY === undefined)) {
+				// No hotspot, so draw the tile without an offset.
+				hotspotX = width >> 1;
+				hotspotY = height;
+			}
+			hotspotX = hotspotX || 0;
+			hotspotY = hotspotY || 0;
+			anim.offsetX = hotspotX - (width >> 1);
+			anim.offsetY = hotspotY - height;
+			if (
+				(anim.offsetX < -128) || (anim.offsetX > 127)
+				|| (anim.offsetY < -128) || (anim.offsetY > 127)
+			) {
+				warnings.push(`Tile ${firstTile + t} has a hotspot too far from the `
+					+ `middle of its bottom edge.  It has been moved as close as `
+					+ `possible.`);
+				anim.offsetX = Math.max(-128, Math.min(127, anim.offsetX));
+				anim.offsetY = Math.max(-128, Math.min(127, anim.offsetY));
+			}
+
+			// Convert from row-major to column-major.
+			let data = new Uint8Array(width * height);
+			for (let x = 0; x < width; x++) {
+				for (let y = 0; y < height; y++) {
+					data[x * height + y] = frame.pixels[y * width + x];
+				}
+			}
+
+			tiles.push({
+				width,
+				height,
+				picanm: encodePicanm(anim),
+				data,
+			});
+		}
+
+		let buffer = new RecordBuffer(HEADER_LEN + tiles.length * 8);
+		buffer.writeRecord(recordTypes.header, {
+			version: 1,
+			totalTiles: (images[0].tags.totalTiles === undefined) ? lastTile + 1 : images[0].tags.totalTiles,
+			firstTile,
+			lastTile,
+		});
+		for (const tile of tiles) {
+			buffer.write(RecordType.int.s16le, tile.width);
+		}
+		for (const tile of tiles) {
+			buffer.write(RecordType.int.s16le, tile.height);
+		}
+		for (const tile of tiles) {
+			buffer.write(RecordType.int.u32le, tile.picanm);
+		}
+		for (const tile of tiles) {
+			buffer.put(tile.data);
+		}
+
+		let content = {
+			main: buffer.getU8(),
+		};
+
+		// PALETTE.DAT is shared with every other ART file and the game can't use
+		// it without the lookup tables, so only write it if it was read in or
+		// the tiles use a different palette.
+		const paletteTables = images[0].tags.paletteTables;
+		const palette = (images.find(img => img.palette) || {}).palette;
+		const palDefault = paletteVGA256();
+		const palChanged = palette
+			&& palette.some((c, i) => !palDefault[i] || c.some((v, j) => v !== palDefault[i][j]));
+		if (paletteTables || palChanged) {
+			const { content: contentPal, warnings: warningsPal } = pal_vga_6bit.write(
+				new Image({ palette: palette || palDefault })
+			);
+			warnings.push(...warningsPal);
+
+			if (paletteTables) {
+				content.pal = new Uint8Array(PALETTE_LEN + paletteTables.length);
+				content.pal.set(contentPal.main, 0);
+				content.pal.set(paletteTables, PALETTE_LEN);
+			} else {
+				warnings.push(`PALETTE.DAT has been written without the lookup `
+					+ `tables that follow the palette, as they were not read in with `
+					+ `the tiles.  The game will not be able to use it until they are `
+					+ `added.`);
+				content.pal = contentPal.main;
+			}
+		}
+
+		return {
+			content,
+			warnings,
+		};
+	}
+}
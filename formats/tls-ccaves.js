@@ -0,0 +1,257 @@
+/*
+ * Crystal Caves and Secret Agent tileset handler.
+ *
+ * This file format is fully documented on the ModdingWiki:
+ *   https://moddingwiki.shikadi.net/wiki/Crystal_Caves_Tileset_Format
+ *
+ * The .gfx files are a list of tilesets, each of which is returned as a
+ * separate `Image` with one frame per tile.  Each tileset starts with a three
+ * byte header giving the number of tiles, the tile width in bytes (eight
+ * pixels per byte) and the tile height in pixels.
+ *
+ * Tiles are stored in EGA row-planar format, with a mask plane before the four
+ * colour planes on each row.  The mask is mapped to palette entry 16
+ * (transparent) the same way as tls-cosmo-masked.
+ *
+ * Secret Agent runs on the same engine as Crystal Caves and stores its
+ * tilesets the same way.
+ *
+ * Copyright (C) 2010-2022 Adam Nielsen <malvineous@shikadi.net>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+const FORMAT_ID = 'tls-ccaves';
+
+import Debug from '../util/debug.js';
+const debug = Debug.extend(FORMAT_ID);
+
+import { RecordBuffer, RecordType } from '@camoto/record-io-buffer';
+import ImageHandler from '../interface/imageHandler.js';
+import Image from '../interface/image.js';
+import Frame from '../interface/frame.js';
+import { fromPlanar, toPlanar } from '../util/frame-planar.js';
+import { paletteCGA16 } from '../util/palette-default.js';
+
+const recordTypes = {
+	tilesetHeader: {
+		count: RecordType.int.u8,
+		widthBytes: RecordType.int.u8,
+		height: RecordType.int.u8,
+	},
+};
+
+const TILESET_HEADER_LEN = 3;
+const PLANE_COUNT = 5;
+
+function planarOptions(width)
+{
+	return {
+		planeCount: PLANE_COUNT,
+		planeWidth: width,
+		lineWidth: width,
+		planeValues: [16, 1, 2, 4, 8],
+		byteOrderMSB: true,
+	};
+}
+
+export class tls_ccaves extends ImageHandler
+{
+	static metadata() {
+		let md = {
+			...super.metadata(),
+			id: FORMAT_ID,
+			title: 'Crystal Caves/Secret Agent Tileset',
+			games: [
+				'Crystal Caves',
+				'Secret Agent',
+			],
+			glob: [
+				'cc?.gfx',
+				'sam?.gfx',
+			],
+		};
+
+		md.limits.minimumSize.x = 8;
+		md.limits.minimumSize.y = 1;
+		md.limits.maximumSize.x = 255 * 8;
+		md.limits.maximumSize.y = 255;
+		md.limits.multipleSize.x = 8;
+		md.limits.depth = 4;
+		md.limits.hasPalette = false;
+		md.limits.transparentIndex = 16;
+		md.limits.frameCount.min = 0;
+		md.limits.frameCount.max = 255;
+		md.limits.imageCount.max = undefined;
+
+		return md;
+	}
+
+	static identify(content) {
+		if (content.length < TILESET_HEADER_LEN) {
+			return {
+				valid: false,
+				reason: 'File too short.',
+			};
+		}
+
+		let offset = 0;
+		let tilesetCount = 0;
+		while (offset < content.length) {
+			if (offset + TILESET_HEADER_LEN > content.length) {
+				return {
+					valid: false,
+					reason: `Truncated header for tileset ${tilesetCount}.`,
+				};
+			}
+			const count = content[offset];
+			const widthBytes = content[offset + 1];
+			const height = content[offset + 2];
+			if ((widthBytes === 0) || (height === 0)) {
+				return {
+					valid: false,
+					reason: `Tileset ${tilesetCount} has tiles of zero size.`,
+				};
+			}
+			offset += TILESET_HEADER_LEN + count * widthBytes * height * PLANE_COUNT;
+			tilesetCount++;
+		}
+
+		if (offset !== content.length) {
+			return {
+				valid: false,
+				reason: `Tileset ${tilesetCount - 1} runs past the end of the file.`,
+			};
+		}
+
+		return {
+			valid: true,
+			reason: `All ${tilesetCount} tilesets fill the file exactly.`,
+		};
+	}
+
+	static read(content) {
+		let buffer = new RecordBuffer(content.main);
+
+		let images = [];
+		while (buffer.distFromEnd() >= TILESET_HEADER_LEN) {
+			const header = buffer.readRecord(recordTypes.tilesetHeader);
+			const width = header.widthBytes * 8;
+			const bytesPerTile = header.widthBytes * header.height * PLANE_COUNT;
+			debug(`Tileset ${images.length}: ${header.count} tiles of ${width}x${header.height}`);
+
+			const lenData = header.count * bytesPerTile;
+			if (lenData > buffer.distFromEnd()) {
+				throw new Error(`Tileset ${images.length} runs past the end of the file.`);
+			}
+			let pixels = fromPlanar({
+				content: buffer.getU8(buffer.getPos(), lenData),
+				...planarOptions(width),
+			});
+			buffer.seekRel(lenData);
+
+			// Convert any colour over 15 to transparent.
+			for (let p = 0; p < pixels.length; p++) {
+				pixels[p] = Math.min(16, pixels[p]);
+			}
+
+			let img = new Image({
+				width,
+				height: header.height,
+				frames: [],
+				palette: paletteCGA16(),
+			});
+
+			// Add an entry for transparent.
+			img.palette.push([255, 0, 255, 0]);
+
+			const pixelsPerTile = width * header.height;
+			for (let f = 0; f < header.count; f++) {
+				img.frames.push(new Frame({
+					pixels: pixels.slice(f * pixelsPerTile, (f + 1) * pixelsPerTile),
+				}));
+			}
+
+			images.push(img);
+		}
+
+		// Don't return an array if there's only one image.
+		if (images.length === 1) {
+			return images[0];
+		}
+
+		return images;
+	}
+
+	static write(images) {
+		// Create an array if we didn't get one.
+		if (images.length === undefined) {
+			images = [images];
+		}
+
+		let buffer = new RecordBuffer(65536);
+		images.forEach((img, i) => {
+			if (img.frames.length > 255) {
+				throw new Error(`Tileset ${i} has ${img.frames.length} tiles, but the `
+					+ `maximum is 255.`);
+			}
+
+			// All tiles in a tileset share the same size, so take it from the first
+			// tile.  Empty tilesets still need a size, which comes from the image.
+			const first = img.frames[0] || {};
+			const width = ((first.width === undefined) ? img.width : first.width) || 0;
+			const height = ((first.height === undefined) ? img.height : first.height) || 0;
+			if (!width || !height) {
+				throw new Error(`Tileset ${i} has no tile size.  Empty tilesets must `
+					+ `have the image width and height set to the size of their tiles.`);
+			}
+			if ((width % 8) || (width > 255 * 8) || (height > 255)) {
+				throw new Error(`Tileset ${i} has tiles of ${width}x${height}, but `
+					+ `they must be a multiple of 8 pixels wide and no larger than `
+					+ `${255 * 8}x255.`);
+			}
+
+			buffer.writeRecord(recordTypes.tilesetHeader, {
+				count: img.frames.length,
+				widthBytes: width / 8,
+				height,
+			});
+
+			const pixelsPerTile = width * height;
+			let pixels = new Uint8Array(img.frames.length * pixelsPerTile);
+			img.frames.forEach((frame, f) => {
+				const frameWidth = (frame.width === undefined) ? width : frame.width;
+				const frameHeight = (frame.height === undefined) ? height : frame.height;
+				if ((frameWidth !== width) || (frameHeight !== height)) {
+					throw new Error(`Tile ${f} in tileset ${i} is ${frameWidth}x`
+						+ `${frameHeight}, but all tiles in a tileset must be ${width}x`
+						+ `${height}.`);
+				}
+				pixels.set(frame.pixels.slice(0, pixelsPerTile), f * pixelsPerTile);
+			});
+
+			buffer.put(toPlanar({
+				content: pixels,
+				...planarOptions(width),
+			}));
+		});
+
+		return {
+			content: {
+				main: buffer.getU8(),
+			},
+			warnings: [],
+		};
+	}
+}
@@ -25,23 +25,22 @@ const FORMAT_ID = 'tls-cosmo-actrinfo';
 import Debug from '../util/debug.js';
 const debug = Debug.extend(FORMAT_ID);
 
-import { RecordBuffer, RecordType } from '@camoto/record-io-buffer';
-import { getBasename, replaceBasename } from '../util/supp.js';
+import { RecordType } from '@camoto/record-io-buffer';
 import ImageHandler from '../interface/imageHandler.js';
-import Image from '../interface/image.js';
-import Frame from '../interface/frame.js';
-import { fromPlanar, toPlanar } from '../util/frame-planar.js';
-import { frameFromTileset, tilesetFromFrame } from '../util/frame-from_tileset.js';
-import { paletteCGA16 } from '../util/palette-default.js';
-
-const BYTES_PER_TILE = 8 * 5;
-
-const recordTypes = {
-	actorHeader: {
+import {
+	actorInfoFilename,
+	actorTilesetRead,
+	actorTilesetWrite,
+} from '../util/actor-tileset.js';
+
+const layout = {
+	frameHeader: {
 		height: RecordType.int.u16le,
 		width: RecordType.int.u16le,
 		frameOffset: RecordType.int.u32le,
 	},
+	// The tile data is loaded in 65535-byte blocks.
+	blockPadding: true,
 };
 
 export class tls_cosmo_actrinfo extends ImageHandler
@@ -71,16 +70,12 @@ export class tls_cosmo_actrinfo extends ImageHandler
 	}
 
 	static supps(name) {
-		const basename = getBasename(name);
 		return {
-			info: replaceBasename(
-				name,
-				{
-					'actors': 'actrinfo',
-					'player': 'plyrinfo',
-					'cartoon': 'cartinfo',
-				}[basename] || `${basename}info`
-			),
+			info: actorInfoFilename(name, {
+				'actors': 'actrinfo',
+				'player': 'plyrinfo',
+				'cartoon': 'cartinfo',
+			}),
 		};
 	}
 
@@ -91,216 +86,30 @@ export class tls_cosmo_actrinfo extends ImageHandler
 		};
 	}
 
-	static read({main: contentTiles, info: contentFat}) {
-		const tileW = 8, tileH = 8;
-
-		if (!contentFat) {
+	static read(content) {
+		if (!content.info) {
 			throw new Error('BUG: Caller did not supply suppdata for *info.mni');
 		}
 
-		let fat = new RecordBuffer(contentFat);
-		let offset = fat.read(RecordType.int.u16le);
-		let offsets = [];
-		while (fat.distFromEnd() > 2) {
-			offset *= 2; // units of uint16le
-			offsets.push(offset);
-			offset = fat.read(RecordType.int.u16le);
-			// Keep reading until we reach the first entry's offset.
-			if (offsets.length * 2 >= offsets[0]) break;
-		}
-		offsets.push(contentFat.length);
-
-		let palette = paletteCGA16();
-
-		// Add an entry for transparent.
-		palette.push([255, 0, 255, 0]);
-
-		let finalTileset = [];
-
-		for (let actorIndex = 0; actorIndex < offsets.length - 1; actorIndex++) {
-			const offset = offsets[actorIndex];
-			const endOffset = offsets[actorIndex + 1];
-			const numActorFrames = (endOffset - offset) / 8;
-			fat.seekAbs(offset);
-
-			let img = new Image({
-				width: undefined,
-				height: undefined,
-				palette,
-			});
-
-			for (let actorFrame = 0; actorFrame < numActorFrames; actorFrame++) {
-				let header = fat.readRecord(recordTypes.actorHeader);
-
-				const tileCount = header.width * header.height;
-				let imgActorTiles = new Image({
-					width: tileW,
-					height: tileH,
-					//frames: sourceFrames.slice(tileIndex, tileIndex + tileCount),
-					palette,
-				});
-
-				// The offsets assume 65535-byte blocks loaded into 65536-byte buffers, so
-				// we need to remove one byte every 65536.
-				const byteOffset = (
-					header.frameOffset - ((header.frameOffset / 65536) >>> 0)
-				);
-
-				// Work out how many bytes in the tileset are used for this actor image.
-				const lenTileData = tileCount * BYTES_PER_TILE;
-				// Decode the frames.  We can't do this in bulk because there is padding
-				// data in the middle of the tileset.
-				const pixels = fromPlanar({
-					content: contentTiles.slice(byteOffset, byteOffset + lenTileData),
-					planeCount: 5,
-					planeWidth: 8,
-					lineWidth: 8,
-					planeValues: [16, 1, 2, 4, 8],
-					byteOrderMSB: true,
-				});
-
-				// Convert any colour over 15 to transparent.
-				for (let p = 0; p < pixels.length; p++) {
-					pixels[p] = Math.min(16, pixels[p]);
-				}
-
-				// Convert the pixel data into a frame.  It is an image one tile wide by
-				// multiple tiles tall.
-				const tilesFrame = new Frame({
-					width: tileW,
-					height: (pixels.length / tileW) >>> 0,
-					pixels,
-				});
-
-				// tilesetFromFrame() needs a list of tiles to process.
-				let tileDims = [];
-				for (let i = 0; i < tileCount; i++) {
-					tileDims.push({width: tileW, height: tileH});
-				}
-
-				// Split the single frame into individual tiles, with each tile as a
-				// separate frame.
-				imgActorTiles.frames = tilesetFromFrame({
-					frame: tilesFrame,
-					tileDims,
-				});
-
-				img.frames.push(
-					frameFromTileset(imgActorTiles, header.width)
-				);
-			}
-			finalTileset.push(img);
-		}
+		const images = actorTilesetRead(content, layout);
+		debug(`Read ${images.length} actors`);
 
 		// Don't return an array if there's only one image.
-		if (finalTileset.length === 1) {
-			return finalTileset[0];
+		if (images.length === 1) {
+			return images[0];
 		}
 
-		return finalTileset;
+		return images;
 	}
 
 	static write(images) {
-		const tileW = 8, tileH = 8;
-
 		// Create an array if we didn't get one.
 		if (images.length === undefined) {
 			images = [images];
 		}
 
-		let main = new RecordBuffer(4096);
-
-		let actors = [];
-		for (const img of images) {
-			let frameInfo = [];
-			let actorContent = new RecordBuffer(4096);
-			for (const frame of img.frames) {
-				// Convert pixels to tiles.
-				const pxFrameWidth = frame.width || img.width;
-				const pxFrameHeight = frame.height || img.height;
-				const tlFrameWidth = (pxFrameWidth / 8) >>> 0;
-				const tlFrameHeight = (pxFrameHeight / 8) >>> 0;
-
-				frameInfo.push({
-					width: tlFrameWidth,
-					height: tlFrameHeight,
-					frameOffset: actorContent.getPos(),
-				});
-
-				const tileCount = tlFrameWidth * tlFrameHeight;
-				let tileDims = [];
-				for (let i = 0; i < tileCount; i++) {
-					tileDims.push({width: tileW, height: tileH});
-				}
-
-				// Convert the image back into a list of tiles.
-				const tsFrame = tilesetFromFrame({
-					frame,
-					tileDims,
-					// We need this in case the frame has no width and we're using the
-					// image width instead.
-					frameWidth: pxFrameWidth,
-				});
-
-				for (const tile of tsFrame) {
-					const pixels = toPlanar({
-						content: tile.pixels,
-						planeCount: 5,
-						planeWidth: 8,
-						lineWidth: 8,
-						planeValues: [16, 1, 2, 4, 8],
-						byteOrderMSB: true,
-					});
-
-					actorContent.put(pixels);
-				}
-			}
-
-			// Pad the output if needed.
-			const currentIndex = Math.floor(main.length / 65535);
-			const postIndex = Math.floor((main.length + actorContent.length) / 65535);
-			if (currentIndex != postIndex) {
-				// Writing this actor will wrap across a 64k boundary, so we have to pad.
-				const lenPad = 65535 - (main.length % 65535);
-				debug(`About to write ${actorContent.length} bytes at pos `
-					+ `${main.length}, padding ${lenPad} bytes until 64 kB boundary`);
-				main.write(RecordType.padding(lenPad));
-			}
-
-			// Update the offsets now padding has been done.
-			const offMain = main.getPos();
-			for (let i = 0; i < frameInfo.length; i++) {
-				frameInfo[i].frameOffset += offMain;
-
-				// The offsets assume 65535-byte blocks loaded into 65536-byte buffers, so
-				// we need to remove one byte every 65536.
-				frameInfo[i].frameOffset += ((frameInfo[i].frameOffset / 65536) >>> 0);
-			}
-			actors.push(frameInfo);
-			main.put(actorContent);
-		}
-
-		let fatOffsets = [];
-		let fatBody = new RecordBuffer(4096);
-		for (const actor of actors) {
-			fatOffsets.push(fatBody.getPos() / 2); // units of uint16le
-			for (const frameInfo of actor) {
-				fatBody.writeRecord(recordTypes.actorHeader, frameInfo);
-			}
-		}
-
-		const offFatBody = fatOffsets.length; // units of uint16le
-		let fat = new RecordBuffer(4096);
-		for (const offActorHeader of fatOffsets) {
-			fat.write(RecordType.int.u16le, offFatBody + offActorHeader);
-		}
-		fat.put(fatBody);
-
 		return {
-			content: {
-				main: main.getU8(),
-				info: fat.getU8(),
-			},
+			content: actorTilesetWrite(images, layout),
 			warnings: [],
 		};
 	}
@@ -0,0 +1,149 @@
+/*
+ * Duke Nukem II actor tileset handler.
+ *
+ * This is similar to the Cosmo actor format, except each actor has a header
+ * giving its frame count and draw order, and each frame has an offset to draw
+ * it relative to the actor's position.
+ *
+ * The draw index is stored in the `drawIndex` tag of each image, and the draw
+ * offset is converted into the frame's hotspot.
+ *
+ * This file format is fully documented on the ModdingWiki:
+ *   https://moddingwiki.shikadi.net/wiki/Duke_Nukem_II_Actor_Info_Format
+ *
+ * Copyright (C) 2010-2022 Adam Nielsen <malvineous@shikadi.net>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+const FORMAT_ID = 'tls-duke2-actrinfo';
+
+import Debug from '../util/debug.js';
+const debug = Debug.extend(FORMAT_ID);
+
+import { RecordType } from '@camoto/record-io-buffer';
+import ImageHandler from '../interface/imageHandler.js';
+import {
+	actorInfoFilename,
+	actorTilesetRead,
+	actorTilesetWrite,
+} from '../util/actor-tileset.js';
+
+const layout = {
+	actorHeader: {
+		frameCount: RecordType.int.u16le,
+		drawIndex: RecordType.int.s16le,
+	},
+	frameHeader: {
+		drawOffsetX: RecordType.int.s16le, // in tiles
+		drawOffsetY: RecordType.int.s16le,
+		height: RecordType.int.u16le,
+		width: RecordType.int.u16le,
+		frameOffset: RecordType.int.u32le,
+		unused: RecordType.int.u32le,
+	},
+	blockPadding: false,
+
+	readImage: (image, header) => {
+		image.tags.drawIndex = header.drawIndex;
+	},
+	readFrame: (frame, header) => {
+		frame.hotspotX = -header.drawOffsetX * 8;
+		frame.hotspotY = -header.drawOffsetY * 8;
+	},
+	writeImage: image => ({
+		drawIndex: image.tags.drawIndex || 0,
+	}),
+	writeFrame: frame => ({
+		drawOffsetX: -Math.round((frame.hotspotX || 0) / 8),
+		drawOffsetY: -Math.round((frame.hotspotY || 0) / 8),
+		unused: 0,
+	}),
+};
+
+export class tls_duke2_actrinfo extends ImageHandler
+{
+	static metadata() {
+		let md = {
+			...super.metadata(),
+			id: FORMAT_ID,
+			title: 'Duke Nukem II Actor Tileset',
+			glob: [
+				'actors.mni',
+			],
+		};
+
+		md.limits.minimumSize.x = 8;
+		md.limits.minimumSize.y = 8;
+		md.limits.maximumSize.x = undefined;
+		md.limits.maximumSize.y = undefined;
+		md.limits.sizePerFrame = true;
+		md.limits.multipleSize.x = 8;
+		md.limits.multipleSize.y = 8;
+		md.limits.depth = 5;
+		md.limits.hasPalette = false;
+		md.limits.frameCount.min = 0;
+		md.limits.frameCount.max = undefined; // no maximum
+		md.limits.imageCount.min = 1;
+		md.limits.imageCount.max = undefined; // no maximum
+		md.limits.tags = {
+			drawIndex: 'Order in which the actor is drawn',
+		};
+
+		return md;
+	}
+
+	static supps(name) {
+		return {
+			info: actorInfoFilename(name, {
+				'actors': 'actrinfo',
+			}),
+		};
+	}
+
+	static identify() {
+		return {
+			valid: undefined,
+			reason: `Unable to autodetect without associated ACTRINFO.MNI file.`,
+		};
+	}
+
+	static read(content) {
+		if (!content.info) {
+			throw new Error('BUG: Caller did not supply suppdata for actrinfo.mni');
+		}
+
+		const images = actorTilesetRead(content, layout);
+		debug(`Read ${images.length} actors`);
+
+		// Don't return an array if there's only one image.
+		if (images.length === 1) {
+			return images[0];
+		}
+
+		return images;
+	}
+
+	static write(images) {
+		// Create an array if we didn't get one.
+		if (images.length === undefined) {
+			images = [images];
+		}
+
+		return {
+			content: actorTilesetWrite(images, layout),
+			warnings: [],
+		};
+	}
+}
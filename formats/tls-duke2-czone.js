@@ -0,0 +1,211 @@
+/*
+ * Duke Nukem II CZone tileset handler.
+ *
+ * CZONE*.MNI files hold the map tiles for a level: 1000 solid tiles followed
+ * by 160 masked tiles, preceded by the attributes (solidity, ladders, etc.)
+ * for each tile.
+ *
+ * This handler returns two images, one with the solid tiles and one with the
+ * masked tiles, identified by the `chunkType` tag (`solid` or `masked`).  The
+ * tile attributes are in the `attributes` tag of each image, as one number per
+ * solid tile, and as an array of five numbers per masked tile.
+ *
+ * This file format is fully documented on the ModdingWiki:
+ *   https://moddingwiki.shikadi.net/wiki/Duke_Nukem_II_CZone_Format
+ *
+ * Copyright (C) 2010-2022 Adam Nielsen <malvineous@shikadi.net>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+const FORMAT_ID = 'tls-duke2-czone';
+
+import Debug from '../util/debug.js';
+const debug = Debug.extend(FORMAT_ID);
+
+import { RecordBuffer, RecordType } from '@camoto/record-io-buffer';
+import ImageHandler from '../interface/imageHandler.js';
+import Image from '../interface/image.js';
+import {
+	BYTES_PER_TILE,
+	BYTES_PER_TILE_MASKED,
+	frameFromTiles,
+	frameToTiles,
+	paletteActorTileset,
+} from '../util/actor-tileset.js';
+
+const SOLID_COUNT = 1000;
+const MASKED_COUNT = 160;
+
+// Each masked tile has five attribute words.
+const MASKED_ATTR_COUNT = 5;
+
+const LEN_ATTRIBUTES = SOLID_COUNT * 2 + MASKED_COUNT * MASKED_ATTR_COUNT * 2;
+const OFFSET_SOLID = LEN_ATTRIBUTES;
+const OFFSET_MASKED = OFFSET_SOLID + SOLID_COUNT * BYTES_PER_TILE;
+const FILE_LEN = OFFSET_MASKED + MASKED_COUNT * BYTES_PER_TILE_MASKED;
+
+export class tls_duke2_czone extends ImageHandler
+{
+	static metadata() {
+		let md = {
+			...super.metadata(),
+			id: FORMAT_ID,
+			title: 'Duke Nukem II CZone Tileset',
+			glob: [
+				'czone*.mni',
+			],
+		};
+
+		md.limits.minimumSize.x = 8;
+		md.limits.minimumSize.y = 8;
+		md.limits.maximumSize.x = 8;
+		md.limits.maximumSize.y = 8;
+		md.limits.depth = 4;
+		md.limits.hasPalette = false;
+		md.limits.transparentIndex = 16;
+		md.limits.frameCount.min = 0;
+		md.limits.frameCount.max = SOLID_COUNT;
+		md.limits.imageCount.min = 2;
+		md.limits.imageCount.max = 2;
+		md.limits.tags = {
+			chunkType: 'Type of tiles in this image (solid, masked)',
+			attributes: 'Tile attributes, such as solidity',
+		};
+
+		return md;
+	}
+
+	static identify(content) {
+		if (content.length !== FILE_LEN) {
+			return {
+				valid: false,
+				reason: `File length ${content.length} is not ${FILE_LEN}.`,
+			};
+		}
+
+		return {
+			valid: undefined,
+			reason: `Correct file size, but no signature.`,
+		};
+	}
+
+	static read(content) {
+		let buffer = new RecordBuffer(content.main);
+
+		let attrSolid = [];
+		for (let i = 0; i < SOLID_COUNT; i++) {
+			attrSolid.push(buffer.read(RecordType.int.u16le));
+		}
+		let attrMasked = [];
+		for (let i = 0; i < MASKED_COUNT; i++) {
+			let attr = [];
+			for (let j = 0; j < MASKED_ATTR_COUNT; j++) {
+				attr.push(buffer.read(RecordType.int.u16le));
+			}
+			attrMasked.push(attr);
+		}
+
+		const palette = paletteActorTileset();
+		const readTiles = (offset, count, masked) => {
+			const lenTile = masked ? BYTES_PER_TILE_MASKED : BYTES_PER_TILE;
+			let frames = [];
+			for (let t = 0; t < count; t++) {
+				const start = offset + t * lenTile;
+				frames.push(
+					frameFromTiles(content.main.slice(start, start + lenTile), 1, 1, masked)
+				);
+			}
+			return frames;
+		};
+
+		debug(`Reading ${SOLID_COUNT} solid and ${MASKED_COUNT} masked tiles`);
+		return [
+			new Image({
+				width: 8,
+				height: 8,
+				frames: readTiles(OFFSET_SOLID, SOLID_COUNT, false),
+				palette,
+				tags: {
+					chunkType: 'solid',
+					attributes: attrSolid,
+				},
+			}),
+			new Image({
+				width: 8,
+				height: 8,
+				frames: readTiles(OFFSET_MASKED, MASKED_COUNT, true),
+				palette,
+				tags: {
+					chunkType: 'masked',
+					attributes: attrMasked,
+				},
+			}),
+		];
+	}
+
+	static write(images) {
+		if (images.length === undefined) {
+			images = [images];
+		}
+
+		const solid = images.find(img => img.tags.chunkType === 'solid');
+		const masked = images.find(img => img.tags.chunkType === 'masked');
+		if (!solid || !masked) {
+			throw new Error(`Need one image with a chunkType tag of "solid" and one `
+				+ `with "masked".`);
+		}
+		if (solid.frames.length > SOLID_COUNT) {
+			throw new Error(`Too many solid tiles (${solid.frames.length}), the `
+				+ `maximum is ${SOLID_COUNT}.`);
+		}
+		if (masked.frames.length > MASKED_COUNT) {
+			throw new Error(`Too many masked tiles (${masked.frames.length}), the `
+				+ `maximum is ${MASKED_COUNT}.`);
+		}
+
+		let buffer = new RecordBuffer(LEN_ATTRIBUTES);
+
+		const attrSolid = solid.tags.attributes || [];
+		for (let i = 0; i < SOLID_COUNT; i++) {
+			buffer.write(RecordType.int.u16le, attrSolid[i] || 0);
+		}
+		const attrMasked = masked.tags.attributes || [];
+		for (let i = 0; i < MASKED_COUNT; i++) {
+			const attr = attrMasked[i] || [];
+			for (let j = 0; j < MASKED_ATTR_COUNT; j++) {
+				buffer.write(RecordType.int.u16le, attr[j] || 0);
+			}
+		}
+
+		// Any missing tiles are left blank.
+		let main = new Uint8Array(FILE_LEN);
+		main.set(buffer.getU8());
+		const writeTiles = (img, offset, isMasked) => {
+			const lenTile = isMasked ? BYTES_PER_TILE_MASKED : BYTES_PER_TILE;
+			img.frames.forEach((frame, t) => {
+				main.set(frameToTiles(frame, 1, 1, isMasked), offset + t * lenTile);
+			});
+		};
+		writeTiles(solid, OFFSET_SOLID, false);
+		writeTiles(masked, OFFSET_MASKED, true);
+
+		return {
+			content: {
+				main,
+			},
+			warnings: [],
+		};
+	}
+}
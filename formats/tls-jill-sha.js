@@ -0,0 +1,332 @@
+/*
+ * Jill of the Jungle and Xargon shape file handler.
+ *
+ * This file format is fully documented on the ModdingWiki:
+ *   https://moddingwiki.shikadi.net/wiki/Jill_of_the_Jungle_Tileset_Format
+ *
+ * The file holds up to 128 tilesets, each returned as a separate `Image` with
+ * one frame per tile.  Unused tileset slots are returned as images with no
+ * frames and no tags.
+ *
+ * Each tileset has its own colour depth (1, 2, 4 or 8 bits per pixel) which
+ * is kept in the `depth` tag and used to pick the default palette.  Pixels are
+ * stored one byte each regardless of the depth.  The tileset flags are kept in
+ * the `flags` tag, and the per-tile flags in the `tileFlags` tag as one number
+ * per frame.
+ *
+ * The tileset header also lists how much memory the tileset needs once it has
+ * been converted to each video mode.  These are kept in the `lenCGA`, `lenEGA`
+ * and `lenVGA` tags so they can be written back unchanged, but if they are
+ * missing they will be calculated from the tile sizes.
+ *
+ * Copyright (C) 2010-2022 Adam Nielsen <malvineous@shikadi.net>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+const FORMAT_ID = 'tls-jill-sha';
+
+import Debug from '../util/debug.js';
+const debug = Debug.extend(FORMAT_ID);
+
+import { RecordBuffer, RecordType } from '@camoto/record-io-buffer';
+import ImageHandler from '../interface/imageHandler.js';
+import Image from '../interface/image.js';
+import Frame from '../interface/frame.js';
+import { defaultPalette } from '../util/palette-default.js';
+
+const recordTypes = {
+	tilesetHeader: {
+		tileCount: RecordType.int.u8,
+		numRotations: RecordType.int.u16le,
+		lenCGA: RecordType.int.u16le,
+		lenEGA: RecordType.int.u16le,
+		lenVGA: RecordType.int.u16le,
+		depth: RecordType.int.u8,
+		flags: RecordType.int.u16le,
+	},
+	tileHeader: {
+		width: RecordType.int.u8,
+		height: RecordType.int.u8,
+		flags: RecordType.int.u8,
+	},
+};
+
+const TILESET_COUNT = 128;
+const HEADER_LEN = TILESET_COUNT * (4 + 2);
+const TILESET_HEADER_LEN = 12;
+const TILE_HEADER_LEN = 3;
+
+const DEPTHS = [1, 2, 4, 8];
+
+/**
+ * Check that a tileset's tiles exactly fill its space in the file.
+ */
+function tilesetLength(content, offset)
+{
+	if (offset + TILESET_HEADER_LEN > content.length) return null;
+	let pos = offset + TILESET_HEADER_LEN;
+	const tileCount = content[offset];
+	for (let t = 0; t < tileCount; t++) {
+		if (pos + TILE_HEADER_LEN > content.length) return null;
+		pos += TILE_HEADER_LEN + content[pos] * content[pos + 1];
+	}
+	return pos - offset;
+}
+
+export class tls_jill_sha extends ImageHandler
+{
+	static metadata() {
+		let md = {
+			...super.metadata(),
+			id: FORMAT_ID,
+			title: 'Jill of the Jungle/Xargon Shape File',
+			glob: [
+				'*.sha',
+				'graphics.xr*',
+			],
+		};
+
+		md.limits.minimumSize.x = 0;
+		md.limits.minimumSize.y = 0;
+		md.limits.maximumSize.x = 255;
+		md.limits.maximumSize.y = 255;
+		md.limits.sizePerFrame = true;
+		md.limits.depth = 8;
+		md.limits.hasPalette = false;
+		md.limits.frameCount.min = 0;
+		md.limits.frameCount.max = 255;
+		md.limits.imageCount.min = 1;
+		md.limits.imageCount.max = TILESET_COUNT;
+		md.limits.tags = {
+			depth: 'Colour depth of the tileset (1, 2, 4 or 8)',
+			flags: 'Tileset flags',
+			tileFlags: 'Flags for each tile',
+			numRotations: 'Number of rotations',
+			lenCGA: 'Memory needed for the tileset in CGA mode',
+			lenEGA: 'Memory needed for the tileset in EGA mode',
+			lenVGA: 'Memory needed for the tileset in VGA mode',
+		};
+
+		return md;
+	}
+
+	static identify(content) {
+		if (content.length < HEADER_LEN) {
+			return {
+				valid: false,
+				reason: `File too short.`,
+			};
+		}
+
+		let buffer = new RecordBuffer(content);
+		let offsets = [];
+		for (let i = 0; i < TILESET_COUNT; i++) {
+			offsets.push(buffer.read(RecordType.int.u32le));
+		}
+		let tilesetCount = 0;
+		for (let i = 0; i < TILESET_COUNT; i++) {
+			const length = buffer.read(RecordType.int.u16le);
+			if (offsets[i] === 0) continue;
+			if ((offsets[i] < HEADER_LEN) || (offsets[i] + length > content.length)) {
+				return {
+					valid: false,
+					reason: `Tileset ${i} is outside the file.`,
+				};
+			}
+			if (tilesetLength(content, offsets[i]) !== length) {
+				return {
+					valid: false,
+					reason: `Tiles in tileset ${i} don't match the tileset length.`,
+				};
+			}
+			tilesetCount++;
+		}
+
+		if (tilesetCount === 0) {
+			return {
+				valid: false,
+				reason: `No tilesets.`,
+			};
+		}
+
+		return {
+			valid: true,
+			reason: `All ${tilesetCount} tilesets are valid.`,
+		};
+	}
+
+	static read(content) {
+		let buffer = new RecordBuffer(content.main);
+
+		let offsets = [];
+		for (let i = 0; i < TILESET_COUNT; i++) {
+			offsets.push(buffer.read(RecordType.int.u32le));
+		}
+
+		// Drop any unused slots at the end.
+		let lastUsed = offsets.length - 1;
+		while ((lastUsed >= 0) && (offsets[lastUsed] === 0)) lastUsed--;
+
+		let images = [];
+		for (let i = 0; i <= lastUsed; i++) {
+			if (offsets[i] === 0) {
+				images.push(new Image({
+					frames: [],
+					palette: defaultPalette(8),
+				}));
+				continue;
+			}
+
+			buffer.seekAbs(offsets[i]);
+			const header = buffer.readRecord(recordTypes.tilesetHeader);
+			debug(`Tileset ${i}: ${header.tileCount} tiles, ${header.depth} bpp`);
+
+			let frames = [];
+			let tileFlags = [];
+			for (let t = 0; t < header.tileCount; t++) {
+				const tile = buffer.readRecord(recordTypes.tileHeader);
+				frames.push(new Frame({
+					width: tile.width,
+					height: tile.height,
+					pixels: buffer.getU8(buffer.getPos(), tile.width * tile.height).slice(),
+				}));
+				buffer.seekRel(tile.width * tile.height);
+				tileFlags.push(tile.flags);
+			}
+
+			images.push(new Image({
+				frames,
+				palette: defaultPalette(DEPTHS.includes(header.depth) ? header.depth : 8),
+				tags: {
+					depth: header.depth,
+					flags: header.flags,
+					tileFlags,
+					numRotations: header.numRotations,
+					lenCGA: header.lenCGA,
+					lenEGA: header.lenEGA,
+					lenVGA: header.lenVGA,
+				},
+			}));
+		}
+
+		// Don't return an array if there's only one image.
+		if (images.length === 1) {
+			return images[0];
+		}
+
+		return images;
+	}
+
+	static write(images) {
+		// Create an array if we didn't get one.
+		if (images.length === undefined) {
+			images = [images];
+		}
+
+		if (images.length > TILESET_COUNT) {
+			throw new Error(`Too many tilesets (${images.length}), the maximum is `
+				+ `${TILESET_COUNT}.`);
+		}
+
+		let warnings = [];
+		let tilesets = [];
+		for (let i = 0; i < images.length; i++) {
+			const img = images[i];
+
+			// Images with no frames and no depth are unused slots.
+			if ((img.frames.length === 0) && (img.tags.depth === undefined)) {
+				tilesets.push(null);
+				continue;
+			}
+
+			if (img.frames.length > 255) {
+				throw new Error(`Tileset ${i} has ${img.frames.length} tiles, but the `
+					+ `maximum is 255.`);
+			}
+
+			let maxPixel = 0;
+			let lenCGA = 0, lenEGA = 0, lenVGA = 0;
+			let tiles = new RecordBuffer(4096);
+			const tileFlags = img.tags.tileFlags || [];
+			img.frames.forEach((frame, t) => {
+				const width = ((frame.width === undefined) ? img.width : frame.width) || 0;
+				const height = ((frame.height === undefined) ? img.height : frame.height) || 0;
+				if ((width > 255) || (height > 255)) {
+					throw new Error(`Tile ${t} in tileset ${i} is larger than 255x255.`);
+				}
+				tiles.writeRecord(recordTypes.tileHeader, {
+					width,
+					height,
+					flags: tileFlags[t] || 0,
+				});
+				const pixels = frame.pixels.slice(0, width * height);
+				tiles.put(pixels);
+				for (const p of pixels) maxPixel = Math.max(maxPixel, p);
+
+				lenCGA += Math.ceil(width * 2 / 8) * height;
+				lenEGA += Math.ceil(width * 4 / 8) * height;
+				lenVGA += width * height;
+			});
+
+			let depth = img.tags.depth;
+			if (depth === undefined) {
+				depth = DEPTHS.find(d => maxPixel < (1 << d));
+			} else if (DEPTHS.includes(depth) && (maxPixel >= (1 << depth))) {
+				warnings.push(`Tileset ${i} is ${depth} bpp, but has pixels of value `
+					+ `${maxPixel}, which will not display correctly.`);
+			}
+
+			let buffer = new RecordBuffer(TILESET_HEADER_LEN + tiles.length);
+			buffer.writeRecord(recordTypes.tilesetHeader, {
+				tileCount: img.frames.length,
+				numRotations: (img.tags.numRotations === undefined) ? 1 : img.tags.numRotations,
+				lenCGA: (img.tags.lenCGA === undefined) ? (lenCGA & 0xFFFF) : img.tags.lenCGA,
+				lenEGA: (img.tags.lenEGA === undefined) ? (lenEGA & 0xFFFF) : img.tags.lenEGA,
+				lenVGA: (img.tags.lenVGA === undefined) ? (lenVGA & 0xFFFF) : img.tags.lenVGA,
+				depth,
+				flags: img.tags.flags || 0,
+			});
+			buffer.put(tiles);
+
+			if (buffer.length > 0xFFFF) {
+				throw new Error(`Tileset ${i} is ${buffer.length} bytes, but the `
+					+ `maximum is 65535.`);
+			}
+			tilesets.push(buffer.getU8());
+		}
+
+		let buffer = new RecordBuffer(HEADER_LEN);
+		let offset = HEADER_LEN;
+		for (let i = 0; i < TILESET_COUNT; i++) {
+			const t = tilesets[i];
+			buffer.write(RecordType.int.u32le, t ? offset : 0);
+			if (t) offset += t.length;
+		}
+		for (let i = 0; i < TILESET_COUNT; i++) {
+			const t = tilesets[i];
+			buffer.write(RecordType.int.u16le, t ? t.length : 0);
+		}
+		for (const t of tilesets) {
+			if (t) buffer.put(t);
+		}
+
+		return {
+			content: {
+				main: buffer.getU8(),
+			},
+			warnings,
+		};
+	}
+}
@@ -0,0 +1,583 @@
+/*
+ * Commander Keen 4-6 EGAGRAPH graphics container.
+ *
+ * The graphics are split into numbered chunks, each compressed with Huffman
+ * compression.  EGAHEAD lists the offset of each chunk and EGADICT holds the
+ * Huffman dictionary.  In the original releases these two files are stored
+ * inside the game's .exe file, so they must be extracted first (mods usually
+ * have them as separate files already).
+ *
+ * Each chunk is returned as a separate `Image`, in file order, with the
+ * `chunkType` tag identifying what it is:
+ *
+ *  - `font`: Variable-width font, one frame per character (256 in total).
+ *  - `pic`: Unmasked picture, one frame.
+ *  - `picm`: Masked picture, one frame.
+ *  - `sprite`: Masked sprite, one frame.  The frame hotspot is set from the
+ *    sprite origin, and the `hitbox` tag holds the clipping rectangle as
+ *    `{left, top, right, bottom}`, relative to the origin.  All values are in
+ *    pixels, converted from the 1/16 pixel units in the file.  The `shifts`
+ *    tag holds the number of pre-shifted copies the game creates.
+ *  - `tile8`, `tile8m`: All the 8x8 unmasked/masked tiles, one frame each.
+ *  - `tile16`, `tile16m`: All the 16x16 unmasked/masked tiles, one frame each.
+ *    Tiles that don't exist in the file are blank, with their indices listed
+ *    in the `sparse` tag.  When writing, tiles in this list are only left out
+ *    if they are still blank.
+ *  - `extern`: Non-image data such as text and demos, in the `data` tag as a
+ *    `Uint8Array`.  This image has no frames.
+ *
+ * The number of pictures and sprites are read from their tables in the file,
+ * but the number of fonts and tiles aren't stored anywhere (they are compiled
+ * into the game) so they must be given as options if they differ from the
+ * Keen 4 defaults.
+ *
+ * Copyright (C) 2010-2022 Adam Nielsen <malvineous@shikadi.net>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+const FORMAT_ID = 'tls-keen-egagraph';
+
+import Debug from '../util/debug.js';
+const debug = Debug.extend(FORMAT_ID);
+
+import { RecordBuffer, RecordType } from '@camoto/record-io-buffer';
+import { getBasename, replaceBasename } from '../util/supp.js';
+import ImageHandler from '../interface/imageHandler.js';
+import Image from '../interface/image.js';
+import Frame from '../interface/frame.js';
+import { fromPlanar, toPlanar } from '../util/frame-planar.js';
+import { paletteCGA16 } from '../util/palette-default.js';
+import { huffmanReadChunks, huffmanWriteChunks } from '../util/huffman.js';
+import { fontIdRead, fontIdWrite } from '../util/font-id.js';
+
+const recordTypes = {
+	picTable: {
+		width: RecordType.int.s16le, // in bytes, i.e. units of 8 pixels
+		height: RecordType.int.s16le,
+	},
+	spriteTable: {
+		width: RecordType.int.s16le, // in bytes
+		height: RecordType.int.s16le,
+		orgX: RecordType.int.s16le,
+		orgY: RecordType.int.s16le,
+		xl: RecordType.int.s16le,
+		yl: RecordType.int.s16le,
+		xh: RecordType.int.s16le,
+		yh: RecordType.int.s16le,
+		shifts: RecordType.int.s16le,
+	},
+};
+
+const PIC_TABLE_LEN = 4;
+const SPRITE_TABLE_LEN = 18;
+
+// Chunks with a fixed size, which don't start with their decompressed length.
+const TILE8_LEN = 32;
+const TILE8M_LEN = 40;
+const TILE16_LEN = 128;
+const TILE16M_LEN = 160;
+
+// Pixel value used for transparent pixels in masked images.
+const TRANSPARENT = 16;
+
+// Keen fonts are one bit per pixel, with unset bits transparent.
+const FONT_PIXELS = { on: 15, off: TRANSPARENT };
+
+// Graphics counts used by Keen 4, which can be overridden with options.
+const defaultCounts = {
+	fontCount: 3,
+	tile8Count: 104,
+	tile8mCount: 20,
+	tile16Count: 1296,
+	tile16mCount: 2916,
+};
+
+function createPalette()
+{
+	let palette = paletteCGA16();
+	palette.push([255, 0, 255, 0]);
+	return palette;
+}
+
+/**
+ * Decode plane-sequential EGA data, optionally with a mask plane first.
+ */
+function decodePlanes(content, width, height, masked)
+{
+	let pixels = fromPlanar({
+		content,
+		planeCount: masked ? 5 : 4,
+		planeWidth: width * height,
+		lineWidth: width,
+		planeValues: masked ? [TRANSPARENT, 1, 2, 4, 8] : [1, 2, 4, 8],
+		byteOrderMSB: true,
+	});
+	if (masked) {
+		// Any pixel with the mask bit set is transparent, whatever its colour.
+		for (let p = 0; p < pixels.length; p++) {
+			pixels[p] = Math.min(TRANSPARENT, pixels[p]);
+		}
+	}
+	return pixels;
+}
+
+/**
+ * Encode plane-sequential EGA data, the reverse of decodePlanes().
+ */
+function encodePlanes(pixels, width, height, masked)
+{
+	if (masked) {
+		// Transparent pixels have the mask bit set and all colour bits clear.
+		pixels = pixels.map(p => (p >= TRANSPARENT) ? TRANSPARENT : p);
+	}
+	return toPlanar({
+		content: pixels,
+		planeCount: masked ? 5 : 4,
+		planeWidth: width * height,
+		lineWidth: width,
+		planeValues: masked ? [TRANSPARENT, 1, 2, 4, 8] : [1, 2, 4, 8],
+		byteOrderMSB: true,
+	});
+}
+
+function readFont(data, palette)
+{
+	const { height, frames } = fontIdRead(data, FONT_PIXELS);
+
+	return new Image({
+		width: 0,
+		height,
+		frames,
+		palette,
+		tags: {
+			chunkType: 'font',
+		},
+	});
+}
+
+function writeFont(image)
+{
+	const height = image.height || Math.max(0, ...image.frames.map(f => f.height || 0));
+	return fontIdWrite(image.frames, image.width, height, FONT_PIXELS);
+}
+
+/**
+ * Split data containing multiple tiles into frames.
+ */
+function readTiles(data, count, size, masked)
+{
+	const lenTile = size * size / 8 * (masked ? 5 : 4);
+	let frames = [];
+	for (let t = 0; t < count; t++) {
+		frames.push(new Frame({
+			width: size,
+			height: size,
+			pixels: decodePlanes(
+				data.subarray(t * lenTile, (t + 1) * lenTile),
+				size,
+				size,
+				masked
+			),
+		}));
+	}
+	return frames;
+}
+
+export class tls_keen_egagraph extends ImageHandler
+{
+	static metadata() {
+		let md = {
+			...super.metadata(),
+			id: FORMAT_ID,
+			title: 'Commander Keen 4-6 EGAGRAPH',
+			options: {
+				fontCount: `Number of fonts (default ${defaultCounts.fontCount})`,
+				tile8Count: `Number of 8x8 unmasked tiles (default ${defaultCounts.tile8Count})`,
+				tile8mCount: `Number of 8x8 masked tiles (default ${defaultCounts.tile8mCount})`,
+				tile16Count: `Number of 16x16 unmasked tiles (default ${defaultCounts.tile16Count})`,
+				tile16mCount: `Number of 16x16 masked tiles (default ${defaultCounts.tile16mCount})`,
+			},
+			glob: [
+				'egagraph.ck4',
+				'egagraph.ck5',
+				'egagraph.ck6',
+			],
+		};
+
+		md.limits.minimumSize.x = 0;
+		md.limits.minimumSize.y = 0;
+		md.limits.maximumSize.x = undefined;
+		md.limits.maximumSize.y = undefined;
+		md.limits.sizePerFrame = true;
+		md.limits.multipleSize.x = 1;
+		md.limits.multipleSize.y = 1;
+		md.limits.depth = 4;
+		md.limits.hasPalette = false;
+		md.limits.transparentIndex = TRANSPARENT;
+		md.limits.frameCount.min = 0;
+		md.limits.frameCount.max = undefined;
+		md.limits.imageCount.min = 1;
+		md.limits.imageCount.max = undefined;
+		md.limits.tags = {
+			chunkType: 'Type of data in this chunk (font, pic, picm, sprite, tile8, '
+				+ 'tile8m, tile16, tile16m, extern)',
+			hitbox: 'Sprite clipping rectangle',
+			shifts: 'Number of pre-shifted copies of the sprite',
+			sparse: 'Indices of tiles not present in the file',
+			data: 'Raw content of non-image chunks',
+		};
+
+		return md;
+	}
+
+	static supps(name) {
+		const basename = getBasename(name);
+		const swap = n => basename.replace(/graph$/i, m => (
+			(m === m.toUpperCase()) ? n.toUpperCase() : n
+		));
+		return {
+			head: replaceBasename(name, swap('head')),
+			dict: replaceBasename(name, swap('dict')),
+		};
+	}
+
+	static identify(content) {
+		if (content.length < 4) {
+			return {
+				valid: false,
+				reason: `File too short.`,
+			};
+		}
+
+		// The first chunk is always the picture table, which has four bytes per
+		// picture.
+		let buffer = new RecordBuffer(content);
+		const lenPicTable = buffer.read(RecordType.int.u32le);
+		if (lenPicTable % PIC_TABLE_LEN) {
+			return {
+				valid: false,
+				reason: `Picture table length is not a multiple of ${PIC_TABLE_LEN}.`,
+			};
+		}
+
+		return {
+			valid: undefined,
+			reason: `Unable to autodetect without associated EGAHEAD and EGADICT files.`,
+		};
+	}
+
+	static read(content, options = {}) {
+		if (!content.head) {
+			throw new Error('BUG: Caller did not supply suppdata for EGAHEAD');
+		}
+		if (!content.dict) {
+			throw new Error('BUG: Caller did not supply suppdata for EGADICT');
+		}
+
+		let counts = {};
+		for (const [k, v] of Object.entries(defaultCounts)) {
+			counts[k] = (options[k] === undefined) ? v : parseInt(options[k], 10);
+		}
+
+		const { chunkCount, expand } = huffmanReadChunks(content);
+
+		const picTable = expand(0) || new Uint8Array(0);
+		const picmTable = expand(1) || new Uint8Array(0);
+		const spriteTable = expand(2) || new Uint8Array(0);
+
+		const readTable = (data, len, type) => {
+			let buffer = new RecordBuffer(data);
+			let entries = [];
+			for (let i = 0; i < Math.floor(data.length / len); i++) {
+				entries.push(buffer.readRecord(type));
+			}
+			return entries;
+		};
+		const pics = readTable(picTable, PIC_TABLE_LEN, recordTypes.picTable);
+		const picms = readTable(picmTable, PIC_TABLE_LEN, recordTypes.picTable);
+		const sprites = readTable(spriteTable, SPRITE_TABLE_LEN, recordTypes.spriteTable);
+		debug(`${pics.length} pics, ${picms.length} masked pics, ${sprites.length} sprites`);
+
+		const palette = createPalette();
+		let images = [];
+		let chunk = 3;
+
+		for (let i = 0; i < counts.fontCount; i++, chunk++) {
+			const data = expand(chunk);
+			if (!data) {
+				images.push(new Image({ palette, tags: { chunkType: 'font' } }));
+				continue;
+			}
+			images.push(readFont(data, palette));
+		}
+
+		const readPics = (table, masked, chunkType) => {
+			for (const entry of table) {
+				const width = entry.width * 8;
+				const height = entry.height;
+				const lenPlane = entry.width * height;
+				const data = expand(chunk++, undefined)
+					|| new Uint8Array(lenPlane * (masked ? 5 : 4));
+				images.push(new Image({
+					width,
+					height,
+					frames: [
+						new Frame({
+							width,
+							height,
+							pixels: decodePlanes(data, width, height, masked),
+						}),
+					],
+					palette,
+					tags: {
+						chunkType,
+					},
+				}));
+			}
+		};
+		readPics(pics, false, 'pic');
+		readPics(picms, true, 'picm');
+
+		for (const entry of sprites) {
+			const width = entry.width * 8;
+			const height = entry.height;
+			const data = expand(chunk++)
+				|| new Uint8Array(entry.width * height * 5);
+			images.push(new Image({
+				width,
+				height,
+				frames: [
+					new Frame({
+						width,
+						height,
+						pixels: decodePlanes(data, width, height, true),
+						hotspotX: -entry.orgX / 16,
+						hotspotY: -entry.orgY / 16,
+					}),
+				],
+				palette,
+				tags: {
+					chunkType: 'sprite',
+					hitbox: {
+						left: entry.xl / 16,
+						top: entry.yl / 16,
+						right: entry.xh / 16,
+						bottom: entry.yh / 16,
+					},
+					shifts: entry.shifts,
+				},
+			}));
+		}
+
+		// 8x8 tiles are all stored in a single chunk.
+		const readTile8 = (count, masked, chunkType) => {
+			if (!count) return;
+			const lenTile = masked ? TILE8M_LEN : TILE8_LEN;
+			const data = expand(chunk++, count * lenTile)
+				|| new Uint8Array(count * lenTile);
+			images.push(new Image({
+				width: 8,
+				height: 8,
+				frames: readTiles(data, count, 8, masked),
+				palette,
+				tags: {
+					chunkType,
+				},
+			}));
+		};
+		readTile8(counts.tile8Count, false, 'tile8');
+		readTile8(counts.tile8mCount, true, 'tile8m');
+
+		// 16x16 tiles are one per chunk, and may be missing.
+		const readTile16 = (count, masked, chunkType) => {
+			if (!count) return;
+			const lenTile = masked ? TILE16M_LEN : TILE16_LEN;
+			let frames = [];
+			let sparse = [];
+			for (let t = 0; t < count; t++) {
+				const data = expand(chunk++, lenTile);
+				if (!data) {
+					sparse.push(t);
+					frames.push(new Frame({
+						width: 16,
+						height: 16,
+						pixels: new Uint8Array(16 * 16).fill(masked ? TRANSPARENT : 0),
+					}));
+					continue;
+				}
+				frames.push(...readTiles(data, 1, 16, masked));
+			}
+			images.push(new Image({
+				width: 16,
+				height: 16,
+				frames,
+				palette,
+				tags: {
+					chunkType,
+					sparse,
+				},
+			}));
+		};
+		readTile16(counts.tile16Count, false, 'tile16');
+		readTile16(counts.tile16mCount, true, 'tile16m');
+
+		for (; chunk < chunkCount; chunk++) {
+			images.push(new Image({
+				palette,
+				tags: {
+					chunkType: 'extern',
+					data: expand(chunk),
+				},
+			}));
+		}
+
+		return images;
+	}
+
+	static write(images) {
+		if (images.length === undefined) {
+			images = [images];
+		}
+
+		const byType = t => images.filter(img => img.tags.chunkType === t);
+		const unknown = images.filter(img => ![
+			'font', 'pic', 'picm', 'sprite', 'tile8', 'tile8m', 'tile16', 'tile16m',
+			'extern',
+		].includes(img.tags.chunkType));
+		if (unknown.length) {
+			throw new Error(`Every image must have a chunkType tag saying where it `
+				+ `belongs in the file.`);
+		}
+		for (const t of ['tile8', 'tile8m', 'tile16', 'tile16m']) {
+			if (byType(t).length > 1) {
+				throw new Error(`Only one image can have the "${t}" chunk type, as `
+					+ `it holds all the tiles of that type.`);
+			}
+		}
+
+		// List of `{data, implicit}` where `implicit` is true if the chunk has a
+		// fixed size so the decompressed length isn't stored.  `data` is null for
+		// sparse chunks.
+		let chunks = [];
+
+		const frameDims = (img, frame) => ({
+			width: (frame.width === undefined) ? img.width : frame.width,
+			height: (frame.height === undefined) ? img.height : frame.height,
+		});
+
+		const pics = byType('pic');
+		const picms = byType('picm');
+		const sprites = byType('sprite');
+
+		const picTable = (list) => {
+			let buffer = new RecordBuffer(list.length * PIC_TABLE_LEN);
+			for (const img of list) {
+				const { width, height } = frameDims(img, img.frames[0]);
+				if (width % 8) {
+					throw new Error(`Picture widths must be a multiple of 8, but one is `
+						+ `${width} pixels wide.`);
+				}
+				buffer.writeRecord(recordTypes.picTable, {
+					width: width / 8,
+					height,
+				});
+			}
+			return buffer.getU8();
+		};
+		chunks.push({ data: picTable(pics) });
+		chunks.push({ data: picTable(picms) });
+
+		let spriteTable = new RecordBuffer(sprites.length * SPRITE_TABLE_LEN);
+		for (const img of sprites) {
+			const frame = img.frames[0];
+			const { width, height } = frameDims(img, frame);
+			if (width % 8) {
+				throw new Error(`Sprite widths must be a multiple of 8, but one is `
+					+ `${width} pixels wide.`);
+			}
+			const hitbox = img.tags.hitbox || {};
+			spriteTable.writeRecord(recordTypes.spriteTable, {
+				width: width / 8,
+				height,
+				orgX: Math.round(-(frame.hotspotX || 0) * 16),
+				orgY: Math.round(-(frame.hotspotY || 0) * 16),
+				xl: Math.round((hitbox.left || 0) * 16),
+				yl: Math.round((hitbox.top || 0) * 16),
+				xh: Math.round((hitbox.right || 0) * 16),
+				yh: Math.round((hitbox.bottom || 0) * 16),
+				shifts: (img.tags.shifts === undefined) ? 4 : img.tags.shifts,
+			});
+		}
+		chunks.push({ data: spriteTable.getU8() });
+
+		for (const img of byType('font')) {
+			chunks.push({ data: writeFont(img) });
+		}
+
+		const writePics = (list, masked) => {
+			for (const img of list) {
+				const frame = img.frames[0];
+				const { width, height } = frameDims(img, frame);
+				chunks.push({ data: encodePlanes(frame.pixels, width, height, masked) });
+			}
+		};
+		writePics(pics, false);
+		writePics(picms, true);
+		writePics(sprites, true);
+
+		const encodeTile = (frame, size, masked) => {
+			if ((frame.width || size) !== size || (frame.height || size) !== size) {
+				throw new Error(`Tiles must be ${size}x${size} pixels.`);
+			}
+			return encodePlanes(frame.pixels, size, size, masked);
+		};
+
+		for (const [t, masked] of [['tile8', false], ['tile8m', true]]) {
+			const img = byType(t)[0];
+			if (!img || !img.frames.length) continue;
+			const tiles = img.frames.map(f => encodeTile(f, 8, masked));
+			let data = new Uint8Array(tiles.reduce((a, d) => a + d.length, 0));
+			let offset = 0;
+			for (const d of tiles) {
+				data.set(d, offset);
+				offset += d.length;
+			}
+			chunks.push({ data, implicit: true });
+		}
+
+		for (const [t, masked] of [['tile16', false], ['tile16m', true]]) {
+			const img = byType(t)[0];
+			if (!img) continue;
+			const sparse = img.tags.sparse || [];
+			const blank = masked ? TRANSPARENT : 0;
+			img.frames.forEach((frame, i) => {
+				if (sparse.includes(i) && frame.pixels.every(p => p === blank)) {
+					chunks.push({ data: null, implicit: true });
+					return;
+				}
+				chunks.push({ data: encodeTile(frame, 16, masked), implicit: true });
+			});
+		}
+
+		for (const img of byType('extern')) {
+			chunks.push({ data: img.tags.data || null });
+		}
+
+		return {
+			content: huffmanWriteChunks(chunks),
+			warnings: [],
+		};
+	}
+}
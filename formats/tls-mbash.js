@@ -0,0 +1,221 @@
+/*
+ * Monster Bash tileset handler.
+ *
+ * This file format is fully documented on the ModdingWiki:
+ *   https://moddingwiki.shikadi.net/wiki/Monster_Bash_Tileset_Format
+ *
+ * Background tiles (.tbg) are 16x16 EGA tiles with four planes stored one
+ * after the other within each tile.  Foreground (.tfg) and bonus (.tbn) tiles
+ * have an extra mask plane before the colour planes, which is mapped to
+ * palette entry 16 (transparent) the same way as tls-cosmo-masked.
+ *
+ * The .sgl and .msp files that go with each level are lists of sprite
+ * filenames and sprite positions respectively, so they contain no image data
+ * and are not handled here.  The sprites themselves (.spr) are in a different,
+ * variable-sized format which is not yet supported.
+ *
+ * Copyright (C) 2010-2022 Adam Nielsen <malvineous@shikadi.net>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import ImageHandler from '../interface/imageHandler.js';
+import Image from '../interface/image.js';
+import Frame from '../interface/frame.js';
+import { fromPlanar, toPlanar } from '../util/frame-planar.js';
+import { paletteCGA16 } from '../util/palette-default.js';
+
+const TILE_WIDTH = 16;
+const TILE_HEIGHT = 16;
+const PIXELS_PER_TILE = TILE_WIDTH * TILE_HEIGHT;
+
+// Largest file the game can load.
+const MAX_FILE_LEN = 65536;
+
+class Tileset_MBash_Common extends ImageHandler
+{
+	static metadata() {
+		let md = {
+			...super.metadata(),
+			games: [
+				'Monster Bash',
+			],
+		};
+
+		md.limits.minimumSize.x = TILE_WIDTH;
+		md.limits.minimumSize.y = TILE_HEIGHT;
+		md.limits.maximumSize.x = TILE_WIDTH;
+		md.limits.maximumSize.y = TILE_HEIGHT;
+		md.limits.depth = 4;
+		md.limits.hasPalette = false;
+		md.limits.frameCount.min = 1;
+		md.limits.frameCount.max = Math.floor(MAX_FILE_LEN / this.bytesPerTile());
+
+		return md;
+	}
+
+	static bytesPerTile() {
+		return PIXELS_PER_TILE * this.planeValues().length / 8;
+	}
+
+	static planarOptions() {
+		const planeValues = this.planeValues();
+		return {
+			planeCount: planeValues.length,
+			planeWidth: PIXELS_PER_TILE,
+			lineWidth: TILE_WIDTH,
+			planeValues,
+			byteOrderMSB: true,
+		};
+	}
+
+	static identify(content) {
+		const bytesPerTile = this.bytesPerTile();
+
+		if (content.length === 0) {
+			return {
+				valid: false,
+				reason: 'Empty file.',
+			};
+		}
+
+		if (content.length > MAX_FILE_LEN) {
+			return {
+				valid: false,
+				reason: 'File too large (>64 kB).',
+			};
+		}
+
+		if (content.length % bytesPerTile) {
+			return {
+				valid: false,
+				reason: `Not a multiple of the tile size (${bytesPerTile} bytes).`,
+			};
+		}
+
+		return {
+			valid: undefined,
+			reason: `Permissable file size.`,
+		};
+	}
+
+	static read(content) {
+		let pixels = fromPlanar({
+			content: content.main,
+			...this.planarOptions(),
+		});
+
+		let img = new Image({
+			width: TILE_WIDTH,
+			height: TILE_HEIGHT,
+			frames: [],
+			palette: this.palette(),
+		});
+
+		this.fromStored(pixels);
+
+		const numTiles = pixels.length / PIXELS_PER_TILE;
+		for (let f = 0; f < numTiles; f++) {
+			img.frames.push(new Frame({
+				pixels: pixels.slice(f * PIXELS_PER_TILE, (f + 1) * PIXELS_PER_TILE),
+			}));
+		}
+
+		return img;
+	}
+
+	static write(image) {
+		let pixels = new Uint8Array(image.frames.length * PIXELS_PER_TILE);
+
+		let offDst = 0;
+		for (const f of image.frames) {
+			pixels.set(f.pixels.slice(0, PIXELS_PER_TILE), offDst);
+			offDst += PIXELS_PER_TILE;
+		}
+
+		return {
+			content: {
+				main: toPlanar({
+					content: pixels,
+					...this.planarOptions(),
+				}),
+			},
+			warnings: [],
+		};
+	}
+}
+
+export class tls_mbash_bg extends Tileset_MBash_Common
+{
+	static metadata() {
+		return {
+			...super.metadata(),
+			id: 'tls-mbash-bg',
+			title: 'Monster Bash Background Tileset',
+			glob: [
+				'*.tbg',
+			],
+		};
+	}
+
+	static planeValues() {
+		return [1, 2, 4, 8];
+	}
+
+	static palette() {
+		return paletteCGA16();
+	}
+
+	static fromStored() {
+		// Nothing to do, all pixel values are valid colours.
+	}
+}
+
+export class tls_mbash_fg extends Tileset_MBash_Common
+{
+	static metadata() {
+		let md = {
+			...super.metadata(),
+			id: 'tls-mbash-fg',
+			title: 'Monster Bash Masked Tileset',
+			glob: [
+				'*.tfg',
+				'*.tbn',
+			],
+		};
+		md.limits.transparentIndex = 16;
+
+		return md;
+	}
+
+	static planeValues() {
+		return [16, 1, 2, 4, 8];
+	}
+
+	static palette() {
+		let pal = paletteCGA16();
+
+		// Add an entry for transparent.
+		pal.push([255, 0, 255, 0]);
+
+		return pal;
+	}
+
+	static fromStored(pixels) {
+		// Convert any colour over 15 to transparent.
+		for (let p = 0; p < pixels.length; p++) {
+			pixels[p] = Math.min(16, pixels[p]);
+		}
+	}
+}
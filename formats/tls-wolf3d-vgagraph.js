@@ -0,0 +1,364 @@
+/*
+ * Wolfenstein 3D VGAGRAPH graphics container.
+ *
+ * This is the VGA version of the id Software graphics container, also used by
+ * Spear of Destiny, Blake Stone and Corridor 7.  The chunks are compressed
+ * with Huffman compression, with VGAHEAD listing the offset of each chunk and
+ * VGADICT holding the Huffman dictionary.  Wolfenstein 3D stores these two
+ * files inside the .exe, so they must be extracted first.
+ *
+ * The palette is also compiled into the .exe.  If it has been extracted into
+ * a 6-bit VGA palette file (VGAPAL.*) alongside the other files, it is read
+ * from there, otherwise the default VGA palette is used.  The palette can
+ * also be extracted from a DOSBox screenshot taken in the game, by reading the
+ * screenshot and writing it out with the `pal-vga-6bit` format.  When
+ * writing, VGAPAL.* is only written if the palette is not the default one.
+ *
+ * Each chunk is returned as a separate `Image`, in file order, with the
+ * `chunkType` tag identifying what it is:
+ *
+ *  - `font`: Variable-width font, one frame per character (256 in total).
+ *    Pixels are 0 for the background and non-zero where the font colour is
+ *    drawn.
+ *  - `pic`: Picture, one frame, with the dimensions from the picture table.
+ *  - `tile8`: All the 8x8 tiles, one frame each.
+ *  - `extern`: Non-image data such as text, palettes and demos, in the `data`
+ *    tag as a `Uint8Array`.  This image has no frames.
+ *
+ * Pictures and tiles are stored in the unchained (Mode X) layout, with the
+ * first plane holding every fourth pixel starting at x = 0, the next plane
+ * every fourth pixel starting at x = 1, and so on.
+ *
+ * Copyright (C) 2010-2022 Adam Nielsen <malvineous@shikadi.net>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+const FORMAT_ID = 'tls-wolf3d-vgagraph';
+
+import Debug from '../util/debug.js';
+const debug = Debug.extend(FORMAT_ID);
+
+import { RecordBuffer, RecordType } from '@camoto/record-io-buffer';
+import { getBasename, replaceBasename } from '../util/supp.js';
+import ImageHandler from '../interface/imageHandler.js';
+import Image from '../interface/image.js';
+import Frame from '../interface/frame.js';
+import { paletteVGA256 } from '../util/palette-default.js';
+import { huffmanReadChunks, huffmanWriteChunks } from '../util/huffman.js';
+import { fontIdRead, fontIdWrite } from '../util/font-id.js';
+import { fromModeX, toModeX } from '../util/frame-modex.js';
+import { pal_vga_6bit } from './pal-vga-6bit.js';
+
+const recordTypes = {
+	picTable: {
+		width: RecordType.int.s16le,
+		height: RecordType.int.s16le,
+	},
+};
+
+const PIC_TABLE_LEN = 4;
+
+// Length of each 8x8 tile, which is not stored in the file.
+const TILE8_LEN = 64;
+
+// Graphics counts used by Wolfenstein 3D, which can be overridden with options.
+const defaultCounts = {
+	fontCount: 2,
+	tile8Count: 72,
+};
+
+function readFont(data, palette)
+{
+	const { height, frames } = fontIdRead(data);
+
+	return new Image({
+		width: 0,
+		height,
+		frames,
+		palette,
+		tags: {
+			chunkType: 'font',
+		},
+	});
+}
+
+function writeFont(image)
+{
+	const height = image.height || Math.max(0, ...image.frames.map(f => f.height || 0));
+	return fontIdWrite(image.frames, image.width, height);
+}
+
+export class tls_wolf3d_vgagraph extends ImageHandler
+{
+	static metadata() {
+		let md = {
+			...super.metadata(),
+			id: FORMAT_ID,
+			title: 'Wolfenstein 3D VGAGRAPH',
+			options: {
+				fontCount: `Number of fonts (default ${defaultCounts.fontCount})`,
+				tile8Count: `Number of 8x8 tiles (default ${defaultCounts.tile8Count})`,
+			},
+			glob: [
+				'vgagraph.*',
+			],
+		};
+
+		md.limits.minimumSize.x = 0;
+		md.limits.minimumSize.y = 0;
+		md.limits.maximumSize.x = undefined;
+		md.limits.maximumSize.y = undefined;
+		md.limits.sizePerFrame = true;
+		md.limits.multipleSize.x = 4;
+		md.limits.multipleSize.y = 1;
+		md.limits.depth = 8;
+		md.limits.hasPalette = true;
+		md.limits.paletteDepth = 6;
+		md.limits.frameCount.min = 0;
+		md.limits.frameCount.max = undefined;
+		md.limits.imageCount.min = 1;
+		md.limits.imageCount.max = undefined;
+		md.limits.tags = {
+			chunkType: 'Type of data in this chunk (font, pic, tile8, extern)',
+			data: 'Raw content of non-image chunks',
+		};
+
+		return md;
+	}
+
+	static supps(name) {
+		const basename = getBasename(name);
+		const swap = n => basename.replace(/graph$/i, m => (
+			(m === m.toUpperCase()) ? n.toUpperCase() : n
+		));
+		return {
+			head: replaceBasename(name, swap('head')),
+			dict: replaceBasename(name, swap('dict')),
+			// Optional, the default VGA palette is used if this is missing.
+			pal: replaceBasename(name, swap('pal')),
+		};
+	}
+
+	static identify(content) {
+		if (content.length < 4) {
+			return {
+				valid: false,
+				reason: `File too short.`,
+			};
+		}
+
+		// The first chunk is always the picture table, which has four bytes per
+		// picture.
+		let buffer = new RecordBuffer(content);
+		const lenPicTable = buffer.read(RecordType.int.u32le);
+		if (lenPicTable % PIC_TABLE_LEN) {
+			return {
+				valid: false,
+				reason: `Picture table length is not a multiple of ${PIC_TABLE_LEN}.`,
+			};
+		}
+
+		return {
+			valid: undefined,
+			reason: `Unable to autodetect without associated VGAHEAD and VGADICT files.`,
+		};
+	}
+
+	static read(content, options = {}) {
+		if (!content.head) {
+			throw new Error('BUG: Caller did not supply suppdata for VGAHEAD');
+		}
+		if (!content.dict) {
+			throw new Error('BUG: Caller did not supply suppdata for VGADICT');
+		}
+
+		let counts = {};
+		for (const [k, v] of Object.entries(defaultCounts)) {
+			counts[k] = (options[k] === undefined) ? v : parseInt(options[k], 10);
+		}
+
+		let palette;
+		if (content.pal) {
+			palette = pal_vga_6bit.read({ main: content.pal }).palette;
+		} else {
+			debug('No palette supplied, using default VGA palette');
+			palette = paletteVGA256();
+		}
+
+		const { chunkCount, expand } = huffmanReadChunks(content);
+
+		const picTable = expand(0) || new Uint8Array(0);
+		let buffer = new RecordBuffer(picTable);
+		let pics = [];
+		for (let i = 0; i < Math.floor(picTable.length / PIC_TABLE_LEN); i++) {
+			pics.push(buffer.readRecord(recordTypes.picTable));
+		}
+		debug(`${pics.length} pics`);
+
+		let images = [];
+		let chunk = 1;
+
+		for (let i = 0; i < counts.fontCount; i++, chunk++) {
+			const data = expand(chunk);
+			if (!data) {
+				images.push(new Image({ palette, tags: { chunkType: 'font' } }));
+				continue;
+			}
+			images.push(readFont(data, palette));
+		}
+
+		for (const { width, height } of pics) {
+			const data = expand(chunk++) || new Uint8Array(0);
+			images.push(new Image({
+				width,
+				height,
+				frames: [
+					new Frame({
+						width,
+						height,
+						pixels: fromModeX({ content: data, width, height }),
+					}),
+				],
+				palette,
+				tags: {
+					chunkType: 'pic',
+				},
+			}));
+		}
+
+		// 8x8 tiles are all stored in a single chunk.
+		if (counts.tile8Count) {
+			const data = expand(chunk++, counts.tile8Count * TILE8_LEN)
+				|| new Uint8Array(0);
+			let frames = [];
+			for (let t = 0; t < counts.tile8Count; t++) {
+				frames.push(new Frame({
+					width: 8,
+					height: 8,
+					pixels: fromModeX({
+						content: data.subarray(t * TILE8_LEN, (t + 1) * TILE8_LEN),
+						width: 8,
+						height: 8,
+					}),
+				}));
+			}
+			images.push(new Image({
+				width: 8,
+				height: 8,
+				frames,
+				palette,
+				tags: {
+					chunkType: 'tile8',
+				},
+			}));
+		}
+
+		for (; chunk < chunkCount; chunk++) {
+			images.push(new Image({
+				palette,
+				tags: {
+					chunkType: 'extern',
+					data: expand(chunk),
+				},
+			}));
+		}
+
+		return images;
+	}
+
+	static write(images) {
+		if (images.length === undefined) {
+			images = [images];
+		}
+
+		const byType = t => images.filter(img => img.tags.chunkType === t);
+		const unknown = images.filter(img => ![
+			'font', 'pic', 'tile8', 'extern',
+		].includes(img.tags.chunkType));
+		if (unknown.length) {
+			throw new Error(`Every image must have a chunkType tag saying where it `
+				+ `belongs in the file.`);
+		}
+		if (byType('tile8').length > 1) {
+			throw new Error(`Only one image can have the "tile8" chunk type, as it `
+				+ `holds all the tiles.`);
+		}
+
+		let chunks = [];
+
+		const pics = byType('pic');
+		let picTable = new RecordBuffer(pics.length * PIC_TABLE_LEN);
+		for (const img of pics) {
+			const frame = img.frames[0];
+			const width = (frame.width === undefined) ? img.width : frame.width;
+			const height = (frame.height === undefined) ? img.height : frame.height;
+			if (width % 4) {
+				throw new Error(`Picture widths must be a multiple of 4, but one is `
+					+ `${width} pixels wide.`);
+			}
+			picTable.writeRecord(recordTypes.picTable, { width, height });
+		}
+		chunks.push({ data: picTable.getU8() });
+
+		for (const img of byType('font')) {
+			chunks.push({ data: writeFont(img) });
+		}
+
+		for (const img of pics) {
+			const frame = img.frames[0];
+			const width = (frame.width === undefined) ? img.width : frame.width;
+			const height = (frame.height === undefined) ? img.height : frame.height;
+			chunks.push({ data: toModeX({ content: frame.pixels, width, height }) });
+		}
+
+		const tile8 = byType('tile8')[0];
+		if (tile8 && tile8.frames.length) {
+			let data = new Uint8Array(tile8.frames.length * TILE8_LEN);
+			tile8.frames.forEach((frame, t) => {
+				if ((frame.width || 8) !== 8 || (frame.height || 8) !== 8) {
+					throw new Error(`Tiles must be 8x8 pixels.`);
+				}
+				data.set(toModeX({ content: frame.pixels, width: 8, height: 8 }), t * TILE8_LEN);
+			});
+			chunks.push({ data, implicit: true });
+		}
+
+		for (const img of byType('extern')) {
+			chunks.push({ data: img.tags.data || null });
+		}
+
+		let content = huffmanWriteChunks(chunks);
+		let warnings = [];
+
+		// There's no need for a palette file if the default palette is in use.
+		const palette = (images.find(img => img.palette) || {}).palette;
+		const palDefault = paletteVGA256();
+		if (
+			palette
+			&& palette.some((c, i) => !palDefault[i] || c.some((v, j) => v !== palDefault[i][j]))
+		) {
+			let contentPal;
+			({ content: contentPal, warnings } = pal_vga_6bit.write(
+				new Image({ palette })
+			));
+			content.pal = contentPal.main;
+		}
+
+		return {
+			content,
+			warnings,
+		};
+	}
+}
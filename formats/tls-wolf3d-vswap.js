@@ -0,0 +1,412 @@
+/*
+ * Wolfenstein 3D VSWAP wall and sprite pages.
+ *
+ * The file starts with a table listing the offset and length of each page.
+ * The pages are split into three groups: wall textures, sprites, and
+ * digitised sounds.
+ *
+ * This handler returns an array of three `Image` objects, identified by the
+ * `chunkType` tag:
+ *
+ *  - `wall`: All the wall textures, one 64x64 frame each.  These are stored in
+ *    column-major order in the file.
+ *  - `sprite`: All the sprites, one 64x64 frame each.  These are stored as a
+ *    list of vertical runs ("posts") of opaque pixels, with everything else
+ *    transparent.  Transparent pixels use palette index 255, so this colour
+ *    can't be used as an opaque pixel in sprites.
+ *  - `sound`: The sound pages, which are kept as-is in the `pages` tag.  This
+ *    image has no frames.
+ *
+ * Pages that are missing from the file (with an offset of zero, as in the
+ * shareware release) are blank, with their indices listed in the `sparse`
+ * tag.  When writing, these pages are only left out if they are still blank.
+ *
+ * The palette is not stored in this file, so the default VGA palette is used.
+ *
+ * Copyright (C) 2010-2022 Adam Nielsen <malvineous@shikadi.net>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+const FORMAT_ID = 'tls-wolf3d-vswap';
+
+import Debug from '../util/debug.js';
+const debug = Debug.extend(FORMAT_ID);
+
+import { RecordBuffer, RecordType } from '@camoto/record-io-buffer';
+import ImageHandler from '../interface/imageHandler.js';
+import Image from '../interface/image.js';
+import Frame from '../interface/frame.js';
+import { paletteVGA256 } from '../util/palette-default.js';
+
+const recordTypes = {
+	header: {
+		pageCount: RecordType.int.u16le,
+		spriteStart: RecordType.int.u16le,
+		soundStart: RecordType.int.u16le,
+	},
+};
+
+const HEADER_LEN = 2 * 3;
+
+// Walls and sprites are always this size.
+const PAGE_DIM = 64;
+const WALL_LEN = PAGE_DIM * PAGE_DIM;
+
+// Palette index used for transparent pixels in sprites.
+const TRANSPARENT = 255;
+
+/**
+ * Convert a column-major wall texture into linear pixels.
+ */
+function readWall(data)
+{
+	let pixels = new Uint8Array(WALL_LEN);
+	for (let x = 0; x < PAGE_DIM; x++) {
+		for (let y = 0; y < PAGE_DIM; y++) {
+			pixels[y * PAGE_DIM + x] = data[x * PAGE_DIM + y] || 0;
+		}
+	}
+	return pixels;
+}
+
+function writeWall(pixels)
+{
+	let data = new Uint8Array(WALL_LEN);
+	for (let x = 0; x < PAGE_DIM; x++) {
+		for (let y = 0; y < PAGE_DIM; y++) {
+			data[x * PAGE_DIM + y] = pixels[y * PAGE_DIM + x];
+		}
+	}
+	return data;
+}
+
+/**
+ * Decode a compressed sprite.
+ *
+ * The sprite starts with the first and last columns that have any opaque
+ * pixels, followed by the offset of each column's list of posts.  Each post is
+ * three words: the end row * 2, the offset of the pixel data minus the start
+ * row, and the start row * 2.  The list ends with an end row of zero.
+ */
+function readSprite(data)
+{
+	let pixels = new Uint8Array(WALL_LEN).fill(TRANSPARENT);
+	if (data.length < 4) return pixels;
+
+	const u16 = offset => data[offset] | (data[offset + 1] << 8);
+	const leftPix = u16(0);
+	const rightPix = u16(2);
+	for (let x = leftPix; x <= rightPix; x++) {
+		let cmd = u16(4 + (x - leftPix) * 2);
+		while (cmd + 6 <= data.length) {
+			const endY = u16(cmd) >> 1;
+			if (!endY) break;
+			const pixelOffset = u16(cmd + 2);
+			const startY = u16(cmd + 4) >> 1;
+			for (let y = startY; y < Math.min(endY, PAGE_DIM); y++) {
+				// The offset is a 16-bit value that may have wrapped around.
+				pixels[y * PAGE_DIM + x] = data[(pixelOffset + y) & 0xFFFF];
+			}
+			cmd += 6;
+		}
+	}
+	return pixels;
+}
+
+function writeSprite(pixels)
+{
+	const opaque = (x, y) => pixels[y * PAGE_DIM + x] !== TRANSPARENT;
+
+	let leftPix = 0, rightPix = 0;
+	let columns = [];
+	for (let x = 0; x < PAGE_DIM; x++) {
+		let posts = [];
+		for (let y = 0; y < PAGE_DIM; y++) {
+			if (!opaque(x, y)) continue;
+			const start = y;
+			while ((y < PAGE_DIM) && opaque(x, y)) y++;
+			posts.push({ start, end: y });
+		}
+		columns.push(posts);
+	}
+	const used = columns.map(c => c.length > 0);
+	if (used.includes(true)) {
+		leftPix = used.indexOf(true);
+		rightPix = used.lastIndexOf(true);
+	}
+
+	const columnCount = rightPix - leftPix + 1;
+	let offPixels = 4 + columnCount * 2;
+	let lenPixels = 0;
+	let lenCommands = 0;
+	for (let x = leftPix; x <= rightPix; x++) {
+		for (const p of columns[x]) lenPixels += p.end - p.start;
+		lenCommands += columns[x].length * 6 + 2;
+	}
+
+	let buffer = new RecordBuffer(offPixels + lenPixels + lenCommands);
+	buffer.write(RecordType.int.u16le, leftPix);
+	buffer.write(RecordType.int.u16le, rightPix);
+
+	// Column offsets, pointing to the commands after the pixel data.
+	let offCommands = offPixels + lenPixels;
+	for (let x = leftPix; x <= rightPix; x++) {
+		buffer.write(RecordType.int.u16le, offCommands);
+		offCommands += columns[x].length * 6 + 2;
+	}
+
+	// Pixel data for every post.
+	let pixelOffsets = [];
+	for (let x = leftPix; x <= rightPix; x++) {
+		for (const p of columns[x]) {
+			pixelOffsets.push(buffer.getPos());
+			for (let y = p.start; y < p.end; y++) {
+				buffer.write(RecordType.int.u8, pixels[y * PAGE_DIM + x]);
+			}
+		}
+	}
+
+	// Post commands.
+	let post = 0;
+	for (let x = leftPix; x <= rightPix; x++) {
+		for (const p of columns[x]) {
+			buffer.write(RecordType.int.u16le, p.end * 2);
+			buffer.write(RecordType.int.u16le, (pixelOffsets[post++] - p.start) & 0xFFFF);
+			buffer.write(RecordType.int.u16le, p.start * 2);
+		}
+		buffer.write(RecordType.int.u16le, 0);
+	}
+
+	return buffer.getU8();
+}
+
+export class tls_wolf3d_vswap extends ImageHandler
+{
+	static metadata() {
+		let md = {
+			...super.metadata(),
+			id: FORMAT_ID,
+			title: 'Wolfenstein 3D VSWAP',
+			glob: [
+				'vswap.*',
+			],
+		};
+
+		md.limits.minimumSize.x = PAGE_DIM;
+		md.limits.minimumSize.y = PAGE_DIM;
+		md.limits.maximumSize.x = PAGE_DIM;
+		md.limits.maximumSize.y = PAGE_DIM;
+		md.limits.depth = 8;
+		md.limits.hasPalette = false;
+		md.limits.transparentIndex = TRANSPARENT;
+		md.limits.frameCount.min = 0;
+		md.limits.frameCount.max = undefined;
+		md.limits.imageCount.min = 1;
+		md.limits.imageCount.max = 3;
+		md.limits.tags = {
+			chunkType: 'Type of pages in this image (wall, sprite, sound)',
+			sparse: 'Indices of pages not present in the file',
+			pages: 'Raw content of sound pages',
+		};
+
+		return md;
+	}
+
+	static identify(content) {
+		if (content.length < HEADER_LEN) {
+			return {
+				valid: false,
+				reason: `File too short.`,
+			};
+		}
+
+		let buffer = new RecordBuffer(content);
+		const header = buffer.readRecord(recordTypes.header);
+		if (header.pageCount === 0) {
+			return {
+				valid: false,
+				reason: `No pages.`,
+			};
+		}
+		if (
+			(header.spriteStart > header.soundStart)
+			|| (header.soundStart > header.pageCount)
+		) {
+			return {
+				valid: false,
+				reason: `Page groups are out of order.`,
+			};
+		}
+
+		const lenTable = HEADER_LEN + header.pageCount * 6;
+		if (content.length < lenTable) {
+			return {
+				valid: false,
+				reason: `File too short for page table.`,
+			};
+		}
+
+		let offsets = [];
+		for (let i = 0; i < header.pageCount; i++) {
+			offsets.push(buffer.read(RecordType.int.u32le));
+		}
+		for (let i = 0; i < header.pageCount; i++) {
+			const length = buffer.read(RecordType.int.u16le);
+			if (offsets[i] === 0) continue;
+			if ((offsets[i] < lenTable) || (offsets[i] + length > content.length)) {
+				return {
+					valid: false,
+					reason: `Page ${i} is outside the file.`,
+				};
+			}
+			if ((i < header.spriteStart) && (length !== WALL_LEN)) {
+				return {
+					valid: false,
+					reason: `Wall page ${i} is ${length} bytes, not ${WALL_LEN}.`,
+				};
+			}
+		}
+
+		return {
+			valid: true,
+			reason: `Page table is valid.`,
+		};
+	}
+
+	static read(content) {
+		let buffer = new RecordBuffer(content.main);
+		const header = buffer.readRecord(recordTypes.header);
+		debug(`${header.pageCount} pages, sprites start at ${header.spriteStart}, `
+			+ `sounds start at ${header.soundStart}`);
+
+		let offsets = [];
+		for (let i = 0; i < header.pageCount; i++) {
+			offsets.push(buffer.read(RecordType.int.u32le));
+		}
+		let pages = [];
+		for (let i = 0; i < header.pageCount; i++) {
+			const length = buffer.read(RecordType.int.u16le);
+			pages.push(
+				offsets[i]
+					? content.main.subarray(offsets[i], offsets[i] + length)
+					: null
+			);
+		}
+
+		const readPages = (first, last, chunkType, decode, palette) => {
+			let frames = [];
+			let sparse = [];
+			for (let i = first; i < last; i++) {
+				if (!pages[i]) sparse.push(i - first);
+				frames.push(new Frame({
+					width: PAGE_DIM,
+					height: PAGE_DIM,
+					pixels: decode(pages[i] || new Uint8Array(0)),
+				}));
+			}
+			return new Image({
+				width: PAGE_DIM,
+				height: PAGE_DIM,
+				frames,
+				palette,
+				tags: {
+					chunkType,
+					sparse,
+				},
+			});
+		};
+
+		let paletteSprite = paletteVGA256();
+		paletteSprite[TRANSPARENT] = [...paletteSprite[TRANSPARENT].slice(0, 3), 0];
+
+		return [
+			readPages(0, header.spriteStart, 'wall', readWall, paletteVGA256()),
+			readPages(header.spriteStart, header.soundStart, 'sprite', readSprite,
+				paletteSprite),
+			new Image({
+				palette: paletteVGA256(),
+				tags: {
+					chunkType: 'sound',
+					pages: pages.slice(header.soundStart),
+				},
+			}),
+		];
+	}
+
+	static write(images) {
+		if (images.length === undefined) {
+			images = [images];
+		}
+
+		const byType = t => images.find(img => img.tags.chunkType === t);
+		if (images.some(img => !['wall', 'sprite', 'sound'].includes(img.tags.chunkType))) {
+			throw new Error(`Every image must have a chunkType tag of "wall", `
+				+ `"sprite" or "sound".`);
+		}
+
+		// Convert the frames in an image into pages, leaving out any sparse pages
+		// that are still blank.
+		const writePages = (img, blank, encode) => {
+			if (!img) return [];
+			const sparse = img.tags.sparse || [];
+			return img.frames.map((frame, i) => {
+				if ((frame.width || PAGE_DIM) !== PAGE_DIM || (frame.height || PAGE_DIM) !== PAGE_DIM) {
+					throw new Error(`Walls and sprites must be ${PAGE_DIM}x${PAGE_DIM} `
+						+ `pixels.`);
+				}
+				if (sparse.includes(i) && frame.pixels.every(p => p === blank)) {
+					return null;
+				}
+				return encode(frame.pixels);
+			});
+		};
+
+		const walls = writePages(byType('wall'), 0, writeWall);
+		const sprites = writePages(byType('sprite'), TRANSPARENT, writeSprite);
+		const sounds = (byType('sound') || { tags: {} }).tags.pages || [];
+		const pages = [...walls, ...sprites, ...sounds];
+
+		const lenTable = HEADER_LEN + pages.length * 6;
+		const lenPages = pages.reduce((a, p) => a + (p ? p.length : 0), 0);
+		let buffer = new RecordBuffer(lenTable + lenPages);
+		buffer.writeRecord(recordTypes.header, {
+			pageCount: pages.length,
+			spriteStart: walls.length,
+			soundStart: walls.length + sprites.length,
+		});
+
+		let offset = lenTable;
+		for (const p of pages) {
+			buffer.write(RecordType.int.u32le, p ? offset : 0);
+			if (p) offset += p.length;
+		}
+		for (const p of pages) {
+			if (p && (p.length > 0xFFFF)) {
+				throw new Error(`Pages can't be larger than 65535 bytes.`);
+			}
+			buffer.write(RecordType.int.u16le, p ? p.length : 0);
+		}
+		for (const p of pages) {
+			if (p) buffer.put(p);
+		}
+
+		return {
+			content: {
+				main: buffer.getU8(),
+			},
+			warnings: [],
+		};
+	}
+}
@@ -23,13 +23,16 @@ const debug = Debug.extend('index');
 import * as formats from './formats/index.js';
 
 export * from './formats/index.js';
-export { default as Image } from './interface/image.js';
-export { default as Frame } from './interface/frame.js';
+export { default as Image, Disposal } from './interface/image.js';
+export { default as Frame, PixelFormat } from './interface/frame.js';
 export { default as Palette } from './interface/palette.js';
 export * from './util/frame-compose.js';
+export * from './util/frame-dither.js';
 export * from './util/frame-from_tileset.js';
 export * from './util/frame-mask.js';
+export * from './util/frame-truecolour.js';
 export * from './util/palette-default.js';
+export * from './util/palette-remap.js';
 
 /**
  * Get a list of all the available handlers.
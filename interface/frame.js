@@ -17,6 +17,24 @@
  * along with this program.  If not, see <http://www.gnu.org/licenses/>.
  */
 
+/**
+ * How the values in `Frame.pixels` are laid out.
+ */
+export const PixelFormat = {
+	/**
+	 * One byte per pixel, each an index into the palette.  This is what almost
+	 * every format handler reads and writes.
+	 */
+	Indexed: 'indexed',
+
+	/**
+	 * Four bytes per pixel, in red, green, blue, alpha order with 8-bit values.
+	 * No palette is used.  Use the functions in `util/frame-truecolour.js` to
+	 * convert to and from indexed data.
+	 */
+	RGBA: 'rgba',
+};
+
 export default class Frame
 {
 	/**
@@ -32,8 +50,12 @@ export default class Frame
 	 *   Image height, in pixels.
 	 *
 	 * @param {Uint8Array} content
-	 *   Optional image content to use, in 8bpp linear format.  If omitted, a new
-	 *   empty buffer is allocated and filled with palette index 0.
+	 *   Optional image content to use, in 8bpp linear format (or 32bpp linear
+	 *   for truecolour frames).  If omitted, a new empty buffer is allocated and
+	 *   filled with palette index 0 (or transparent black for truecolour).
+	 *
+	 * @param {PixelFormat} pixelFormat
+	 *   Layout of the data in `pixels`.  Defaults to `PixelFormat.Indexed`.
 	 *
 	 * @param {Palette} palette
 	 *   Colour palette to use for this frame only.  Omit or specify null to use
@@ -72,16 +94,24 @@ export default class Frame
 	 *   Do not set (or set to `undefined`) unless this is an animation, as the
 	 *   presence of this value is used to distinguish between tilesets and
 	 *   animations.
+	 *
+	 * @param {Number} codePoint
+	 *   Character code this frame is the glyph for, if the image is a font.
+	 *   Leave as `undefined` for frames that aren't glyphs.
 	 */
 	constructor(params) {
 		this.width = params.width || undefined;
 		this.height = params.height || undefined;
-		this.pixels = params.pixels || new Uint8Array(this.width * this.height);
+		this.pixelFormat = params.pixelFormat || PixelFormat.Indexed;
+		this.pixels = params.pixels || new Uint8Array(
+			this.width * this.height * ((this.pixelFormat === PixelFormat.RGBA) ? 4 : 1)
+		);
 		this.palette = params.palette || undefined;
 		this.hotspotX = params.hotspotX || undefined;
 		this.hotspotY = params.hotspotY || undefined;
 		this.offsetX = params.offsetX || 0;
 		this.offsetY = params.offsetY || 0;
+		this.codePoint = params.codePoint;
 	}
 
 	/**
@@ -93,11 +123,13 @@ export default class Frame
 			width: this.width,
 			height: this.height,
 			pixels: new Uint8Array(this.pixels),
+			pixelFormat: this.pixelFormat,
 			palette: this.palette && this.palette.clone(),
 			hotspotX: this.hotspotX,
 			hotspotY: this.hotspotY,
 			offsetX: this.offsetX,
 			offsetY: this.offsetY,
+			codePoint: this.codePoint,
 		});
 	}
 }
@@ -17,6 +17,28 @@
  * along with this program.  If not, see <http://www.gnu.org/licenses/>.
  */
 
+/**
+ * What to do with a frame in an animation once its `postDelay` has elapsed,
+ * before drawing the next frame.
+ */
+export const Disposal = {
+	/**
+	 * Leave the frame where it is, so the next frame is drawn over the top.
+	 */
+	None: 'none',
+
+	/**
+	 * Clear the area covered by the frame back to the background (which is
+	 * usually transparent).
+	 */
+	Background: 'background',
+
+	/**
+	 * Put back whatever was there before the frame was drawn.
+	 */
+	Previous: 'previous',
+};
+
 export default class Image
 {
 	/**
@@ -67,6 +89,9 @@ export default class Image
 	 *       cycle.  This allows frames to be used multiple times in a sequence.
 	 *     - postDelay: Number of milliseconds to pause after showing this frame,
 	 *       before advancing to the next.
+	 *     - disposal: Optional `Disposal` value saying what to do with the frame
+	 *       once `postDelay` has elapsed.  If omitted, the format's default is
+	 *       used.
 	 */
 	constructor(params = {}) {
 		this.width = params.width || 0;
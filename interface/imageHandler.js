@@ -17,6 +17,8 @@
  * along with this program.  If not, see <http://www.gnu.org/licenses/>.
  */
 
+import { PixelFormat } from './frame.js';
+
 /**
  * Base class and defaults for image format handlers.
  *
@@ -53,6 +55,10 @@ export default class ImageHandler
 			 *   A list of strings with filename expressions matching files that are
 			 *   often in this format.  An examples is ['*.txt', '*.doc', 'file*.bin'].
 			 *
+			 * @property {boolean} glyphs
+			 *   `true` if the format is a font, with one frame per glyph and the
+			 *   character code of each glyph in `Frame.codePoint`.
+			 *
 			 * @property {ImageLimits} limits
 			 *   Values indicating what limitations apply to this format.
 			 */
@@ -60,6 +66,7 @@ export default class ImageHandler
 			title: 'Unknown format',
 			games: [],
 			glob: [],
+			glyphs: false,
 			limits: {
 				/**
 				 * Two element array containing X and Y dimensions, in pixels, of the
@@ -97,6 +104,14 @@ export default class ImageHandler
 				 */
 				depth: undefined,
 
+				/**
+				 * `true` if the format can store truecolour (`PixelFormat.RGBA`)
+				 * frames directly, `false` (default) if frames must be indexed.
+				 * Truecolour frames can be converted to indexed ones with the
+				 * functions in `util/frame-truecolour.js`.
+				 */
+				truecolour: false,
+
 				/**
 				 * Can this format store a palette?  `true` if so, `false` if not.
 				 * Note that all images must have a palette specified (even if it's
@@ -149,7 +164,9 @@ export default class ImageHandler
 				/**
 				 * A key/value list where the key matches a key in `Image.tags` and the
 				 * value is a description of what the tag represents.  Tags are for
-				 * metadata like titles, artist names, and so on.
+				 * metadata like titles, artist names, and so on.  A key ending in `*`
+				 * matches any tag starting with the text before it, so `*` on its own
+				 * means the format can store tags with any name.
 				 */
 				tags: {},
 			},
@@ -227,6 +244,16 @@ export default class ImageHandler
 						+ `maximum of ${limits.maximumSize.y} that this format can handle.`);
 				}
 
+				if (image.frames[f].pixelFormat === PixelFormat.RGBA) {
+					if (!limits.truecolour) {
+						issues.push(`Frame #${f} is truecolour, but this format can only `
+							+ `store indexed (palette-based) images.  It will need to be `
+							+ `converted to an indexed image first.`);
+					}
+					// Palette index checks don't apply to truecolour data.
+					continue;
+				}
+
 				// Make sure the image doesn't have too many colours.
 				const maxIndex = 1 << limits.depth;
 				const pixels = image.frames[f].pixels;
@@ -248,7 +275,11 @@ export default class ImageHandler
 
 			// Make sure we don't have metadata we can't write.
 			for (const idTag of Object.keys(image.tags)) {
-				if (!limits.tags[idTag]) {
+				const supported = Object.keys(limits.tags).some(t => (
+					(t === idTag)
+					|| (t.endsWith('*') && idTag.startsWith(t.slice(0, -1)))
+				));
+				if (!supported) {
 					issues.push(`This format cannot write the "${idTag}" tag.`);
 				}
 			}
@@ -277,7 +308,9 @@ export default class ImageHandler
 	 *   where each key is an identifier specific to the handler, and the value
 	 *   is the expected case-insensitive filename.  Don't convert passed names
 	 *   to lowercase, but any changes (e.g. appending a filename extension)
-	 *   should be lowercase.
+	 *   should be lowercase.  Optional files may be listed too, in which case
+	 *   read() must cope with them being absent from its `content` parameter,
+	 *   and write() can leave them out of the content it returns.
 	 */
 	// eslint-disable-next-line no-unused-vars
 	static supps(name, content) {
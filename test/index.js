@@ -30,9 +30,19 @@ import {
 // Skip these tests until the format handlers are improved.
 const skipTests = [
 	// These formats can't be tested easily with standard tests.
+	'fnt-id-ega', // one glyph per frame, always 256 glyphs
+	'fnt-id-vga', // one glyph per frame, always 256 glyphs
+	'fnt-vga-rom', // 1bpp, always 256 glyphs
+	'fnt-win', // 1bpp, one glyph per frame
+	'img-raw-hercules', // 1bpp
+	'tls-build-art', // one image per tile, shared palette file with extra tables
 	'tls-ddave-cga', // first tiles are fixed at 16x16, rest are variable
 	'tls-ddave-ega', // first tiles are fixed at 16x16, rest are variable
 	'tls-ddave-vga', // first tiles are fixed at 16x16, rest are variable
+	'tls-duke2-czone', // fixed number of solid and masked tiles
+	'tls-keen-egagraph', // needs external header and dictionary, mixed chunk types
+	'tls-wolf3d-vgagraph', // needs external header and dictionary, mixed chunk types
+	'tls-wolf3d-vswap', // walls, sprites and sounds in one file
 ];
 
 // List which handlers can't help but misdetect other files.
@@ -41,12 +51,38 @@ const skipIdentify = {
 		'img-raw-planar-4bpp',
 		'tls-quarantine-spr',
 	],
+	'img-raw-modex': [
+		'img-raw-linear-8bpp',
+		'img-raw-planar-4bpp',
+		'img-stp-v1',
+	],
 	'img-raw-planar-4bpp': [
 		'img-raw-linear-8bpp',
 	],
 	'tls-cosmo': [
 		'img-raw-planar-4bpp',
 	],
+	'img-doom-flat': [
+		'img-raw-linear-8bpp',
+	],
+	'img-doom-patch': [
+		'img-pln',
+	],
+	'img-duke2-backdrop': [
+		'img-raw-planar-4bpp',
+	],
+	'tls-duke2-actrinfo': [
+		'img-stp-v1',
+	],
+	'tls-ccaves': [
+		'img-del',
+		'img-raw-linear-8bpp',
+		'img-stp-v2',
+	],
+	'tls-mbash-bg': [
+		'img-raw-linear-8bpp',
+		'img-raw-planar-4bpp',
+	],
 	'img-pln': [
 		'tls-quarantine-spr',
 	],
@@ -62,11 +98,21 @@ const skipIdentify = {
 		'img-pln',
 		'tls-quarantine-spr',
 	],
+	'pal-doom-playpal': [
+		'pal-vga-8bit', // a single palette is a valid 8-bit palette file
+	],
 	'tls-quarantine-spr': [
 		'img-pln',
 	],
 };
 
+// List image dimensions the standard tests can't use for some handlers.
+const skipSizes = {
+	'img-raw-cga': [
+		'640x200', // 1bpp mode, can't hold the 4-colour test image
+	],
+};
+
 // Override the default colours so we can actually see them
 import { colors } from 'mocha/lib/reporters/base.js';
 colors['diff added'] = '1;33';
@@ -196,6 +242,10 @@ for (const handler of gamegraphicsFormats) {
 				+ ((icount > 1) ? `-i${icount}` : '')
 				+ ((fcount > 1) ? `-f${fcount}` : '')
 			;
+			if ((skipSizes[md.id] || []).includes(sizename)) {
+				it.skip(`should handle dimensions of ${sizename} (${message})`);
+				return;
+			}
 			describe(`should handle dimensions of ${sizename} (${message})`, function () {
 				// Not all format handlers use this, but those that do all use the
 				// same keys.
@@ -312,7 +362,7 @@ for (const handler of gamegraphicsFormats) {
 							`Image has ${image.frames.length} frames, but the maximum `
 							+ `permitted is ${md.limits.frameCount.max}`);
 						for (let f = 0; f < image.frames.length; f++) {
-							const expectedPixels = createStandardImage(width, height, md.depth, f);
+							const expectedPixels = createStandardImage(width, height, md.limits.depth, f);
 							TestUtil.buffersEqual(expectedPixels, image.frames[f].pixels,
 								`Frame ${f} has wrong pixel values`);
 						}
@@ -333,7 +383,7 @@ for (const handler of gamegraphicsFormats) {
 							let frame = new Frame({
 								width,
 								height,
-								pixels: createStandardImage(width, height, md.depth, f),
+								pixels: createStandardImage(width, height, md.limits.depth, f),
 								// Use a unique palette per frame if the format supports it.
 								palette: md.limits.palettePerFrame ? createStandardPalette(md.limits.transparentIndex, f) : null,
 							});
@@ -0,0 +1,268 @@
+/*
+ * Extra tests for anm-flc.
+ *
+ * Copyright (C) 2010-2022 Adam Nielsen <malvineous@shikadi.net>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import assert from 'assert';
+import TestUtil from './util.js';
+import {
+	anm_flc as handler,
+	Frame,
+	Image,
+	Palette,
+} from '../index.js';
+
+const md = handler.metadata();
+
+const u16 = v => [v & 0xFF, v >> 8];
+const u32 = v => [v & 0xFF, (v >> 8) & 0xFF, (v >> 16) & 0xFF, v >>> 24];
+
+/**
+ * Build a FLC file from a list of frames, each a list of `[type, data]`
+ * subchunks.
+ */
+function buildFile(width, height, speed, frames)
+{
+	let body = [];
+	for (const chunks of frames) {
+		let frameData = [];
+		for (const [type, data] of chunks) {
+			frameData.push(...u32(6 + data.length), ...u16(type), ...data);
+		}
+		body.push(
+			...u32(16 + frameData.length), ...u16(0xF1FA),
+			...u16(chunks.length), 0, 0, 0, 0, 0, 0, 0, 0,
+			...frameData,
+		);
+	}
+	let header = new Array(128).fill(0);
+	header.splice(0, 4, ...u32(128 + body.length));
+	header.splice(4, 2, ...u16(0xAF12));
+	header.splice(6, 2, ...u16(frames.length));
+	header.splice(8, 2, ...u16(width));
+	header.splice(10, 2, ...u16(height));
+	header.splice(12, 2, ...u16(8));
+	header.splice(16, 4, ...u32(speed));
+	return {
+		main: Uint8Array.from([...header, ...body]),
+	};
+}
+
+function greyPalette(offset)
+{
+	let palette = new Palette(256);
+	for (let i = 0; i < 256; i++) {
+		const v = (i + offset) & 0xFF;
+		palette[i] = [v, v, v, 255];
+	}
+	return palette;
+}
+
+describe(`Extra tests for ${md.title} [${md.id}]`, function() {
+
+	describe('read()', function() {
+
+		it('should read BYTE_RUN, COLOR_256 and DELTA_FLC chunks', function() {
+			const content = buildFile(5, 3, 50, [
+				[
+					// Entries 2 and 3 set, then entry 10.
+					[4, [2, 0, 2, 2, 10, 20, 30, 40, 50, 60, 6, 1, 1, 2, 3]],
+					[15, [
+						1, 5, 7,
+						2, 3, 1, 0xFE, 2, 3,
+						1, 0xFB, 5, 6, 7, 8, 9,
+					]],
+				],
+				[
+					// Skip a line, set the last pixel of line 1 and change the first
+					// word, then on line 2 repeat a word twice starting at x=1.
+					[7, [
+						...u16(2),
+						...u16(0xFFFF),
+						...u16(0x8000 | 0x44),
+						...u16(1), 0, 1, 0x11, 0x22,
+						...u16(1), 1, 0xFE, 0x33, 0x34,
+					]],
+				],
+			]);
+			const image = handler.read(content);
+			assert.equal(image.width, 5);
+			assert.equal(image.height, 3);
+			assert.equal(image.frames.length, 2);
+
+			assert.deepEqual(image.palette[2], [10, 20, 30, 255]);
+			assert.deepEqual(image.palette[3], [40, 50, 60, 255]);
+			assert.deepEqual(image.palette[10], [1, 2, 3, 255]);
+
+			TestUtil.buffersEqual(Uint8Array.from([
+				7, 7, 7, 7, 7,
+				1, 1, 1, 2, 3,
+				5, 6, 7, 8, 9,
+			]), image.frames[0].pixels);
+			TestUtil.buffersEqual(Uint8Array.from([
+				7, 7, 7, 7, 7,
+				0x11, 0x22, 1, 2, 0x44,
+				5, 0x33, 0x34, 0x33, 0x34,
+			]), image.frames[1].pixels);
+
+			assert.equal(image.animation.length, 2);
+			assert.equal(image.animation[1].index, 1);
+			assert.equal(image.animation[1].postDelay, 50);
+		});
+
+		it('should read BLACK and FLI_COPY chunks', function() {
+			const content = buildFile(2, 2, 10, [
+				[ [16, [1, 2, 3, 4]] ],
+				[ [13, []] ],
+			]);
+			const image = handler.read(content);
+			TestUtil.buffersEqual(Uint8Array.from([1, 2, 3, 4]), image.frames[0].pixels);
+			TestUtil.buffersEqual(Uint8Array.from([0, 0, 0, 0]), image.frames[1].pixels);
+		});
+
+		it('should give frames after a palette change their own palette', function() {
+			const content = buildFile(1, 1, 10, [
+				[ [4, [1, 0, 0, 1, 0, 0, 0]], [16, [0]] ],
+				[ [4, [1, 0, 0, 1, 9, 9, 9]] ],
+				[ [16, [1]] ],
+			]);
+			const image = handler.read(content);
+			assert.equal(image.frames[0].palette, undefined);
+			assert.deepEqual(image.frames[1].palette[0], [9, 9, 9, 255]);
+			assert.equal(image.frames[2].palette, image.frames[1].palette);
+			assert.deepEqual(image.palette[0], [0, 0, 0, 255]);
+		});
+
+	});
+
+	describe('write()', function() {
+
+		function createAnimation(width, height, count)
+		{
+			let frames = [];
+			let pixels = new Uint8Array(width * height);
+			for (let i = 0; i < width * height; i++) pixels[i] = (i * 7) & 0xFF;
+			for (let f = 0; f < count; f++) {
+				pixels = pixels.slice();
+				// Move a small block across the frame.
+				for (let y = 2; y < 6; y++) {
+					for (let x = 0; x < 4; x++) {
+						pixels[y * width + ((x + f * 3) % width)] = 0xF0 + f;
+					}
+				}
+				frames.push(new Frame({ pixels }));
+			}
+			return new Image({
+				width,
+				height,
+				frames,
+				palette: greyPalette(0),
+				animation: frames.map((frame, index) => ({ index, postDelay: 40 })),
+			});
+		}
+
+		it('should store later frames as deltas', function() {
+			const image = createAnimation(321, 100, 4);
+			const { content } = handler.write(image);
+
+			// Each delta frame should be far smaller than a full frame.
+			assert.ok(content.main.length < 321 * 100 * 2,
+				`File is ${content.main.length} bytes`);
+
+			// Second frame should contain a DELTA_FLC chunk.
+			let offset = 128;
+			offset += content.main[offset] | (content.main[offset + 1] << 8)
+				| (content.main[offset + 2] << 16);
+			assert.equal(content.main[offset + 16 + 4], 7);
+		});
+
+		it('should read back the same frames', function() {
+			const image = createAnimation(321, 100, 4);
+			const { content } = handler.write(image);
+			const image2 = handler.read(content);
+			assert.equal(image2.frames.length, 4);
+			for (let f = 0; f < 4; f++) {
+				TestUtil.buffersEqual(image.frames[f].pixels, image2.frames[f].pixels,
+					`Frame ${f} differs`);
+				assert.equal(image2.animation[f].postDelay, 40);
+			}
+		});
+
+		it('should write a ring frame', function() {
+			const image = createAnimation(16, 8, 2);
+			const { content } = handler.write(image);
+
+			// Header says two frames, but there are three frame chunks.
+			assert.equal(content.main[6], 2);
+			let offset = 128, count = 0;
+			while (offset < content.main.length) {
+				offset += content.main[offset] | (content.main[offset + 1] << 8);
+				count++;
+			}
+			assert.equal(count, 3);
+		});
+
+		it('should store per-frame delays', function() {
+			let image = createAnimation(16, 8, 3);
+			image.animation[1].postDelay = 250;
+			const { content } = handler.write(image);
+			const image2 = handler.read(content);
+			assert.deepEqual(image2.animation.map(a => a.postDelay), [40, 250, 40]);
+		});
+
+		it('should store per-frame palettes', function() {
+			let image = createAnimation(16, 8, 3);
+			image.frames[1].palette = greyPalette(5);
+			const { content } = handler.write(image);
+			const image2 = handler.read(content);
+			assert.equal(image2.frames[0].palette, undefined);
+			assert.deepEqual(image2.frames[1].palette[0], [5, 5, 5, 255]);
+			assert.deepEqual(image2.frames[2].palette[0], [0, 0, 0, 255]);
+		});
+
+		it('should handle frames with long runs and gaps', function() {
+			const width = 700, height = 3;
+			let a = new Uint8Array(width * height);
+			let b = a.slice();
+			b[0] = 1;
+			b.fill(2, 600, 690);
+			b[width + 699] = 3;
+			b.fill(4, width * 2, width * 2 + 300);
+			const image = new Image({
+				width,
+				height,
+				frames: [ new Frame({ pixels: a }), new Frame({ pixels: b }) ],
+				palette: greyPalette(0),
+			});
+			const { content } = handler.write(image);
+			const image2 = handler.read(content);
+			TestUtil.buffersEqual(b, image2.frames[1].pixels);
+		});
+
+	});
+
+	describe('identify()', function() {
+
+		it('should not identify FLI files', function() {
+			let content = buildFile(1, 1, 10, [ [ [16, [0]] ] ]);
+			content.main[4] = 0x11;
+			assert.equal(handler.identify(content.main).valid, false);
+		});
+
+	});
+
+});
@@ -0,0 +1,175 @@
+/*
+ * Extra tests for anm-fli.
+ *
+ * Copyright (C) 2010-2022 Adam Nielsen <malvineous@shikadi.net>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import assert from 'assert';
+import TestUtil from './util.js';
+import {
+	anm_fli as handler,
+	Frame,
+	Image,
+	Palette,
+} from '../index.js';
+
+const md = handler.metadata();
+
+const u16 = v => [v & 0xFF, v >> 8];
+const u32 = v => [v & 0xFF, (v >> 8) & 0xFF, (v >> 16) & 0xFF, v >>> 24];
+
+const WIDTH = 320;
+const HEIGHT = 200;
+
+/**
+ * Build a 320x200 FLI file from a list of frames, each a list of
+ * `[type, data]` subchunks.
+ */
+function buildFile(speed, frames)
+{
+	let body = [];
+	for (const chunks of frames) {
+		let frameData = [];
+		for (const [type, data] of chunks) {
+			frameData.push(...u32(6 + data.length), ...u16(type), ...data);
+		}
+		body.push(
+			...u32(16 + frameData.length), ...u16(0xF1FA),
+			...u16(chunks.length), 0, 0, 0, 0, 0, 0, 0, 0,
+			...frameData,
+		);
+	}
+	let header = new Array(128).fill(0);
+	header.splice(0, 4, ...u32(128 + body.length));
+	header.splice(4, 2, ...u16(0xAF11));
+	header.splice(6, 2, ...u16(frames.length));
+	header.splice(8, 2, ...u16(WIDTH));
+	header.splice(10, 2, ...u16(HEIGHT));
+	header.splice(12, 2, ...u16(8));
+	header.splice(16, 4, ...u32(speed));
+	return {
+		main: Uint8Array.from([...header, ...body]),
+	};
+}
+
+function createImage(count)
+{
+	let palette = new Palette(256);
+	for (let i = 0; i < 256; i++) {
+		palette[i] = [i, i, i, 255];
+	}
+	let frames = [];
+	let pixels = new Uint8Array(WIDTH * HEIGHT);
+	for (let f = 0; f < count; f++) {
+		pixels = pixels.slice();
+		pixels.fill(f + 1, (10 + f) * WIDTH + 20, (10 + f) * WIDTH + 40);
+		pixels[150 * WIDTH + 300 - f] = 0x80 + f;
+		frames.push(new Frame({ pixels }));
+	}
+	return new Image({
+		width: WIDTH,
+		height: HEIGHT,
+		frames,
+		palette,
+	});
+}
+
+describe(`Extra tests for ${md.title} [${md.id}]`, function() {
+
+	describe('read()', function() {
+
+		it('should read COLOR_64 chunks', function() {
+			const content = buildFile(5, [
+				[ [11, [...u16(1), 1, 2, 63, 32, 0, 1, 2, 3]] ],
+			]);
+			const image = handler.read(content);
+			assert.deepEqual(image.palette[0], [0, 0, 0, 255]);
+			assert.equal(image.palette[1][0], 255);
+			assert.equal(image.palette[1][2], 0);
+			assert.equal(image.palette[2][2], 12);
+		});
+
+		it('should read DELTA_FLI chunks', function() {
+			const content = buildFile(5, [
+				[ [13, []] ],
+				[
+					// Starting at line 2, change two lines.
+					[12, [
+						...u16(2), ...u16(2),
+						2, 3, 2, 0x11, 0x22, 5, 0xFD, 0x33,
+						0,
+					]],
+				],
+			]);
+			const image = handler.read(content);
+			const pixels = image.frames[1].pixels;
+			const row = 2 * WIDTH;
+			TestUtil.buffersEqual(
+				Uint8Array.from([0, 0, 0, 0x11, 0x22, 0, 0, 0, 0, 0, 0x33, 0x33, 0x33, 0]),
+				pixels.subarray(row, row + 14)
+			);
+			assert.equal(pixels.reduce((a, b) => a + b) - 0x11 - 0x22 - 0x33 * 3, 0);
+		});
+
+		it('should convert the speed from jiffies', function() {
+			const content = buildFile(7, [ [ [13, []] ] ]);
+			const image = handler.read(content);
+			assert.equal(image.animation[0].postDelay, 100);
+		});
+
+	});
+
+	describe('write()', function() {
+
+		it('should store later frames as DELTA_FLI chunks', function() {
+			const image = createImage(3);
+			const { content } = handler.write(image);
+
+			let offset = 128;
+			offset += content.main[offset] | (content.main[offset + 1] << 8)
+				| (content.main[offset + 2] << 16);
+			assert.equal(content.main[offset + 16 + 4], 12);
+
+			const image2 = handler.read(content);
+			for (let f = 0; f < 3; f++) {
+				TestUtil.buffersEqual(image.frames[f].pixels, image2.frames[f].pixels,
+					`Frame ${f} differs`);
+			}
+		});
+
+		it('should warn when frame delays differ', function() {
+			let image = createImage(2);
+			image.animation = [
+				{ index: 0, postDelay: 100 },
+				{ index: 1, postDelay: 200 },
+			];
+			const { warnings } = handler.write(image);
+			assert.equal(warnings.length, 1);
+		});
+
+	});
+
+	describe('identify()', function() {
+
+		it('should not identify FLC files', function() {
+			let content = buildFile(5, [ [ [13, []] ] ]);
+			content.main[4] = 0x12;
+			assert.equal(handler.identify(content.main).valid, false);
+		});
+
+	});
+
+});
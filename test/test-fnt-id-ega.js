@@ -0,0 +1,120 @@
+/*
+ * Extra tests for fnt-id-ega.
+ *
+ * Copyright (C) 2010-2022 Adam Nielsen <malvineous@shikadi.net>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import assert from 'assert';
+import TestUtil from './util.js';
+import {
+	fnt_id_ega as handler,
+	Frame,
+	Image,
+} from '../index.js';
+
+const md = handler.metadata();
+
+// Header is the height, then 256 offsets and 256 widths.
+const HEADER_LEN = 2 + 256 * 2 + 256;
+
+function createFont()
+{
+	let glyph = new Frame({
+		width: 10,
+		height: 2,
+		codePoint: 0x41,
+	});
+	glyph.pixels[0] = 1;
+	glyph.pixels[9] = 1;
+	glyph.pixels[10 + 8] = 1;
+	return new Image({
+		width: 0,
+		height: 2,
+		frames: [ glyph ],
+	});
+}
+
+describe(`Extra tests for ${md.title} [${md.id}]`, function() {
+
+	describe('I/O', function() {
+
+		it('should write glyphs at their code point', function() {
+			const { content, warnings } = handler.write(createFont());
+			assert.equal(warnings.length, 0);
+			assert.equal(content.main.length, HEADER_LEN + 2 * 2);
+
+			// Offset and width of character 0x41.
+			assert.equal(content.main[2 + 0x41 * 2], HEADER_LEN & 0xFF);
+			assert.equal(content.main[2 + 0x41 * 2 + 1], HEADER_LEN >> 8);
+			assert.equal(content.main[2 + 256 * 2 + 0x41], 10);
+
+			TestUtil.buffersEqual(
+				Uint8Array.from([0x80, 0x40, 0x00, 0x80]),
+				content.main.slice(HEADER_LEN)
+			);
+		});
+
+		it('should read glyphs with their code point', function() {
+			const { content } = handler.write(createFont());
+			const image = handler.read(content);
+			assert.equal(image.height, 2);
+			assert.equal(image.frames.length, 256);
+
+			const glyph = image.frames[0x41];
+			assert.equal(glyph.codePoint, 0x41);
+			assert.equal(glyph.width, 10);
+			TestUtil.buffersEqual(createFont().frames[0].pixels, glyph.pixels);
+
+			assert.equal(image.frames[0x40].pixels.length, 0);
+		});
+
+		it('should use the image width for glyphs without one', function() {
+			let image = createFont();
+			image.width = 10;
+			image.frames[0].width = undefined;
+			const { content } = handler.write(image);
+			assert.equal(content.main[2 + 256 * 2 + 0x41], 10);
+			TestUtil.buffersEqual(
+				Uint8Array.from([0x80, 0x40, 0x00, 0x80]),
+				content.main.slice(HEADER_LEN)
+			);
+		});
+
+		it('should reject glyphs of a different height', function() {
+			let image = createFont();
+			image.frames[0].height = 3;
+			assert.throws(() => handler.write(image));
+		});
+
+	});
+
+	describe('identify()', function() {
+
+		it('should recognise a valid font', function() {
+			const { content } = handler.write(createFont());
+			assert.equal(handler.identify(content.main).valid, true);
+		});
+
+		it('should reject a font with trailing data', function() {
+			const { content } = handler.write(createFont());
+			let data = new Uint8Array(content.main.length + 1);
+			data.set(content.main);
+			assert.equal(handler.identify(data).valid, false);
+		});
+
+	});
+
+});
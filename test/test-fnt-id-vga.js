@@ -0,0 +1,87 @@
+/*
+ * Extra tests for fnt-id-vga.
+ *
+ * Copyright (C) 2010-2022 Adam Nielsen <malvineous@shikadi.net>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import assert from 'assert';
+import TestUtil from './util.js';
+import {
+	fnt_id_ega,
+	fnt_id_vga as handler,
+	Frame,
+	Image,
+} from '../index.js';
+
+const md = handler.metadata();
+
+// Header is the height, then 256 offsets and 256 widths.
+const HEADER_LEN = 2 + 256 * 2 + 256;
+
+function createFont()
+{
+	let glyph = new Frame({
+		width: 3,
+		height: 2,
+		pixels: Uint8Array.from([1, 2, 3, 4, 5, 6]),
+		codePoint: 0x30,
+	});
+	return new Image({
+		width: 0,
+		height: 2,
+		frames: [ glyph ],
+	});
+}
+
+describe(`Extra tests for ${md.title} [${md.id}]`, function() {
+
+	describe('I/O', function() {
+
+		it('should write one byte per pixel', function() {
+			const { content } = handler.write(createFont());
+			assert.equal(content.main.length, HEADER_LEN + 3 * 2);
+			TestUtil.buffersEqual(
+				Uint8Array.from([1, 2, 3, 4, 5, 6]),
+				content.main.slice(HEADER_LEN)
+			);
+		});
+
+		it('should read the font back', function() {
+			const { content } = handler.write(createFont());
+			const image = handler.read(content);
+			const glyph = image.frames[0x30];
+			assert.equal(glyph.codePoint, 0x30);
+			assert.equal(glyph.width, 3);
+			TestUtil.buffersEqual(createFont().frames[0].pixels, glyph.pixels);
+		});
+
+	});
+
+	describe('identify()', function() {
+
+		it('should recognise a valid font', function() {
+			const { content } = handler.write(createFont());
+			assert.equal(handler.identify(content.main).valid, true);
+		});
+
+		it('should not be confused with the EGA variant', function() {
+			const { content } = handler.write(createFont());
+			assert.equal(fnt_id_ega.identify(content.main).valid, false);
+		});
+
+	});
+
+});
@@ -0,0 +1,121 @@
+/*
+ * Extra tests for fnt-vga-rom.
+ *
+ * Copyright (C) 2010-2022 Adam Nielsen <malvineous@shikadi.net>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import assert from 'assert';
+import TestUtil from './util.js';
+import {
+	fnt_vga_rom as handler,
+	Frame,
+	Image,
+} from '../index.js';
+
+const md = handler.metadata();
+
+describe(`Extra tests for ${md.title} [${md.id}]`, function() {
+
+	describe('metadata()', function() {
+
+		it('should be marked as a glyph set', function() {
+			assert.equal(md.glyphs, true);
+		});
+
+	});
+
+	describe('I/O', function() {
+
+		// 8x14 font with a diagonal line in character 0x41.
+		let content = {
+			main: new Uint8Array(256 * 14),
+		};
+		for (let y = 0; y < 8; y++) {
+			content.main[0x41 * 14 + y] = 0x80 >> y;
+		}
+
+		it('should read one glyph per character', function() {
+			const image = handler.read(content);
+			assert.equal(image.frames.length, 256);
+			assert.equal(image.height, 14);
+			const glyph = image.frames[0x41];
+			assert.equal(glyph.codePoint, 0x41);
+			assert.equal(glyph.width, 8);
+			assert.equal(glyph.pixels[0], 1);
+			assert.equal(glyph.pixels[1], 0);
+			assert.equal(glyph.pixels[7 * 8 + 7], 1);
+		});
+
+		it('should write the font back', function() {
+			const image = handler.read(content);
+			const { content: contentWritten, warnings } = handler.write(image);
+			assert.equal(warnings.length, 0);
+			TestUtil.buffersEqual(content.main, contentWritten.main);
+		});
+
+		it('should leave missing glyphs blank', function() {
+			let glyph = new Frame({
+				width: 8,
+				height: 8,
+				codePoint: 2,
+			});
+			glyph.pixels.fill(1);
+			const image = new Image({
+				width: 8,
+				height: 8,
+				frames: [ glyph ],
+			});
+			const { content: contentWritten, warnings } = handler.write(image);
+			assert.equal(warnings.length, 1);
+			assert.equal(contentWritten.main.length, 256 * 8);
+			assert.equal(contentWritten.main[2 * 8 - 1], 0x00);
+			assert.equal(contentWritten.main[2 * 8], 0xFF);
+			assert.equal(contentWritten.main[3 * 8], 0x00);
+		});
+
+		it('should use the glyph height when the image has none', function() {
+			const image = handler.read(content);
+			image.height = 0;
+			const { content: contentWritten } = handler.write(image);
+			TestUtil.buffersEqual(content.main, contentWritten.main);
+		});
+
+		it('should reject glyphs that are not 8 pixels wide', function() {
+			const image = new Image({
+				width: 8,
+				height: 8,
+				frames: [
+					new Frame({ width: 9, height: 8 }),
+				],
+			});
+			assert.throws(() => handler.write(image));
+		});
+
+	});
+
+	describe('identify()', function() {
+
+		it('should not be certain of a correctly sized file', function() {
+			assert.equal(handler.identify(new Uint8Array(256 * 16)).valid, undefined);
+		});
+
+		it('should reject files that are not a whole number of glyphs', function() {
+			assert.equal(handler.identify(new Uint8Array(256 * 16 + 1)).valid, false);
+		});
+
+	});
+
+});
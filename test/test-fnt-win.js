@@ -0,0 +1,160 @@
+/*
+ * Extra tests for fnt-win.
+ *
+ * Copyright (C) 2010-2022 Adam Nielsen <malvineous@shikadi.net>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import assert from 'assert';
+import TestUtil from './util.js';
+import {
+	fnt_win as handler,
+	Frame,
+	Image,
+} from '../index.js';
+
+const md = handler.metadata();
+
+const HEADER_LEN_V2 = 118;
+
+function createFont()
+{
+	let narrow = new Frame({
+		width: 2,
+		height: 3,
+		codePoint: 0x20,
+	});
+	narrow.pixels[0] = 1;
+	let wide = new Frame({
+		width: 9,
+		height: 3,
+		codePoint: 0x21,
+	});
+	wide.pixels[8] = 1;
+	wide.pixels[2 * 9] = 1;
+	return new Image({
+		width: 0,
+		height: 3,
+		frames: [ narrow, wide ],
+		tags: {
+			faceName: 'Test',
+			weight: 700,
+			absoluteSpaceWidth: 0,
+		},
+	});
+}
+
+describe(`Extra tests for ${md.title} [${md.id}]`, function() {
+
+	describe('I/O', function() {
+
+		it('should write a version 2 font', function() {
+			const { content, warnings } = handler.write(createFont());
+			assert.equal(warnings.length, 0);
+			const data = content.main;
+
+			// Version and file size.
+			assert.equal(data[0], 0x00);
+			assert.equal(data[1], 0x02);
+			assert.equal(data[2] | (data[3] << 8), data.length);
+
+			// First and last characters.
+			assert.equal(data[95], 0x20);
+			assert.equal(data[96], 0x21);
+
+			// Three character table entries, including the absolute space.
+			const offBits = HEADER_LEN_V2 + 3 * 4;
+			assert.equal(data[HEADER_LEN_V2 + 4], 9);
+			assert.equal(data[HEADER_LEN_V2 + 6], offBits + 3);
+
+			// Glyphs are stored in byte columns.
+			TestUtil.buffersEqual(
+				Uint8Array.from([
+					0x80, 0x00, 0x00,
+					0x00, 0x00, 0x80,
+					0x80, 0x00, 0x00,
+				]),
+				data.slice(offBits, offBits + 9)
+			);
+
+			assert.equal(String.fromCharCode(...data.slice(offBits + 9, offBits + 13)), 'Test');
+		});
+
+		it('should read the font back', function() {
+			const { content } = handler.write(createFont());
+			const image = handler.read(content);
+			assert.equal(image.height, 3);
+			assert.equal(image.frames.length, 2);
+			assert.equal(image.tags.faceName, 'Test');
+			assert.equal(image.tags.weight, 700);
+
+			const original = createFont();
+			for (let i = 0; i < 2; i++) {
+				assert.equal(image.frames[i].codePoint, original.frames[i].codePoint);
+				assert.equal(image.frames[i].width, original.frames[i].width);
+				TestUtil.buffersEqual(original.frames[i].pixels, image.frames[i].pixels);
+			}
+		});
+
+		it('should produce the same file when written again', function() {
+			const { content } = handler.write(createFont());
+			const { content: contentWritten } = handler.write(handler.read(content));
+			TestUtil.buffersEqual(content.main, contentWritten.main);
+		});
+
+		it('should write a version 3 font when glyphs pass 64 kB', function() {
+			// Each 256x256 glyph is 8 kB at one bit per pixel.
+			let frames = [];
+			for (let i = 0; i < 9; i++) {
+				frames.push(new Frame({
+					width: 256,
+					height: 256,
+					codePoint: 0x41 + i,
+				}));
+			}
+			const last = 256 * 256 - 1;
+			frames[8].pixels[last] = 1;
+			const image = new Image({
+				width: 256,
+				height: 256,
+				frames,
+			});
+			const { content } = handler.write(image);
+			assert.equal(content.main[1], 0x03);
+
+			const image2 = handler.read(content);
+			assert.equal(image2.frames.length, 9);
+			assert.equal(image2.frames[8].pixels[last], 1);
+		});
+
+	});
+
+	describe('identify()', function() {
+
+		it('should recognise a valid font', function() {
+			const { content } = handler.write(createFont());
+			assert.equal(handler.identify(content.main).valid, true);
+		});
+
+		it('should reject a file with the wrong size field', function() {
+			const { content } = handler.write(createFont());
+			let data = new Uint8Array(content.main.length + 1);
+			data.set(content.main);
+			assert.equal(handler.identify(data).valid, false);
+		});
+
+	});
+
+});
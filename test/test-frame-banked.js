@@ -0,0 +1,112 @@
+/*
+ * Tests for util/frame-banked.js.
+ *
+ * Copyright (C) 2010-2022 Adam Nielsen <malvineous@shikadi.net>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import assert from 'assert';
+import TestUtil from './util.js';
+import {
+	bankOrderOption,
+	fromBanked,
+	toBanked,
+} from '../util/frame-banked.js';
+
+function runTest(msg, { banked, rows, rowBytes, height, bankLen, bankOrder }) {
+	describe(msg, function() {
+
+		it('fromBanked()', function() {
+			const actual = fromBanked({
+				content: Uint8Array.from(banked),
+				rowBytes,
+				height,
+				bankLen,
+				bankOrder,
+			});
+			TestUtil.buffersEqual(rows, actual);
+		});
+
+		it('toBanked()', function() {
+			const actual = toBanked({
+				content: Uint8Array.from(rows),
+				rowBytes,
+				height,
+				bankLen,
+				bankOrder,
+			});
+			TestUtil.buffersEqual(banked, actual);
+		});
+
+	});
+}
+
+describe(`Extra tests for util/frame-banked`, function() {
+	runTest(
+		`should handle two banks`,
+		{
+			banked: [
+				0x00, 0x01, 0x20, 0x21, 0x00,
+				0x10, 0x11, 0x30, 0x31, 0x00,
+			],
+			rows: [
+				0x00, 0x01,
+				0x10, 0x11,
+				0x20, 0x21,
+				0x30, 0x31,
+			],
+			rowBytes: 2,
+			height: 4,
+			bankLen: 5,
+			bankOrder: [0, 1],
+		}
+	);
+
+	runTest(
+		`should handle four banks in a different order`,
+		{
+			banked: [
+				0x00, 0x40,
+				0x20, 0x00,
+				0x10, 0x50,
+				0x30, 0x00,
+			],
+			rows: [
+				0x00, 0x10, 0x20, 0x30, 0x40, 0x50,
+			],
+			rowBytes: 1,
+			height: 6,
+			bankLen: 2,
+			bankOrder: [0, 2, 1, 3],
+		}
+	);
+
+	describe('bankOrderOption()', function() {
+
+		it('should default to the banks in sequence', function() {
+			assert.deepEqual(bankOrderOption(undefined, 4), [0, 1, 2, 3]);
+		});
+
+		it('should read a list of banks', function() {
+			assert.deepEqual(bankOrderOption('0,2,1,3', 4), [0, 2, 1, 3]);
+		});
+
+		it('should reject missing or repeated banks', function() {
+			assert.throws(() => bankOrderOption('0,1,2', 4));
+			assert.throws(() => bankOrderOption('0,1,1,3', 4));
+		});
+
+	});
+});
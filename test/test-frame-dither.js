@@ -0,0 +1,145 @@
+/*
+ * Tests for frame-dither.js.
+ *
+ * Copyright (C) 2010-2022 Adam Nielsen <malvineous@shikadi.net>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import assert from 'assert';
+import TestUtil from './util.js';
+import Image from '../interface/image.js';
+import Frame from '../interface/frame.js';
+import Palette from '../interface/palette.js';
+import { DitherMethod, imageDither } from '../util/frame-dither.js';
+import {
+	defaultPalette,
+	paletteCGA16,
+	paletteMono,
+} from '../util/palette-default.js';
+import { img_raw_linear_8bpp } from '../index.js';
+
+function createImage(width, height, palette, fn) {
+	let pixels = new Uint8Array(width * height);
+	for (let i = 0; i < pixels.length; i++) {
+		pixels[i] = fn(i % width, (i / width) >>> 0);
+	}
+	return new Image({
+		width,
+		height,
+		frames: [
+			new Frame({
+				pixels,
+			}),
+		],
+		palette,
+	});
+}
+
+function createGreyPalette() {
+	let pal = new Palette(256);
+	for (let i = 0; i < 256; i++) {
+		pal[i] = [i, i, i, 255];
+	}
+	return pal;
+}
+
+function countValue(pixels, value) {
+	return pixels.reduce((a, p) => a + ((p === value) ? 1 : 0), 0);
+}
+
+describe(`Extra tests for util/frame-dither`, function() {
+
+	for (const method of Object.values(DitherMethod)) {
+		it(`should not change colours already in the palette (${method})`, function() {
+			const image = createImage(16, 16, paletteCGA16(), (x, y) => (x + y) % 16);
+			const out = imageDither(image, paletteCGA16(), { method });
+			TestUtil.buffersEqual(image.frames[0].pixels, out.frames[0].pixels);
+		});
+	}
+
+	it('should pick the nearest colour without dithering', function() {
+		const image = createImage(16, 16, createGreyPalette(), () => 0x90);
+		const out = imageDither(image, paletteMono(), {
+			method: DitherMethod.None,
+		});
+		assert.equal(countValue(out.frames[0].pixels, 1), 16 * 16);
+	});
+
+	for (const method of [
+		DitherMethod.FloydSteinberg,
+		DitherMethod.Atkinson,
+		DitherMethod.Bayer,
+	]) {
+		it(`should produce a mix of colours for mid-grey (${method})`, function() {
+			const image = createImage(16, 16, createGreyPalette(), () => 0x80);
+			const out = imageDither(image, paletteMono(), {
+				method,
+				strength: 255,
+			});
+			const white = countValue(out.frames[0].pixels, 1);
+			assert.ok((white > 256 * 0.4) && (white < 256 * 0.6),
+				`Expected around half the pixels to be white, got ${white} of 256`);
+		});
+	}
+
+	it('should repeat the Bayer pattern across tiles', function() {
+		const image = createImage(16, 8, createGreyPalette(), () => 0x60);
+		const out = imageDither(image, paletteMono(), {
+			method: DitherMethod.Bayer,
+			strength: 255,
+		});
+		const pixels = out.frames[0].pixels;
+		for (let y = 0; y < 8; y++) {
+			for (let x = 0; x < 8; x++) {
+				assert.equal(pixels[y * 16 + x], pixels[y * 16 + x + 8],
+					`Pixel (${x},${y}) differs between the two tiles`);
+			}
+		}
+	});
+
+	it('should keep transparent pixels transparent', function() {
+		let palSrc = createGreyPalette();
+		palSrc[0][3] = 0;
+		const image = createImage(8, 8, palSrc, x => (x === 0) ? 0 : 0x80);
+
+		let pal = paletteCGA16();
+		pal.push([0xFF, 0x00, 0xFF, 0x00]);
+		const out = imageDither(image, pal);
+		for (let y = 0; y < 8; y++) {
+			assert.equal(out.frames[0].pixels[y * 8], 16);
+		}
+		assert.equal(countValue(out.frames[0].pixels, 16), 8);
+	});
+
+	it('should convert to the 64-colour EGA palette for an 8bpp format', function() {
+		const image = createImage(16, 16, createGreyPalette(), (x, y) => y * 16 + x);
+		const out = imageDither(image, defaultPalette(6));
+		assert.equal(out.palette.length, 64);
+		assert.ok(out.frames[0].pixels.every(p => p < 64));
+		assert.equal(img_raw_linear_8bpp.checkLimits(out).length, 0);
+
+		const { content } = img_raw_linear_8bpp.write(out, { width: 16 });
+		const imgRead = img_raw_linear_8bpp.read(content, { width: 16, height: 16 });
+		TestUtil.buffersEqual(out.frames[0].pixels, imgRead.frames[0].pixels);
+	});
+
+	it('should reject an unknown method', function() {
+		const image = createImage(8, 8, paletteCGA16(), () => 0);
+		assert.throws(() => imageDither(image, paletteCGA16(), {
+			method: 'invalid',
+		}));
+	});
+
+});
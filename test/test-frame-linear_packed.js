@@ -162,6 +162,25 @@ describe(`Extra tests for util/frame-packed`, function() {
 		}
 	);
 
+	runTest(
+		`should pad every row when rows are longer than the image (3x2)`,
+		{
+			packed: [
+				0x13, 0x70, 0x00, 0x00,
+				0xD5, 0x50, 0x00, 0x00,
+			],
+			linear: [
+				0x01, 0x03, 0x07,
+				0x0D, 0x05, 0x05,
+			],
+			bitDepth: 4,
+			width: 3,
+			height: 2,
+			widthBits: 32,
+			isMSB: true,
+		}
+	);
+
 	runTest(
 		`should handle MSB linear data (8x1)`,
 		{
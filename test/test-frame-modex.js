@@ -0,0 +1,83 @@
+/*
+ * Tests for util/frame-modex.js.
+ *
+ * Copyright (C) 2010-2022 Adam Nielsen <malvineous@shikadi.net>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import TestUtil from './util.js';
+import { fromModeX, toModeX } from '../util/frame-modex.js';
+
+function runTest(msg, { modex, linear, width, height }) {
+	describe(msg, function() {
+
+		it('fromModeX()', function() {
+			const actual = fromModeX({
+				content: Uint8Array.from(modex),
+				width,
+				height,
+			});
+			TestUtil.buffersEqual(linear, actual);
+		});
+
+		it('toModeX()', function() {
+			const actual = toModeX({
+				content: Uint8Array.from(linear),
+				width,
+				height,
+			});
+			TestUtil.buffersEqual(modex, actual);
+		});
+
+	});
+}
+
+describe(`Extra tests for util/frame-modex`, function() {
+	runTest(
+		`should handle a single row (8x1)`,
+		{
+			modex: [
+				0x00, 0x04,
+				0x01, 0x05,
+				0x02, 0x06,
+				0x03, 0x07,
+			],
+			linear: [
+				0x00, 0x01, 0x02, 0x03, 0x04, 0x05, 0x06, 0x07,
+			],
+			width: 8,
+			height: 1,
+		}
+	);
+
+	runTest(
+		`should handle multiple rows (4x3)`,
+		{
+			modex: [
+				0x10, 0x20, 0x30,
+				0x11, 0x21, 0x31,
+				0x12, 0x22, 0x32,
+				0x13, 0x23, 0x33,
+			],
+			linear: [
+				0x10, 0x11, 0x12, 0x13,
+				0x20, 0x21, 0x22, 0x23,
+				0x30, 0x31, 0x32, 0x33,
+			],
+			width: 4,
+			height: 3,
+		}
+	);
+});
@@ -0,0 +1,185 @@
+/*
+ * Tests for frame-truecolour.js.
+ *
+ * Copyright (C) 2010-2022 Adam Nielsen <malvineous@shikadi.net>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import assert from 'assert';
+import TestUtil from './util.js';
+import Image from '../interface/image.js';
+import Frame, { PixelFormat } from '../interface/frame.js';
+import {
+	frameFromTruecolour,
+	frameToTruecolour,
+	imageFromTruecolour,
+	paletteFromTruecolour,
+	paletteMedianCut,
+} from '../util/frame-truecolour.js';
+import { imageDither } from '../util/frame-dither.js';
+import { paletteCGA16 } from '../util/palette-default.js';
+import { img_raw_linear_8bpp } from '../index.js';
+
+function createFrame() {
+	return new Frame({
+		width: 4,
+		height: 1,
+		pixels: Uint8Array.from([0, 4, 9, 15]),
+	});
+}
+
+describe(`Extra tests for util/frame-truecolour`, function() {
+
+	it('should allocate four bytes per pixel for new truecolour frames', function() {
+		const frame = new Frame({
+			width: 4,
+			height: 2,
+			pixelFormat: PixelFormat.RGBA,
+		});
+		assert.equal(frame.pixels.length, 4 * 2 * 4);
+		assert.equal(frame.clone().pixelFormat, PixelFormat.RGBA);
+	});
+
+	it('should default to indexed frames', function() {
+		assert.equal(createFrame().pixelFormat, PixelFormat.Indexed);
+	});
+
+	it('frameToTruecolour() should look up the palette', function() {
+		const frame = frameToTruecolour(createFrame(), paletteCGA16());
+		assert.equal(frame.pixelFormat, PixelFormat.RGBA);
+		TestUtil.buffersEqual(Uint8Array.from([
+			0x00, 0x00, 0x00, 0xFF,
+			0xAA, 0x00, 0x00, 0xFF,
+			0x55, 0x55, 0xFF, 0xFF,
+			0xFF, 0xFF, 0xFF, 0xFF,
+		]), frame.pixels);
+	});
+
+	it('frameFromTruecolour() should undo frameToTruecolour()', function() {
+		const orig = createFrame();
+		const rgba = frameToTruecolour(orig, paletteCGA16());
+		const frame = frameFromTruecolour(rgba, paletteCGA16());
+		assert.equal(frame.pixelFormat, PixelFormat.Indexed);
+		TestUtil.buffersEqual(orig.pixels, frame.pixels);
+	});
+
+	it('frameFromTruecolour() should map transparent pixels', function() {
+		let pal = paletteCGA16();
+		pal.push([0xFF, 0x00, 0xFF, 0x00]);
+		const rgba = new Frame({
+			width: 2,
+			height: 1,
+			pixelFormat: PixelFormat.RGBA,
+			pixels: Uint8Array.from([
+				0xFF, 0xFF, 0xFF, 0x00,
+				0xFE, 0xFE, 0xFE, 0xFF,
+			]),
+		});
+		const frame = frameFromTruecolour(rgba, pal);
+		TestUtil.buffersEqual(Uint8Array.from([16, 15]), frame.pixels);
+	});
+
+	it('paletteFromTruecolour() should list each colour once', function() {
+		const rgba = frameToTruecolour(
+			new Frame({
+				width: 6,
+				height: 1,
+				pixels: Uint8Array.from([4, 4, 1, 4, 1, 2]),
+			}),
+			paletteCGA16()
+		);
+		const pal = paletteFromTruecolour([rgba]);
+		assert.equal(pal.length, 3);
+		assert.deepEqual(pal[0], [0xAA, 0x00, 0x00, 0xFF]);
+		assert.deepEqual(pal[1], [0x00, 0x00, 0xAA, 0xFF]);
+		assert.deepEqual(pal[2], [0x00, 0xAA, 0x00, 0xFF]);
+	});
+
+	it('paletteFromTruecolour() should give up with too many colours', function() {
+		const rgba = frameToTruecolour(createFrame(), paletteCGA16());
+		assert.equal(paletteFromTruecolour([rgba], 3), null);
+		assert.ok(paletteFromTruecolour([rgba], 4));
+	});
+
+	it('paletteMedianCut() should reduce the number of colours', function() {
+		let pixels = new Uint8Array(16 * 16 * 4);
+		for (let p = 0; p < 16 * 16; p++) {
+			pixels[p * 4 + 0] = p;
+			pixels[p * 4 + 1] = 0xFF - p;
+			pixels[p * 4 + 2] = 0x80;
+			pixels[p * 4 + 3] = (p === 0) ? 0x00 : 0xFF;
+		}
+		const rgba = new Frame({
+			width: 16,
+			height: 16,
+			pixelFormat: PixelFormat.RGBA,
+			pixels,
+		});
+		const pal = paletteMedianCut([rgba], 16);
+		assert.equal(pal.length, 16);
+		// The last entry is reserved for the transparent pixel.
+		assert.equal(pal[15][3], 0);
+		for (let i = 0; i < 15; i++) {
+			assert.equal(pal[i][2], 0x80);
+			assert.ok(Math.abs(pal[i][0] + pal[i][1] - 0xFF) <= 1);
+		}
+	});
+
+	it('paletteMedianCut() should not invent colours', function() {
+		const rgba = frameToTruecolour(createFrame(), paletteCGA16());
+		const pal = paletteMedianCut([rgba], 16);
+		assert.equal(pal.length, 4);
+	});
+
+	it('imageFromTruecolour() should convert images with few colours', function() {
+		const image = imageFromTruecolour(new Image({
+			width: 4,
+			height: 1,
+			frames: [
+				frameToTruecolour(createFrame(), paletteCGA16()),
+			],
+		}));
+		assert.equal(image.frames[0].pixelFormat, PixelFormat.Indexed);
+		assert.equal(image.palette.length, 4);
+		TestUtil.buffersEqual(Uint8Array.from([0, 1, 2, 3]), image.frames[0].pixels);
+	});
+
+	it('imageDither() should accept truecolour frames', function() {
+		const image = new Image({
+			width: 4,
+			height: 1,
+			frames: [
+				frameToTruecolour(createFrame(), paletteCGA16()),
+			],
+		});
+		const out = imageDither(image, paletteCGA16());
+		assert.equal(out.frames[0].pixelFormat, PixelFormat.Indexed);
+		TestUtil.buffersEqual(createFrame().pixels, out.frames[0].pixels);
+	});
+
+	it('checkLimits() should reject truecolour frames', function() {
+		const image = new Image({
+			width: 4,
+			height: 1,
+			frames: [
+				frameToTruecolour(createFrame(), paletteCGA16()),
+			],
+		});
+		const issues = img_raw_linear_8bpp.checkLimits(image);
+		assert.equal(issues.length, 1);
+		assert.ok(issues[0].includes('truecolour'));
+	});
+
+});
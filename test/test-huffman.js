@@ -0,0 +1,92 @@
+/*
+ * Tests for util/huffman.js.
+ *
+ * Copyright (C) 2010-2022 Adam Nielsen <malvineous@shikadi.net>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import assert from 'assert';
+import TestUtil from './util.js';
+import {
+	HUFFMAN_DICT_LEN,
+	huffmanBuildDict,
+	huffmanCompress,
+	huffmanDecompress,
+	huffmanReadChunks,
+	huffmanReadDict,
+	huffmanWriteChunks,
+	huffmanWriteDict,
+} from '../util/huffman.js';
+
+const data = Uint8Array.from([
+	1, 1, 1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 3, 3, 4, 0xFF,
+]);
+
+describe(`Huffman compression`, function() {
+
+	it('should build a dictionary with every byte value', function() {
+		const dict = huffmanBuildDict([data]);
+		assert.equal(dict.length, 255);
+		let seen = new Set();
+		for (const node of dict) {
+			for (const v of node) {
+				if (v < 256) seen.add(v);
+			}
+		}
+		assert.equal(seen.size, 256);
+	});
+
+	it('should use shorter codes for common bytes', function() {
+		const dict = huffmanBuildDict([data]);
+		// The most common byte should be directly under the root node.
+		assert.ok(dict[254].includes(1));
+	});
+
+	it('should compress and decompress', function() {
+		const dict = huffmanBuildDict([data]);
+		const compressed = huffmanCompress(data, dict);
+		assert.ok(compressed.length < data.length);
+		const decompressed = huffmanDecompress(compressed, dict, data.length);
+		TestUtil.buffersEqual(data, decompressed);
+	});
+
+	it('should read and write dictionaries', function() {
+		const dict = huffmanBuildDict([data]);
+		const content = huffmanWriteDict(dict);
+		assert.equal(content.length, HUFFMAN_DICT_LEN);
+		assert.deepEqual(huffmanReadDict(content), dict);
+	});
+
+	it('should reject short dictionaries', function() {
+		assert.throws(() => huffmanReadDict(new Uint8Array(10)));
+	});
+
+	it('should read and write chunked containers', function() {
+		const content = huffmanWriteChunks([
+			{ data: data },
+			{ data: null },
+			{ data: data.slice(0, 4), implicit: true },
+		]);
+		assert.equal(content.head.length, 4 * 3);
+		TestUtil.buffersEqual(Uint8Array.from([0xFF, 0xFF, 0xFF]), content.head.slice(3, 6));
+
+		const { chunkCount, expand } = huffmanReadChunks(content);
+		assert.equal(chunkCount, 3);
+		TestUtil.buffersEqual(data, expand(0));
+		assert.equal(expand(1), null);
+		TestUtil.buffersEqual(data.slice(0, 4), expand(2, 4));
+	});
+
+});
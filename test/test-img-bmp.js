@@ -0,0 +1,120 @@
+/*
+ * Extra tests for img-bmp.
+ *
+ * Copyright (C) 2010-2022 Adam Nielsen <malvineous@shikadi.net>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import assert from 'assert';
+import TestUtil from './util.js';
+import {
+	img_bmp as handler,
+} from '../index.js';
+
+const md = handler.metadata();
+
+describe(`Extra tests for ${md.title} [${md.id}]`, function() {
+
+	describe('I/O', function() {
+
+		it('should write 1bpp images', function() {
+			const { main } = TestUtil.roundTrip(handler, TestUtil.genImage(13, 5, 1));
+			assert.equal(main[28], 1);
+		});
+
+		it('should write 8bpp images', function() {
+			const { main } = TestUtil.roundTrip(handler, TestUtil.genImage(13, 5, 200));
+			assert.equal(main[28], 8);
+		});
+
+		it('should write RLE4 images', function() {
+			const { main } = TestUtil.roundTrip(handler, TestUtil.genImage(37, 11, 15), { compression: 'rle' });
+			assert.equal(main[28], 4);
+			assert.equal(main[30], 2);
+		});
+
+		it('should write RLE8 images', function() {
+			const { main } = TestUtil.roundTrip(handler, TestUtil.genImage(37, 11, 255), { compression: 'rle' });
+			assert.equal(main[28], 8);
+			assert.equal(main[30], 1);
+		});
+
+		it('should write top-down images', function() {
+			const { main } = TestUtil.roundTrip(handler, TestUtil.genImage(9, 7, 15), { topDown: 'true' });
+			// Height is negative.
+			assert.equal(main[22 + 3], 0xFF);
+		});
+
+		it('should write OS/2 images', function() {
+			const { main } = TestUtil.roundTrip(handler, TestUtil.genImage(9, 7, 15), { header: 'os2' });
+			assert.equal(main[14], 12);
+			// Palette is three bytes per entry.
+			assert.equal(main[10], 14 + 12 + 16 * 3);
+		});
+
+		it('should reject options the OS/2 header cannot store', function() {
+			assert.throws(() => {
+				handler.write(TestUtil.genImage(9, 7, 15), { header: 'os2', compression: 'rle' });
+			});
+			assert.throws(() => {
+				handler.write(TestUtil.genImage(9, 7, 15), { header: 'os2', topDown: 'true' });
+			});
+		});
+
+		it('should read RLE delta codes', function() {
+			let img8 = TestUtil.genImage(4, 2, 255);
+			img8.frames[0].pixels[0] = 0xFF; // force 8bpp
+			let main = handler.write(img8).content.main.slice(0, 14 + 40 + 256 * 4);
+			main[30] = 1; // RLE8
+			// Two pixels on the bottom row, then skip to the last pixel of the top
+			// row.
+			main = Uint8Array.from([
+				...main,
+				0x02, 0x05,
+				0x00, 0x02, 0x01, 0x01,
+				0x01, 0x07,
+				0x00, 0x01,
+			]);
+			const img = handler.read({ main });
+			TestUtil.buffersEqual(Uint8Array.from([
+				0, 0, 0, 7,
+				5, 5, 0, 0,
+			]), img.frames[0].pixels);
+		});
+
+	});
+
+	describe('identify()', function() {
+
+		it('should reject files with the wrong signature', function() {
+			let main = handler.write(TestUtil.genImage(4, 4, 15)).content.main;
+			main[0] = 0x42;
+			main[1] = 0x41;
+			const result = handler.identify(main);
+			assert.equal(result.valid, false);
+			assert.equal(result.reason, 'Invalid signature.');
+		});
+
+		it('should reject files with an unknown header size', function() {
+			let main = handler.write(TestUtil.genImage(4, 4, 15)).content.main;
+			main[14] = 41;
+			const result = handler.identify(main);
+			assert.equal(result.valid, false);
+			assert.equal(result.reason, 'Unknown header size 41.');
+		});
+
+	});
+
+});
@@ -0,0 +1,107 @@
+/*
+ * Extra tests for img-doom-patch.
+ *
+ * Copyright (C) 2010-2022 Adam Nielsen <malvineous@shikadi.net>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import assert from 'assert';
+import TestUtil from './util.js';
+import {
+	img_doom_patch as handler,
+	Frame,
+	Image,
+} from '../index.js';
+
+const md = handler.metadata();
+
+describe(`Extra tests for ${md.title} [${md.id}]`, function() {
+
+	describe('I/O', function() {
+
+		// 2x3 image, with a gap in the first column and an empty second column.
+		const pixels = Uint8Array.from([
+			0x10, 0xFF,
+			0xFF, 0xFF,
+			0x11, 0xFF,
+		]);
+
+		const encoded = Uint8Array.from([
+			0x02, 0x00, 0x03, 0x00, // width, height
+			0xFB, 0xFF, 0x05, 0x00, // left and top offset
+			0x10, 0x00, 0x00, 0x00, // column 0 offset
+			0x1B, 0x00, 0x00, 0x00, // column 1 offset
+			0x00, 0x01, 0x00, 0x10, 0x00, // post at row 0
+			0x02, 0x01, 0x00, 0x11, 0x00, // post at row 2
+			0xFF,
+			0xFF,
+		]);
+
+		it('should write posts for opaque pixels', function() {
+			const { content } = handler.write(new Image({
+				width: 2,
+				height: 3,
+				frames: [
+					new Frame({
+						pixels,
+						hotspotX: -5,
+						hotspotY: 5,
+					}),
+				],
+			}));
+			TestUtil.buffersEqual(encoded, content.main);
+		});
+
+		it('should read posts and offsets', function() {
+			const image = handler.read({ main: encoded });
+			TestUtil.buffersEqual(pixels, image.frames[0].pixels);
+			assert.equal(image.frames[0].hotspotX, -5);
+			assert.equal(image.frames[0].hotspotY, 5);
+		});
+
+		it('should read columns shared between several offsets', function() {
+			let shared = encoded.slice();
+			// Point column 1 at column 0's posts.
+			shared[12] = 0x10;
+			const image = handler.read({ main: shared });
+			TestUtil.buffersEqual(
+				Uint8Array.from([0x10, 0x10, 0xFF, 0xFF, 0x11, 0x11]),
+				image.frames[0].pixels
+			);
+		});
+
+	});
+
+	describe('identify()', function() {
+
+		it('should reject posts below the bottom of the image', function() {
+			const { content } = handler.write(new Image({
+				width: 1,
+				height: 4,
+				frames: [
+					new Frame({
+						pixels: Uint8Array.from([0xFF, 0xFF, 1, 2]),
+					}),
+				],
+			}));
+			assert.equal(handler.identify(content.main).valid, true);
+			// Make the image shorter than the post.
+			content.main[2] = 3;
+			assert.equal(handler.identify(content.main).valid, false);
+		});
+
+	});
+
+});
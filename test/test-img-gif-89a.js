@@ -0,0 +1,203 @@
+/*
+ * Tests specific to img-gif-89a.
+ *
+ * Copyright (C) 2010-2022 Adam Nielsen <malvineous@shikadi.net>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import assert from 'assert';
+import TestUtil from './util.js';
+import {
+	img_gif_89a as handler,
+	Disposal,
+	Frame,
+	Image,
+	defaultPalette,
+} from '../index.js';
+
+const md = handler.metadata();
+
+function genFrame(width, height, value, params = {}) {
+	return new Frame({
+		width,
+		height,
+		pixels: new Uint8Array(width * height).fill(value),
+		...params,
+	});
+}
+
+function genAnimation() {
+	return new Image({
+		width: 16,
+		height: 16,
+		frames: [
+			genFrame(16, 16, 1),
+			genFrame(4, 4, 2, { offsetX: 3, offsetY: 5 }),
+			genFrame(8, 2, 3, { offsetX: 8, offsetY: 14 }),
+		],
+		palette: defaultPalette(8),
+		animation: [
+			{ index: 0, postDelay: 100, disposal: Disposal.None },
+			{ index: 1, postDelay: 250, disposal: Disposal.Background },
+			{ index: 2, postDelay: 40, disposal: Disposal.Previous },
+		],
+	});
+}
+
+describe(`Extra tests for ${md.title} [${md.id}]`, function() {
+
+	describe('I/O', function() {
+
+		it('should keep the delay and disposal of each frame', function() {
+			const img = genAnimation();
+			const { content } = handler.write(img);
+			const imgRead = handler.read(content);
+			assert.deepEqual(imgRead.animation, img.animation);
+		});
+
+		it('should keep frame offsets', function() {
+			const img = genAnimation();
+			const { content } = handler.write(img);
+			const imgRead = handler.read(content);
+			assert.equal(imgRead.width, 16);
+			assert.equal(imgRead.height, 16);
+			for (let f = 0; f < img.frames.length; f++) {
+				assert.equal(imgRead.frames[f].offsetX, img.frames[f].offsetX);
+				assert.equal(imgRead.frames[f].offsetY, img.frames[f].offsetY);
+				assert.equal(imgRead.frames[f].width, img.frames[f].width);
+				TestUtil.buffersEqual(img.frames[f].pixels, imgRead.frames[f].pixels);
+			}
+		});
+
+		it('should write frames in animation order', function() {
+			let img = genAnimation();
+			img.animation = [
+				{ index: 2, postDelay: 100 },
+				{ index: 0, postDelay: 200 },
+				{ index: 2, postDelay: 300 },
+			];
+			const { content, warnings } = handler.write(img);
+			assert.equal(warnings.length, 1, 'Missing warning about unused frame');
+			const imgRead = handler.read(content);
+			assert.equal(imgRead.frames.length, 3);
+			TestUtil.buffersEqual(img.frames[2].pixels, imgRead.frames[0].pixels);
+			TestUtil.buffersEqual(img.frames[0].pixels, imgRead.frames[1].pixels);
+			TestUtil.buffersEqual(img.frames[2].pixels, imgRead.frames[2].pixels);
+			assert.deepEqual(imgRead.animation.map(a => a.postDelay), [100, 200, 300]);
+		});
+
+		it('should keep a transparent colour in the global palette', function() {
+			let img = genAnimation();
+			img.palette[5][3] = 0;
+			const { content } = handler.write(img);
+			const imgRead = handler.read(content);
+			assert.equal(imgRead.palette[5][3], 0);
+			assert.equal(imgRead.palette.filter(p => p[3] === 0).length, 1);
+			for (const frame of imgRead.frames) {
+				assert.equal(frame.palette, undefined);
+			}
+		});
+
+
+		it('should keep a different transparent colour for each frame', function() {
+			let img = genAnimation();
+			img.frames[1].palette = img.palette.clone();
+			img.frames[1].palette[7][3] = 0;
+			img.palette[5][3] = 0;
+			const { content } = handler.write(img);
+			const imgRead = handler.read(content);
+			const pal0 = imgRead.frames[0].palette || imgRead.palette;
+			const pal1 = imgRead.frames[1].palette || imgRead.palette;
+			assert.equal(pal0.findIndex(p => p[3] === 0), 5);
+			assert.equal(pal1.findIndex(p => p[3] === 0), 7);
+		});
+
+		it('should write local colour tables', function() {
+			let img = genAnimation();
+			img.frames[1].palette = defaultPalette(4);
+			img.frames[1].palette[2] = [0x12, 0x34, 0x56, 0xFF];
+			const { content } = handler.write(img);
+			const imgRead = handler.read(content);
+			assert.equal(imgRead.frames[0].palette, undefined);
+			assert.equal(imgRead.frames[1].palette.length, 16);
+			assert.deepEqual(imgRead.frames[1].palette[2], [0x12, 0x34, 0x56, 0xFF]);
+			TestUtil.buffersEqual(img.frames[1].pixels, imgRead.frames[1].pixels);
+		});
+
+		it('should use the global palette for frames with a null palette', function() {
+			let img = genAnimation();
+			for (const frame of img.frames) {
+				frame.palette = null;
+			}
+			const { content } = handler.write(img);
+			const imgRead = handler.read(content);
+			assert.equal(imgRead.frames[1].palette, undefined);
+			TestUtil.buffersEqual(img.frames[1].pixels, imgRead.frames[1].pixels);
+		});
+
+		it('should pad colour tables to a power of two', function() {
+			let img = genAnimation();
+			img.palette = defaultPalette(8).slice(0, 5);
+			for (const frame of img.frames) frame.pixels.fill(4);
+			const { content } = handler.write(img);
+			const imgRead = handler.read(content);
+			assert.equal(imgRead.palette.length, 8);
+			assert.deepEqual(imgRead.palette[4], img.palette[4]);
+		});
+
+		it('should read and write interlaced images', function() {
+			let pixels = new Uint8Array(5 * 11);
+			for (let i = 0; i < pixels.length; i++) pixels[i] = i;
+			const img = new Image({
+				width: 5,
+				height: 11,
+				frames: [
+					new Frame({
+						pixels,
+					}),
+				],
+				palette: defaultPalette(8),
+			});
+			const { content: contentNormal } = handler.write(img);
+			const { content } = handler.write(img, { interlace: true });
+			assert.notDeepEqual(content.main, contentNormal.main);
+			const imgRead = handler.read(content);
+			TestUtil.buffersEqual(pixels, imgRead.frames[0].pixels);
+		});
+
+		it('should keep comments and application extensions as tags', function() {
+			let img = genAnimation();
+			img.tags = {
+				comment: 'Hello\nworld '.repeat(50),
+				'application:TESTAPP1.0x': 'Some\x00binary\xFFdata',
+			};
+			assert.equal(handler.checkLimits(img).length, 0);
+			const { content, warnings } = handler.write(img);
+			assert.equal(warnings.length, 0);
+			const imgRead = handler.read(content);
+			assert.deepEqual(imgRead.tags, img.tags);
+		});
+
+		it('should not allow other tags', function() {
+			let img = genAnimation();
+			img.tags = {
+				title: 'Example',
+			};
+			assert.equal(handler.checkLimits(img).length, 1);
+		});
+
+	}); // I/O
+
+}); // Extra tests
@@ -0,0 +1,138 @@
+/*
+ * Extra tests for img-lbm.
+ *
+ * Copyright (C) 2010-2022 Adam Nielsen <malvineous@shikadi.net>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import assert from 'assert';
+import TestUtil from './util.js';
+import {
+	img_lbm as handler,
+} from '../index.js';
+
+const md = handler.metadata();
+
+// Find a chunk in an IFF file and return the offset of its data.
+function findChunk(main, type) {
+	const id = [...type].map(c => c.charCodeAt(0));
+	for (let i = 12; i < main.length - 4; i++) {
+		if (id.every((b, j) => main[i + j] === b)) return i + 8;
+	}
+	return -1;
+}
+
+describe(`Extra tests for ${md.title} [${md.id}]`, function() {
+
+	describe('I/O', function() {
+
+		it('should write only as many planes as needed', function() {
+			const { main } = TestUtil.roundTrip(handler, TestUtil.genImage(21, 5, 31));
+			const bmhd = findChunk(main, 'BMHD');
+			assert.equal(main[bmhd + 8], 5);
+		});
+
+		it('should write PBM images', function() {
+			const { main } = TestUtil.roundTrip(handler, TestUtil.genImage(21, 5, 15), { form: 'PBM' });
+			assert.equal(String.fromCharCode(...main.slice(8, 12)), 'PBM ');
+			const bmhd = findChunk(main, 'BMHD');
+			assert.equal(main[bmhd + 8], 8);
+		});
+
+		it('should write uncompressed images', function() {
+			const { main } = TestUtil.roundTrip(handler, TestUtil.genImage(21, 5, 15), { compression: 'none' });
+			const bmhd = findChunk(main, 'BMHD');
+			assert.equal(main[bmhd + 10], 0);
+			// 4 planes of 2 words each, for 5 rows.
+			const body = findChunk(main, 'BODY');
+			assert.equal(main.length - body, 4 * 4 * 5);
+		});
+
+		it('should keep the transparent colour', function() {
+			let img = TestUtil.genImage(16, 4, 15);
+			img.palette[3] = [0x10, 0x20, 0x30, 0];
+			const { main, image } = TestUtil.roundTrip(handler, img);
+			const bmhd = findChunk(main, 'BMHD');
+			assert.equal(main[bmhd + 9], 2); // masking
+			assert.equal(main[bmhd + 13], 3); // transparent colour
+			assert.deepEqual(image.palette[3], [0x10, 0x20, 0x30, 0]);
+			assert.equal(image.palette[2][3], 255);
+		});
+
+		it('should apply the mask plane', function() {
+			let main = handler.write(TestUtil.genImage(16, 1, 1), { compression: 'none' }).content.main;
+			const bmhd = findChunk(main, 'BMHD');
+			main[bmhd + 9] = 1; // has mask
+			main[bmhd + 13] = 0; // transparent colour
+			const body = findChunk(main, 'BODY');
+			main = Uint8Array.from([
+				...main.slice(0, body - 4),
+				0x00, 0x00, 0x00, 0x04,
+				0xFF, 0xFF, // plane 0
+				0x0F, 0xF0, // mask
+			]);
+			main[7] = main.length - 8; // FORM length
+			const img = handler.read({ main });
+			TestUtil.buffersEqual(Uint8Array.from([
+				0, 0, 0, 0, 1, 1, 1, 1, 1, 1, 1, 1, 0, 0, 0, 0,
+			]), img.frames[0].pixels);
+			assert.equal(img.palette[0][3], 0);
+		});
+
+		it('should keep colour cycling ranges', function() {
+			let img = TestUtil.genImage(16, 4, 15);
+			img.tags.crng = [
+				{ low: 2, high: 7, rate: 8192, active: true, reverse: false },
+				{ low: 8, high: 9, rate: 16384, active: false, reverse: true },
+			];
+			img.tags.ccrt = [
+				{ low: 10, high: 15, direction: -1, seconds: 1, microseconds: 500000 },
+			];
+			const { image } = TestUtil.roundTrip(handler, img);
+			assert.deepEqual(image.tags, img.tags);
+		});
+
+	});
+
+	describe('identify()', function() {
+
+		it('should reject non-IFF files', function() {
+			let main = handler.write(TestUtil.genImage(4, 4, 15)).content.main;
+			main[0] = 0x46;
+			main[1] = 0x4F;
+			main[2] = 0x52;
+			main[3] = 0x4E;
+			const result = handler.identify(main);
+			assert.equal(result.valid, false);
+			assert.equal(result.reason, 'Not an IFF file.');
+		});
+
+		it('should reject other IFF forms', function() {
+			let main = handler.write(TestUtil.genImage(4, 4, 15)).content.main;
+			main.set([0x38, 0x53, 0x56, 0x58], 8); // 8SVX
+			const result = handler.identify(main);
+			assert.equal(result.valid, false);
+			assert.equal(result.reason, 'Unsupported IFF form "8SVX".');
+		});
+
+		it('should accept PBM files', function() {
+			const main = handler.write(TestUtil.genImage(4, 4, 15), { form: 'pbm' }).content.main;
+			const result = handler.identify(main);
+			assert.equal(result.valid, true);
+		});
+
+	});
+
+});
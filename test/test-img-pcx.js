@@ -0,0 +1,134 @@
+/*
+ * Extra tests for img-pcx.
+ *
+ * Copyright (C) 2010-2022 Adam Nielsen <malvineous@shikadi.net>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import assert from 'assert';
+import TestUtil from './util.js';
+import {
+	img_pcx as handler,
+	defaultPalette,
+} from '../index.js';
+
+const md = handler.metadata();
+
+describe(`Extra tests for ${md.title} [${md.id}]`, function() {
+
+	describe('I/O', function() {
+
+		it('should write 1bpp images', function() {
+			const { main } = TestUtil.roundTrip(handler, TestUtil.genImage(13, 5, 1));
+			assert.equal(main[3], 1); // bpp
+			assert.equal(main[65], 1); // planes
+		});
+
+		it('should write 16-colour images as four planes', function() {
+			const { main } = TestUtil.roundTrip(handler, TestUtil.genImage(13, 5, 15));
+			assert.equal(main[3], 1);
+			assert.equal(main[65], 4);
+			assert.equal(main[66], 2); // bytes per line
+		});
+
+		it('should write packed 2bpp images', function() {
+			const { main } = TestUtil.roundTrip(handler, TestUtil.genImage(13, 5, 3), { layout: 'packed' });
+			assert.equal(main[3], 2);
+			assert.equal(main[65], 1);
+			assert.equal(main[66], 4);
+		});
+
+		it('should write packed 4bpp images', function() {
+			const { main } = TestUtil.roundTrip(handler, TestUtil.genImage(13, 5, 15), { layout: 'packed' });
+			assert.equal(main[3], 4);
+			assert.equal(main[65], 1);
+			assert.equal(main[66], 8);
+		});
+
+		it('should write the VGA palette for 256-colour images', function() {
+			let img = TestUtil.genImage(17, 3, 255);
+			img.palette[200] = [0x12, 0x34, 0x56, 255];
+			const { main, image } = TestUtil.roundTrip(handler, img);
+			assert.equal(main[3], 8);
+			assert.equal(main[main.length - 769], 0x0C);
+			assert.deepEqual(image.palette[200], [0x12, 0x34, 0x56, 255]);
+		});
+
+		it('should warn when a 256-colour image is not version 5', function() {
+			const { warnings } = handler.write(TestUtil.genImage(17, 3, 255), { version: '3' });
+			assert.equal(warnings.length, 1);
+		});
+
+		it('should use the default palette for version 0 files', function() {
+			let img = TestUtil.genImage(8, 2, 15);
+			img.palette[1] = [0x12, 0x34, 0x56, 255];
+			const { main, image } = TestUtil.roundTrip(handler, img, { version: '0' });
+			assert.equal(main[1], 0);
+			assert.deepEqual(image.palette[1], defaultPalette(4)[1]);
+		});
+
+		it('should escape single bytes that look like RLE codes', function() {
+			let img = TestUtil.genImage(16, 1, 255);
+			img.frames[0].pixels.fill(0);
+			img.frames[0].pixels[3] = 0xC5;
+			img.frames[0].pixels[4] = 0x3F;
+			const { main } = TestUtil.roundTrip(handler, img);
+			TestUtil.buffersEqual(Uint8Array.from([
+				0xC3, 0x00,
+				0xC1, 0xC5,
+				0x3F,
+				0xCB, 0x00,
+			]), main.slice(128, 128 + 7));
+		});
+
+		it('should read uncompressed files', function() {
+			let main = handler.write(TestUtil.genImage(16, 2, 15), { layout: 'packed' }).content.main;
+			main = main.slice(0, 128);
+			main[2] = 0; // no RLE
+			main = Uint8Array.from([
+				...main,
+				0x01, 0x23, 0x45, 0x67, 0x89, 0xAB, 0xCD, 0xEF,
+				0xFE, 0xDC, 0xBA, 0x98, 0x76, 0x54, 0x32, 0x10,
+			]);
+			const img = handler.read({ main });
+			TestUtil.buffersEqual(Uint8Array.from([
+				0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15,
+				15, 14, 13, 12, 11, 10, 9, 8, 7, 6, 5, 4, 3, 2, 1, 0,
+			]), img.frames[0].pixels);
+		});
+
+	});
+
+	describe('identify()', function() {
+
+		it('should reject files with the wrong signature', function() {
+			let main = handler.write(TestUtil.genImage(4, 4, 15)).content.main;
+			main[0] = 0x0B;
+			const result = handler.identify(main);
+			assert.equal(result.valid, false);
+			assert.equal(result.reason, 'Invalid signature.');
+		});
+
+		it('should reject unknown versions', function() {
+			let main = handler.write(TestUtil.genImage(4, 4, 15)).content.main;
+			main[1] = 1;
+			const result = handler.identify(main);
+			assert.equal(result.valid, false);
+			assert.equal(result.reason, 'Unknown version 1.');
+		});
+
+	});
+
+});
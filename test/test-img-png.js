@@ -17,8 +17,16 @@
  * along with this program.  If not, see <http://www.gnu.org/licenses/>.
  */
 
+import assert from 'assert';
 import TestUtil from './util.js';
-import { img_png as handler, Frame, Image, defaultPalette } from '../index.js';
+import {
+	img_png as handler,
+	DitherMethod,
+	Frame,
+	Image,
+	PixelFormat,
+	defaultPalette,
+} from '../index.js';
 
 const md = handler.metadata();
 let testutil = new TestUtil(md.id);
@@ -54,6 +62,12 @@ describe(`Extra tests for ${md.title} [${md.id}]`, function() {
 				'16x16c4',
 				'16x16c16',
 				'16x16c256',
+				'rgb',
+				'rgba',
+				'rgb16',
+				'rgb-many',
+				'grey',
+				'greya',
 			]);
 		});
 
@@ -67,8 +81,254 @@ describe(`Extra tests for ${md.title} [${md.id}]`, function() {
 				});
 			}
 
+			it('should convert RGB images to indexed', function() {
+				const img = handler.read(content['rgb']);
+				assert.equal(img.frames[0].pixelFormat, PixelFormat.Indexed);
+				assert.equal(img.palette.length, 4);
+				assert.deepEqual(img.palette[0], [0x00, 0x00, 0x00, 0xFF]);
+				assert.deepEqual(img.palette[1], [0xFF, 0x00, 0x00, 0xFF]);
+				assert.deepEqual(img.palette[2], [0x00, 0xFF, 0x00, 0xFF]);
+				assert.deepEqual(img.palette[3], [0x00, 0x00, 0xFF, 0xFF]);
+				TestUtil.buffersEqual(Uint8Array.from([
+					0, 1, 2, 3,
+					1, 2, 3, 0,
+					2, 3, 0, 1,
+					3, 0, 1, 2,
+				]), img.frames[0].pixels);
+			});
+
+			it('should reduce 16-bit channels to 8-bit', function() {
+				const img = handler.read(content['rgb16']);
+				const imgExpected = handler.read(content['rgb']);
+				assert.deepEqual(img.palette, imgExpected.palette);
+				TestUtil.buffersEqual(imgExpected.frames[0].pixels, img.frames[0].pixels);
+			});
+
+			it('should keep alpha values from RGBA images', function() {
+				const img = handler.read(content['rgba']);
+				const pal = img.palette;
+				const px = img.frames[0].pixels;
+				// Left column is fully transparent.
+				for (let y = 0; y < 4; y++) {
+					assert.equal(pal[px[y * 4]][3], 0);
+				}
+				// Rest of the top row is semi-transparent white.
+				assert.deepEqual(pal[px[1]], [0xFF, 0xFF, 0xFF, 0x80]);
+				assert.deepEqual(pal[px[5]], [0x00, 0xFF, 0x00, 0xFF]);
+			});
+
+			it('should use grey levels as palette entries', function() {
+				const img = handler.read(content['grey']);
+				assert.equal(img.palette.length, 256);
+				assert.deepEqual(img.palette[0x44], [0x44, 0x44, 0x44, 0xFF]);
+				for (let i = 0; i < 16; i++) {
+					assert.equal(img.frames[0].pixels[i], i * 17);
+				}
+			});
+
+			it('should handle greyscale images with alpha', function() {
+				const img = handler.read(content['greya']);
+				const pal = img.palette;
+				const px = img.frames[0].pixels;
+				for (let x = 0; x < 4; x++) {
+					assert.equal(pal[px[x]][3], 0);
+					const v = x * 85;
+					assert.deepEqual(pal[px[4 + x]], [v, v, v, 0xFF]);
+				}
+			});
+
+			it('should refuse images with too many colours', function() {
+				assert.throws(() => handler.read(content['rgb-many']), /256 colours/);
+			});
+
+			it('should quantise images with too many colours on request', function() {
+				const img = handler.read(content['rgb-many'], {
+					quantise: DitherMethod.None,
+				});
+				assert.equal(img.frames[0].pixelFormat, PixelFormat.Indexed);
+				assert.equal(img.palette.length, 256);
+				assert.equal(img.frames[0].pixels.length, 32 * 32);
+
+				// Each pixel should be close to the original colour.
+				for (let y = 0; y < 32; y++) {
+					for (let x = 0; x < 32; x++) {
+						const c = img.palette[img.frames[0].pixels[y * 32 + x]];
+						assert.ok(Math.abs(c[0] - x * 8) <= 16, `Red too far off at ${x},${y}`);
+						assert.ok(Math.abs(c[1] - y * 8) <= 16, `Green too far off at ${x},${y}`);
+					}
+				}
+			});
+
 		}); // read()
 
+		describe('write()', function() {
+
+			function genFrame(width, height, value) {
+				return new Frame({
+					width,
+					height,
+					pixels: new Uint8Array(width * height).fill(value),
+				});
+			}
+
+			function genTileset() {
+				let frames = [
+					genFrame(8, 8, 1),
+					genFrame(4, 6, 2),
+					genFrame(16, 2, 3),
+				];
+				frames[1].hotspotX = -3;
+				frames[1].hotspotY = 5;
+				frames[2].offsetX = 2;
+				return new Image({
+					width: 8,
+					height: 8,
+					frames,
+					palette: defaultPalette(8),
+				});
+			}
+
+			it('should round-trip tilesets as a sprite sheet', function() {
+				const img = genTileset();
+				const { content: contentGenerated } = handler.write(img);
+				const imgRead = handler.read(contentGenerated);
+				assert.equal(imgRead.animation.length, 0);
+				assert.equal(imgRead.frames.length, 3);
+				for (let f = 0; f < img.frames.length; f++) {
+					const exp = img.frames[f];
+					const act = imgRead.frames[f];
+					assert.equal(act.width, exp.width, `Frame ${f} width`);
+					assert.equal(act.height, exp.height, `Frame ${f} height`);
+					assert.equal(act.hotspotX, exp.hotspotX, `Frame ${f} hotspotX`);
+					assert.equal(act.hotspotY, exp.hotspotY, `Frame ${f} hotspotY`);
+					assert.equal(act.offsetX, exp.offsetX, `Frame ${f} offsetX`);
+					TestUtil.buffersEqual(exp.pixels, act.pixels);
+				}
+			});
+
+			it('should round-trip animations as APNG', function() {
+				let img = genTileset();
+				img.frames[2] = genFrame(6, 4, 3);
+				img.frames[2].offsetX = 2;
+				img.frames[2].offsetY = 4;
+				img.animation = [
+					{ index: 0, postDelay: 100 },
+					{ index: 2, postDelay: 250 },
+					{ index: 1, postDelay: 70000 },
+					{ index: 0, postDelay: 100 },
+				];
+				const { content: contentGenerated, warnings } = handler.write(img);
+				assert.equal(warnings.length, 0);
+				const imgRead = handler.read(contentGenerated);
+				assert.equal(imgRead.frames.length, 3);
+				assert.deepEqual(imgRead.animation, img.animation);
+				for (let f = 0; f < img.frames.length; f++) {
+					const exp = img.frames[f];
+					const act = imgRead.frames[f];
+					assert.equal(act.width, exp.width, `Frame ${f} width`);
+					assert.equal(act.height, exp.height, `Frame ${f} height`);
+					assert.equal(act.hotspotX, exp.hotspotX, `Frame ${f} hotspotX`);
+					assert.equal(act.hotspotY, exp.hotspotY, `Frame ${f} hotspotY`);
+					assert.equal(act.offsetX, exp.offsetX, `Frame ${f} offsetX`);
+					assert.equal(act.offsetY, exp.offsetY, `Frame ${f} offsetY`);
+					TestUtil.buffersEqual(exp.pixels, act.pixels);
+				}
+			});
+
+			it('should warn about frames missing from the animation', function() {
+				let img = genTileset();
+				img.animation = [
+					{ index: 0, postDelay: 100 },
+				];
+				const { warnings } = handler.write(img);
+				assert.equal(warnings.length, 2);
+			});
+
+		}); // write()
+
+		describe('tags', function() {
+
+			function roundTrip(img) {
+				const { content: contentGenerated, warnings } = handler.write(img);
+				assert.equal(warnings.length, 0, warnings[0]);
+				return handler.read(contentGenerated);
+			}
+
+			it('should keep numeric tags from tls-ccomic-map', function() {
+				let img = genImage(4);
+				img.tags = {
+					lastPassable: 23,
+					flags: 0,
+				};
+				assert.equal(handler.checkLimits(img).length, 0);
+				const imgRead = roundTrip(img);
+				assert.strictEqual(imgRead.tags.lastPassable, 23);
+				assert.strictEqual(imgRead.tags.flags, 0);
+			});
+
+			it('should keep string tags', function() {
+				let img = genImage(4);
+				img.tags = {
+					title: 'Test image',
+					comment: 'Ünïcödé → text',
+					description: 'Long text '.repeat(200),
+				};
+				const imgRead = roundTrip(img);
+				assert.deepEqual(imgRead.tags, img.tags);
+			});
+
+			it('should use the standard keywords for the author and comment', function() {
+				let img = genImage(4);
+				img.tags = {
+					author: 'Someone',
+					comment: 'Text',
+				};
+				const { content } = handler.write(img);
+				const text = Buffer.from(content.main).toString('latin1');
+				assert.ok(text.includes('tEXtAuthor\0Someone'));
+				assert.ok(text.includes('tEXtComment\0Text'));
+			});
+
+			it('should keep the image hotspot', function() {
+				let img = genImage(4);
+				img.hotspotX = 5;
+				img.hotspotY = -7;
+				const imgRead = roundTrip(img);
+				assert.equal(imgRead.hotspotX, 5);
+				assert.equal(imgRead.hotspotY, -7);
+			});
+
+			it('should keep the frame offset', function() {
+				let img = genImage(4);
+				img.frames[0].offsetX = 3;
+				img.frames[0].offsetY = 4;
+				const imgRead = roundTrip(img);
+				assert.equal(imgRead.frames[0].offsetX, 3);
+				assert.equal(imgRead.frames[0].offsetY, 4);
+			});
+
+			it('should keep tags on tilesets', function() {
+				let img = genImage(4);
+				img.frames.push(img.frames[0].clone());
+				img.tags = {
+					lastPassable: 5,
+				};
+				const imgRead = roundTrip(img);
+				assert.equal(imgRead.frames.length, 2);
+				assert.strictEqual(imgRead.tags.lastPassable, 5);
+			});
+
+			it('should warn about tags that cannot be saved', function() {
+				let img = genImage(4);
+				img.tags = {
+					['x'.repeat(80)]: 'too long',
+				};
+				const { warnings } = handler.write(img);
+				assert.equal(warnings.length, 1);
+			});
+
+		}); // tags
+
 	}); // I/O
 
 }); // Extra tests
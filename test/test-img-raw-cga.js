@@ -0,0 +1,148 @@
+/*
+ * Extra tests for img-raw-cga.
+ *
+ * Copyright (C) 2010-2022 Adam Nielsen <malvineous@shikadi.net>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import assert from 'assert';
+import TestUtil from './util.js';
+import {
+	img_raw_cga as handler,
+	Frame,
+	Image,
+	CGAPaletteType,
+	paletteCGA4,
+} from '../index.js';
+
+const md = handler.metadata();
+
+// Even rows are in the first bank and odd rows are in the second.
+const ODD_BANK = 0x2000;
+
+function createScreen(width, values)
+{
+	let frame = new Frame({
+		width,
+		height: 200,
+	});
+	frame.pixels[0] = values[0];
+	frame.pixels[width] = values[1];
+	frame.pixels[width * 2 + width - 1] = values[2];
+	return new Image({
+		width,
+		height: 200,
+		frames: [ frame ],
+	});
+}
+
+describe(`Extra tests for ${md.title} [${md.id}]`, function() {
+
+	describe('I/O', function() {
+
+		it('should interlace 4-colour images', function() {
+			const { content } = handler.write(createScreen(320, [3, 1, 2]));
+			assert.equal(content.main.length, 0x4000);
+			assert.equal(content.main[0], 0xC0);
+			assert.equal(content.main[ODD_BANK], 0x40);
+			assert.equal(content.main[80 + 79], 0x02);
+		});
+
+		it('should write monochrome images based on the width', function() {
+			const { content } = handler.write(createScreen(640, [1, 1, 1]));
+			assert.equal(content.main.length, 0x4000);
+			assert.equal(content.main[0], 0x80);
+			assert.equal(content.main[ODD_BANK], 0x80);
+			assert.equal(content.main[80 + 79], 0x01);
+		});
+
+		it('should read monochrome images with the mode option', function() {
+			const { content } = handler.write(createScreen(640, [1, 1, 1]));
+			const image = handler.read(content, { mode: '1bpp' });
+			assert.equal(image.width, 640);
+			assert.equal(image.palette.length, 2);
+			TestUtil.buffersEqual(createScreen(640, [1, 1, 1]).frames[0].pixels, image.frames[0].pixels);
+		});
+
+		it('should use the palette option', function() {
+			const { content } = handler.write(createScreen(320, [3, 1, 2]));
+			const image = handler.read(content, {
+				palette: 'GreenRed',
+				background: 1,
+			});
+			const expected = paletteCGA4(CGAPaletteType.GreenRed, 1);
+			for (let i = 0; i < 4; i++) {
+				assert.deepEqual(image.palette[i], expected[i]);
+			}
+		});
+
+		it('should reject unknown palettes', function() {
+			const { content } = handler.write(createScreen(320, [3, 1, 2]));
+			assert.throws(() => handler.read(content, { palette: 'Purple' }));
+		});
+
+		it('should write and read a BSAVE header', function() {
+			const { content } = handler.write(createScreen(320, [3, 1, 2]), { bsave: true });
+			assert.equal(content.main.length, 7 + 0x4000);
+			TestUtil.buffersEqual(
+				Uint8Array.from([0xFD, 0x00, 0xB8, 0x00, 0x00, 0x00, 0x40]),
+				content.main.slice(0, 7)
+			);
+
+			const image = handler.read(content);
+			TestUtil.buffersEqual(createScreen(320, [3, 1, 2]).frames[0].pixels, image.frames[0].pixels);
+		});
+
+	});
+
+	describe('checkLimits()', function() {
+
+		it('should accept 4-colour images', function() {
+			assert.equal(handler.checkLimits(createScreen(320, [3, 1, 2])).length, 0);
+		});
+
+		it('should accept monochrome images', function() {
+			assert.equal(handler.checkLimits(createScreen(640, [1, 1, 1])).length, 0);
+		});
+
+	});
+
+	describe('identify()', function() {
+
+		it('should recognise a BSAVE header', function() {
+			const { content } = handler.write(createScreen(320, [3, 1, 2]), { bsave: true });
+			assert.equal(handler.identify(content.main).valid, true);
+		});
+
+		it('should be unsure about a full dump without a header', function() {
+			assert.equal(handler.identify(new Uint8Array(0x4000)).valid, undefined);
+		});
+
+		it('should be unsure about a dump without the unused end of the second bank', function() {
+			assert.equal(handler.identify(new Uint8Array(0x2000 + 8000)).valid, undefined);
+		});
+
+		it('should allow a trailing EOF character', function() {
+			assert.equal(handler.identify(new Uint8Array(0x4000 + 1)).valid, undefined);
+			assert.equal(handler.identify(new Uint8Array(0x4000 + 2)).valid, false);
+		});
+
+		it('should reject files that are too short', function() {
+			assert.equal(handler.identify(new Uint8Array(16000)).valid, false);
+		});
+
+	});
+
+});
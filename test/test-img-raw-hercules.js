@@ -0,0 +1,95 @@
+/*
+ * Extra tests for img-raw-hercules.
+ *
+ * Copyright (C) 2010-2022 Adam Nielsen <malvineous@shikadi.net>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import assert from 'assert';
+import TestUtil from './util.js';
+import {
+	img_raw_hercules as handler,
+	Frame,
+	Image,
+} from '../index.js';
+
+const md = handler.metadata();
+
+const BANK_LEN = 0x2000;
+const ROW_BYTES = 90;
+
+function createScreen()
+{
+	let frame = new Frame({
+		width: 720,
+		height: 348,
+	});
+	// First pixel of rows 0 to 4, and the last pixel on the screen.
+	for (let y = 0; y < 5; y++) {
+		frame.pixels[y * 720] = 1;
+	}
+	frame.pixels[720 * 348 - 1] = 1;
+	return new Image({
+		width: 720,
+		height: 348,
+		frames: [ frame ],
+	});
+}
+
+describe(`Extra tests for ${md.title} [${md.id}]`, function() {
+
+	describe('I/O', function() {
+
+		it('should interleave rows across four banks', function() {
+			const { content } = handler.write(createScreen());
+			assert.equal(content.main.length, BANK_LEN * 4);
+			for (let b = 0; b < 4; b++) {
+				assert.equal(content.main[b * BANK_LEN], 0x80);
+			}
+			assert.equal(content.main[ROW_BYTES], 0x80);
+			assert.equal(content.main[3 * BANK_LEN + 87 * ROW_BYTES - 1], 0x01);
+		});
+
+		it('should read the screen back', function() {
+			const { content } = handler.write(createScreen());
+			const image = handler.read(content);
+			assert.equal(image.palette.length, 2);
+			TestUtil.buffersEqual(createScreen().frames[0].pixels, image.frames[0].pixels);
+		});
+
+		it('should use the bank order option', function() {
+			const { content } = handler.write(createScreen(), { bankOrder: '3,2,1,0' });
+			assert.equal(content.main[3 * BANK_LEN + ROW_BYTES], 0x80);
+			assert.equal(content.main[87 * ROW_BYTES - 1], 0x01);
+
+			const image = handler.read(content, { bankOrder: '3,2,1,0' });
+			TestUtil.buffersEqual(createScreen().frames[0].pixels, image.frames[0].pixels);
+		});
+
+	});
+
+	describe('identify()', function() {
+
+		it('should not be certain of a correctly sized file', function() {
+			assert.equal(handler.identify(new Uint8Array(BANK_LEN * 4)).valid, undefined);
+		});
+
+		it('should reject files of the wrong size', function() {
+			assert.equal(handler.identify(new Uint8Array(32000)).valid, false);
+		});
+
+	});
+
+});
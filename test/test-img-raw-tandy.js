@@ -0,0 +1,65 @@
+/*
+ * Extra tests for img-raw-tandy.
+ *
+ * Copyright (C) 2010-2022 Adam Nielsen <malvineous@shikadi.net>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import assert from 'assert';
+import {
+	img_raw_tandy as handler,
+	Frame,
+	Image,
+} from '../index.js';
+
+const md = handler.metadata();
+
+const BANK_LEN = 0x2000;
+
+describe(`Extra tests for ${md.title} [${md.id}]`, function() {
+
+	describe('I/O', function() {
+
+		it('should use the bank order option', function() {
+			let frame = new Frame({
+				width: 320,
+				height: 200,
+			});
+			frame.pixels[320] = 0x0C;
+			frame.pixels[321] = 0x05;
+			const image = new Image({
+				width: 320,
+				height: 200,
+				frames: [ frame ],
+			});
+
+			const { content } = handler.write(image, { bankOrder: '0,2,1,3' });
+			assert.equal(content.main[2 * BANK_LEN], 0xC5);
+
+			const image2 = handler.read(content, { bankOrder: '0,2,1,3' });
+			assert.equal(image2.frames[0].pixels[320], 0x0C);
+			assert.equal(image2.frames[0].pixels[321], 0x05);
+		});
+
+		it('should reject an invalid bank order', function() {
+			const content = {
+				main: new Uint8Array(BANK_LEN * 4),
+			};
+			assert.throws(() => handler.read(content, { bankOrder: '0,1' }));
+		});
+
+	});
+
+});
@@ -0,0 +1,142 @@
+/*
+ * Extra tests for img-tga.
+ *
+ * Copyright (C) 2010-2022 Adam Nielsen <malvineous@shikadi.net>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import assert from 'assert';
+import TestUtil from './util.js';
+import {
+	img_tga as handler,
+} from '../index.js';
+
+const md = handler.metadata();
+
+// Compare the colours of each pixel, since truecolour images will come back
+// with a different palette.  Transparent pixels are skipped as they all become
+// the same colour.
+function assertSameColours(expected, actual) {
+	for (let p = 0; p < expected.frames[0].pixels.length; p++) {
+		if (expected.palette[expected.frames[0].pixels[p]][3] === 0) continue;
+		assert.deepEqual(
+			actual.palette[actual.frames[0].pixels[p]].slice(0, 3),
+			expected.palette[expected.frames[0].pixels[p]].slice(0, 3),
+			`Pixel ${p} is the wrong colour`
+		);
+	}
+}
+
+describe(`Extra tests for ${md.title} [${md.id}]`, function() {
+
+	describe('I/O', function() {
+
+		it('should write RLE colour-mapped images', function() {
+			const img = TestUtil.genImage(19, 7, 255);
+			const { content } = handler.write(img, { compression: 'rle' });
+			assert.equal(content.main[2], 9);
+			const imgRead = handler.read(content);
+			TestUtil.buffersEqual(img.frames[0].pixels, imgRead.frames[0].pixels);
+		});
+
+		it('should write top-down images', function() {
+			const img = TestUtil.genImage(5, 3, 255);
+			const { content } = handler.write(img, { topDown: 'true' });
+			assert.equal(content.main[17] & 0x20, 0x20);
+			// First pixel is the top-left one.
+			const offset = 18 + 256 * 3;
+			assert.equal(content.main[offset], img.frames[0].pixels[0]);
+			const imgRead = handler.read(content);
+			TestUtil.buffersEqual(img.frames[0].pixels, imgRead.frames[0].pixels);
+		});
+
+		it('should write truecolour images', function() {
+			const img = TestUtil.genImage(19, 7, 255);
+			const { content } = handler.write(img, { truecolour: 'true' });
+			assert.equal(content.main[2], 2);
+			assert.equal(content.main[16], 24);
+			assertSameColours(img, handler.read(content));
+		});
+
+		it('should write RLE truecolour images with alpha', function() {
+			let img = TestUtil.genImage(19, 7, 255);
+			img.palette[6] = [0x11, 0x22, 0x33, 0];
+			const { content } = handler.write(img, {
+				truecolour: 'true',
+				compression: 'rle',
+			});
+			assert.equal(content.main[2], 10);
+			assert.equal(content.main[16], 32);
+			const imgRead = handler.read(content);
+			assertSameColours(img, imgRead);
+			const p = imgRead.frames[0].pixels[img.frames[0].pixels.indexOf(6)];
+			assert.equal(imgRead.palette[p][3], 0);
+		});
+
+		it('should read 16-bit right-to-left images', function() {
+			const main = Uint8Array.from([
+				0, 0, 2, 0, 0, 0, 0, 0, 0, 0, 0, 0,
+				2, 0, 1, 0, // 2x1
+				16, 0x31, // 16bpp, top-down, right-to-left, one alpha bit
+				0x1F, 0x80, // blue, opaque
+				0x00, 0x7C, // red, transparent
+			]);
+			const img = handler.read({ main });
+			const colour = p => img.palette[img.frames[0].pixels[p]];
+			// All transparent colours are merged into black.
+			assert.deepEqual(colour(0), [0x00, 0x00, 0x00, 0x00]);
+			assert.deepEqual(colour(1), [0x00, 0x00, 0xFF, 0xFF]);
+		});
+
+		it('should keep the author and comment', function() {
+			let img = TestUtil.genImage(4, 4, 15);
+			img.tags.author = 'Someone';
+			img.tags.comment = 'Line one\nLine two';
+			const { content, warnings } = handler.write(img);
+			assert.equal(warnings.length, 0);
+			const imgRead = handler.read(content);
+			assert.deepEqual(imgRead.tags, img.tags);
+		});
+
+		it('should warn when the comment is too long', function() {
+			let img = TestUtil.genImage(4, 4, 15);
+			img.tags.comment = 'a\nb\nc\nd\ne';
+			const { content, warnings } = handler.write(img);
+			assert.equal(warnings.length, 1);
+			assert.equal(handler.read(content).tags.comment, 'a\nb\nc\nd');
+		});
+
+	});
+
+	describe('identify()', function() {
+
+		it('should reject unsupported image types', function() {
+			let main = handler.write(TestUtil.genImage(4, 4, 15)).content.main;
+			main[2] = 3;
+			const result = handler.identify(main);
+			assert.equal(result.valid, false);
+			assert.equal(result.reason, 'Unsupported image type 3.');
+		});
+
+		it('should be unsure about files without a TGA 2.0 footer', function() {
+			let main = handler.write(TestUtil.genImage(4, 4, 15)).content.main;
+			main = main.slice(0, main.length - 26);
+			const result = handler.identify(main);
+			assert.equal(result.valid, undefined);
+		});
+
+	});
+
+});
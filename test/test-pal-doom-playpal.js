@@ -0,0 +1,72 @@
+/*
+ * Extra tests for pal-doom-playpal.
+ *
+ * Copyright (C) 2010-2022 Adam Nielsen <malvineous@shikadi.net>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import assert from 'assert';
+import TestUtil from './util.js';
+import {
+	pal_doom_playpal as handler,
+} from '../index.js';
+
+const md = handler.metadata();
+
+describe(`Extra tests for ${md.title} [${md.id}]`, function() {
+
+	describe('I/O', function() {
+
+		let content = {
+			main: new Uint8Array(14 * 768),
+		};
+		for (let p = 0; p < 14; p++) {
+			// Give each palette a different first colour.
+			content.main[p * 768] = p * 10;
+			content.main[p * 768 + 767] = 0x80 + p;
+		}
+
+		it('should return each palette as a frame', function() {
+			const image = handler.read(content);
+			assert.equal(image.frames.length, 14);
+			for (let p = 0; p < 14; p++) {
+				assert.equal(image.frames[p].palette[0][0], p * 10);
+				assert.equal(image.frames[p].palette[255][2], 0x80 + p);
+			}
+			assert.equal(image.palette, image.frames[0].palette);
+		});
+
+		it('should write every palette back', function() {
+			const image = handler.read(content);
+			const { content: contentWritten, warnings } = handler.write(image);
+			assert.equal(warnings.length, 0);
+			TestUtil.buffersEqual(content.main, contentWritten.main);
+		});
+
+	});
+
+	describe('identify()', function() {
+
+		it('should recognise a full set of Doom palettes', function() {
+			assert.equal(handler.identify(new Uint8Array(14 * 768)).valid, true);
+		});
+
+		it('should reject partial palettes', function() {
+			assert.equal(handler.identify(new Uint8Array(14 * 768 - 1)).valid, false);
+		});
+
+	});
+
+});
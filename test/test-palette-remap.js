@@ -0,0 +1,153 @@
+/*
+ * Tests for palette-remap.js.
+ *
+ * Copyright (C) 2010-2022 Adam Nielsen <malvineous@shikadi.net>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import assert from 'assert';
+import TestUtil from './util.js';
+import Image from '../interface/image.js';
+import Frame from '../interface/frame.js';
+import Palette from '../interface/palette.js';
+import {
+	ColourDistance,
+	colourDistance,
+	findNearestColour,
+	imageRemapPalette,
+} from '../util/palette-remap.js';
+
+function createPalette() {
+	let pal = new Palette(5);
+	pal[0] = [0x00, 0x00, 0x00, 0xFF];
+	pal[1] = [0xFF, 0xFF, 0xFF, 0xFF];
+	pal[2] = [0x00, 0x00, 0xFF, 0xFF];
+	pal[3] = [0xFF, 0x00, 0x00, 0xFF];
+	pal[4] = [0x00, 0xFF, 0x00, 0xFF];
+	return pal;
+}
+
+describe(`Extra tests for util/palette-remap`, function() {
+
+	describe('colourDistance()', function() {
+
+		for (const metric of Object.values(ColourDistance)) {
+			it(`should return zero for identical colours (${metric})`, function() {
+				assert.equal(colourDistance([12, 34, 56], [12, 34, 56], metric), 0);
+			});
+		}
+
+		it('should reject an unknown metric', function() {
+			assert.throws(() => colourDistance([0, 0, 0], [1, 1, 1], 'invalid'));
+		});
+
+	});
+
+	describe('findNearestColour()', function() {
+		const pal = createPalette();
+
+		it('should find an exact match', function() {
+			assert.equal(findNearestColour(pal, [0xFF, 0x00, 0x00]), 3);
+		});
+
+		it('should use RGB distance by default', function() {
+			assert.equal(findNearestColour(pal, [160, 0, 200]), 2);
+		});
+
+		it('should weight channels by luma', function() {
+			assert.equal(findNearestColour(pal, [160, 0, 200], {
+				metric: ColourDistance.Luma,
+			}), 3);
+		});
+
+		it('should use perceptual distance with CIEDE2000', function() {
+			assert.equal(findNearestColour(pal, [0, 120, 0]), 0);
+			assert.equal(findNearestColour(pal, [0, 120, 0], {
+				metric: ColourDistance.CIEDE2000,
+			}), 4);
+		});
+
+		it('should skip reserved entries', function() {
+			assert.equal(findNearestColour(pal, [0xFF, 0x00, 0x00], {
+				reserved: [3],
+			}), 0);
+		});
+
+		it('should skip transparent entries', function() {
+			let palT = createPalette();
+			palT[3][3] = 0;
+			assert.equal(findNearestColour(palT, [0xFF, 0x00, 0x00]), 0);
+		});
+
+	});
+
+	describe('imageRemapPalette()', function() {
+
+		let palSrc = new Palette(4);
+		palSrc[0] = [0xFF, 0x00, 0x00, 0xFF];
+		palSrc[1] = [0x10, 0x10, 0xF0, 0xFF];
+		palSrc[2] = [0xF0, 0xF0, 0xF0, 0xFF];
+		palSrc[3] = [0xFF, 0x00, 0xFF, 0x00];
+
+		const image = new Image({
+			width: 4,
+			height: 1,
+			frames: [
+				new Frame({
+					pixels: Uint8Array.from([0, 1, 2, 3]),
+				}),
+			],
+			palette: palSrc,
+		});
+
+		it('should map pixels to the nearest colour', function() {
+			const pal = createPalette();
+			const out = imageRemapPalette(image, pal);
+			TestUtil.buffersEqual(Uint8Array.from([3, 2, 1, 1]), out.frames[0].pixels);
+			assert.equal(out.palette.length, pal.length);
+		});
+
+		it('should not modify the original image', function() {
+			imageRemapPalette(image, createPalette());
+			TestUtil.buffersEqual(Uint8Array.from([0, 1, 2, 3]), image.frames[0].pixels);
+		});
+
+		it('should map transparent pixels to the transparent index', function() {
+			let pal = createPalette();
+			pal.push([0xFF, 0x00, 0xFF, 0x00]);
+			const out = imageRemapPalette(image, pal);
+			TestUtil.buffersEqual(Uint8Array.from([3, 2, 1, 5]), out.frames[0].pixels);
+		});
+
+		it('should honour an explicit transparent index', function() {
+			const out = imageRemapPalette(image, createPalette(), {
+				transparentIndex: 4,
+			});
+			TestUtil.buffersEqual(Uint8Array.from([3, 2, 1, 4]), out.frames[0].pixels);
+		});
+
+		it('should use per-frame palettes', function() {
+			let img = image.clone();
+			let palFrame = palSrc.clone();
+			palFrame[0] = [0x00, 0xFF, 0x00, 0xFF];
+			img.frames[0].palette = palFrame;
+			const out = imageRemapPalette(img, createPalette());
+			TestUtil.buffersEqual(Uint8Array.from([4, 2, 1, 1]), out.frames[0].pixels);
+			assert.equal(out.frames[0].palette, undefined);
+		});
+
+	});
+
+});
@@ -0,0 +1,236 @@
+/*
+ * Extra tests for tls-build-art.
+ *
+ * Copyright (C) 2010-2022 Adam Nielsen <malvineous@shikadi.net>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import assert from 'assert';
+import TestUtil from './util.js';
+import {
+	tls_build_art as handler,
+	Frame,
+	Image,
+	paletteVGA256,
+} from '../index.js';
+
+const md = handler.metadata();
+
+function genImages() {
+	let images = [];
+	for (let t = 0; t < 4; t++) {
+		const frame = TestUtil.genFrame(3 + t, 2, 255, t * 10);
+		images.push(new Image({
+			width: frame.width,
+			height: frame.height,
+			frames: [ frame ],
+			tags: {
+				tileNumber: 256 + t,
+			},
+		}));
+	}
+	return images;
+}
+
+describe(`Extra tests for ${md.title} [${md.id}]`, function() {
+
+	describe('supps()', function() {
+
+		it('should match the case of the ART filename', function() {
+			assert.equal(handler.supps('data/TILES000.ART').pal, 'data/PALETTE.DAT');
+			assert.equal(handler.supps('data/tiles000.art').pal, 'data/palette.dat');
+		});
+
+	});
+
+	describe('I/O', function() {
+
+		it('should store pixels column by column', function() {
+			const { content } = handler.write(new Image({
+				frames: [ TestUtil.genFrame(3, 2, 255, 0) ],
+			}));
+			// Header, then one width, height and picanm.
+			assert.equal(content.main.length, 16 + 8 + 6);
+			TestUtil.buffersEqual(
+				Uint8Array.from([0, 9, 3, 12, 6, 15]),
+				content.main.slice(16 + 8)
+			);
+		});
+
+		it('should keep the tile range', function() {
+			const { content } = handler.write(genImages());
+			const imagesRead = handler.read(content);
+			assert.equal(imagesRead.length, 4);
+			assert.equal(imagesRead[0].tags.tileNumber, 256);
+			assert.equal(imagesRead[3].tags.tileNumber, 259);
+			assert.equal(imagesRead[0].tags.totalTiles, 260);
+			TestUtil.buffersEqual(TestUtil.genFrame(6, 2, 255, 30).pixels, imagesRead[3].frames[0].pixels);
+		});
+
+		it('should convert draw offsets to hotspots', function() {
+			let images = genImages();
+			images[1].frames[0].hotspotX = 0;
+			images[1].frames[0].hotspotY = 0;
+			images[2].frames[0].hotspotX = 7;
+			images[2].frames[0].hotspotY = -3;
+			const { content } = handler.write(images);
+
+			// Tile 1 is 4x2, so (0,0) is an offset of (-2,-2).
+			const picanm1 = content.main[16 + 4 * 4 + 4 + 1];
+			assert.equal(picanm1, 0xFE);
+
+			const imagesRead = handler.read(content);
+			assert.equal(imagesRead[1].frames[0].hotspotX, 0);
+			assert.equal(imagesRead[1].frames[0].hotspotY, 0);
+			assert.equal(imagesRead[2].frames[0].hotspotX, 7);
+			assert.equal(imagesRead[2].frames[0].hotspotY, -3);
+		});
+
+		it('should write tiles without a hotspot with no draw offset', function() {
+			const images = [
+				new Image({
+					frames: [ TestUtil.genFrame(64, 32, 255, 0) ],
+				}),
+				new Image({
+					frames: [ TestUtil.genFrame(320, 200, 255, 0) ],
+				}),
+			];
+			const { content, warnings } = handler.write(images);
+			assert.equal(warnings.length, 0);
+
+			// Offset bytes of each tile's picanm value.
+			const picanmStart = 16 + 2 * 2 * 2;
+			for (let t = 0; t < 2; t++) {
+				assert.equal(content.main[picanmStart + t * 4 + 1], 0);
+				assert.equal(content.main[picanmStart + t * 4 + 2], 0);
+			}
+
+			const imagesRead = handler.read(content);
+			assert.equal(imagesRead[0].frames[0].hotspotX, 32);
+			assert.equal(imagesRead[0].frames[0].hotspotY, 32);
+		});
+
+		it('should read and write animations', function() {
+			let images = genImages();
+			images[0] = new Image({
+				frames: [
+					images[0].frames[0],
+					images[1].frames[0],
+					images[2].frames[0],
+				],
+				animation: [
+					{ index: 0, postDelay: 67 },
+					{ index: 1, postDelay: 67 },
+					{ index: 2, postDelay: 67 },
+					{ index: 1, postDelay: 67 },
+				],
+				tags: images[0].tags,
+			});
+			images[3] = new Image({
+				frames: [
+					images[2].frames[0],
+					images[3].frames[0],
+				],
+				animation: [
+					{ index: 1, postDelay: 533 },
+					{ index: 0, postDelay: 533 },
+				],
+			});
+			const { content } = handler.write(images);
+
+			// Two frames after this one, oscillating, speed 3.
+			const picanm = new DataView(content.main.buffer);
+			assert.equal(picanm.getUint32(16 + 4 * 4, true) & 0x0F0000FF, 0x03000042);
+			// One frame before this one, backwards, speed 6.
+			assert.equal(picanm.getUint32(16 + 4 * 4 + 12, true) & 0x0F0000FF, 0x060000C1);
+
+			const imagesRead = handler.read(content);
+			assert.deepEqual(imagesRead[0].animation, images[0].animation);
+			assert.equal(imagesRead[0].frames.length, 3);
+			assert.deepEqual(imagesRead[3].animation, images[3].animation);
+			TestUtil.buffersEqual(
+				images[3].frames[1].pixels,
+				imagesRead[3].frames[1].pixels
+			);
+			TestUtil.buffersEqual(
+				images[3].frames[0].pixels,
+				imagesRead[3].frames[0].pixels
+			);
+		});
+
+		it('should return empty frames for animations outside the file', function() {
+			let images = genImages();
+			images[0] = new Image({
+				frames: [
+					new Frame({}),
+					images[0].frames[0],
+				],
+				animation: [
+					{ index: 1, postDelay: 8 },
+					{ index: 0, postDelay: 8 },
+				],
+				tags: images[0].tags,
+			});
+			const { content } = handler.write(images);
+			const imagesRead = handler.read(content);
+			assert.equal(imagesRead[0].frames.length, 2);
+			assert.equal(imagesRead[0].frames[0].pixels.length, 0);
+			assert.deepEqual(imagesRead[0].animation, images[0].animation);
+		});
+
+		it('should not write a palette file that was not read in', function() {
+			const { content, warnings } = handler.write(genImages());
+			assert.equal(content.pal, undefined);
+			assert.equal(warnings.length, 0);
+		});
+
+		it('should warn when writing a palette without its tables', function() {
+			let images = genImages();
+			images[0].palette = paletteVGA256();
+			images[0].palette[1] = [0xFF, 0x00, 0x00, 0xFF];
+			const { content, warnings } = handler.write(images);
+			assert.equal(content.pal.length, 768);
+			assert.equal(warnings.length, 1);
+		});
+
+		it('should keep the tables after the palette', function() {
+			let pal = new Uint8Array(768 + 10);
+			pal[768] = 0x12;
+			pal[777] = 0x34;
+			const { content } = handler.write(genImages());
+			content.pal = pal;
+			const imagesRead = handler.read(content);
+			const { content: contentWritten } = handler.write(imagesRead);
+			TestUtil.buffersEqual(pal, contentWritten.pal);
+		});
+
+	});
+
+	describe('identify()', function() {
+
+		it('should recognise its own files', function() {
+			const { content } = handler.write(genImages());
+			assert.equal(handler.identify(content.main).valid, true);
+		});
+
+		it('should reject files with the wrong length', function() {
+			const { content } = handler.write(genImages());
+			const result = handler.identify(content.main.slice(0, -1));
+			assert.equal(result.valid, false);
+		});
+
+	});
+
+});
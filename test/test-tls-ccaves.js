@@ -0,0 +1,114 @@
+/*
+ * Extra tests for tls-ccaves.
+ *
+ * Copyright (C) 2010-2022 Adam Nielsen <malvineous@shikadi.net>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import assert from 'assert';
+import TestUtil from './util.js';
+import {
+	tls_ccaves as handler,
+	Image,
+} from '../index.js';
+
+const md = handler.metadata();
+
+describe(`Extra tests for ${md.title} [${md.id}]`, function() {
+
+	describe('I/O', function() {
+
+		it('should keep tilesets of different sizes', function() {
+			const images = [
+				new Image({
+					frames: [ TestUtil.genFrame(16, 16, 16, 0), TestUtil.genFrame(16, 16, 16, 1) ],
+				}),
+				new Image({
+					frames: [ TestUtil.genFrame(24, 5, 16, 2) ],
+				}),
+			];
+			const { content } = handler.write(images);
+			assert.equal(content.main.length, 3 + 2 * 16 * 16 * 5 / 8 + 3 + 24 * 5 * 5 / 8);
+			TestUtil.buffersEqual(Uint8Array.from([2, 2, 16]), content.main.slice(0, 3));
+
+			const imagesRead = handler.read(content);
+			assert.equal(imagesRead.length, 2);
+			assert.equal(imagesRead[1].width, 24);
+			assert.equal(imagesRead[1].height, 5);
+			for (let i = 0; i < images.length; i++) {
+				for (let f = 0; f < images[i].frames.length; f++) {
+					TestUtil.buffersEqual(
+						images[i].frames[f].pixels,
+						imagesRead[i].frames[f].pixels
+					);
+				}
+			}
+		});
+
+		it('should map the mask plane to the transparent colour', function() {
+			// One 8x1 tile with the mask set on the first pixel, and all colour
+			// bits set on the last pixel.
+			const content = {
+				main: Uint8Array.from([1, 1, 1, 0x80, 0x01, 0x01, 0x01, 0x81]),
+			};
+			const image = handler.read(content);
+			TestUtil.buffersEqual(
+				Uint8Array.from([16, 0, 0, 0, 0, 0, 0, 15]),
+				image.frames[0].pixels
+			);
+			assert.equal(image.palette.length, 17);
+			assert.equal(image.palette[16][3], 0);
+		});
+
+		it('should reject tiles of different sizes in one tileset', function() {
+			assert.throws(() => handler.write(new Image({
+				frames: [ TestUtil.genFrame(16, 16, 16, 0), TestUtil.genFrame(8, 8, 16, 0) ],
+			})));
+		});
+
+		it('should keep the tile size of empty tilesets', function() {
+			const { content } = handler.write(new Image({
+				width: 16,
+				height: 8,
+				frames: [],
+			}));
+			assert.equal(handler.identify(content.main).valid, true);
+			const image = handler.read(content);
+			assert.equal(image.frames.length, 0);
+			assert.equal(image.width, 16);
+			assert.equal(image.height, 8);
+		});
+
+		it('should reject empty tilesets without a tile size', function() {
+			assert.throws(() => handler.write(new Image({
+				frames: [],
+			})));
+		});
+
+	});
+
+	describe('identify()', function() {
+
+		it('should reject truncated tilesets', function() {
+			const { content } = handler.write(new Image({
+				frames: [ TestUtil.genFrame(16, 16, 16, 0) ],
+			}));
+			const result = handler.identify(content.main.slice(0, -1));
+			assert.equal(result.valid, false);
+		});
+
+	});
+
+});
@@ -0,0 +1,96 @@
+/*
+ * Extra tests for tls-duke2-actrinfo.
+ *
+ * Copyright (C) 2010-2022 Adam Nielsen <malvineous@shikadi.net>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import assert from 'assert';
+import TestUtil from './util.js';
+import {
+	tls_duke2_actrinfo as handler,
+	Image,
+} from '../index.js';
+
+const md = handler.metadata();
+
+describe(`Extra tests for ${md.title} [${md.id}]`, function() {
+
+	describe('I/O', function() {
+
+		it('should keep the draw index and draw offsets', function() {
+			let frame = TestUtil.genFrame(16, 8, 16, 1);
+			frame.hotspotX = 8;
+			frame.hotspotY = -16;
+			const images = [
+				new Image({
+					frames: [ frame, TestUtil.genFrame(8, 24, 16, 2) ],
+					tags: { drawIndex: 3 },
+				}),
+				new Image({
+					frames: [ TestUtil.genFrame(8, 8, 16, 3) ],
+					tags: { drawIndex: -1 },
+				}),
+			];
+			const { content } = handler.write(images);
+			const imagesRead = handler.read(content);
+
+			assert.equal(imagesRead.length, 2);
+			assert.equal(imagesRead[0].tags.drawIndex, 3);
+			assert.equal(imagesRead[1].tags.drawIndex, -1);
+			assert.equal(imagesRead[0].frames[0].hotspotX, 8);
+			assert.equal(imagesRead[0].frames[0].hotspotY, -16);
+			for (let i = 0; i < images.length; i++) {
+				for (let f = 0; f < images[i].frames.length; f++) {
+					TestUtil.buffersEqual(
+						images[i].frames[f].pixels,
+						imagesRead[i].frames[f].pixels
+					);
+				}
+			}
+		});
+
+		it('should write the actor and frame headers', function() {
+			const { content } = handler.write(new Image({
+				frames: [ TestUtil.genFrame(16, 8, 16, 0) ],
+				tags: { drawIndex: 2 },
+			}));
+			// One actor, so the header starts after the single offset.
+			TestUtil.buffersEqual(Uint8Array.from([
+				0x01, 0x00, // offset to actor header, in words
+				0x01, 0x00, // frame count
+				0x02, 0x00, // draw index
+				0x00, 0x00, 0x00, 0x00, // draw offset
+				0x01, 0x00, // height
+				0x02, 0x00, // width
+				0x00, 0x00, 0x00, 0x00, // offset in tile data
+				0x00, 0x00, 0x00, 0x00, // unused
+			]), content.info);
+			assert.equal(content.main.length, 2 * 40);
+		});
+
+	});
+
+	describe('supps()', function() {
+
+		it('should find the actor info file', function() {
+			assert.deepEqual(handler.supps('ACTORS.MNI'), {
+				info: 'ACTRINFO.MNI',
+			});
+		});
+
+	});
+
+});
@@ -0,0 +1,131 @@
+/*
+ * Extra tests for tls-duke2-czone.
+ *
+ * Copyright (C) 2010-2022 Adam Nielsen <malvineous@shikadi.net>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import assert from 'assert';
+import TestUtil from './util.js';
+import {
+	tls_duke2_czone as handler,
+	Frame,
+	Image,
+} from '../index.js';
+
+const md = handler.metadata();
+
+function genTiles(count, maxValue) {
+	let frames = [];
+	for (let t = 0; t < count; t++) {
+		let pixels = new Uint8Array(8 * 8);
+		for (let p = 0; p < pixels.length; p++) {
+			pixels[p] = (p + t) % (maxValue + 1);
+		}
+		frames.push(new Frame({
+			width: 8,
+			height: 8,
+			pixels,
+		}));
+	}
+	return frames;
+}
+
+function genImages() {
+	return [
+		new Image({
+			width: 8,
+			height: 8,
+			frames: genTiles(1000, 15),
+			tags: {
+				chunkType: 'solid',
+				attributes: new Array(1000).fill(0).map((v, i) => i),
+			},
+		}),
+		new Image({
+			width: 8,
+			height: 8,
+			frames: genTiles(160, 16),
+			tags: {
+				chunkType: 'masked',
+				attributes: new Array(160).fill(0).map((v, i) => [i, 1, 2, 3, 4]),
+			},
+		}),
+	];
+}
+
+describe(`Extra tests for ${md.title} [${md.id}]`, function() {
+
+	describe('I/O', function() {
+
+		const images = genImages();
+		const { content } = handler.write(images);
+		const imagesRead = handler.read(content);
+
+		it('should write a full-size file', function() {
+			assert.equal(content.main.length, 42000);
+		});
+
+		it('should keep the tiles', function() {
+			for (let i = 0; i < 2; i++) {
+				assert.equal(imagesRead[i].tags.chunkType, images[i].tags.chunkType);
+				assert.equal(imagesRead[i].frames.length, images[i].frames.length);
+				for (let f = 0; f < images[i].frames.length; f++) {
+					TestUtil.buffersEqual(
+						images[i].frames[f].pixels,
+						imagesRead[i].frames[f].pixels
+					);
+				}
+			}
+		});
+
+		it('should keep the attributes', function() {
+			assert.deepEqual(imagesRead[0].tags.attributes, images[0].tags.attributes);
+			assert.deepEqual(imagesRead[1].tags.attributes, images[1].tags.attributes);
+		});
+
+		it('should pad missing tiles', function() {
+			let images = genImages();
+			images[0].frames = images[0].frames.slice(0, 10);
+			const { content } = handler.write(images);
+			assert.equal(content.main.length, 42000);
+			const imagesRead = handler.read(content);
+			assert.equal(imagesRead[0].frames.length, 1000);
+			assert.ok(imagesRead[0].frames[999].pixels.every(p => p === 0));
+		});
+
+		it('should reject too many tiles', function() {
+			let images = genImages();
+			images[1].frames = genTiles(161, 16);
+			assert.throws(() => handler.write(images));
+		});
+
+	});
+
+	describe('identify()', function() {
+
+		it('should be unsure about files of the right size', function() {
+			const result = handler.identify(new Uint8Array(42000));
+			assert.equal(result.valid, undefined);
+		});
+
+		it('should reject files of the wrong size', function() {
+			const result = handler.identify(new Uint8Array(42001));
+			assert.equal(result.valid, false);
+		});
+
+	});
+
+});
@@ -0,0 +1,125 @@
+/*
+ * Extra tests for tls-jill-sha.
+ *
+ * Copyright (C) 2010-2022 Adam Nielsen <malvineous@shikadi.net>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import assert from 'assert';
+import TestUtil from './util.js';
+import {
+	tls_jill_sha as handler,
+	Image,
+} from '../index.js';
+
+const md = handler.metadata();
+
+describe(`Extra tests for ${md.title} [${md.id}]`, function() {
+
+	describe('I/O', function() {
+
+		it('should keep the tileset and tile flags', function() {
+			const images = [
+				new Image({
+					frames: [ TestUtil.genFrame(4, 3, 3), TestUtil.genFrame(16, 2, 3) ],
+					tags: {
+						depth: 2,
+						flags: 0x1234,
+						tileFlags: [ 5, 0x80 ],
+						numRotations: 1,
+						lenCGA: 100,
+						lenEGA: 200,
+						lenVGA: 300,
+					},
+				}),
+				new Image({
+					frames: [ TestUtil.genFrame(8, 8, 255) ],
+					tags: {
+						depth: 8,
+						flags: 0,
+						tileFlags: [ 1 ],
+						numRotations: 2,
+						lenCGA: 10,
+						lenEGA: 20,
+						lenVGA: 30,
+					},
+				}),
+			];
+			const { content, warnings } = handler.write(images);
+			assert.equal(warnings.length, 0);
+			const imagesRead = handler.read(content);
+			for (let i = 0; i < images.length; i++) {
+				assert.deepEqual(imagesRead[i].tags, images[i].tags);
+				for (let f = 0; f < images[i].frames.length; f++) {
+					TestUtil.buffersEqual(
+						images[i].frames[f].pixels,
+						imagesRead[i].frames[f].pixels
+					);
+				}
+			}
+			// The depth selects the palette.
+			assert.equal(imagesRead[0].palette.length, 4);
+			assert.equal(imagesRead[1].palette.length, 256);
+		});
+
+		it('should keep unused tileset slots', function() {
+			const images = [
+				new Image({ frames: [] }),
+				new Image({ frames: [ TestUtil.genFrame(2, 2, 15) ] }),
+			];
+			const { content } = handler.write(images);
+			// First slot has no offset or length.
+			TestUtil.buffersEqual(Uint8Array.from([0, 0, 0, 0]), content.main.slice(0, 4));
+			TestUtil.buffersEqual(Uint8Array.from([0, 0]), content.main.slice(512, 514));
+
+			const imagesRead = handler.read(content);
+			assert.equal(imagesRead.length, 2);
+			assert.equal(imagesRead[0].frames.length, 0);
+			assert.equal(imagesRead[1].frames.length, 1);
+		});
+
+		it('should pick the smallest colour depth for new tilesets', function() {
+			const { content } = handler.write(new Image({
+				frames: [ TestUtil.genFrame(4, 4, 15) ],
+			}));
+			const image = handler.read(content);
+			assert.equal(image.tags.depth, 4);
+			assert.equal(image.tags.lenVGA, 16);
+		});
+
+		it('should warn when pixels exceed the colour depth', function() {
+			const { warnings } = handler.write(new Image({
+				frames: [ TestUtil.genFrame(4, 4, 15) ],
+				tags: { depth: 1 },
+			}));
+			assert.equal(warnings.length, 1);
+		});
+
+	});
+
+	describe('identify()', function() {
+
+		it('should reject files with mismatched tileset lengths', function() {
+			const { content } = handler.write(new Image({
+				frames: [ TestUtil.genFrame(4, 4, 15) ],
+			}));
+			content.main[512]++;
+			const result = handler.identify(content.main);
+			assert.equal(result.valid, false);
+		});
+
+	});
+
+});
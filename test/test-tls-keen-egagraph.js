@@ -0,0 +1,192 @@
+/*
+ * Extra tests for tls-keen-egagraph.
+ *
+ * Copyright (C) 2010-2022 Adam Nielsen <malvineous@shikadi.net>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import assert from 'assert';
+import TestUtil from './util.js';
+import {
+	tls_keen_egagraph as handler,
+	Frame,
+	Image,
+} from '../index.js';
+
+const md = handler.metadata();
+
+const counts = {
+	fontCount: '1',
+	tile8Count: '2',
+	tile8mCount: '1',
+	tile16Count: '3',
+	tile16mCount: '1',
+};
+
+function genImage(chunkType, frames, tags = {}) {
+	return new Image({
+		frames,
+		tags: {
+			chunkType,
+			...tags,
+		},
+	});
+}
+
+function genImages() {
+	let font = genImage('font', [
+		TestUtil.genFrame(5, 4, 1),
+		TestUtil.genFrame(9, 4, 1, 1),
+	]);
+	// Font pixels are either ink (15) or transparent (16).
+	for (const frame of font.frames) {
+		frame.pixels = frame.pixels.map(p => p ? 15 : 16);
+	}
+
+	let sprite = genImage('sprite', [ TestUtil.genFrame(8, 3, 16, 2) ], {
+		hitbox: { left: 1, top: 0.5, right: 7, bottom: 3 },
+		shifts: 4,
+	});
+	sprite.frames[0].hotspotX = 2;
+	sprite.frames[0].hotspotY = -1;
+
+	let tile16 = genImage('tile16', [
+		TestUtil.genFrame(16, 16, 15),
+		new Frame({ width: 16, height: 16, pixels: new Uint8Array(16 * 16) }),
+		TestUtil.genFrame(16, 16, 15, 4),
+	], {
+		sparse: [1],
+	});
+
+	return [
+		font,
+		genImage('pic', [ TestUtil.genFrame(16, 2, 15) ]),
+		genImage('picm', [ TestUtil.genFrame(8, 2, 16, 1) ]),
+		sprite,
+		genImage('tile8', [ TestUtil.genFrame(8, 8, 15), TestUtil.genFrame(8, 8, 15, 7) ]),
+		genImage('tile8m', [ TestUtil.genFrame(8, 8, 16, 3) ]),
+		tile16,
+		genImage('tile16m', [ TestUtil.genFrame(16, 16, 16, 5) ]),
+		genImage('extern', [], { data: Uint8Array.from([1, 2, 3, 4, 5]) }),
+	];
+}
+
+describe(`Extra tests for ${md.title} [${md.id}]`, function() {
+
+	describe('I/O', function() {
+
+		const images = genImages();
+		const { content } = handler.write(images);
+		const imagesRead = handler.read(content, counts);
+
+		it('should return every chunk in order', function() {
+			assert.deepEqual(
+				imagesRead.map(img => img.tags.chunkType),
+				images.map(img => img.tags.chunkType)
+			);
+		});
+
+		it('should keep the pixels of every frame', function() {
+			for (let i = 0; i < images.length; i++) {
+				// Fonts always have 256 characters.
+				const frameCount = (images[i].tags.chunkType === 'font') ? 256 : images[i].frames.length;
+				assert.equal(imagesRead[i].frames.length, frameCount);
+				for (let f = 0; f < images[i].frames.length; f++) {
+					const expected = images[i].frames[f];
+					const actual = imagesRead[i].frames[f];
+					assert.equal(actual.width, expected.width);
+					assert.equal(actual.height, expected.height);
+					TestUtil.buffersEqual(expected.pixels, actual.pixels);
+				}
+			}
+		});
+
+		it('should keep the sprite origin and hitbox', function() {
+			const sprite = imagesRead[3];
+			assert.equal(sprite.frames[0].hotspotX, 2);
+			assert.equal(sprite.frames[0].hotspotY, -1);
+			assert.deepEqual(sprite.tags.hitbox, images[3].tags.hitbox);
+			assert.equal(sprite.tags.shifts, 4);
+		});
+
+		it('should keep sparse tiles', function() {
+			// 3 table chunks, 1 font, 1 pic, 1 picm, 1 sprite, 2 tile8 chunks, then
+			// the 16x16 tiles.
+			const tile = 3 + 1 + 1 + 1 + 1 + 2 + 1;
+			const offset = content.head[tile * 3]
+				| (content.head[tile * 3 + 1] << 8)
+				| (content.head[tile * 3 + 2] << 16);
+			assert.equal(offset, 0xFFFFFF);
+			assert.deepEqual(imagesRead[6].tags.sparse, [1]);
+		});
+
+		it('should keep non-image chunks', function() {
+			TestUtil.buffersEqual(images[8].tags.data, imagesRead[8].tags.data);
+		});
+
+		it('should write tiles that are no longer blank', function() {
+			let images = genImages();
+			images[6].frames[1].pixels[0] = 1;
+			const { content } = handler.write(images);
+			const imagesRead = handler.read(content, counts);
+			assert.deepEqual(imagesRead[6].tags.sparse, []);
+			assert.equal(imagesRead[6].frames[1].pixels[0], 1);
+		});
+
+		it('should reject pictures that are not a multiple of 8 wide', function() {
+			assert.throws(() => handler.write([
+				genImage('pic', [ TestUtil.genFrame(12, 2, 15) ]),
+			]));
+		});
+
+		it('should reject images without a chunk type', function() {
+			assert.throws(() => handler.write([
+				new Image({ frames: [ TestUtil.genFrame(8, 8, 15) ] }),
+			]));
+		});
+
+	});
+
+	describe('identify()', function() {
+
+		it('should reject invalid picture table lengths', function() {
+			const result = handler.identify(Uint8Array.from([3, 0, 0, 0, 0]));
+			assert.equal(result.valid, false);
+		});
+
+		it('should be unsure about valid files', function() {
+			const { content } = handler.write(genImages());
+			const result = handler.identify(content.main);
+			assert.equal(result.valid, undefined);
+		});
+
+	});
+
+	describe('supps()', function() {
+
+		it('should find the header and dictionary', function() {
+			assert.deepEqual(handler.supps('EGAGRAPH.CK4'), {
+				head: 'EGAHEAD.CK4',
+				dict: 'EGADICT.CK4',
+			});
+			assert.deepEqual(handler.supps('path/egagraph.ck5'), {
+				head: 'path/egahead.ck5',
+				dict: 'path/egadict.ck5',
+			});
+		});
+
+	});
+
+});
@@ -0,0 +1,62 @@
+/*
+ * Extra tests for tls-mbash-fg.
+ *
+ * Copyright (C) 2010-2022 Adam Nielsen <malvineous@shikadi.net>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import assert from 'assert';
+import TestUtil from './util.js';
+import {
+	tls_mbash_fg as handler,
+} from '../index.js';
+
+const md = handler.metadata();
+
+describe(`Extra tests for ${md.title} [${md.id}]`, function() {
+
+	describe('I/O', function() {
+
+		it('should map the mask plane to the transparent colour', function() {
+			let content = {
+				main: new Uint8Array(160),
+			};
+			// Mask the first pixel, and set every colour bit on the last pixel.
+			content.main[0] = 0x80;
+			for (let plane = 1; plane < 5; plane++) {
+				content.main[plane * 32 + 31] = 0x01;
+			}
+			const image = handler.read(content);
+			assert.equal(image.frames.length, 1);
+			assert.equal(image.frames[0].pixels[0], 16);
+			assert.equal(image.frames[0].pixels[255], 15);
+			assert.equal(image.palette[16][3], 0);
+
+			const { content: contentWritten } = handler.write(image);
+			TestUtil.buffersEqual(content.main, contentWritten.main);
+		});
+
+	});
+
+	describe('identify()', function() {
+
+		it('should reject files that are not a whole number of tiles', function() {
+			const result = handler.identify(new Uint8Array(128));
+			assert.equal(result.valid, false);
+		});
+
+	});
+
+});
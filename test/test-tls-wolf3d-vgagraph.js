@@ -0,0 +1,162 @@
+/*
+ * Extra tests for tls-wolf3d-vgagraph.
+ *
+ * Copyright (C) 2010-2022 Adam Nielsen <malvineous@shikadi.net>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import assert from 'assert';
+import TestUtil from './util.js';
+import {
+	tls_wolf3d_vgagraph as handler,
+	Frame,
+	Image,
+	paletteVGA256,
+} from '../index.js';
+
+const md = handler.metadata();
+
+const counts = {
+	fontCount: '1',
+	tile8Count: '2',
+};
+
+function genImages() {
+	let palette = paletteVGA256();
+	// Use a palette that survives the conversion to 6-bit.
+	palette[1] = [0x00, 0x41, 0x82, 0xFF];
+	const genImage = (chunkType, frames, tags = {}) => new Image({
+		frames,
+		palette,
+		tags: {
+			chunkType,
+			...tags,
+		},
+	});
+	return [
+		genImage('font', [ TestUtil.genFrame(5, 4, 255), TestUtil.genFrame(0, 4, 255), TestUtil.genFrame(9, 4, 255, 1) ]),
+		genImage('pic', [ TestUtil.genFrame(16, 3, 255) ]),
+		genImage('pic', [ TestUtil.genFrame(4, 9, 255, 5) ]),
+		genImage('tile8', [ TestUtil.genFrame(8, 8, 255), TestUtil.genFrame(8, 8, 255, 9) ]),
+		genImage('extern', [], { data: Uint8Array.from([1, 2, 3, 4, 5]) }),
+	];
+}
+
+describe(`Extra tests for ${md.title} [${md.id}]`, function() {
+
+	describe('I/O', function() {
+
+		const images = genImages();
+		const { content } = handler.write(images);
+		const imagesRead = handler.read(content, counts);
+
+		it('should return every chunk in order', function() {
+			assert.deepEqual(
+				imagesRead.map(img => img.tags.chunkType),
+				images.map(img => img.tags.chunkType)
+			);
+		});
+
+		it('should keep the pixels of every frame', function() {
+			for (let i = 0; i < images.length; i++) {
+				for (let f = 0; f < images[i].frames.length; f++) {
+					const expected = images[i].frames[f];
+					const actual = imagesRead[i].frames[f];
+					assert.equal(actual.width, expected.width);
+					assert.equal(actual.height, expected.height);
+					TestUtil.buffersEqual(expected.pixels, actual.pixels);
+				}
+			}
+		});
+
+		it('should write pictures in Mode X order', function() {
+			const pixels = Uint8Array.from([
+				0, 1, 2, 3, 4, 5, 6, 7,
+				8, 9, 10, 11, 12, 13, 14, 15,
+			]);
+			const { content } = handler.write([
+				new Image({
+					frames: [ new Frame({ width: 8, height: 2, pixels }) ],
+					tags: { chunkType: 'pic' },
+				}),
+			]);
+			const imagesRead = handler.read(content, { fontCount: 0, tile8Count: 0 });
+			TestUtil.buffersEqual(pixels, imagesRead[0].frames[0].pixels);
+		});
+
+		it('should keep the palette', function() {
+			assert.equal(content.pal.length, 768);
+			assert.deepEqual(imagesRead[1].palette[1], images[1].palette[1]);
+		});
+
+		it('should use the default palette without a palette file', function() {
+			const { pal, ...contentNoPal } = content;
+			assert.ok(pal);
+			const imagesRead = handler.read(contentNoPal, counts);
+			assert.deepEqual(imagesRead[1].palette, paletteVGA256());
+		});
+
+		it('should not write the default palette', function() {
+			let images = genImages();
+			for (const img of images) {
+				img.palette = paletteVGA256();
+			}
+			const { content } = handler.write(images);
+			assert.equal(content.pal, undefined);
+		});
+
+		it('should keep non-image chunks', function() {
+			TestUtil.buffersEqual(images[4].tags.data, imagesRead[4].tags.data);
+		});
+
+		it('should reject pictures that are not a multiple of 4 wide', function() {
+			assert.throws(() => handler.write([
+				new Image({
+					frames: [ TestUtil.genFrame(6, 2, 255) ],
+					tags: { chunkType: 'pic' },
+				}),
+			]));
+		});
+
+	});
+
+	describe('identify()', function() {
+
+		it('should reject invalid picture table lengths', function() {
+			const result = handler.identify(Uint8Array.from([5, 0, 0, 0, 0]));
+			assert.equal(result.valid, false);
+		});
+
+		it('should be unsure about valid files', function() {
+			const { content } = handler.write(genImages());
+			const result = handler.identify(content.main);
+			assert.equal(result.valid, undefined);
+		});
+
+	});
+
+	describe('supps()', function() {
+
+		it('should find the header, dictionary and palette', function() {
+			assert.deepEqual(handler.supps('VGAGRAPH.WL6'), {
+				head: 'VGAHEAD.WL6',
+				dict: 'VGADICT.WL6',
+				pal: 'VGAPAL.WL6',
+			});
+		});
+
+	});
+
+});
@@ -0,0 +1,158 @@
+/*
+ * Extra tests for tls-wolf3d-vswap.
+ *
+ * Copyright (C) 2010-2022 Adam Nielsen <malvineous@shikadi.net>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import assert from 'assert';
+import TestUtil from './util.js';
+import {
+	tls_wolf3d_vswap as handler,
+	Frame,
+	Image,
+} from '../index.js';
+
+const md = handler.metadata();
+
+function genWall(seed) {
+	let pixels = new Uint8Array(64 * 64);
+	for (let p = 0; p < pixels.length; p++) {
+		pixels[p] = (p * 3 + seed) % 255;
+	}
+	return new Frame({
+		width: 64,
+		height: 64,
+		pixels,
+	});
+}
+
+// Sprite with a few posts and lots of transparent pixels.
+function genSprite(seed) {
+	let pixels = new Uint8Array(64 * 64).fill(255);
+	for (let y = 0; y < 64; y++) {
+		for (let x = 10 + seed; x < 40; x++) {
+			if (((x + y) % 7) < 4) pixels[y * 64 + x] = (x * y + seed) % 255;
+		}
+	}
+	return new Frame({
+		width: 64,
+		height: 64,
+		pixels,
+	});
+}
+
+function genImages() {
+	return [
+		new Image({
+			frames: [ genWall(0), genWall(1) ],
+			tags: { chunkType: 'wall' },
+		}),
+		new Image({
+			frames: [
+				genSprite(0),
+				new Frame({ width: 64, height: 64, pixels: new Uint8Array(64 * 64).fill(255) }),
+				genSprite(3),
+			],
+			tags: { chunkType: 'sprite', sparse: [1] },
+		}),
+		new Image({
+			tags: {
+				chunkType: 'sound',
+				pages: [ Uint8Array.from([1, 2, 3]), Uint8Array.from([0, 1, 1, 0]) ],
+			},
+		}),
+	];
+}
+
+describe(`Extra tests for ${md.title} [${md.id}]`, function() {
+
+	describe('I/O', function() {
+
+		const images = genImages();
+		const { content } = handler.write(images);
+		const imagesRead = handler.read(content);
+
+		it('should write the page table', function() {
+			assert.equal(content.main[0], 2 + 3 + 2); // page count
+			assert.equal(content.main[2], 2); // sprite start
+			assert.equal(content.main[4], 2 + 3); // sound start
+		});
+
+		it('should store walls in column-major order', function() {
+			const offset = content.main[6] | (content.main[7] << 8);
+			assert.equal(content.main[offset + 1], images[0].frames[0].pixels[64]);
+		});
+
+		it('should keep walls and sprites', function() {
+			for (let i = 0; i < 2; i++) {
+				assert.equal(imagesRead[i].tags.chunkType, images[i].tags.chunkType);
+				assert.equal(imagesRead[i].frames.length, images[i].frames.length);
+				for (let f = 0; f < images[i].frames.length; f++) {
+					TestUtil.buffersEqual(
+						images[i].frames[f].pixels,
+						imagesRead[i].frames[f].pixels
+					);
+				}
+			}
+		});
+
+		it('should make sprite backgrounds transparent', function() {
+			assert.equal(imagesRead[1].palette[md.limits.transparentIndex][3], 0);
+		});
+
+		it('should keep sparse pages', function() {
+			assert.deepEqual(imagesRead[1].tags.sparse, [1]);
+			// Page table entry for the missing sprite has an offset of zero.
+			const entry = 6 + 3 * 4;
+			TestUtil.buffersEqual(Uint8Array.from([0, 0, 0, 0]), content.main.slice(entry, entry + 4));
+		});
+
+		it('should keep sound pages', function() {
+			assert.equal(imagesRead[2].tags.chunkType, 'sound');
+			assert.equal(imagesRead[2].tags.pages.length, 2);
+			for (let i = 0; i < 2; i++) {
+				TestUtil.buffersEqual(images[2].tags.pages[i], imagesRead[2].tags.pages[i]);
+			}
+		});
+
+		it('should reject frames that are not 64x64', function() {
+			assert.throws(() => handler.write([
+				new Image({
+					frames: [ new Frame({ width: 32, height: 32, pixels: new Uint8Array(32 * 32) }) ],
+					tags: { chunkType: 'wall' },
+				}),
+			]));
+		});
+
+	});
+
+	describe('identify()', function() {
+
+		it('should identify files written by this handler', function() {
+			const { content } = handler.write(genImages());
+			assert.equal(handler.identify(content.main).valid, true);
+		});
+
+		it('should reject walls of the wrong size', function() {
+			const { content } = handler.write(genImages());
+			content.main[6 + 7 * 4] = 0x10; // length of first page
+			const result = handler.identify(content.main);
+			assert.equal(result.valid, false);
+		});
+
+	});
+
+});
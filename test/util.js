@@ -22,6 +22,11 @@ import crypto from 'crypto';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import {
+	Frame,
+	Image,
+	defaultPalette,
+} from '../index.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
@@ -179,6 +184,81 @@ export default class TestUtil {
 		}
 	}
 
+	/**
+	 * Create a frame with a repeating pattern of pixel values.
+	 *
+	 * @param {Number} width
+	 *   Frame width, in pixels.
+	 *
+	 * @param {Number} height
+	 *   Frame height, in pixels.
+	 *
+	 * @param {Number} maxValue
+	 *   Largest pixel value to use.
+	 *
+	 * @param {Number} seed
+	 *   Offset added to each pixel value, so frames created with different
+	 *   seeds differ.
+	 */
+	static genFrame(width, height, maxValue = 255, seed = 0) {
+		let pixels = new Uint8Array(width * height);
+		for (let p = 0; p < pixels.length; p++) {
+			pixels[p] = (p * 3 + seed) % (maxValue + 1);
+		}
+		return new Frame({
+			width,
+			height,
+			pixels,
+		});
+	}
+
+	/**
+	 * Create a single-frame image using the default palette.
+	 *
+	 * The left half of each row is a run of the same value and the right half
+	 * differs from pixel to pixel, to exercise both the repeat and literal
+	 * modes of RLE compression.  Pixel values go up to `maxValue`.
+	 */
+	static genImage(width, height, maxValue) {
+		let pixels = new Uint8Array(width * height);
+		for (let y = 0; y < height; y++) {
+			for (let x = 0; x < width; x++) {
+				pixels[y * width + x] = (
+					(x < width / 2) ? y : (x * (y + 1))
+				) % (maxValue + 1);
+			}
+		}
+		return new Image({
+			width,
+			height,
+			frames: [
+				new Frame({
+					pixels,
+				}),
+			],
+			palette: defaultPalette(8),
+		});
+	}
+
+	/**
+	 * Write an image with the given handler and read it back, checking the
+	 * dimensions and pixels are unchanged.
+	 *
+	 * @return {Object} `main` is the written file and `image` the image read
+	 *   back from it.
+	 */
+	static roundTrip(handler, img, options) {
+		const { content } = handler.write(img, options);
+		const imgRead = handler.read(content);
+		assert.equal(imgRead.width, img.width);
+		assert.equal(imgRead.height, img.height);
+		this.buffersEqual(img.frames[0].pixels, imgRead.frames[0].pixels);
+		return {
+			main: content.main,
+			image: imgRead,
+		};
+	}
+
 	static u8FromString(s) {
 		return Uint8Array.from(s.split(''), s => s.charCodeAt(0));
 	}
@@ -0,0 +1,401 @@
+/*
+ * Shared code for the 8x8 EGA tile based formats used by Apogee games such
+ * as Cosmo's Cosmic Adventure and Duke Nukem II.
+ *
+ * These games store graphics as 8x8 tiles, each made up of four EGA colour
+ * planes one row at a time, optionally with an extra mask plane before each
+ * row's colour data.  Larger images are built up from multiple tiles.
+ *
+ * Actors (sprites) are stored in one file with all their tiles, along with an
+ * info file listing each actor's frames.  The info file starts with a list of
+ * offsets, one per actor, to a list of frame headers.  The frame header layout
+ * differs between games, so it is passed in as a parameter.
+ *
+ * Copyright (C) 2010-2022 Adam Nielsen <malvineous@shikadi.net>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import Debug from './debug.js';
+const debug = Debug.extend('actor-tileset');
+
+import { RecordBuffer, RecordType } from '@camoto/record-io-buffer';
+import Image from '../interface/image.js';
+import Frame from '../interface/frame.js';
+import { fromPlanar, toPlanar } from './frame-planar.js';
+import { frameFromTileset, tilesetFromFrame } from './frame-from_tileset.js';
+import { paletteCGA16 } from './palette-default.js';
+import { getBasename, replaceBasename } from './supp.js';
+
+const TILE_W = 8, TILE_H = 8;
+
+/**
+ * Number of bytes in an unmasked 8x8 tile.
+ */
+export const BYTES_PER_TILE = 8 * 4;
+
+/**
+ * Number of bytes in a masked 8x8 tile.
+ */
+export const BYTES_PER_TILE_MASKED = 8 * 5;
+
+/**
+ * Palette index used for transparent pixels in masked tiles.
+ */
+export const TRANSPARENT_INDEX = 16;
+
+/**
+ * Get the palette used by these formats.
+ *
+ * @return {Palette} The 16-colour EGA palette, plus an extra transparent
+ *   entry at index 16 for masked tiles.
+ */
+export function paletteActorTileset()
+{
+	let palette = paletteCGA16();
+
+	// Add an entry for transparent.
+	palette.push([255, 0, 255, 0]);
+
+	return palette;
+}
+
+/**
+ * Decode a block of 8x8 tiles into an image.
+ *
+ * @param {Uint8Array} content
+ *   Tile data, `width * height` tiles long.
+ *
+ * @param {Number} width
+ *   Image width, in tiles.
+ *
+ * @param {Number} height
+ *   Image height, in tiles.
+ *
+ * @param {Boolean} masked
+ *   `true` if each tile has a mask plane, in which case masked pixels are set
+ *   to `TRANSPARENT_INDEX`.
+ *
+ * @return {Frame} of `width * 8` by `height * 8` pixels.
+ */
+export function frameFromTiles(content, width, height, masked)
+{
+	const tileCount = width * height;
+	const lenTile = masked ? BYTES_PER_TILE_MASKED : BYTES_PER_TILE;
+
+	let tileContent = content.slice(0, tileCount * lenTile);
+	if (tileContent.length < tileCount * lenTile) {
+		// Pad truncated data so the image is still the right size.
+		let padded = new Uint8Array(tileCount * lenTile);
+		padded.set(tileContent);
+		tileContent = padded;
+	}
+
+	const pixels = fromPlanar({
+		content: tileContent,
+		planeCount: masked ? 5 : 4,
+		planeWidth: TILE_W,
+		lineWidth: TILE_W,
+		planeValues: masked ? [16, 1, 2, 4, 8] : [1, 2, 4, 8],
+		byteOrderMSB: true,
+	});
+
+	if (masked) {
+		// Convert any colour over 15 to transparent.
+		for (let p = 0; p < pixels.length; p++) {
+			pixels[p] = Math.min(TRANSPARENT_INDEX, pixels[p]);
+		}
+	}
+
+	// Convert the pixel data into a frame.  It is an image one tile wide by
+	// multiple tiles tall.
+	const tilesFrame = new Frame({
+		width: TILE_W,
+		height: tileCount * TILE_H,
+		pixels,
+	});
+
+	// Split the single frame into individual tiles, with each tile as a
+	// separate frame.
+	let imgTiles = new Image({
+		width: TILE_W,
+		height: TILE_H,
+		frames: tilesetFromFrame({
+			frame: tilesFrame,
+			tileDims: new Array(tileCount).fill({ width: TILE_W, height: TILE_H }),
+		}),
+	});
+
+	return frameFromTileset(imgTiles, width);
+}
+
+/**
+ * Encode an image as a block of 8x8 tiles, the reverse of frameFromTiles().
+ *
+ * @param {Frame} frame
+ *   Frame to encode.
+ *
+ * @param {Number} width
+ *   Frame width, in tiles.
+ *
+ * @param {Number} height
+ *   Frame height, in tiles.
+ *
+ * @param {Boolean} masked
+ *   `true` to include a mask plane, set for all pixels that are
+ *   `TRANSPARENT_INDEX` or above.
+ *
+ * @return {Uint8Array} Tile data.
+ */
+export function frameToTiles(frame, width, height, masked)
+{
+	const tiles = tilesetFromFrame({
+		frame,
+		tileDims: new Array(width * height).fill({ width: TILE_W, height: TILE_H }),
+		// We need this in case the frame has no width and we're using the image
+		// width instead.
+		frameWidth: width * TILE_W,
+	});
+
+	const lenTile = masked ? BYTES_PER_TILE_MASKED : BYTES_PER_TILE;
+	let out = new Uint8Array(tiles.length * lenTile);
+	tiles.forEach((tile, i) => {
+		out.set(toPlanar({
+			content: tile.pixels,
+			planeCount: masked ? 5 : 4,
+			planeWidth: TILE_W,
+			lineWidth: TILE_W,
+			planeValues: masked ? [16, 1, 2, 4, 8] : [1, 2, 4, 8],
+			byteOrderMSB: true,
+		}), i * lenTile);
+	});
+
+	return out;
+}
+
+/**
+ * Work out the filename of the actor info file.
+ *
+ * @param {string} name
+ *   Filename of the actor tile data.
+ *
+ * @param {Object} infoNames
+ *   Map of lowercase base filenames to the base filename of the info file,
+ *   for those that don't just append "info".
+ *
+ * @return {string} Filename of the info file.
+ */
+export function actorInfoFilename(name, infoNames)
+{
+	const basename = getBasename(name);
+	let info = infoNames[basename.toLowerCase()] || `${basename}info`;
+	if (basename === basename.toUpperCase()) {
+		info = info.toUpperCase();
+	}
+	return replaceBasename(name, info);
+}
+
+/**
+ * Read an actor tileset.
+ *
+ * @param {Object} content
+ *   Object with `main` holding the tile data and `info` holding the actor info
+ *   file.
+ *
+ * @param {Object} layout
+ *   Description of the info file:
+ *
+ *   - `actorHeader`: Record type at the start of each actor's frame list, or
+ *     `undefined` if there isn't one.  If present it must have a `frameCount`
+ *     field, otherwise the number of frames is worked out from the gap until
+ *     the next actor's frame list.
+ *
+ *   - `frameHeader`: Record type for each frame, which must have `width` and
+ *     `height` fields (in tiles), and `frameOffset` (in bytes).
+ *
+ *   - `blockPadding`: `true` if the game loads the tile data in 65535-byte
+ *     blocks, so each 64 kB of frame offsets skips one byte.
+ *
+ *   - `readImage(image, actorHeader)`: Optional callback to copy any extra
+ *     actor header fields into the image.
+ *
+ *   - `readFrame(frame, frameHeader)`: Optional callback to copy any extra
+ *     frame header fields into the frame.
+ *
+ * @return {Array<Image>} One image per actor, with one frame per actor frame.
+ */
+export function actorTilesetRead({ main: contentTiles, info: contentInfo }, layout)
+{
+	let info = new RecordBuffer(contentInfo);
+	let offset = info.read(RecordType.int.u16le);
+	let offsets = [];
+	while (info.distFromEnd() > 2) {
+		offset *= 2; // units of uint16le
+		offsets.push(offset);
+		offset = info.read(RecordType.int.u16le);
+		// Keep reading until we reach the first entry's offset.
+		if (offsets.length * 2 >= offsets[0]) break;
+	}
+	offsets.push(contentInfo.length);
+
+	const palette = paletteActorTileset();
+	const lenFrameHeader = Object.values(layout.frameHeader)
+		.reduce((a, type) => a + type.len, 0);
+
+	let images = [];
+	for (let actorIndex = 0; actorIndex < offsets.length - 1; actorIndex++) {
+		const offset = offsets[actorIndex];
+		const endOffset = offsets[actorIndex + 1];
+		info.seekAbs(offset);
+
+		let img = new Image({
+			width: undefined,
+			height: undefined,
+			palette,
+		});
+
+		let frameCount;
+		if (layout.actorHeader) {
+			const actorHeader = info.readRecord(layout.actorHeader);
+			frameCount = actorHeader.frameCount;
+			if (layout.readImage) layout.readImage(img, actorHeader);
+		} else {
+			frameCount = Math.floor((endOffset - offset) / lenFrameHeader);
+		}
+
+		for (let actorFrame = 0; actorFrame < frameCount; actorFrame++) {
+			const header = info.readRecord(layout.frameHeader);
+
+			let byteOffset = header.frameOffset;
+			if (layout.blockPadding) {
+				// The offsets assume 65535-byte blocks loaded into 65536-byte buffers,
+				// so we need to remove one byte every 65536.
+				byteOffset -= (header.frameOffset / 65536) >>> 0;
+			}
+
+			const lenTileData = header.width * header.height * BYTES_PER_TILE_MASKED;
+			let frame = frameFromTiles(
+				contentTiles.slice(byteOffset, byteOffset + lenTileData),
+				header.width,
+				header.height,
+				true
+			);
+			if (layout.readFrame) layout.readFrame(frame, header);
+			img.frames.push(frame);
+		}
+		images.push(img);
+	}
+
+	return images;
+}
+
+/**
+ * Write an actor tileset, the reverse of actorTilesetRead().
+ *
+ * @param {Array<Image>} images
+ *   One image per actor.
+ *
+ * @param {Object} layout
+ *   Same as for actorTilesetRead(), except the callbacks are
+ *   `writeImage(image)` and `writeFrame(frame)`, returning an object with any
+ *   extra fields to write into the actor and frame headers respectively.
+ *
+ * @return {Object} with `main` and `info` properties, each a `Uint8Array`.
+ */
+export function actorTilesetWrite(images, layout)
+{
+	let main = new RecordBuffer(4096);
+
+	let actors = [];
+	for (const img of images) {
+		let frameInfo = [];
+		let actorContent = new RecordBuffer(4096);
+		for (const frame of img.frames) {
+			// Convert pixels to tiles.
+			const pxFrameWidth = frame.width || img.width;
+			const pxFrameHeight = frame.height || img.height;
+			const tlFrameWidth = (pxFrameWidth / 8) >>> 0;
+			const tlFrameHeight = (pxFrameHeight / 8) >>> 0;
+
+			frameInfo.push({
+				...(layout.writeFrame && layout.writeFrame(frame)),
+				width: tlFrameWidth,
+				height: tlFrameHeight,
+				frameOffset: actorContent.getPos(),
+			});
+
+			actorContent.put(
+				frameToTiles(frame, tlFrameWidth, tlFrameHeight, true)
+			);
+		}
+
+		if (layout.blockPadding) {
+			// Pad the output if needed.
+			const currentIndex = Math.floor(main.length / 65535);
+			const postIndex = Math.floor((main.length + actorContent.length) / 65535);
+			if (currentIndex != postIndex) {
+				// Writing this actor will wrap across a 64k boundary, so we have to
+				// pad.
+				const lenPad = 65535 - (main.length % 65535);
+				debug(`About to write ${actorContent.length} bytes at pos `
+					+ `${main.length}, padding ${lenPad} bytes until 64 kB boundary`);
+				main.write(RecordType.padding(lenPad));
+			}
+		}
+
+		// Update the offsets now padding has been done.
+		const offMain = main.getPos();
+		for (let i = 0; i < frameInfo.length; i++) {
+			frameInfo[i].frameOffset += offMain;
+
+			if (layout.blockPadding) {
+				// The offsets assume 65535-byte blocks loaded into 65536-byte buffers,
+				// so we need to add one byte every 65536.
+				frameInfo[i].frameOffset += ((frameInfo[i].frameOffset / 65536) >>> 0);
+			}
+		}
+		actors.push({
+			actorHeader: layout.actorHeader && {
+				...(layout.writeImage && layout.writeImage(img)),
+				frameCount: frameInfo.length,
+			},
+			frameInfo,
+		});
+		main.put(actorContent);
+	}
+
+	let infoOffsets = [];
+	let infoBody = new RecordBuffer(4096);
+	for (const actor of actors) {
+		infoOffsets.push(infoBody.getPos() / 2); // units of uint16le
+		if (actor.actorHeader) {
+			infoBody.writeRecord(layout.actorHeader, actor.actorHeader);
+		}
+		for (const frameInfo of actor.frameInfo) {
+			infoBody.writeRecord(layout.frameHeader, frameInfo);
+		}
+	}
+
+	const offInfoBody = infoOffsets.length; // units of uint16le
+	let info = new RecordBuffer(4096);
+	for (const offActorHeader of infoOffsets) {
+		info.write(RecordType.int.u16le, offInfoBody + offActorHeader);
+	}
+	info.put(infoBody);
+
+	return {
+		main: main.getU8(),
+		info: info.getU8(),
+	};
+}
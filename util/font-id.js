@@ -0,0 +1,163 @@
+/*
+ * Variable-width fonts used by id Software and Apogee games built on the id
+ * engines (Commander Keen 4-6, Wolfenstein 3D, Blake Stone, etc.)
+ *
+ * The font starts with the glyph height, then the offset and width of each of
+ * the 256 glyphs.  EGA games store each glyph at one bit per pixel with each
+ * row padded to a whole byte, and VGA games store one byte per pixel.
+ *
+ * Copyright (C) 2010-2022 Adam Nielsen <malvineous@shikadi.net>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import { RecordBuffer, RecordType } from '@camoto/record-io-buffer';
+import Frame from '../interface/frame.js';
+import { glyphsByCodePoint } from './font.js';
+
+export const FONT_ID_GLYPH_COUNT = 256;
+
+/**
+ * Length of the font header, in bytes.
+ */
+export const FONT_ID_HEADER_LEN = 2 + FONT_ID_GLYPH_COUNT * 2 + FONT_ID_GLYPH_COUNT;
+
+/**
+ * Read an id font.
+ *
+ * @param {Uint8Array} data
+ *   Font data, starting with the header.
+ *
+ * @param {Object} mono
+ *   Pixel values to use for one bit per pixel fonts, as `{ on, off }`.  Omit
+ *   for fonts with one byte per pixel.
+ *
+ * @return {Object} `{ height, frames }` with one frame per glyph.
+ */
+export function fontIdRead(data, mono)
+{
+	let buffer = new RecordBuffer(data);
+	const height = buffer.read(RecordType.int.u16le);
+	let locations = [];
+	for (let i = 0; i < FONT_ID_GLYPH_COUNT; i++) {
+		locations.push(buffer.read(RecordType.int.u16le));
+	}
+	let widths = [];
+	for (let i = 0; i < FONT_ID_GLYPH_COUNT; i++) {
+		widths.push(buffer.read(RecordType.int.u8));
+	}
+
+	let frames = [];
+	for (let c = 0; c < FONT_ID_GLYPH_COUNT; c++) {
+		const width = widths[c];
+		let pixels = new Uint8Array(width * height);
+		if (mono) {
+			const rowBytes = Math.ceil(width / 8);
+			for (let y = 0; y < height; y++) {
+				for (let x = 0; x < width; x++) {
+					const b = data[locations[c] + y * rowBytes + (x >> 3)];
+					pixels[y * width + x] = ((b >> (7 - (x & 7))) & 1) ? mono.on : mono.off;
+				}
+			}
+		} else {
+			pixels.set(data.subarray(locations[c], locations[c] + pixels.length));
+		}
+		frames.push(new Frame({
+			width,
+			height,
+			pixels,
+			codePoint: c,
+		}));
+	}
+
+	return {
+		height,
+		frames,
+	};
+}
+
+/**
+ * Write an id font.
+ *
+ * @param {Array<Frame>} frames
+ *   Glyphs to write.  See `glyphsByCodePoint()` for how they are ordered.
+ *
+ * @param {Number} defaultWidth
+ *   Width of any glyph that doesn't have its own, in pixels.  Usually the
+ *   image width.
+ *
+ * @param {Number} height
+ *   Height of every glyph, in pixels.
+ *
+ * @param {Object} mono
+ *   As for `fontIdRead()`.  Any pixel that isn't `mono.off` is stored as a set
+ *   bit.
+ *
+ * @return {Uint8Array} Encoded font.
+ */
+export function fontIdWrite(frames, defaultWidth, height, mono)
+{
+	if (frames.length > FONT_ID_GLYPH_COUNT) {
+		throw new Error(`Fonts can only have ${FONT_ID_GLYPH_COUNT} characters, `
+			+ `not ${frames.length}.`);
+	}
+	const glyphs = glyphsByCodePoint(frames, 0, FONT_ID_GLYPH_COUNT);
+
+	let glyphData = [];
+	let locations = [];
+	let widths = [];
+	let offset = FONT_ID_HEADER_LEN;
+	for (let c = 0; c < FONT_ID_GLYPH_COUNT; c++) {
+		const frame = glyphs[c];
+		let width = 0;
+		if (frame) {
+			width = (frame.width === undefined) ? (defaultWidth || 0) : frame.width;
+		}
+		if (width > 255) {
+			throw new Error(`Font character ${c} is wider than 255 pixels.`);
+		}
+
+		let data;
+		if (mono) {
+			const rowBytes = Math.ceil(width / 8);
+			data = new Uint8Array(rowBytes * height);
+			for (let y = 0; y < height; y++) {
+				for (let x = 0; x < width; x++) {
+					if (frame.pixels[y * width + x] !== mono.off) {
+						data[y * rowBytes + (x >> 3)] |= 0x80 >> (x & 7);
+					}
+				}
+			}
+		} else {
+			data = new Uint8Array(width * height);
+			if (frame) data.set(frame.pixels.slice(0, data.length));
+		}
+
+		if (offset > 0xFFFF) {
+			throw new Error(`Font character ${c} starts at offset ${offset}, but `
+				+ `glyphs must start within the first 64 kB.`);
+		}
+		locations.push(offset);
+		widths.push(width);
+		glyphData.push(data);
+		offset += data.length;
+	}
+
+	let buffer = new RecordBuffer(offset);
+	buffer.write(RecordType.int.u16le, height);
+	for (const l of locations) buffer.write(RecordType.int.u16le, l);
+	for (const w of widths) buffer.write(RecordType.int.u8, w);
+	for (const d of glyphData) buffer.put(d);
+	return buffer.getU8();
+}
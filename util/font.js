@@ -0,0 +1,76 @@
+/*
+ * Shared code for font (glyph set) formats.
+ *
+ * Fonts are returned as an `Image` with one `Frame` per glyph, with the
+ * character code of each glyph in `Frame.codePoint`.
+ *
+ * Copyright (C) 2010-2022 Adam Nielsen <malvineous@shikadi.net>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/**
+ * Put the glyphs in a font into character code order.
+ *
+ * Frames with a `codePoint` are placed at that position, and frames without
+ * one are treated as the character code matching their index in the list.
+ *
+ * @param {Array<Frame>} frames
+ *   Glyphs to sort.
+ *
+ * @param {Number} first
+ *   Character code of the first glyph in the returned array.
+ *
+ * @param {Number} count
+ *   Number of glyphs the format can store.
+ *
+ * @return {Array<Frame>} `count` entries, with `undefined` for any character
+ *   codes that don't have a glyph.
+ */
+export function glyphsByCodePoint(frames, first, count)
+{
+	let glyphs = new Array(count).fill(undefined);
+	frames.forEach((frame, index) => {
+		const codePoint = (frame.codePoint === undefined) ? index : frame.codePoint;
+		const slot = codePoint - first;
+		if ((slot < 0) || (slot >= count)) {
+			throw new Error(`Glyph ${index} is for character ${codePoint}, but this `
+				+ `font can only hold characters ${first} to ${first + count - 1}.`);
+		}
+		glyphs[slot] = frame;
+	});
+	return glyphs;
+}
+
+/**
+ * Get the range of character codes used by a list of glyphs.
+ *
+ * @param {Array<Frame>} frames
+ *   Glyphs to examine.  Frames without a `codePoint` are treated as the
+ *   character code matching their index in the list.
+ *
+ * @return {Object} `{ first, last }` character codes, or `null` if the list is
+ *   empty.
+ */
+export function codePointRange(frames)
+{
+	if (frames.length === 0) return null;
+	const codePoints = frames.map((frame, index) => (
+		(frame.codePoint === undefined) ? index : frame.codePoint
+	));
+	return {
+		first: Math.min(...codePoints),
+		last: Math.max(...codePoints),
+	};
+}
@@ -0,0 +1,108 @@
+/*
+ * Conversion functions for video memory split into interleaved banks.
+ *
+ * CGA, Tandy and Hercules video memory is split into banks, with each
+ * scanline going into the next bank in turn.  CGA uses two banks, one for the
+ * even rows and one for the odd rows, and Tandy and Hercules use four.
+ *
+ * Copyright (C) 2010-2022 Adam Nielsen <malvineous@shikadi.net>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/**
+ * Put the rows from each bank back in order.
+ *
+ * @param {Uint8Array} content
+ *   Banked video memory.  If it is too short, missing rows are returned as
+ *   zero bytes.
+ *
+ * @param {Number} rowBytes
+ *   Length of each row, in bytes.
+ *
+ * @param {Number} height
+ *   Number of rows.
+ *
+ * @param {Number} bankLen
+ *   Offset between the start of each bank, in bytes.
+ *
+ * @param {Array<Number>} bankOrder
+ *   Which bank each row goes into, e.g. `[0, 1]` for CGA where the first row
+ *   is in bank 0, the second row in bank 1, the third back in bank 0, and so
+ *   on.  The number of entries is the number of banks.
+ *
+ * @return {Uint8Array} Rows one after the other, `rowBytes * height` long.
+ */
+export function fromBanked({ content, rowBytes, height, bankLen, bankOrder })
+{
+	const bankCount = bankOrder.length;
+	let out = new Uint8Array(rowBytes * height);
+	for (let y = 0; y < height; y++) {
+		const offset = bankOrder[y % bankCount] * bankLen
+			+ ((y / bankCount) >>> 0) * rowBytes;
+		out.set(content.subarray(offset, offset + rowBytes), y * rowBytes);
+	}
+	return out;
+}
+
+/**
+ * Split rows into interleaved banks, the reverse of fromBanked().
+ *
+ * The parameters are the same as for fromBanked(), with `content` being the
+ * rows one after the other.
+ *
+ * @return {Uint8Array} Banked video memory, `bankLen` bytes for each bank.
+ */
+export function toBanked({ content, rowBytes, height, bankLen, bankOrder })
+{
+	const bankCount = bankOrder.length;
+	let out = new Uint8Array(bankLen * bankCount);
+	for (let y = 0; y < height; y++) {
+		const offset = bankOrder[y % bankCount] * bankLen
+			+ ((y / bankCount) >>> 0) * rowBytes;
+		out.set(content.subarray(y * rowBytes, (y + 1) * rowBytes), offset);
+	}
+	return out;
+}
+
+/**
+ * Read a bank order from a format handler option.
+ *
+ * @param {string} value
+ *   Option value, a comma-separated list of bank numbers like `0,2,1,3`.
+ *   `undefined` to use the default.
+ *
+ * @param {Number} bankCount
+ *   Number of banks the video mode uses.  The default order is the banks in
+ *   sequence, `0,1,2,...`.
+ *
+ * @return {Array<Number>} Bank order to pass to fromBanked() and toBanked().
+ */
+export function bankOrderOption(value, bankCount)
+{
+	if ((value === undefined) || (value === null)) {
+		return [...Array(bankCount).keys()];
+	}
+
+	const order = value.toString().split(',').map(b => parseInt(b));
+	const sorted = [...order].sort();
+	if (
+		(order.length !== bankCount)
+		|| sorted.some((b, i) => b !== i)
+	) {
+		throw new Error(`Bank order "${value}" must list each of the ${bankCount} `
+			+ `banks (0 to ${bankCount - 1}) once.`);
+	}
+	return order;
+}
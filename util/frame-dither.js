@@ -0,0 +1,277 @@
+/*
+ * Reduce the number of colours in an image using dithering.
+ *
+ * Copyright (C) 2010-2022 Adam Nielsen <malvineous@shikadi.net>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import Debug from '../util/debug.js';
+const debug = Debug.extend('frame-dither');
+
+import { PixelFormat } from '../interface/frame.js';
+import {
+	findNearestColour,
+	prepareNearestColour,
+} from './palette-remap.js';
+
+export const DitherMethod = {
+	// Pick the closest colour for each pixel, without any dithering.
+	None: 'none',
+
+	// Error diffusion, spreading all the error over four neighbouring pixels.
+	FloydSteinberg: 'floyd-steinberg',
+
+	// Error diffusion, spreading 3/4 of the error over six neighbouring pixels.
+	// Gives more contrast than Floyd-Steinberg at the cost of losing detail in
+	// very light and very dark areas.
+	Atkinson: 'atkinson',
+
+	// Ordered dithering with an 8x8 Bayer matrix.  Produces a regular
+	// crosshatch pattern and unlike error diffusion, changing one pixel does
+	// not affect any others, so it works well on tiles and animation frames.
+	Bayer: 'bayer',
+};
+
+// Error diffusion kernels.  Each entry is [x offset, y offset, weight].
+const diffusionKernels = {
+	[DitherMethod.FloydSteinberg]: [
+		[ 1, 0, 7 / 16],
+		[-1, 1, 3 / 16],
+		[ 0, 1, 5 / 16],
+		[ 1, 1, 1 / 16],
+	],
+	[DitherMethod.Atkinson]: [
+		[ 1, 0, 1 / 8],
+		[ 2, 0, 1 / 8],
+		[-1, 1, 1 / 8],
+		[ 0, 1, 1 / 8],
+		[ 1, 1, 1 / 8],
+		[ 0, 2, 1 / 8],
+	],
+};
+
+// Build an NxN Bayer threshold matrix (N a power of two), with values
+// normalised to the range -0.5 to +0.5.
+function bayerMatrix(size)
+{
+	let m = [[0]];
+	while (m.length < size) {
+		const n = m.length;
+		let next = [];
+		for (let y = 0; y < n * 2; y++) {
+			next.push(new Array(n * 2));
+		}
+		for (let y = 0; y < n; y++) {
+			for (let x = 0; x < n; x++) {
+				const v = m[y][x] * 4;
+				next[y][x] = v;
+				next[y][x + n] = v + 2;
+				next[y + n][x] = v + 3;
+				next[y + n][x + n] = v + 1;
+			}
+		}
+		m = next;
+	}
+	const count = size * size;
+	return m.map(row => row.map(v => (v + 0.5) / count - 0.5));
+}
+
+const BAYER_SIZE = 8;
+const bayer = bayerMatrix(BAYER_SIZE);
+
+/**
+ * Dither a single frame to a new palette.
+ *
+ * @param {Frame} frame
+ *   Frame to convert.  Modified in place.
+ *
+ * @param {Number} width
+ *   Frame width in pixels, used if the frame has no width of its own.
+ *
+ * @param {Palette} srcPalette
+ *   Palette the frame's pixels currently use.  Not used for truecolour frames.
+ *
+ * @param {Object} prep
+ *   Result of `prepareNearestColour()` for the destination palette.
+ *
+ * @param {Object} options
+ *   Same as for `imageDither()`, with `transparentIndex` already resolved.
+ */
+function frameDither(frame, width, srcPalette, prep, options)
+{
+	const truecolour = (frame.pixelFormat === PixelFormat.RGBA);
+	const pixelCount = truecolour ? frame.pixels.length / 4 : frame.pixels.length;
+	const frameWidth = (frame.width === undefined) ? width : frame.width;
+	const frameHeight = (frameWidth > 0) ? (pixelCount / frameWidth) >>> 0 : 0;
+
+	// Expand the pixels into RGB so errors can be accumulated between them.
+	let rgb = new Float32Array(pixelCount * 3);
+	let transparent = new Uint8Array(pixelCount);
+	for (let p = 0; p < pixelCount; p++) {
+		let c;
+		if (truecolour) {
+			c = frame.pixels.subarray(p * 4, p * 4 + 4);
+		} else {
+			c = srcPalette[frame.pixels[p]];
+			if (!c) {
+				throw new Error(`Pixel ${p} uses colour ${frame.pixels[p]} which is not `
+					+ `in the palette.`);
+			}
+		}
+		rgb[p * 3 + 0] = c[0];
+		rgb[p * 3 + 1] = c[1];
+		rgb[p * 3 + 2] = c[2];
+		transparent[p] = (c[3] === 0) && (options.transparentIndex !== undefined);
+	}
+
+	if (truecolour) {
+		frame.pixels = new Uint8Array(pixelCount);
+		frame.pixelFormat = PixelFormat.Indexed;
+	}
+
+	// Cache matches, as most images only contain a handful of distinct colours
+	// even once the error has been added in.
+	let cache = new Map();
+	const nearest = (r, g, b) => {
+		const key = (r << 16) | (g << 8) | b;
+		let index = cache.get(key);
+		if (index === undefined) {
+			index = findNearestColour(prep, [r, g, b]);
+			cache.set(key, index);
+		}
+		return index;
+	};
+	const clamp = v => Math.max(0, Math.min(255, Math.round(v)));
+
+	const kernel = diffusionKernels[options.method];
+	const strength = (options.strength === undefined) ? 64 : options.strength;
+
+	for (let y = 0; y < frameHeight; y++) {
+		for (let x = 0; x < frameWidth; x++) {
+			const p = y * frameWidth + x;
+			if (transparent[p]) {
+				frame.pixels[p] = options.transparentIndex;
+				continue;
+			}
+
+			let r = rgb[p * 3 + 0];
+			let g = rgb[p * 3 + 1];
+			let b = rgb[p * 3 + 2];
+
+			if (options.method === DitherMethod.Bayer) {
+				const offset = bayer[y % BAYER_SIZE][x % BAYER_SIZE] * strength;
+				r += offset;
+				g += offset;
+				b += offset;
+			}
+
+			const index = nearest(clamp(r), clamp(g), clamp(b));
+			frame.pixels[p] = index;
+
+			if (!kernel) continue;
+
+			const match = prep.palette[index];
+			const er = r - match[0];
+			const eg = g - match[1];
+			const eb = b - match[2];
+			for (const [dx, dy, weight] of kernel) {
+				const nx = x + dx, ny = y + dy;
+				if ((nx < 0) || (nx >= frameWidth) || (ny >= frameHeight)) continue;
+				const np = ny * frameWidth + nx;
+				if (transparent[np]) continue;
+				rgb[np * 3 + 0] += er * weight;
+				rgb[np * 3 + 1] += eg * weight;
+				rgb[np * 3 + 2] += eb * weight;
+			}
+		}
+	}
+}
+
+/**
+ * Convert an image to a palette with fewer colours, using dithering to
+ * approximate the colours that are no longer available.
+ *
+ * This is typically used to take a 256-colour image and convert it to one of
+ * the fixed palettes from `util/palette-default.js`, such as when writing to a
+ * 16-colour EGA format.
+ *
+ * @param {Image} image
+ *   Image to convert.  It is not modified.  Truecolour frames are converted
+ *   to indexed ones.
+ *
+ * @param {Palette} palette
+ *   New palette, such as `paletteCGA16()`.
+ *
+ * @param {Object} options
+ *   options.method is the `DitherMethod` to use.  Defaults to Floyd-Steinberg.
+ *
+ *   options.metric is the `ColourDistance` used to pick the closest colour.
+ *
+ *   options.reserved is an optional array of palette indices that will not be
+ *   used for any visible pixel.
+ *
+ *   options.transparentIndex is the palette index for transparent pixels.  If
+ *   omitted, the first transparent entry in the new palette is used.
+ *
+ *   options.strength controls how far the Bayer pattern can shift a colour,
+ *   in 8-bit units.  Defaults to 64.  Not used for other methods.
+ *
+ * @return {Image} A copy of the image using the new palette, with any
+ *   per-frame palettes removed.
+ */
+export function imageDither(image, palette, options = {})
+{
+	const method = options.method || DitherMethod.FloydSteinberg;
+	if (!Object.values(DitherMethod).includes(method)) {
+		throw new Error(`Unknown dither method "${method}".`);
+	}
+
+	let transparentIndex = options.transparentIndex;
+	if ((transparentIndex === undefined) || (transparentIndex === null)) {
+		transparentIndex = palette.findIndex(p => p && (p[3] === 0));
+		if (transparentIndex < 0) transparentIndex = undefined;
+	}
+
+	let reserved = [ ...(options.reserved || []) ];
+	if (transparentIndex !== undefined) reserved.push(transparentIndex);
+
+	const prep = {
+		...prepareNearestColour(palette, {
+			metric: options.metric,
+			reserved,
+		}),
+		palette,
+	};
+
+	let newImage = image.clone();
+	newImage.palette = palette.clone();
+
+	for (let f = 0; f < newImage.frames.length; f++) {
+		let frame = newImage.frames[f];
+		const srcPalette = frame.palette || image.palette;
+		if (!srcPalette && (frame.pixelFormat !== PixelFormat.RGBA)) {
+			throw new Error(`Frame ${f} has no palette to dither from.`);
+		}
+		debug(`Dithering frame ${f} using ${method}`);
+		frameDither(frame, image.width, srcPalette, prep, {
+			...options,
+			method,
+			transparentIndex,
+		});
+		frame.palette = undefined;
+	}
+
+	return newImage;
+}
@@ -21,22 +21,17 @@ import Frame from '../interface/frame.js';
 import { frameCompose } from './frame-compose.js';
 
 /**
- * Draw a list of image frames one after another left-to-right, top-to-bottom.
- * All frames must be the same dimensions.
+ * Work out where each frame will be drawn by `frameFromTileset()`.
  *
  * @param {Image} image
- *   List of image frames to draw.
+ *   List of image frames to lay out.
  *
  * @param {Number} width
  *   Number of tiles to draw horizontally before moving to the next row.
  *
- * @param {Number} bg
- *   Fallback background colour to use if a transparent palette entry cannot be
- *   found.
- *
- * @return Image.
+ * @return Array of `{frame, offsetX, offsetY}` as used by `frameCompose()`.
  */
-export function frameFromTileset(image, width, bg)
+export function tilesetLayout(image, width)
 {
 	let frameList = [], x = 0, y = 0, yMax = 0;
 	for (let f = 0; f < image.frames.length; f++) {
@@ -59,7 +54,28 @@ export function frameFromTileset(image, width, bg)
 		yMax = Math.max(yMax, frameHeight);
 	}
 
-	return frameCompose(frameList, {
+	return frameList;
+}
+
+/**
+ * Draw a list of image frames one after another left-to-right, top-to-bottom.
+ * All frames must be the same dimensions.
+ *
+ * @param {Image} image
+ *   List of image frames to draw.
+ *
+ * @param {Number} width
+ *   Number of tiles to draw horizontally before moving to the next row.
+ *
+ * @param {Number} bg
+ *   Fallback background colour to use if a transparent palette entry cannot be
+ *   found.
+ *
+ * @return Image.
+ */
+export function frameFromTileset(image, width, bg)
+{
+	return frameCompose(tilesetLayout(image, width), {
 		defaultWidth: image.width,
 		defaultHeight: image.height,
 		bg: bg,
@@ -104,6 +104,11 @@ export function toPacked({ content, width, height, bitDepth, widthBits, byteOrde
 		}
 	}
 
+	// Pad the last line too, in case rows are padded beyond the next byte.
+	if (x > 0) {
+		bs.writeBits(0, bitDepth * (targetWidthPixels - width));
+	}
+
 	// Write zero bits until the next byte boundary.
 	const bitsLeft = (8 - (bs.index % 8)) % 8;
 	if (bitsLeft) bs.writeBits(0, bitsLeft);
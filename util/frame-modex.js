@@ -0,0 +1,77 @@
+/*
+ * Conversion functions for unchained VGA (Mode X) image data.
+ *
+ * Copyright (C) 2010-2022 Adam Nielsen <malvineous@shikadi.net>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+// Number of byte planes in unchained VGA memory.
+const PLANE_COUNT = 4;
+
+/**
+ * Convert unchained (Mode X) pixel data to linear.
+ *
+ * Unchained data is stored as four planes one after the other.  The first
+ * plane holds pixels 0, 4, 8, etc. of every row, the second plane holds
+ * pixels 1, 5, 9, etc., and so on.  Each pixel is one byte.
+ *
+ * @param {Uint8Array} content
+ *   Unchained pixel data.  If it is too short, missing pixels are returned as
+ *   colour 0.
+ *
+ * @param {Number} width
+ *   Image width in pixels.  Must be a multiple of 4.
+ *
+ * @param {Number} height
+ *   Image height in pixels.
+ *
+ * @return {Uint8Array} 8bpp linear pixel data.
+ */
+export function fromModeX({ content, width, height })
+{
+	const widthPlane = width >> 2;
+	const lenPlane = width * height / PLANE_COUNT;
+	let out = new Uint8Array(width * height);
+	for (let y = 0; y < height; y++) {
+		for (let x = 0; x < width; x++) {
+			out[y * width + x] = content[
+				(x % PLANE_COUNT) * lenPlane + y * widthPlane + (x >> 2)
+			] || 0;
+		}
+	}
+	return out;
+}
+
+/**
+ * Convert linear pixel data to unchained (Mode X).
+ *
+ * The parameters are the same as for fromModeX(), with `content` being the
+ * linear pixel data.
+ *
+ * @return {Uint8Array} Unchained pixel data.
+ */
+export function toModeX({ content, width, height })
+{
+	const widthPlane = width >> 2;
+	const lenPlane = width * height / PLANE_COUNT;
+	let out = new Uint8Array(width * height);
+	for (let y = 0; y < height; y++) {
+		for (let x = 0; x < width; x++) {
+			out[(x % PLANE_COUNT) * lenPlane + y * widthPlane + (x >> 2)] =
+				content[y * width + x];
+		}
+	}
+	return out;
+}
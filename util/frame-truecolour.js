@@ -0,0 +1,301 @@
+/*
+ * Conversion functions between indexed and truecolour frames.
+ *
+ * Copyright (C) 2010-2022 Adam Nielsen <malvineous@shikadi.net>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import Debug from '../util/debug.js';
+const debug = Debug.extend('frame-truecolour');
+
+import Image from '../interface/image.js';
+import Frame, { PixelFormat } from '../interface/frame.js';
+import Palette from '../interface/palette.js';
+import { imageRemapPalette } from './palette-remap.js';
+import { imageDither } from './frame-dither.js';
+
+/**
+ * Convert an indexed frame into a truecolour one.
+ *
+ * @param {Frame} frame
+ *   Frame to convert.  If it is already truecolour, a copy is returned.
+ *
+ * @param {Palette} palette
+ *   Palette to look up the pixel values in.  Ignored if the frame has its own
+ *   palette.
+ *
+ * @return {Frame} New frame with `PixelFormat.RGBA` data.
+ */
+export function frameToTruecolour(frame, palette)
+{
+	if (frame.pixelFormat === PixelFormat.RGBA) {
+		return frame.clone();
+	}
+
+	const pal = frame.palette || palette;
+	if (!pal) {
+		throw new Error('Cannot convert an indexed frame to truecolour without a '
+			+ 'palette.');
+	}
+
+	let pixels = new Uint8Array(frame.pixels.length * 4);
+	for (let p = 0; p < frame.pixels.length; p++) {
+		const c = pal[frame.pixels[p]];
+		if (!c) {
+			throw new Error(`Pixel ${p} uses colour ${frame.pixels[p]} which is not `
+				+ `in the palette.`);
+		}
+		pixels[p * 4 + 0] = c[0];
+		pixels[p * 4 + 1] = c[1];
+		pixels[p * 4 + 2] = c[2];
+		pixels[p * 4 + 3] = (c[3] === undefined) ? 255 : c[3];
+	}
+
+	return new Frame({
+		width: frame.width,
+		height: frame.height,
+		pixels,
+		pixelFormat: PixelFormat.RGBA,
+		hotspotX: frame.hotspotX,
+		hotspotY: frame.hotspotY,
+		offsetX: frame.offsetX,
+		offsetY: frame.offsetY,
+	});
+}
+
+/**
+ * Convert a truecolour frame into an indexed one using the given palette.
+ *
+ * Colours that exactly match a palette entry use that entry, and any others
+ * are replaced with the closest match.  Use `imageDither()` instead to dither
+ * the result.
+ *
+ * @param {Frame} frame
+ *   Frame to convert.  If it is already indexed, a copy is returned.
+ *
+ * @param {Palette} palette
+ *   Palette the new frame should use.
+ *
+ * @param {Object} options
+ *   options.metric is the `ColourDistance` to use, default `RGB`.
+ *
+ *   options.reserved is an optional array of palette indices that will not be
+ *   used for any visible pixel.
+ *
+ *   options.transparentIndex is the palette index to use for pixels with an
+ *   alpha value of zero.  If omitted, the first transparent entry in the
+ *   palette is used, and if there are none then transparent pixels are
+ *   matched on colour like any other.
+ *
+ * @return {Frame} New frame with `PixelFormat.Indexed` data.
+ */
+export function frameFromTruecolour(frame, palette, options = {})
+{
+	if (frame.pixelFormat !== PixelFormat.RGBA) {
+		return frame.clone();
+	}
+
+	const image = imageRemapPalette(
+		new Image({
+			frames: [frame],
+			palette,
+		}),
+		palette,
+		options
+	);
+	return image.frames[0];
+}
+
+/**
+ * Build a palette containing every colour used in one or more truecolour
+ * frames.
+ *
+ * This allows truecolour images that don't use many colours (such as those
+ * saved as RGB by an image editor) to be converted to indexed images without
+ * losing any detail.
+ *
+ * @param {Array<Frame>} frames
+ *   Frames to examine.  Indexed frames are ignored.
+ *
+ * @param {Number} maxColours
+ *   Maximum number of colours the palette can hold.  Defaults to 256.
+ *
+ * @return {Palette} containing each unique colour in the order they were
+ *   first encountered, or `null` if there are more than `maxColours` colours.
+ *   All fully transparent pixels share a single palette entry.
+ */
+export function paletteFromTruecolour(frames, maxColours = 256)
+{
+	let palette = new Palette();
+	let seen = new Set();
+	for (const frame of frames) {
+		if (frame.pixelFormat !== PixelFormat.RGBA) continue;
+		for (let p = 0; p < frame.pixels.length; p += 4) {
+			const a = frame.pixels[p + 3];
+			// Treat all transparent colours as the same.
+			const rgb = (a === 0) ? [0, 0, 0] : frame.pixels.slice(p, p + 3);
+			const key = ((rgb[0] << 24) | (rgb[1] << 16) | (rgb[2] << 8) | a) >>> 0;
+			if (seen.has(key)) continue;
+			if (seen.size >= maxColours) {
+				debug(`More than ${maxColours} colours, giving up`);
+				return null;
+			}
+			seen.add(key);
+			palette.push([rgb[0], rgb[1], rgb[2], a]);
+		}
+	}
+	return palette;
+}
+
+/**
+ * Choose a palette that best represents the colours in one or more truecolour
+ * frames, using the median cut algorithm.
+ *
+ * This is for images with too many colours for `paletteFromTruecolour()`.
+ * The frames still need to be converted to use the new palette afterwards,
+ * with `frameFromTruecolour()` or `imageDither()`.
+ *
+ * @param {Array<Frame>} frames
+ *   Frames to examine.  Indexed frames are ignored.
+ *
+ * @param {Number} maxColours
+ *   Number of colours to produce.  Defaults to 256.  If any pixels are fully
+ *   transparent, one of these entries will be a transparent one.
+ *
+ * @return {Palette} with up to `maxColours` entries.
+ */
+export function paletteMedianCut(frames, maxColours = 256)
+{
+	// Count how often each opaque colour appears.
+	let counts = new Map();
+	let hasTransparent = false;
+	for (const frame of frames) {
+		if (frame.pixelFormat !== PixelFormat.RGBA) continue;
+		for (let p = 0; p < frame.pixels.length; p += 4) {
+			if (frame.pixels[p + 3] === 0) {
+				hasTransparent = true;
+				continue;
+			}
+			const key = (frame.pixels[p] << 16) | (frame.pixels[p + 1] << 8) | frame.pixels[p + 2];
+			counts.set(key, (counts.get(key) || 0) + 1);
+		}
+	}
+
+	const colours = [...counts.entries()].map(([key, count]) => ({
+		c: [(key >> 16) & 0xFF, (key >> 8) & 0xFF, key & 0xFF],
+		count,
+	}));
+
+	const targetCount = maxColours - (hasTransparent ? 1 : 0);
+	let boxes = [];
+	if (colours.length) boxes.push(colours);
+
+	// Keep splitting the box with the widest range of colours until there are
+	// enough boxes, or none of them can be split any further.
+	while (boxes.length < targetCount) {
+		let bestBox = -1, bestChannel = 0, bestRange = 0;
+		for (let b = 0; b < boxes.length; b++) {
+			if (boxes[b].length < 2) continue;
+			for (let ch = 0; ch < 3; ch++) {
+				let min = 255, max = 0;
+				for (const e of boxes[b]) {
+					min = Math.min(min, e.c[ch]);
+					max = Math.max(max, e.c[ch]);
+				}
+				if (max - min > bestRange) {
+					bestRange = max - min;
+					bestBox = b;
+					bestChannel = ch;
+				}
+			}
+		}
+		if (bestBox < 0) break;
+
+		// Split at the median pixel, so each half covers a similar number of
+		// pixels rather than a similar number of distinct colours.
+		let box = boxes[bestBox].sort((a, b) => a.c[bestChannel] - b.c[bestChannel]);
+		const total = box.reduce((a, e) => a + e.count, 0);
+		let split = 0, running = 0;
+		while ((split < box.length - 1) && (running + box[split].count <= total / 2)) {
+			running += box[split].count;
+			split++;
+		}
+		split = Math.max(1, split);
+		boxes.splice(bestBox, 1, box.slice(0, split), box.slice(split));
+	}
+
+	let palette = new Palette();
+	for (const box of boxes) {
+		let sum = [0, 0, 0], total = 0;
+		for (const e of box) {
+			for (let ch = 0; ch < 3; ch++) sum[ch] += e.c[ch] * e.count;
+			total += e.count;
+		}
+		palette.push([
+			Math.round(sum[0] / total),
+			Math.round(sum[1] / total),
+			Math.round(sum[2] / total),
+			255,
+		]);
+	}
+	if (hasTransparent) {
+		palette.push([0, 0, 0, 0]);
+	}
+	debug(`Reduced ${colours.length} colours to ${palette.length}`);
+
+	return palette;
+}
+
+/**
+ * Convert an image with truecolour frames into an indexed one.
+ *
+ * If the image uses no more than 256 colours, each colour is given its own
+ * palette entry and no detail is lost.  Otherwise a palette is chosen with
+ * `paletteMedianCut()` and the image is dithered to it, but only if
+ * `options.quantise` is set.
+ *
+ * @param {Image} image
+ *   Image to convert.  Any frames that are already indexed do not contribute
+ *   to the new palette, and are remapped to the closest colours in it.
+ *
+ * @param {Object} options
+ *   options.quantise is the `DitherMethod` to use if the image has too many
+ *   colours.  If omitted, an error is thrown for such images instead.  This
+ *   is typically passed through as-is from the options given to a format
+ *   handler's `read()` function.
+ *
+ * @return {Image} New image with `PixelFormat.Indexed` frames and a palette.
+ */
+export function imageFromTruecolour(image, options = {})
+{
+	let palette = paletteFromTruecolour(image.frames);
+	if (palette) {
+		// Few enough colours that each can have its own palette entry.
+		return imageRemapPalette(image, palette);
+	}
+
+	if (!options.quantise) {
+		throw new Error(`This image has more than 256 colours, so it cannot be `
+			+ `converted to an indexed image without losing detail.  Reduce the `
+			+ `number of colours first, or use the "quantise" option to do it `
+			+ `automatically.`);
+	}
+
+	debug(`More than 256 colours, quantising with ${options.quantise}`);
+	palette = paletteMedianCut(image.frames, 256);
+	return imageDither(image, palette, {
+		method: options.quantise,
+	});
+}
@@ -0,0 +1,330 @@
+/*
+ * Huffman compression as used by id Software games for their graphics
+ * containers (EGAGRAPH, VGAGRAPH, etc.)
+ *
+ * The dictionary is a list of 255 nodes, each with two values: the value to
+ * use for a 0 bit and the value to use for a 1 bit.  Values below 256 are
+ * output bytes, and values of 256 and above refer to another node (minus
+ * 256).  Node 254 is the root of the tree.  Bits are read from the least
+ * significant bit of each byte first.
+ *
+ * Copyright (C) 2010-2022 Adam Nielsen <malvineous@shikadi.net>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import Debug from '../util/debug.js';
+const debug = Debug.extend('huffman');
+
+const NODE_COUNT = 255;
+const ROOT_NODE = 254;
+
+/**
+ * Length of a dictionary file, in bytes.
+ */
+export const HUFFMAN_DICT_LEN = NODE_COUNT * 4;
+
+/**
+ * Read a Huffman dictionary from a file such as EGADICT.
+ *
+ * @param {Uint8Array} content
+ *   Dictionary data, 1020 bytes long.
+ *
+ * @return {Array} of 255 `[bit0, bit1]` pairs.
+ */
+export function huffmanReadDict(content)
+{
+	if (content.length < HUFFMAN_DICT_LEN) {
+		throw new Error(`Huffman dictionary is too short (${content.length} `
+			+ `bytes, needed ${HUFFMAN_DICT_LEN}).`);
+	}
+	let dict = [];
+	for (let n = 0; n < NODE_COUNT; n++) {
+		const o = n * 4;
+		dict.push([
+			content[o] | (content[o + 1] << 8),
+			content[o + 2] | (content[o + 3] << 8),
+		]);
+	}
+	return dict;
+}
+
+/**
+ * Convert a Huffman dictionary into the format used on disk.
+ *
+ * @param {Array} dict
+ *   Dictionary as returned by `huffmanReadDict()` or `huffmanBuildDict()`.
+ *
+ * @return {Uint8Array} 1020 bytes of dictionary data.
+ */
+export function huffmanWriteDict(dict)
+{
+	let out = new Uint8Array(HUFFMAN_DICT_LEN);
+	for (let n = 0; n < NODE_COUNT; n++) {
+		const o = n * 4;
+		out[o + 0] = dict[n][0] & 0xFF;
+		out[o + 1] = dict[n][0] >> 8;
+		out[o + 2] = dict[n][1] & 0xFF;
+		out[o + 3] = dict[n][1] >> 8;
+	}
+	return out;
+}
+
+/**
+ * Create the optimal dictionary for compressing the given data.
+ *
+ * Every byte value is included in the tree, even those that never appear, so
+ * that there are always exactly 255 nodes as the games expect.
+ *
+ * @param {Array<Uint8Array>} blocks
+ *   All the data that will be compressed with this dictionary.
+ *
+ * @return {Array} of 255 `[bit0, bit1]` pairs.
+ */
+export function huffmanBuildDict(blocks)
+{
+	let freq = new Array(256).fill(0);
+	for (const block of blocks) {
+		for (const b of block) freq[b]++;
+	}
+
+	// Each entry is `{weight, ref}` where `ref` is the value that will be stored
+	// in the parent node to refer to this one.  Ties are broken by the order
+	// the entries were created, so the same input always gives the same tree.
+	let pending = freq.map((weight, ref) => ({ weight, ref }));
+	let dict = [];
+	const takeLowest = () => {
+		let best = 0;
+		for (let i = 1; i < pending.length; i++) {
+			if (pending[i].weight < pending[best].weight) best = i;
+		}
+		return pending.splice(best, 1)[0];
+	};
+	while (pending.length > 1) {
+		const a = takeLowest();
+		const b = takeLowest();
+		dict.push([a.ref, b.ref]);
+		pending.push({
+			weight: a.weight + b.weight,
+			ref: 256 + dict.length - 1,
+		});
+	}
+
+	return dict;
+}
+
+/**
+ * Decompress data.
+ *
+ * @param {Uint8Array} content
+ *   Compressed data.
+ *
+ * @param {Array} dict
+ *   Dictionary to use.
+ *
+ * @param {Number} length
+ *   Number of bytes to decompress.  Since the data is a bitstream, there is
+ *   no way to tell when it ends otherwise.
+ *
+ * @return {Uint8Array} Decompressed data, `length` bytes long.
+ */
+export function huffmanDecompress(content, dict, length)
+{
+	let out = new Uint8Array(length);
+	let outPos = 0;
+	let node = ROOT_NODE;
+	for (let i = 0; (i < content.length) && (outPos < length); i++) {
+		const byte = content[i];
+		for (let bit = 0; bit < 8; bit++) {
+			const v = dict[node][(byte >> bit) & 1];
+			if (v < 256) {
+				out[outPos++] = v;
+				node = ROOT_NODE;
+				if (outPos >= length) break;
+			} else {
+				node = v - 256;
+			}
+		}
+	}
+	if (outPos < length) {
+		debug(`Compressed data ran out after ${outPos} of ${length} bytes`);
+	}
+	return out;
+}
+
+/**
+ * Compress data.
+ *
+ * @param {Uint8Array} content
+ *   Data to compress.
+ *
+ * @param {Array} dict
+ *   Dictionary to use.  It must include every byte value used in `content`.
+ *
+ * @return {Uint8Array} Compressed data.
+ */
+export function huffmanCompress(content, dict)
+{
+	// Work out the bit sequence for each byte value by walking the tree.
+	let codes = new Array(256);
+	let stack = [{ node: ROOT_NODE, code: [] }];
+	while (stack.length) {
+		const { node, code } = stack.pop();
+		for (let bit = 0; bit < 2; bit++) {
+			const v = dict[node][bit];
+			if (v < 256) {
+				codes[v] = [...code, bit];
+			} else {
+				stack.push({ node: v - 256, code: [...code, bit] });
+			}
+		}
+	}
+
+	let out = [];
+	let cur = 0, bitPos = 0;
+	for (const b of content) {
+		const code = codes[b];
+		if (!code) {
+			throw new Error(`Byte value ${b} is not in the Huffman dictionary.`);
+		}
+		for (const bit of code) {
+			cur |= bit << bitPos;
+			if (++bitPos === 8) {
+				out.push(cur);
+				cur = 0;
+				bitPos = 0;
+			}
+		}
+	}
+	if (bitPos) out.push(cur);
+
+	return Uint8Array.from(out);
+}
+
+// Offset in the header used for chunks that aren't present in the file.
+const SPARSE_OFFSET = 0xFFFFFF;
+
+/**
+ * Open an id Software graphics container, such as EGAGRAPH or VGAGRAPH.
+ *
+ * The container is made up of three files: the compressed chunks themselves,
+ * the header listing the offset of each chunk as a 24-bit number, and the
+ * Huffman dictionary.  The header has one more offset than there are chunks,
+ * which is the length of the whole file.  Chunks that aren't present have an
+ * offset of 0xFFFFFF.
+ *
+ * @param {Object} content
+ *   Object with `main`, `head` and `dict` properties, each a `Uint8Array`.
+ *
+ * @return {Object} with a `chunkCount` property and an `expand(index,
+ *   implicitLength)` function, which returns the decompressed chunk, or `null`
+ *   if the chunk isn't present.  If `implicitLength` is `undefined`, the
+ *   decompressed length is read from the first four bytes of the chunk,
+ *   otherwise the chunk has a fixed size that isn't stored in the file.
+ */
+export function huffmanReadChunks(content)
+{
+	const dict = huffmanReadDict(content.dict);
+
+	let offsets = [];
+	for (let i = 0; i + 3 <= content.head.length; i += 3) {
+		offsets.push(
+			content.head[i]
+			| (content.head[i + 1] << 8)
+			| (content.head[i + 2] << 16)
+		);
+	}
+	const chunkCount = Math.max(0, offsets.length - 1);
+	debug(`Header lists ${chunkCount} chunks`);
+
+	const expand = (index, implicitLength) => {
+		if ((index >= chunkCount) || (offsets[index] === SPARSE_OFFSET)) return null;
+		let next = index + 1;
+		while ((next < chunkCount) && (offsets[next] === SPARSE_OFFSET)) next++;
+		let data = content.main.subarray(offsets[index], offsets[next]);
+		let length = implicitLength;
+		if (length === undefined) {
+			length = data[0] | (data[1] << 8) | (data[2] << 16) | (data[3] << 24);
+			data = data.subarray(4);
+		}
+		return huffmanDecompress(data, dict, length);
+	};
+
+	return {
+		chunkCount,
+		expand,
+	};
+}
+
+/**
+ * Create an id Software graphics container, the reverse of
+ * `huffmanReadChunks()`.
+ *
+ * A new dictionary is built to suit the data being compressed.
+ *
+ * @param {Array<Object>} chunks
+ *   List of chunks to write, each an object with a `data` property holding the
+ *   decompressed `Uint8Array`, or `null` if the chunk should be left out.  If
+ *   the `implicit` property is `true` the decompressed length isn't written.
+ *
+ * @return {Object} with `main`, `head` and `dict` properties, each a
+ *   `Uint8Array`.
+ */
+export function huffmanWriteChunks(chunks)
+{
+	const dict = huffmanBuildDict(chunks.filter(c => c.data).map(c => c.data));
+
+	let main = [];
+	let lenMain = 0;
+	let head = new Uint8Array((chunks.length + 1) * 3);
+	const writeOffset = (index, v) => {
+		head[index * 3 + 0] = v & 0xFF;
+		head[index * 3 + 1] = (v >> 8) & 0xFF;
+		head[index * 3 + 2] = (v >> 16) & 0xFF;
+	};
+	chunks.forEach((chunk, i) => {
+		if (!chunk.data) {
+			writeOffset(i, SPARSE_OFFSET);
+			return;
+		}
+		writeOffset(i, lenMain);
+		if (!chunk.implicit) {
+			const len = chunk.data.length;
+			main.push(Uint8Array.from([
+				len & 0xFF,
+				(len >> 8) & 0xFF,
+				(len >> 16) & 0xFF,
+				(len >> 24) & 0xFF,
+			]));
+			lenMain += 4;
+		}
+		const compressed = huffmanCompress(chunk.data, dict);
+		main.push(compressed);
+		lenMain += compressed.length;
+	});
+	writeOffset(chunks.length, lenMain);
+
+	let out = new Uint8Array(lenMain);
+	let offset = 0;
+	for (const d of main) {
+		out.set(d, offset);
+		offset += d.length;
+	}
+
+	return {
+		main: out,
+		head,
+		dict: huffmanWriteDict(dict),
+	};
+}
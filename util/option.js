@@ -0,0 +1,34 @@
+/*
+ * Helper functions for reading format handler options.
+ *
+ * Copyright (C) 2010-2022 Adam Nielsen <malvineous@shikadi.net>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+/**
+ * Read an on/off option.
+ *
+ * Options from the command line arrive as strings, so "true" and "1" are
+ * accepted as well as the actual values.
+ *
+ * @param {*} value
+ *   Option value, or `undefined` if the option was not given.
+ *
+ * @return {boolean} `true` if the option is switched on.
+ */
+export function optionFlag(value)
+{
+	return [true, 1, 'true', '1'].includes(value);
+}
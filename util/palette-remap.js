@@ -0,0 +1,390 @@
+/*
+ * Remap image pixels from one palette to another.
+ *
+ * Copyright (C) 2010-2022 Adam Nielsen <malvineous@shikadi.net>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+import Debug from '../util/debug.js';
+const debug = Debug.extend('palette-remap');
+
+import { PixelFormat } from '../interface/frame.js';
+
+/**
+ * Methods for measuring how close two colours are to each other.
+ */
+export const ColourDistance = {
+	/**
+	 * Straight Euclidean distance between the red, green and blue components.
+	 * Fast, but treats all channels equally which is not how the eye sees them.
+	 */
+	RGB: 'rgb',
+
+	/**
+	 * Euclidean distance with each channel weighted by its contribution to the
+	 * perceived brightness (ITU-R BT.601 luma coefficients).
+	 */
+	Luma: 'luma',
+
+	/**
+	 * CIE Delta E 2000 in the L*a*b* colour space.  The most accurate of the
+	 * three, and also the slowest.
+	 */
+	CIEDE2000: 'ciede2000',
+};
+
+// Convert one sRGB channel (0..255) to linear light (0..1).
+function srgbToLinear(c)
+{
+	c /= 255;
+	return (c <= 0.04045) ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+}
+
+// Convert an [r, g, b] colour to CIE L*a*b* using the D65 white point.
+function rgbToLab(rgb)
+{
+	const r = srgbToLinear(rgb[0]);
+	const g = srgbToLinear(rgb[1]);
+	const b = srgbToLinear(rgb[2]);
+
+	const x = (r * 0.4124564 + g * 0.3575761 + b * 0.1804375) / 0.95047;
+	const y = (r * 0.2126729 + g * 0.7151522 + b * 0.0721750) / 1.00000;
+	const z = (r * 0.0193339 + g * 0.1191920 + b * 0.9503041) / 1.08883;
+
+	const f = t => (t > 216 / 24389) ? Math.cbrt(t) : (t * 24389 / 27 + 16) / 116;
+	const fx = f(x), fy = f(y), fz = f(z);
+
+	return [
+		116 * fy - 16,
+		500 * (fx - fy),
+		200 * (fy - fz),
+	];
+}
+
+const deg = rad => rad * 180 / Math.PI;
+const rad = deg => deg * Math.PI / 180;
+
+// CIEDE2000 colour difference between two L*a*b* colours.
+function ciede2000(lab1, lab2)
+{
+	const [L1, a1, b1] = lab1;
+	const [L2, a2, b2] = lab2;
+
+	const C1 = Math.hypot(a1, b1);
+	const C2 = Math.hypot(a2, b2);
+	const Cbar7 = Math.pow((C1 + C2) / 2, 7);
+	const G = 0.5 * (1 - Math.sqrt(Cbar7 / (Cbar7 + Math.pow(25, 7))));
+
+	const a1p = (1 + G) * a1;
+	const a2p = (1 + G) * a2;
+	const C1p = Math.hypot(a1p, b1);
+	const C2p = Math.hypot(a2p, b2);
+
+	const hueAngle = (b, a) => {
+		if ((a === 0) && (b === 0)) return 0;
+		const h = deg(Math.atan2(b, a));
+		return (h < 0) ? h + 360 : h;
+	};
+	const h1p = hueAngle(b1, a1p);
+	const h2p = hueAngle(b2, a2p);
+
+	const dLp = L2 - L1;
+	const dCp = C2p - C1p;
+
+	let dhp = 0;
+	if (C1p * C2p !== 0) {
+		dhp = h2p - h1p;
+		if (dhp > 180) dhp -= 360;
+		else if (dhp < -180) dhp += 360;
+	}
+	const dHp = 2 * Math.sqrt(C1p * C2p) * Math.sin(rad(dhp / 2));
+
+	const Lbarp = (L1 + L2) / 2;
+	const Cbarp = (C1p + C2p) / 2;
+
+	let hbarp = h1p + h2p;
+	if (C1p * C2p !== 0) {
+		if (Math.abs(h1p - h2p) <= 180) {
+			hbarp /= 2;
+		} else if (h1p + h2p < 360) {
+			hbarp = (hbarp + 360) / 2;
+		} else {
+			hbarp = (hbarp - 360) / 2;
+		}
+	}
+
+	const T = 1
+		- 0.17 * Math.cos(rad(hbarp - 30))
+		+ 0.24 * Math.cos(rad(2 * hbarp))
+		+ 0.32 * Math.cos(rad(3 * hbarp + 6))
+		- 0.20 * Math.cos(rad(4 * hbarp - 63));
+
+	const dTheta = 30 * Math.exp(-Math.pow((hbarp - 275) / 25, 2));
+	const Cbarp7 = Math.pow(Cbarp, 7);
+	const Rc = 2 * Math.sqrt(Cbarp7 / (Cbarp7 + Math.pow(25, 7)));
+	const Lbarp50 = Math.pow(Lbarp - 50, 2);
+	const Sl = 1 + (0.015 * Lbarp50) / Math.sqrt(20 + Lbarp50);
+	const Sc = 1 + 0.045 * Cbarp;
+	const Sh = 1 + 0.015 * Cbarp * T;
+	const Rt = -Math.sin(rad(2 * dTheta)) * Rc;
+
+	return Math.sqrt(
+		Math.pow(dLp / Sl, 2)
+		+ Math.pow(dCp / Sc, 2)
+		+ Math.pow(dHp / Sh, 2)
+		+ Rt * (dCp / Sc) * (dHp / Sh)
+	);
+}
+
+/**
+ * Work out how different two colours are.
+ *
+ * @param {Array<Number>} a
+ *   First colour, as an `[r, g, b]` or `[r, g, b, a]` array with 8-bit values.
+ *   The alpha channel is ignored.
+ *
+ * @param {Array<Number>} b
+ *   Second colour, same format as `a`.
+ *
+ * @param {ColourDistance} metric
+ *   Which method to use for the comparison.  Defaults to `ColourDistance.RGB`.
+ *
+ * @return {Number} Distance between the two colours.  Zero means identical,
+ *   and larger numbers are further apart.  Values are only comparable with
+ *   others calculated using the same metric.
+ */
+export function colourDistance(a, b, metric = ColourDistance.RGB)
+{
+	switch (metric) {
+		case ColourDistance.RGB: {
+			const dr = a[0] - b[0];
+			const dg = a[1] - b[1];
+			const db = a[2] - b[2];
+			return Math.sqrt(dr * dr + dg * dg + db * db);
+		}
+		case ColourDistance.Luma: {
+			const dr = a[0] - b[0];
+			const dg = a[1] - b[1];
+			const db = a[2] - b[2];
+			return Math.sqrt(0.299 * dr * dr + 0.587 * dg * dg + 0.114 * db * db);
+		}
+		case ColourDistance.CIEDE2000:
+			return ciede2000(rgbToLab(a), rgbToLab(b));
+		default:
+			throw new Error(`Unknown colour distance metric "${metric}".`);
+	}
+}
+
+/**
+ * Prepare a palette for repeated nearest-colour searches.
+ *
+ * The returned object can be passed to `findNearestColour()` in place of a
+ * palette, which avoids converting every palette entry into L*a*b* for each
+ * pixel when using `ColourDistance.CIEDE2000`.
+ *
+ * @param {Palette} palette
+ *   Palette to search.
+ *
+ * @param {Object} options
+ *   options.metric is the `ColourDistance` to use, default `RGB`.
+ *
+ *   options.reserved is an optional array of palette indices that will never
+ *   be returned as a match, such as an index the destination format reserves
+ *   for transparency.
+ *
+ * @return {Object} Opaque value to pass to `findNearestColour()`.
+ */
+export function prepareNearestColour(palette, { metric = ColourDistance.RGB, reserved = [] } = {})
+{
+	let candidates = [];
+	for (let i = 0; i < palette.length; i++) {
+		if (!palette[i]) continue;
+		if (reserved.includes(i)) continue;
+		// Transparent entries can't stand in for a visible colour.
+		if (palette[i][3] === 0) continue;
+		candidates.push({
+			index: i,
+			colour: palette[i],
+			lab: (metric === ColourDistance.CIEDE2000) ? rgbToLab(palette[i]) : null,
+		});
+	}
+	if (candidates.length === 0) {
+		throw new Error('Target palette has no usable (opaque, unreserved) entries.');
+	}
+	return {
+		metric,
+		candidates,
+	};
+}
+
+/**
+ * Find the palette entry closest to the given colour.
+ *
+ * @param {Palette|Object} palette
+ *   Palette to search, or the result of `prepareNearestColour()`.
+ *
+ * @param {Array<Number>} colour
+ *   Colour to look for, as `[r, g, b]` with 8-bit values.
+ *
+ * @param {Object} options
+ *   Same as for `prepareNearestColour()`.  Ignored if `palette` has already
+ *   been prepared.
+ *
+ * @return {Number} Index into `palette` of the closest match.
+ */
+export function findNearestColour(palette, colour, options)
+{
+	const prep = palette.candidates ? palette : prepareNearestColour(palette, options);
+
+	const lab = (prep.metric === ColourDistance.CIEDE2000) ? rgbToLab(colour) : null;
+	let bestIndex = prep.candidates[0].index;
+	let bestDistance = Infinity;
+	for (const c of prep.candidates) {
+		const d = lab
+			? ciede2000(lab, c.lab)
+			: colourDistance(colour, c.colour, prep.metric);
+		if (d < bestDistance) {
+			bestDistance = d;
+			bestIndex = c.index;
+			if (d === 0) break;
+		}
+	}
+	return bestIndex;
+}
+
+// Convert RGBA pixel data into palette indices.  Colours that exactly match a
+// palette entry (including alpha) use that entry, everything else gets the
+// closest match.
+function truecolourRemap(rgba, palette, prep, transparentIndex)
+{
+	const key = (r, g, b, a) => ((r << 24) | (g << 16) | (b << 8) | a) >>> 0;
+
+	let cache = new Map();
+	for (let i = palette.length - 1; i >= 0; i--) {
+		const c = palette[i];
+		if (!c) continue;
+		if (!prep.candidates.some(e => e.index === i)) continue;
+		cache.set(key(c[0], c[1], c[2], (c[3] === undefined) ? 255 : c[3]), i);
+	}
+
+	const pixelCount = rgba.length / 4;
+	let pixels = new Uint8Array(pixelCount);
+	for (let p = 0; p < pixelCount; p++) {
+		const r = rgba[p * 4 + 0];
+		const g = rgba[p * 4 + 1];
+		const b = rgba[p * 4 + 2];
+		const a = rgba[p * 4 + 3];
+		if ((a === 0) && (transparentIndex !== undefined)) {
+			pixels[p] = transparentIndex;
+			continue;
+		}
+		const k = key(r, g, b, a);
+		let index = cache.get(k);
+		if (index === undefined) {
+			index = findNearestColour(prep, [r, g, b]);
+			cache.set(k, index);
+		}
+		pixels[p] = index;
+	}
+	return pixels;
+}
+
+/**
+ * Convert an image to a different palette, changing each pixel to the closest
+ * matching colour so the picture looks the same (or as close as possible).
+ *
+ * This is different to replacing `image.palette`, which keeps the pixel values
+ * and so changes what colours they appear as.
+ *
+ * @param {Image} image
+ *   Image to convert.  It is not modified.  Truecolour frames are converted
+ *   to indexed ones.
+ *
+ * @param {Palette} palette
+ *   New palette the pixels should be mapped to.
+ *
+ * @param {Object} options
+ *   options.metric is the `ColourDistance` to use, default `RGB`.
+ *
+ *   options.reserved is an optional array of palette indices that will not be
+ *   used for any visible pixel.
+ *
+ *   options.transparentIndex is the palette index to use for any pixel that
+ *   is transparent in the source palette.  It is always treated as reserved.
+ *   If omitted, the first fully transparent entry in the new palette is used
+ *   instead, and if there are none then transparent pixels are matched on
+ *   colour like any other.
+ *
+ * @return {Image} A copy of the image using the new palette, with any
+ *   per-frame palettes removed.
+ */
+export function imageRemapPalette(image, palette, options = {})
+{
+	let transparentIndex = options.transparentIndex;
+	if ((transparentIndex === undefined) || (transparentIndex === null)) {
+		transparentIndex = palette.findIndex(p => p && (p[3] === 0));
+		if (transparentIndex < 0) transparentIndex = undefined;
+	}
+
+	let reserved = [ ...(options.reserved || []) ];
+	if (transparentIndex !== undefined) reserved.push(transparentIndex);
+
+	const prep = prepareNearestColour(palette, {
+		metric: options.metric,
+		reserved,
+	});
+
+	let newImage = image.clone();
+	newImage.palette = palette.clone();
+
+	for (let f = 0; f < newImage.frames.length; f++) {
+		let frame = newImage.frames[f];
+
+		if (frame.pixelFormat === PixelFormat.RGBA) {
+			frame.pixels = truecolourRemap(frame.pixels, palette, prep, transparentIndex);
+			frame.pixelFormat = PixelFormat.Indexed;
+			frame.palette = undefined;
+			continue;
+		}
+
+		const srcPalette = frame.palette || image.palette;
+		if (!srcPalette) {
+			throw new Error(`Frame ${f} has no palette to remap from.`);
+		}
+
+		// Only 256 possible source values, so work out each mapping once.
+		let lookup = new Array(256);
+		for (let p = 0; p < frame.pixels.length; p++) {
+			const src = frame.pixels[p];
+			if (lookup[src] === undefined) {
+				const c = srcPalette[src];
+				if (!c) {
+					throw new Error(`Frame ${f} uses colour ${src} which is not in its `
+						+ `palette.`);
+				}
+				if ((c[3] === 0) && (transparentIndex !== undefined)) {
+					lookup[src] = transparentIndex;
+				} else {
+					lookup[src] = findNearestColour(prep, c);
+				}
+				debug(`Frame ${f}: mapping colour ${src} to ${lookup[src]}`);
+			}
+			frame.pixels[p] = lookup[src];
+		}
+		frame.palette = undefined;
+	}
+
+	return newImage;
+}